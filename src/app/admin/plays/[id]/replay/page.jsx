@@ -0,0 +1,53 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useParams } from "next/navigation";
+import ReplayPlayer from "@/lib/gamePlayer/replay/replayPlayer";
+
+export default function PlayReplayPage() {
+  const params = useParams();
+  const playId = params.id;
+
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      try {
+        const res = await fetch(`/api/admin/plays/${playId}/replay`, {
+          credentials: "include",
+          cache: "no-store",
+        });
+        const json = await res.json();
+        if (!res.ok || !json.success) throw new Error(json.message || "Failed to load play");
+        if (!cancelled) setData(json);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    }
+
+    if (playId) load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [playId]);
+
+  if (error) return <p className="p-8 text-red-600">{error}</p>;
+  if (!data) return <p className="p-8">Loading play...</p>;
+
+  const startedAt = data.metadata?.createdAt ? new Date(data.metadata.createdAt).toLocaleString() : "—";
+
+  return (
+    <div className="p-8 max-w-5xl mx-auto">
+      <h2 className="text-2xl font-bold mb-1">Play replay</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        {data.game?.name || data.metadata?.gameId} · play {playId} · {startedAt}
+      </p>
+
+      <ReplayPlayer game={data.game} playId={playId} events={data.events} frames={data.frames} />
+    </div>
+  );
+}
@@ -0,0 +1,243 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import { LOW_FPS_RATIO } from "@/lib/gamePlayer/telemetry/dataQuality";
+
+const FLAG_LABELS = {
+  NO_FRAMES: "No frames",
+  SEQ_GAPS: "Frame gaps",
+  LOW_FPS: "Low FPS",
+  MISSING_SESSION_END: "No SESSION_END",
+};
+
+const pct = (v) => (typeof v === "number" ? `${Math.round(v * 100)}%` : "—");
+
+function queryString(filters) {
+  const q = new URLSearchParams();
+  for (const [k, v] of Object.entries(filters)) if (String(v).trim()) q.set(k, String(v).trim());
+  return q.toString();
+}
+
+function FpsCell({ fps }) {
+  const levels = fps?.byLevel ?? [];
+  if (!levels.length) return "—";
+
+  return (
+    <div className="space-y-0.5">
+      {levels.map((l) => (
+        <div key={`${l.levelIndex}|${l.levelId}`} className={l.ratio !== null && l.ratio < LOW_FPS_RATIO ? "text-red-600" : ""}>
+          L{l.levelIndex ?? "?"}: {l.effectiveFps ?? "—"} / {l.targetFps}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function QualityRow({ row, busy, onRecompute }) {
+  const q = row.quality;
+  const startedAt = row.createdAt ? new Date(row.createdAt).toLocaleString() : "—";
+
+  return (
+    <tr className="border-t align-top">
+      <td className="p-2">
+        <Link href={`/admin/plays/${row.playId}/replay`} className="text-blue-600 hover:underline font-mono text-xs">
+          {row.playId}
+        </Link>
+        <div className="text-xs text-gray-500">
+          {row.gameId || "—"} · {startedAt}
+        </div>
+      </td>
+
+      {q ? (
+        <>
+          <td className="p-2 text-right">{q.frames}</td>
+          <td className="p-2">
+            {q.seq?.missing ? (
+              <span title={(q.seq.missingRanges ?? []).map(([a, b]) => (a === b ? a : `${a}–${b}`)).join(", ")}>
+                {q.seq.missing} in {q.seq.missingRangeCount} range{q.seq.missingRangeCount === 1 ? "" : "s"}
+              </span>
+            ) : (
+              "none"
+            )}
+          </td>
+          <td className="p-2 text-xs">
+            <FpsCell fps={q.fps} />
+          </td>
+          <td className="p-2 text-xs">
+            hands {pct(q.missingFraction?.bothHands)} · L {pct(q.missingFraction?.leftHand)} · R{" "}
+            {pct(q.missingFraction?.rightHand)} · face {pct(q.missingFraction?.face)}
+          </td>
+          <td className="p-2">
+            <div className="flex flex-wrap gap-1">
+              {(q.flags ?? []).length ? (
+                q.flags.map((f) => (
+                  <span key={f} className="rounded bg-red-100 text-red-700 px-1.5 py-0.5 text-xs">
+                    {FLAG_LABELS[f] ?? f}
+                  </span>
+                ))
+              ) : (
+                <span className="rounded bg-green-100 text-green-700 px-1.5 py-0.5 text-xs">OK</span>
+              )}
+            </div>
+            <div className="text-xs text-gray-400 mt-1">checked {new Date(q.computedAt).toLocaleString()}</div>
+          </td>
+        </>
+      ) : (
+        <td className="p-2 text-gray-400" colSpan={5}>
+          Not checked yet
+        </td>
+      )}
+
+      <td className="p-2">
+        <button
+          disabled={busy}
+          onClick={() => onRecompute(row.playId)}
+          className="bg-gray-200 hover:bg-gray-300 disabled:opacity-50 px-2 py-1 rounded text-xs"
+        >
+          Recompute
+        </button>
+      </td>
+    </tr>
+  );
+}
+
+export default function PlayQualityPage() {
+  const [filters, setFilters] = useState({ gameId: "", from: "", to: "", limit: "50" });
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null); // "all" | playId
+  const [error, setError] = useState("");
+
+  const request = useCallback(async (url, method) => {
+    const res = await fetch(url, { method, credentials: "include", cache: "no-store" });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.message || "Request failed");
+    return json;
+  }, []);
+
+  const load = useCallback(
+    async (method = "GET") => {
+      setError("");
+      if (method === "POST") setBusy("all");
+      else setLoading(true);
+
+      try {
+        const json = await request(`/api/admin/plays/quality?${queryString(filters)}`, method);
+        setRows(json.plays ?? []);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+        setBusy(null);
+      }
+    },
+    [filters, request]
+  );
+
+  const recomputeOne = async (playId) => {
+    setError("");
+    setBusy(playId);
+    try {
+      const { success: _success, ...row } = await request(`/api/admin/plays/${playId}/quality`, "POST");
+      setRows((prev) => prev.map((r) => (r.playId === playId ? row : r)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // first load only; later loads are explicit (filters change on every keystroke)
+  useEffect(() => {
+    void load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const setFilter = (key) => (e) => setFilters((prev) => ({ ...prev, [key]: e.target.value }));
+  const flagged = rows.filter((r) => r.quality?.flags?.length).length;
+
+  return (
+    <div className="p-8 max-w-6xl mx-auto">
+      <h2 className="text-2xl font-bold mb-1">Play data quality</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Frame gaps, logging FPS vs the level&apos;s logFPS, missing hands / face and sessions without SESSION_END.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <label className="text-sm">
+          Game id
+          <input value={filters.gameId} onChange={setFilter("gameId")} className="block border rounded px-2 py-1" />
+        </label>
+        <label className="text-sm">
+          From
+          <input type="date" value={filters.from} onChange={setFilter("from")} className="block border rounded px-2 py-1" />
+        </label>
+        <label className="text-sm">
+          To
+          <input type="date" value={filters.to} onChange={setFilter("to")} className="block border rounded px-2 py-1" />
+        </label>
+        <label className="text-sm">
+          Limit
+          <input
+            type="number"
+            min={1}
+            value={filters.limit}
+            onChange={setFilter("limit")}
+            className="block border rounded px-2 py-1 w-24"
+          />
+        </label>
+
+        <button
+          disabled={loading || !!busy}
+          onClick={() => load("GET")}
+          className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white px-3 py-1 rounded"
+        >
+          Load
+        </button>
+        <button
+          disabled={loading || !!busy}
+          onClick={() => load("POST")}
+          className="bg-yellow-500 hover:bg-yellow-600 disabled:opacity-50 text-white px-3 py-1 rounded"
+        >
+          {busy === "all" ? "Recomputing..." : "Recompute all"}
+        </button>
+      </div>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+
+      {loading ? (
+        <p>Loading plays...</p>
+      ) : !rows.length ? (
+        <p className="text-gray-500">No plays match.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-2">
+            {rows.length} play{rows.length === 1 ? "" : "s"} · {flagged} flagged
+          </p>
+
+          <div className="overflow-x-auto border rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-left">
+                <tr>
+                  <th className="p-2">Play</th>
+                  <th className="p-2 text-right">Frames</th>
+                  <th className="p-2">Missing seq</th>
+                  <th className="p-2">FPS (effective / target)</th>
+                  <th className="p-2">Missing landmarks</th>
+                  <th className="p-2">Flags</th>
+                  <th className="p-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <QualityRow key={row.playId} row={row} busy={!!busy} onRecompute={recomputeOne} />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
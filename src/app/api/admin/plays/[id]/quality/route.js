@@ -0,0 +1,55 @@
+// api/admin/plays/[id]/quality
+import { NextResponse } from "next/server";
+import { db } from "@/lib/firebase/firebaseAdmin";
+import { requireAdmin } from "@/lib/firebase/requireSession";
+import { computeAndStorePlayQuality, loadPlayQuality, playQualityRow } from "@/lib/firebase/playQuality";
+
+export const runtime = "nodejs";
+
+async function loadPlay(params) {
+  const { id: playId } = await params;
+  if (!playId) return { status: 400, message: "Missing play id" };
+
+  const metaSnap = await db.ref(`plays/${playId}/metadata`).once("value");
+  if (!metaSnap.exists()) return { status: 404, message: "Not found" };
+
+  return { play: { playId, metadata: metaSnap.val() } };
+}
+
+/**
+ * ADMIN ONLY: the stored data-quality summary of one play (quality: null if never checked).
+ */
+export async function GET(req, { params }) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const { play, status, message } = await loadPlay(params);
+  if (!play) {
+    return NextResponse.json(
+      { success: false, message },
+      { status }
+    );
+  }
+
+  const quality = await loadPlayQuality(play.playId);
+  return NextResponse.json({ success: true, ...playQualityRow(play, quality) });
+}
+
+/**
+ * ADMIN ONLY: recompute + store the data-quality summary of one play.
+ */
+export async function POST(req, { params }) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const { play, status, message } = await loadPlay(params);
+  if (!play) {
+    return NextResponse.json(
+      { success: false, message },
+      { status }
+    );
+  }
+
+  const quality = await computeAndStorePlayQuality(play.playId, play.metadata);
+  return NextResponse.json({ success: true, ...playQualityRow(play, quality) });
+}
@@ -0,0 +1,64 @@
+// api/admin/plays/[id]/replay
+import { NextResponse } from "next/server";
+import { db } from "@/lib/firebase/firebaseAdmin";
+import { requireAdmin } from "@/lib/firebase/requireSession";
+import { fetchGameAndLevels } from "@/lib/gamePlayer/playableGame";
+import { expandPoseFrames } from "@/lib/pose/poseFrameCodec";
+
+export const runtime = "nodejs";
+
+/**
+ * ADMIN ONLY: everything the replay viewer needs for one play.
+ * The game is loaded as the player sees it today (drafts included).
+ *
+ * query: ?frames=0 skips poseFrames (large for long plays)
+ */
+export async function GET(req, { params }) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const { id: playId } = await params;
+  if (!playId) {
+    return NextResponse.json(
+      { success: false, message: "Missing play id" },
+      { status: 400 }
+    );
+  }
+
+  const withFrames = new URL(req.url).searchParams.get("frames") !== "0";
+
+  const [metaSnap, eventsSnap, framesSnap] = await Promise.all([
+    db.ref(`plays/${playId}/metadata`).once("value"),
+    db.ref(`plays/${playId}/eventData`).once("value"),
+    withFrames ? db.ref(`plays/${playId}/poseFrames`).once("value") : null,
+  ]);
+
+  if (!metaSnap.exists()) {
+    return NextResponse.json(
+      { success: false, message: "Not found" },
+      { status: 404 }
+    );
+  }
+
+  const metadata = metaSnap.val();
+
+  let game;
+  try {
+    const loaded = await fetchGameAndLevels(metadata.gameId, { requirePublished: false });
+    game = { ...loaded.game, levels: loaded.levels };
+  } catch (err) {
+    return NextResponse.json(
+      { success: false, message: err?.message ?? "Game not found" },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({
+    success: true,
+    playId,
+    metadata,
+    game,
+    events: eventsSnap.val() ?? {},
+    frames: expandPoseFrames(framesSnap?.val() ?? {}),
+  });
+}
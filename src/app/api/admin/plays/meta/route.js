@@ -0,0 +1,18 @@
+// api/admin/plays/meta
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/firebase/requireSession";
+import { backfillPlaysMeta } from "@/lib/firebase/playsMeta";
+
+export const runtime = "nodejs";
+
+/**
+ * ADMIN ONLY: add plays created before the playsMeta index to it (exports and the
+ * data-quality report only see indexed plays). Safe to run again; indexed plays are skipped.
+ */
+export async function POST(req) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const { plays, added } = await backfillPlaysMeta();
+  return NextResponse.json({ success: true, plays, added });
+}
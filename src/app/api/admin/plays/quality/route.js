@@ -0,0 +1,72 @@
+// api/admin/plays/quality
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/firebase/requireSession";
+import { findExportPlays, parseExportFilters } from "@/lib/firebase/playExport";
+import {
+  computeAndStorePlayQuality,
+  createLevelsCache,
+  loadPlayQuality,
+  playQualityRow,
+} from "@/lib/firebase/playQuality";
+
+export const runtime = "nodejs";
+
+// recomputing reads every frame of every play: keep one request bounded
+const MAX_RECOMPUTE_PLAYS = 100;
+
+function parseFilters(req) {
+  return parseExportFilters(new URL(req.url).searchParams);
+}
+
+/**
+ * ADMIN ONLY: stored data-quality summaries (plays/{playId}/quality) of the matching plays.
+ * Plays never checked come back with quality: null.
+ *
+ * query: gameId, uid, deviceId, from, to, limit (see lib/firebase/playExport)
+ */
+export async function GET(req) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const { filters, error } = parseFilters(req);
+  if (error) {
+    return NextResponse.json(
+      { success: false, message: error },
+      { status: 400 }
+    );
+  }
+
+  const plays = await findExportPlays(filters);
+  const rows = await Promise.all(plays.map(async (play) => playQualityRow(play, await loadPlayQuality(play.playId))));
+
+  return NextResponse.json({ success: true, plays: rows });
+}
+
+/**
+ * ADMIN ONLY: recompute + store the summaries of the matching plays (one play at a time).
+ *
+ * query: as GET; limit is capped at MAX_RECOMPUTE_PLAYS
+ */
+export async function POST(req) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const { filters, error } = parseFilters(req);
+  if (error) {
+    return NextResponse.json(
+      { success: false, message: error },
+      { status: 400 }
+    );
+  }
+
+  const plays = await findExportPlays({ ...filters, limit: Math.min(filters.limit, MAX_RECOMPUTE_PLAYS) });
+  const levelsFor = createLevelsCache();
+
+  const rows = [];
+  for (const play of plays) {
+    const quality = await computeAndStorePlayQuality(play.playId, play.metadata, { levelsFor });
+    rows.push(playQualityRow(play, quality));
+  }
+
+  return NextResponse.json({ success: true, plays: rows });
+}
@@ -0,0 +1,77 @@
+// api/admin/rescore
+import { NextResponse } from "next/server";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { requireAdmin } from "@/lib/firebase/requireSession";
+import { rescoreExport } from "@/lib/pose/offlineRescore";
+
+export const runtime = "nodejs";
+
+// RTDB JSON exports are read from this folder only (file names, not paths, come from the client)
+const EXPORT_DIR = process.env.RESCORE_EXPORT_DIR || path.join(process.cwd(), "exports");
+
+const MAX_PLAYS = 200;
+
+/**
+ * ADMIN ONLY: re-score recorded plays from a local RTDB export with alternate settings.
+ *
+ * body: {
+ *   file: "export.json",          // in RESCORE_EXPORT_DIR (default ./exports)
+ *   playIds?: string[],           // default: every play with poseFrames
+ *   limit?: number,               // default 50
+ *   candidate?: { thresholdPct, poseTolerancePctById, minHoldMS, include, mirrorMode,
+ *                 stabilityMaxStdDeg, visibility, featureOverrides, customFeatures }
+ * }
+ */
+export async function POST(req) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const body = await req.json().catch(() => ({}));
+
+  const file = typeof body?.file === "string" ? path.basename(body.file.trim()) : "";
+  if (!file || !file.endsWith(".json")) {
+    return NextResponse.json(
+      { success: false, message: "Expected { file: \"<export>.json\" }" },
+      { status: 400 }
+    );
+  }
+
+  if (body.playIds !== undefined && !(Array.isArray(body.playIds) && body.playIds.every((id) => typeof id === "string"))) {
+    return NextResponse.json(
+      { success: false, message: "playIds must be an array of strings" },
+      { status: 400 }
+    );
+  }
+
+  if (body.candidate !== undefined && (typeof body.candidate !== "object" || Array.isArray(body.candidate))) {
+    return NextResponse.json(
+      { success: false, message: "candidate must be an object" },
+      { status: 400 }
+    );
+  }
+
+  let exportJson;
+  try {
+    exportJson = JSON.parse(await readFile(path.join(EXPORT_DIR, file), "utf8"));
+  } catch (err) {
+    const notFound = err?.code === "ENOENT";
+    return NextResponse.json(
+      { success: false, message: notFound ? "Export file not found" : "Export file is not valid JSON" },
+      { status: notFound ? 404 : 400 }
+    );
+  }
+
+  const limit = Math.max(1, Math.min(MAX_PLAYS, Math.trunc(Number(body.limit) || 50)));
+
+  // the candidate registry is code-only; keep API callers to JSON settings
+  const { registry: _registry, ...candidate } = body.candidate ?? {};
+
+  const report = rescoreExport(exportJson, {
+    playIds: body.playIds ?? null,
+    candidate,
+    limit,
+  });
+
+  return NextResponse.json({ success: true, file, ...report });
+}
@@ -1,6 +1,21 @@
 import { NextResponse } from "next/server";
 import { db } from "@/lib/firebase/firebaseAdmin";
 import { requireSession, isAdmin } from "@/lib/firebase/requireSession";
+import { DEFAULT_SMOOTHING, normalizeSmoothingConfig } from "@/lib/pose/landmarkSmoothing";
+import { validateCustomFeatures } from "@/lib/pose/customFeatures";
+import { validateExplore } from "@/lib/pose/exploreGuides";
+import { DEFAULT_PLAYER_LOCK, normalizePlayerLockConfig } from "@/lib/pose/playerLock";
+import { DEFAULT_VISIBILITY, normalizeMirrorMode, normalizeVisibilityConfig } from "@/lib/pose/poseMatching";
+import { validateStateGraph } from "@/lib/gamePlayer/session/stateGraph";
+import { DEFAULT_SCORING, normalizeScoringConfig } from "@/lib/gamePlayer/session/scoring";
+import { DEFAULT_ADAPTIVE, normalizeAdaptiveConfig } from "@/lib/gamePlayer/session/adaptiveDifficulty";
+import { DEFAULT_ASSISTS, MAX_HINT_LENGTH, normalizeAssistsConfig } from "@/lib/gamePlayer/session/poseAssists";
+import {
+  normalizeNumericAnswer,
+  normalizeNumericTolerance,
+  normalizeNumericUnit,
+  normalizeReflectionText,
+} from "@/lib/gamePlayer/session/numericAnswer";
 
 export const runtime = "nodejs";
 
@@ -31,6 +46,53 @@ function normalizePoseToleranceMap(v) {
   return out;
 }
 
+// Author hints shown by the TEXT_HINT assist: { [poseId]: string }
+function normalizePoseHints(v) {
+  if (!isPlainObject(v)) return {};
+  const out = {};
+  for (const [k, val] of Object.entries(v)) {
+    const key = String(k).trim();
+    const text = typeof val === "string" ? val.trim().slice(0, MAX_HINT_LENGTH) : "";
+    if (key && text) out[key] = text;
+  }
+  return out;
+}
+
+// Recorded movement clips: { [sequenceId]: JSON string | { frames, fps, tolerancePct } }
+function normalizePoseSequences(v) {
+  if (!isPlainObject(v)) return {};
+  const out = {};
+  for (const [k, val] of Object.entries(v)) {
+    const key = String(k).trim();
+    if (!key) continue;
+    if (typeof val === "string") out[key] = val;
+    else if (isPlainObject(val)) out[key] = JSON.stringify(val);
+  }
+  return out;
+}
+
+// Per-feature scoring overrides: { [featureId]: { weight?, maxDiffDeg? } }
+const FEATURE_ID_RE = /^[A-Za-z0-9_]{1,64}$/;
+
+function normalizeFeatureOverrides(v) {
+  if (!isPlainObject(v)) return {};
+  const out = {};
+  for (const [k, val] of Object.entries(v)) {
+    const id = String(k).trim();
+    if (!FEATURE_ID_RE.test(id) || !isPlainObject(val)) continue;
+
+    const entry = {};
+    if (val.weight !== undefined && val.weight !== null && val.weight !== "") {
+      entry.weight = clamp(val.weight, 0.1, 10);
+    }
+    if (val.maxDiffDeg !== undefined && val.maxDiffDeg !== null && val.maxDiffDeg !== "") {
+      entry.maxDiffDeg = clamp(val.maxDiffDeg, 1, 180);
+    }
+    if (Object.keys(entry).length) out[id] = entry;
+  }
+  return out;
+}
+
 /* ------------------ SETTINGS NORMALIZATION ------------------ */
 const DEFAULT_SETTINGS = {
   logFPS: 15,
@@ -41,13 +103,19 @@ const DEFAULT_SETTINGS = {
     leftLeg: true,
     rightLeg: true,
     hands: false,
+    limbTilt: false,
+    relativePosition: false,
   },
   states: {
     intro: true,
     intuition: true,
     tween: true,
     poseMatch: false,
+    poseSequence: true,
     insight: true,
+    explore: true,
+    numeric: true,
+    reflection: true,
     outro: true,
   },
   reps: {
@@ -57,6 +125,16 @@ const DEFAULT_SETTINGS = {
   ui: {
     dialogueFontSize: 20,
   },
+  matching: {
+    mirrorMode: "strict",
+    smoothing: { ...DEFAULT_SMOOTHING },
+    stabilityMaxStdDeg: 8,
+    visibility: { ...DEFAULT_VISIBILITY },
+    playerLock: { ...DEFAULT_PLAYER_LOCK },
+  },
+  scoring: { ...DEFAULT_SCORING },
+  adaptive: { ...DEFAULT_ADAPTIVE },
+  assists: { ...DEFAULT_ASSISTS },
 };
 
 function deepMerge(base, patch) {
@@ -87,6 +165,8 @@ function normalizeSettings(raw) {
       leftLeg: normalizeBool(merged.include?.leftLeg),
       rightLeg: normalizeBool(merged.include?.rightLeg),
       hands: normalizeBool(merged.include?.hands),
+      limbTilt: normalizeBool(merged.include?.limbTilt),
+      relativePosition: normalizeBool(merged.include?.relativePosition),
     },
 
     states: {
@@ -94,7 +174,11 @@ function normalizeSettings(raw) {
       intuition: normalizeBool(merged.states?.intuition),
       tween: normalizeBool(merged.states?.tween),
       poseMatch: normalizeBool(merged.states?.poseMatch),
+      poseSequence: normalizeBool(merged.states?.poseSequence),
       insight: normalizeBool(merged.states?.insight),
+      explore: normalizeBool(merged.states?.explore),
+      numeric: normalizeBool(merged.states?.numeric),
+      reflection: normalizeBool(merged.states?.reflection),
       outro: normalizeBool(merged.states?.outro),
     },
 
@@ -106,6 +190,18 @@ function normalizeSettings(raw) {
     ui: {
       dialogueFontSize: clamp(merged.ui?.dialogueFontSize, 10, 64),
     },
+
+    matching: {
+      mirrorMode: normalizeMirrorMode(merged.matching?.mirrorMode),
+      smoothing: normalizeSmoothingConfig(merged.matching?.smoothing),
+      stabilityMaxStdDeg: clamp(merged.matching?.stabilityMaxStdDeg, 0, 45),
+      visibility: normalizeVisibilityConfig(merged.matching?.visibility),
+      playerLock: normalizePlayerLockConfig(merged.matching?.playerLock),
+    },
+
+    scoring: normalizeScoringConfig(merged.scoring),
+    adaptive: normalizeAdaptiveConfig(merged.adaptive),
+    assists: normalizeAssistsConfig(merged.assists),
   };
 
   return out;
@@ -122,6 +218,13 @@ function sanitizePatch(body) {
   if (b.description !== undefined) out.description = String(b.description);
   if (b.question !== undefined) out.question = String(b.question);
 
+  // NUMERIC estimate (answer null = no answer key) + REFLECTION prompt
+  if (b.numericQuestion !== undefined) out.numericQuestion = String(b.numericQuestion ?? "");
+  if (b.numericAnswer !== undefined) out.numericAnswer = normalizeNumericAnswer(b.numericAnswer);
+  if (b.numericTolerance !== undefined) out.numericTolerance = normalizeNumericTolerance(b.numericTolerance);
+  if (b.numericUnit !== undefined) out.numericUnit = normalizeNumericUnit(b.numericUnit);
+  if (b.reflectionPrompt !== undefined) out.reflectionPrompt = normalizeReflectionText(b.reflectionPrompt);
+
   if (b.options !== undefined) {
     out.options = Array.isArray(b.options) ? b.options.map((x) => String(x ?? "")) : [];
   }
@@ -138,6 +241,20 @@ function sanitizePatch(body) {
   }
 
   if (b.poses !== undefined) out.poses = isPlainObject(b.poses) ? b.poses : {};
+  if (b.poseSequences !== undefined) out.poseSequences = normalizePoseSequences(b.poseSequences);
+
+  if (b.featureOverrides !== undefined) out.featureOverrides = normalizeFeatureOverrides(b.featureOverrides);
+
+  // author-defined angle features (PATCH rejects invalid ones before we get here)
+  if (b.customFeatures !== undefined) out.customFeatures = validateCustomFeatures(b.customFeatures).features;
+
+  // explore state: duration, prompt + angle guides; null removes it (PATCH rejects invalid ones before we get here)
+  if (b.explore !== undefined) out.explore = validateExplore(b.explore).explore;
+
+  // branch nodes + outcome edges; null removes the graph (PATCH rejects invalid graphs before we get here)
+  if (b.stateGraph !== undefined) {
+    out.stateGraph = b.stateGraph === null ? null : validateStateGraph(b.stateGraph).graph;
+  }
 
   if (Object.prototype.hasOwnProperty.call(b, "isPublished")) {
     out.isPublished = normalizeBool(b.isPublished);
@@ -169,6 +286,9 @@ function sanitizePatch(body) {
     out.poseTolerancePctById = norm ?? {};
   }
 
+  // per-pose assist hints
+  if (b.poseHintsById !== undefined) out.poseHintsById = normalizePoseHints(b.poseHintsById);
+
   return out;
 }
 
@@ -368,6 +488,37 @@ export async function PATCH(req, context) {
     }
 
     const body = await req.json();
+
+    if (isPlainObject(body) && body.customFeatures !== undefined) {
+      const check = validateCustomFeatures(body.customFeatures);
+      if (!check.valid) {
+        return NextResponse.json(
+          { success: false, message: check.error },
+          { status: 400 }
+        );
+      }
+    }
+
+    if (isPlainObject(body) && body.explore !== undefined) {
+      const check = validateExplore(body.explore);
+      if (!check.valid) {
+        return NextResponse.json(
+          { success: false, message: check.error },
+          { status: 400 }
+        );
+      }
+    }
+
+    if (isPlainObject(body) && body.stateGraph !== undefined && body.stateGraph !== null) {
+      const check = validateStateGraph(body.stateGraph);
+      if (!check.valid) {
+        return NextResponse.json(
+          { success: false, message: check.error },
+          { status: 400 }
+        );
+      }
+    }
+
     const sanitized = sanitizePatch(body);
 
     const updates = {
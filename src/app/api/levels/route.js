@@ -56,6 +56,7 @@ export async function POST(req) {
       pin = "",
       isPublished = false,
       poses = {},
+      poseSequences = {},
     } = body;
 
     // Validation
@@ -87,6 +88,13 @@ export async function POST(req) {
       );
     }
 
+    if (typeof poseSequences !== "object" || poseSequences === null) {
+      return NextResponse.json(
+        { success: false, message: "Pose sequences must be an object." },
+        { status: 400 }
+      );
+    }
+
     // Normalize publish boolean
     const published = isPublished === true || isPublished === "true";
 
@@ -102,6 +110,7 @@ export async function POST(req) {
       pin,
       isPublished: published,
       poses,
+      poseSequences,
       author: user.email || "anonymous",
       authorUid: user.uid,
       createdAt: Date.now(),
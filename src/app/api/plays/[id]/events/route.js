@@ -2,6 +2,12 @@ import { NextResponse } from "next/server";
 import { db } from "@/lib/firebase/firebaseAdmin";
 import { requireSession } from "@/lib/firebase/requireSession";
 import { requirePlayOwner } from "@/lib/firebase/requirePlayOwner";
+import { claimBatch, normalizeBatchKey, releaseBatch } from "@/lib/firebase/uploadBatches";
+import {
+  MAX_BATCH_BYTES,
+  MAX_EVENTS_PER_BATCH,
+  validateEventBatch,
+} from "@/lib/gamePlayer/telemetry/telemetrySchema";
 
 export const runtime = "nodejs";
 
@@ -47,6 +53,13 @@ export async function POST(req, context) {
     );
   }
 
+  if (Number(req.headers.get("content-length")) > MAX_BATCH_BYTES) {
+    return NextResponse.json(
+      { success: false, message: `Batch larger than ${MAX_BATCH_BYTES} bytes` },
+      { status: 413 }
+    );
+  }
+
   const body = await req.json().catch(() => ({}));
   const incoming = Array.isArray(body?.events)
     ? body.events
@@ -64,14 +77,28 @@ export async function POST(req, context) {
     );
   }
 
+  if (incoming.length > MAX_EVENTS_PER_BATCH) {
+    return NextResponse.json(
+      { success: false, message: `At most ${MAX_EVENTS_PER_BATCH} events per batch` },
+      { status: 400 }
+    );
+  }
+
   const serverNow = Date.now();
 
-  // Multi-location update (fast) — ONLY eventData
-  const updates = {};
+  // retried / concurrent batch (see telemetryBus): claimed by another request => acknowledge without writing twice
+  const batchKey = normalizeBatchKey(body?.batchKey);
+  if (!(await claimBatch(playId, batchKey, serverNow))) {
+    return NextResponse.json({ success: true, count: 0, duplicate: true });
+  }
 
-  for (const evtRaw of incoming) {
-    const evt = evtRaw && typeof evtRaw === "object" ? evtRaw : {};
+  // ✅ only schema-valid events are stored; the rest are reported back by index (telemetrySchema)
+  const { accepted, rejected } = validateEventBatch(incoming);
 
+  // Multi-location update (fast) — eventData
+  const updates = {};
+
+  for (const evt of accepted) {
     const eventPushKey = db.ref(`plays/${playId}/eventData`).push().key;
     updates[`plays/${playId}/eventData/${eventPushKey}`] = {
       ...evt,
@@ -79,10 +106,18 @@ export async function POST(req, context) {
     };
   }
 
-  await db.ref().update(updates);
+  if (Object.keys(updates).length) {
+    try {
+      await db.ref().update(updates);
+    } catch (err) {
+      await releaseBatch(playId, batchKey);
+      throw err;
+    }
+  }
 
   return NextResponse.json({
     success: true,
-    count: incoming.length,
+    count: accepted.length,
+    rejected,
   });
 }
\ No newline at end of file
@@ -3,31 +3,17 @@ import { NextResponse } from "next/server";
 import { db } from "@/lib/firebase/firebaseAdmin";
 import { requireSession } from "@/lib/firebase/requireSession";
 import { requirePlayOwner } from "@/lib/firebase/requirePlayOwner";
+import { poseFrameRangeKeys } from "@/lib/firebase/poseFrameIndex";
+import { POSE_FRAMES_CONTENT_TYPE, decodePoseFrameBatch, packPoseData } from "@/lib/pose/poseFrameCodec";
+import { claimBatch, normalizeBatchKey, releaseBatch } from "@/lib/firebase/uploadBatches";
+import {
+  MAX_BATCH_BYTES,
+  MAX_FRAMES_PER_BATCH,
+  validateFrameBatch,
+} from "@/lib/gamePlayer/telemetry/telemetrySchema";
 
 export const runtime = "nodejs";
 
-/**
- * RTDB-friendly key (no spaces/dots/slashes)
- */
-function sanitizeKey(s) {
-  return (
-    String(s ?? "unknown")
-      .toLowerCase()
-      .replace(/[^a-z0-9_-]/g, "_")
-      .slice(0, 64) || "unknown"
-  );
-}
-
-function levelKey(levelIndex) {
-  const n = Number(levelIndex);
-  return Number.isFinite(n) ? `l${Math.max(0, Math.trunc(n))}` : "l_unknown";
-}
-
-function repKey(repIndex) {
-  const n = Number(repIndex);
-  return Number.isFinite(n) ? `r${Math.max(0, Math.trunc(n))}` : "r0";
-}
-
 async function getPlayId(context) {
   const resolvedParams = await context?.params;
   if (!resolvedParams || typeof resolvedParams !== "object") return null;
@@ -61,7 +47,30 @@ export async function POST(req, context) {
     );
   }
 
-  const body = await req.json().catch(() => ({}));
+  if (Number(req.headers.get("content-length")) > MAX_BATCH_BYTES) {
+    return NextResponse.json(
+      { success: false, message: `Batch larger than ${MAX_BATCH_BYTES} bytes` },
+      { status: 413 }
+    );
+  }
+
+  // binary batches (lib/pose/poseFrameCodec) or the original JSON { frames, batchKey }
+  const binary = (req.headers.get("content-type") ?? "").startsWith(POSE_FRAMES_CONTENT_TYPE);
+
+  let body;
+  if (binary) {
+    try {
+      body = decodePoseFrameBatch(new Uint8Array(await req.arrayBuffer()));
+    } catch (err) {
+      return NextResponse.json(
+        { success: false, message: err?.message ?? "Malformed pose frame batch" },
+        { status: 400 }
+      );
+    }
+  } else {
+    body = await req.json().catch(() => ({}));
+  }
+
   const { frames } = body;
 
   if (!Array.isArray(frames)) {
@@ -71,8 +80,24 @@ export async function POST(req, context) {
     );
   }
 
+  if (frames.length > MAX_FRAMES_PER_BATCH) {
+    return NextResponse.json(
+      { success: false, message: `At most ${MAX_FRAMES_PER_BATCH} frames per batch` },
+      { status: 400 }
+    );
+  }
+
   const serverNow = Date.now();
 
+  // retried / concurrent batch (see telemetryBus): claimed by another request => don't count its frames into the ranges again
+  const batchKey = normalizeBatchKey(body?.batchKey);
+  if (!(await claimBatch(playId, batchKey, serverNow))) {
+    return NextResponse.json({ success: true, wrote: 0, updatedRanges: 0, duplicate: true });
+  }
+
+  // ✅ only schema-valid POSE frames are stored; the rest are reported back by index (telemetrySchema)
+  const { accepted, rejected } = validateFrameBatch(frames);
+
   // 1) Raw frame writes (POSE only)
   const updates = {};
 
@@ -82,27 +107,18 @@ export async function POST(req, context) {
 
   let wrote = 0;
 
-  for (let i = 0; i < frames.length; i++) {
-    const f = frames[i] ?? {};
-
-    // ✅ Only process actual POSE frames
-    if (f.frameType !== "POSE") continue;
-
-    const seqNum = Number(f.seq);
-    if (!Number.isFinite(seqNum)) continue; // require numeric seq for clean ranges
-
+  for (const raw of accepted) {
+    // validateFrameBatch: integer seq, client playId / createdAt already stripped
+    const seqNum = raw.seq;
     const seqKey = String(seqNum);
 
-    // Strip redundant fields from client
-    const { playId: _redundantPlayId, createdAt: _clientCreatedAt, ...raw } = f;
-
-    const stateTypeKey = sanitizeKey(raw.stateType);
-    const lKey = levelKey(raw.levelIndex);
-    const rKey = repKey(raw.repIndex);
+    const { levelKey: lKey, repKey: rKey, stateTypeKey } = poseFrameRangeKeys(raw);
 
-    // Raw sequential storage
+    // Raw sequential storage (binary uploads keep their landmarks packed: poseDataQ, see expandPoseFrame)
+    const { poseData, ...fields } = raw;
     updates[`plays/${playId}/poseFrames/${seqKey}`] = {
-      ...raw,
+      ...fields,
+      ...(binary ? { poseDataQ: packPoseData(poseData) } : { poseData }),
       seq: seqNum,
       createdAt: serverNow, // server write time
     };
@@ -120,9 +136,14 @@ export async function POST(req, context) {
     perLRS.set(key, cur);
   }
 
-  // Write frames first
+  // Write frames first (failed => release the claim so the client's retry writes them)
   if (wrote > 0) {
-    await db.ref().update(updates);
+    try {
+      await db.ref().update(updates);
+    } catch (err) {
+      await releaseBatch(playId, batchKey);
+      throw err;
+    }
   }
 
   // Merge poseFrameRangesByState (no "byLevel/byRep/byState" words)
@@ -160,5 +181,6 @@ export async function POST(req, context) {
     success: true,
     wrote,
     updatedRanges: perLRS.size,
+    rejected,
   });
 }
\ No newline at end of file
@@ -0,0 +1,65 @@
+// api/plays/[id]/resume
+import { NextResponse } from "next/server";
+import { db } from "@/lib/firebase/firebaseAdmin";
+import { requireSession } from "@/lib/firebase/requireSession";
+
+export const runtime = "nodejs";
+
+/**
+ * OWNER ONLY (admins included: they may only resume their own plays):
+ * { gameId, snapshot, nextPoseSeq } to resume a play after a refresh.
+ * Frames are keyed by seq, so the resumed page must continue after the stored ones.
+ */
+export async function GET(req, { params }) {
+  const { success, response, user } = await requireSession(req);
+  if (!success) return response;
+
+  const { id: playId } = await params;
+  if (!playId) {
+    return NextResponse.json(
+      { success: false, message: "Missing play id" },
+      { status: 400 }
+    );
+  }
+
+  const [metaSnap, snapshotSnap, rangesSnap] = await Promise.all([
+    db.ref(`plays/${playId}/metadata`).once("value"),
+    db.ref(`plays/${playId}/snapshot`).once("value"),
+    db.ref(`plays/${playId}/poseFrameRangesByState`).once("value"),
+  ]);
+
+  if (!metaSnap.exists()) {
+    return NextResponse.json(
+      { success: false, message: "Not found" },
+      { status: 404 }
+    );
+  }
+
+  const metadata = metaSnap.val();
+  if (!user?.uid || metadata?.ownerUid !== user.uid) {
+    return NextResponse.json(
+      { success: false, message: "Forbidden" },
+      { status: 403 }
+    );
+  }
+
+  // poseFrameRangesByState/{level}/{rep}/{stateType}: { minSeq, maxSeq, count }
+  let maxSeq = -1;
+  for (const levelRanges of Object.values(rangesSnap.val() ?? {})) {
+    for (const repRanges of Object.values(levelRanges ?? {})) {
+      for (const range of Object.values(repRanges ?? {})) {
+        if (Number.isFinite(range?.maxSeq)) maxSeq = Math.max(maxSeq, range.maxSeq);
+      }
+    }
+  }
+
+  return NextResponse.json({
+    success: true,
+    resume: {
+      gameId: metadata.gameId ?? null,
+      ownerUid: metadata.ownerUid,
+      snapshot: snapshotSnap.val() ?? null,
+      nextPoseSeq: maxSeq + 1,
+    },
+  });
+}
@@ -1,15 +1,22 @@
 import { NextResponse } from "next/server";
 
 import { db } from "@/lib/firebase/firebaseAdmin";
-import { requireAdmin } from "@/lib/firebase/requireSession";
+import { requireAdmin, requireSession } from "@/lib/firebase/requireSession";
+import { playsMetaPath } from "@/lib/firebase/playsMeta";
+import { requirePlayOwner } from "@/lib/firebase/requirePlayOwner";
+import { normalizeSessionSnapshot } from "@/lib/gamePlayer/session/sessionSnapshot";
+import { normalizeScoreSummary } from "@/lib/gamePlayer/session/scoring";
 
 export const runtime = "nodejs";
 
+/**
+ * ADMIN: full play record (resuming a play goes through ./resume, owner only)
+ */
 export async function GET(req, { params }) {
   const { success, response } = await requireAdmin(req);
   if (!success) return response;
 
-  const playId = params?.id;
+  const { id: playId } = await params;
   if (!playId) {
     return NextResponse.json(
       { success: false, message: "Missing play id" },
@@ -32,11 +39,81 @@ export async function GET(req, { params }) {
   });
 }
 
+/**
+ * OWNER: save (or clear, with null) the resumable session snapshot,
+ *        and/or the game totals once the last level ends
+ *
+ * body: { snapshot?: object | null, score?: object }
+ */
+export async function PATCH(req, { params }) {
+  const { success, response, user } = await requireSession(req);
+  if (!success) return response;
+
+  const { id: playId } = await params;
+  if (!playId) {
+    return NextResponse.json(
+      { success: false, message: "Missing play id" },
+      { status: 400 }
+    );
+  }
+
+  const isOwner = await requirePlayOwner(playId, user.uid);
+  if (!isOwner) {
+    return NextResponse.json(
+      { success: false, message: "Forbidden" },
+      { status: 403 }
+    );
+  }
+
+  const body = await req.json().catch(() => ({}));
+  if (!body || typeof body !== "object" || (body.snapshot === undefined && body.score === undefined)) {
+    return NextResponse.json(
+      { success: false, message: "Expected { snapshot } or { score }" },
+      { status: 400 }
+    );
+  }
+
+  const serverNow = Date.now();
+  const updates = {};
+
+  if (body.snapshot === null) {
+    updates[`plays/${playId}/snapshot`] = null;
+    updates[`plays/${playId}/metadata/snapshotUpdatedAt`] = serverNow;
+  } else if (body.snapshot !== undefined) {
+    const check = normalizeSessionSnapshot(body.snapshot);
+    if (!check.valid) {
+      return NextResponse.json(
+        { success: false, message: check.error },
+        { status: 400 }
+      );
+    }
+
+    updates[`plays/${playId}/snapshot`] = { ...check.snapshot, updatedAt: serverNow };
+    updates[`plays/${playId}/metadata/snapshotUpdatedAt`] = serverNow;
+  }
+
+  if (body.score !== undefined) {
+    const check = normalizeScoreSummary(body.score);
+    if (!check.valid) {
+      return NextResponse.json(
+        { success: false, message: check.error },
+        { status: 400 }
+      );
+    }
+
+    updates[`plays/${playId}/metadata/score`] = { ...check.score, scoredAt: serverNow };
+  }
+
+  await db.ref().update(updates);
+
+  return NextResponse.json({ success: true });
+}
+
 export async function DELETE(req, { params }) {
   const { success, response } = await requireAdmin(req);
   if (!success) return response;
 
-  const playId = params?.id;
+  const { id: playId } = await params;
   if (!playId) {
     return NextResponse.json(
       { success: false, message: "Missing play id" },
@@ -44,7 +121,10 @@ export async function DELETE(req, { params }) {
     );
   }
 
-  await db.ref(`plays/${playId}`).remove();
+  await db.ref().update({
+    [`plays/${playId}`]: null,
+    [playsMetaPath(playId)]: null,
+  });
 
   return NextResponse.json({ success: true });
 }
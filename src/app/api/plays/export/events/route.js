@@ -0,0 +1,49 @@
+// api/plays/export/events
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/firebase/requireSession";
+import {
+  eventCsvHeader,
+  eventCsvRow,
+  exportFileName,
+  findExportPlays,
+  loadPlayEvents,
+  parseExportFilters,
+  streamPlayRows,
+} from "@/lib/firebase/playExport";
+
+export const runtime = "nodejs";
+
+/**
+ * ADMIN ONLY: telemetry events of the matching plays as CSV (streamed, one row per event).
+ *
+ * query: gameId, uid, deviceId, from, to, levelId, levelIndex, limit (see lib/firebase/playExport)
+ */
+export async function GET(req) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const { filters, error } = parseExportFilters(new URL(req.url).searchParams);
+  if (error) {
+    return NextResponse.json(
+      { success: false, message: error },
+      { status: 400 }
+    );
+  }
+
+  const plays = await findExportPlays(filters);
+
+  const stream = streamPlayRows(plays, {
+    header: eventCsvHeader(),
+    loadRows: (play) => loadPlayEvents(play.playId, filters),
+    formatRow: (play, [eventKey, evt]) => eventCsvRow(play, eventKey, evt),
+  });
+
+  return new NextResponse(stream, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${exportFileName("events", "csv")}"`,
+      "Cache-Control": "no-store",
+      "X-Export-Plays": String(plays.length),
+    },
+  });
+}
@@ -0,0 +1,48 @@
+// api/plays/export/frames
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/firebase/requireSession";
+import {
+  exportFileName,
+  findExportPlays,
+  frameJsonLine,
+  loadPlayFrames,
+  parseExportFilters,
+  streamPlayRows,
+} from "@/lib/firebase/playExport";
+
+export const runtime = "nodejs";
+
+/**
+ * ADMIN ONLY: pose frames of the matching plays as JSONL (streamed, one frame per line, by seq).
+ * Each line carries seq, levelIndex, repIndex, stateType and the poseFrameRangesByState keys.
+ *
+ * query: gameId, uid, deviceId, from, to, levelId, levelIndex, limit (see lib/firebase/playExport)
+ */
+export async function GET(req) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const { filters, error } = parseExportFilters(new URL(req.url).searchParams);
+  if (error) {
+    return NextResponse.json(
+      { success: false, message: error },
+      { status: 400 }
+    );
+  }
+
+  const plays = await findExportPlays(filters);
+
+  const stream = streamPlayRows(plays, {
+    loadRows: (play) => loadPlayFrames(play.playId, filters),
+    formatRow: frameJsonLine,
+  });
+
+  return new NextResponse(stream, {
+    headers: {
+      "Content-Type": "application/x-ndjson; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${exportFileName("frames", "jsonl")}"`,
+      "Cache-Control": "no-store",
+      "X-Export-Plays": String(plays.length),
+    },
+  });
+}
@@ -0,0 +1,71 @@
+// api/plays/export/landmarks
+import { NextResponse } from "next/server";
+import { requireAdmin } from "@/lib/firebase/requireSession";
+import {
+  exportFileName,
+  findExportPlays,
+  loadPlayFrames,
+  parseExportFilters,
+} from "@/lib/firebase/playExport";
+import { LANDMARK_GROUPS, createLandmarkColumnsWriter } from "@/lib/pose/landmarkColumns";
+
+export const runtime = "nodejs";
+
+// columns are contiguous, so the file is built in memory: cap rows × landmarkCount
+// (x, y, z, visibility float32 => 16 bytes per landmark, ~128 MB; pose ≈ 240k rows, face ≈ 17k)
+const MAX_LANDMARK_CELLS = 8000000;
+
+/**
+ * ADMIN ONLY: landmark arrays of the matching plays' pose frames as a columnar binary file
+ * (layout + decoder: lib/pose/landmarkColumns). One row per frame, ordered by play then seq.
+ *
+ * query: group=pose|leftHand|rightHand|face (default pose)
+ *        + gameId, uid, deviceId, from, to, levelId, levelIndex, limit (see lib/firebase/playExport)
+ */
+export async function GET(req) {
+  const { success, response } = await requireAdmin(req);
+  if (!success) return response;
+
+  const searchParams = new URL(req.url).searchParams;
+
+  const group = searchParams.get("group") || "pose";
+  if (!LANDMARK_GROUPS[group]) {
+    return NextResponse.json(
+      { success: false, message: `group must be one of ${Object.keys(LANDMARK_GROUPS).join(", ")}` },
+      { status: 400 }
+    );
+  }
+
+  const { filters, error } = parseExportFilters(searchParams);
+  if (error) {
+    return NextResponse.json(
+      { success: false, message: error },
+      { status: 400 }
+    );
+  }
+
+  const plays = await findExportPlays(filters);
+  const writer = createLandmarkColumnsWriter({ group });
+  const maxRows = Math.floor(MAX_LANDMARK_CELLS / writer.landmarkCount);
+
+  for (const play of plays) {
+    const frames = await loadPlayFrames(play.playId, filters);
+    if ((writer.rows + frames.length) * writer.landmarkCount > MAX_LANDMARK_CELLS) {
+      return NextResponse.json(
+        { success: false, message: `More than ${maxRows} ${group} frames; narrow the filters or lower limit` },
+        { status: 413 }
+      );
+    }
+    for (const frame of frames) writer.add(play.playId, frame);
+  }
+
+  return new NextResponse(writer.encode(), {
+    headers: {
+      "Content-Type": "application/octet-stream",
+      "Content-Disposition": `attachment; filename="${exportFileName(`landmarks-${group}`, "bin")}"`,
+      "Cache-Control": "no-store",
+      "X-Export-Plays": String(plays.length),
+      "X-Export-Rows": String(writer.rows),
+    },
+  });
+}
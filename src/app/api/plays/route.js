@@ -1,6 +1,7 @@
 import { NextResponse } from "next/server";
 import { db } from "@/lib/firebase/firebaseAdmin";
 import { requireSession, requireAdmin } from "@/lib/firebase/requireSession";
+import { playsMetaEntry, playsMetaPath } from "@/lib/firebase/playsMeta";
 
 export const runtime = "nodejs";
 
@@ -48,16 +49,20 @@ export async function POST(req) {
   const uid = user.uid;
   const timestamp = Date.now();
 
+  const metadata = {
+    ownerUid: uid,
+    gameId,
+    levelId,
+    deviceId,
+    timestamp,
+    createdAt: timestamp,
+  };
+
+  // the play + its playsMeta index entry (exports pick plays from the index)
   const playRef = db.ref("plays").push();
-  await playRef.set({
-    metadata: {
-      ownerUid: uid,
-      gameId,
-      levelId,
-      deviceId,
-      timestamp,
-      createdAt: timestamp,
-    },
+  await db.ref().update({
+    [`plays/${playRef.key}`]: { metadata },
+    [playsMetaPath(playRef.key)]: playsMetaEntry(metadata),
   });
 
   return NextResponse.json({
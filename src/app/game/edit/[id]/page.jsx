@@ -72,6 +72,9 @@ export default function GameEditor() {
   const [showStorylineEditor, setShowStorylineEditor] = useState(false);
   const [expandedLevel, setExpandedLevel] = useState(null);
 
+  // preview start node per level position (0-based, matches the preview timeline)
+  const [previewNodes, setPreviewNodes] = useState({});
+
   // Custom speaker uploader UI
   const [speakerName, setSpeakerName] = useState("");
   const [speakerFile, setSpeakerFile] = useState(null);
@@ -220,6 +223,12 @@ export default function GameEditor() {
     return next;
   }, [allAvailableLevels]);
 
+  // owner/admin preview of the saved game (nothing is recorded)
+  const openPreview = (index) => {
+    const node = Math.max(0, Math.trunc(Number(previewNodes[index]) || 0));
+    window.open(`/game/play/${id}?level=${index}&node=${node}&preview=1`, "_blank", "noopener");
+  };
+
   const toggleExpandLevel = (levelId) => {
     setExpandedLevel((prev) => (prev === levelId ? null : levelId));
   };
@@ -480,6 +489,31 @@ export default function GameEditor() {
                       ) : (
                         <p className="italic text-gray-500">No description.</p>
                       )}
+
+                      <div className="flex items-center gap-2 pt-2">
+                        <label htmlFor={`preview-node-${index}`} className="text-xs text-gray-600">
+                          Preview from node
+                        </label>
+                        <input
+                          id={`preview-node-${index}`}
+                          type="number"
+                          min={0}
+                          step={1}
+                          value={previewNodes[index] ?? 0}
+                          onChange={(e) => setPreviewNodes((prev) => ({ ...prev, [index]: e.target.value }))}
+                          className="w-20 rounded border border-gray-300 bg-white px-2 py-1 text-sm text-black"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => openPreview(index)}
+                          className="rounded bg-amber-500 px-3 py-1 text-sm text-white hover:bg-amber-600"
+                        >
+                          Preview
+                        </button>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        Plays the saved game from here in a new tab, with a node timeline. Nothing is recorded.
+                      </p>
                     </div>
                   )}
                 </div>
@@ -1,17 +1,29 @@
 "use client";
 
 import { useRouter } from "next/navigation";
+import { useAuth } from "@/lib/contexts/AuthContext";
 import GamePlayerRoot from "@/lib/gamePlayer/gamePlayerRoot";
 
-export default function GamePlayerClient({ game, levels, levelIndex }) {
+export default function GamePlayerClient({ game, levels, levelIndex, nodeIndex = 0, preview = false }) {
   const router = useRouter();
+  const { user, loading: authLoading } = useAuth();
   const gameWithLevels = { ...game, levels };
 
+  // UI only: facilitator hotkeys don't unlock anything the player couldn't reach by playing
+  // (preview was already checked on the server)
+  const facilitator =
+    preview ||
+    (!!user && (!!user.roles?.includes("admin") || (!!game?.authorUid && game.authorUid === user.uid)));
+
   return (
     <GamePlayerRoot
       game={gameWithLevels}
+      uid={authLoading ? undefined : user?.uid ?? null}
       levelIndex={levelIndex}
       deviceId="web"
+      facilitator={facilitator}
+      preview={preview}
+      nodeIndex={nodeIndex}
       onComplete={() => {
         router.back();
       }}
@@ -13,6 +13,7 @@ import FormField from "@/components/editor/FormField";
 
 import LevelBasicsForm from "@/components/level/LevelBasicsForm";
 import LevelOptionsEditor from "@/components/level/LevelOptionsEditor";
+import LevelExploreEditor from "@/components/level/LevelExploreEditor";
 import LevelPosesEditor from "@/components/level/LevelPosesEditor";
 
 function clampNumber(n, min, max, fallback) {
@@ -27,6 +28,11 @@ const numberClass =
   "focus:outline-none focus:ring-2 focus:ring-gray-900/10 focus:border-gray-900 " +
   "disabled:bg-gray-100 disabled:text-black disabled:cursor-not-allowed disabled:opacity-70";
 
+const selectClass =
+  "w-36 rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-black " +
+  "focus:outline-none focus:ring-2 focus:ring-gray-900/10 focus:border-gray-900 " +
+  "disabled:bg-gray-100 disabled:text-black disabled:cursor-not-allowed disabled:opacity-70";
+
 const primaryBtn =
   "w-full rounded-xl bg-gray-900 text-white px-4 py-2.5 text-sm font-medium hover:bg-black " +
   "disabled:opacity-50 disabled:cursor-not-allowed";
@@ -235,6 +241,12 @@ export default function LevelEditPage() {
           onRemovePose={removePose}
           poseTolerancePctById={safeLevel.poseTolerancePctById || {}}
           onPoseToleranceUpdate={(map) => setLevel((prev) => ({ ...prev, poseTolerancePctById: map }))}
+          poseHintsById={safeLevel.poseHintsById || {}}
+          onPoseHintsUpdate={(poseHintsById) => setLevel((prev) => ({ ...prev, poseHintsById }))}
+          poseSequences={safeLevel.poseSequences || {}}
+          onPoseSequencesUpdate={(poseSequences) => setLevel((prev) => ({ ...prev, poseSequences }))}
+          featureOverrides={safeLevel.featureOverrides || {}}
+          onFeatureOverridesUpdate={(featureOverrides) => setLevel((prev) => ({ ...prev, featureOverrides }))}
         />
         </div>
       </SectionCard>
@@ -351,6 +363,23 @@ export default function LevelEditPage() {
               onUpdateOption={updateOption}
               onRemoveOption={removeOption}
               onToggleAnswer={toggleAnswer}
+              customFeatures={
+                Array.isArray(safeLevel.customFeatures)
+                  ? safeLevel.customFeatures
+                  : Object.values(safeLevel.customFeatures || {})
+              }
+              onCustomFeaturesChange={(customFeatures) => setLevel((prev) => ({ ...prev, customFeatures }))}
+              disabled={savingLevel}
+            />
+          </SectionCard>
+
+          <SectionCard
+            title="Explore"
+            description="Free movement for a set time with angle guides drawn over the player's skeleton."
+          >
+            <LevelExploreEditor
+              explore={safeLevel.explore ?? null}
+              onChange={(explore) => setLevel((prev) => ({ ...prev, explore }))}
               disabled={savingLevel}
             />
           </SectionCard>
@@ -409,6 +438,218 @@ export default function LevelEditPage() {
 
               <div className="h-px bg-gray-100" />
 
+              <div className="space-y-2">
+                <div className="text-sm font-medium text-gray-900">Pose matching</div>
+                <div className="flex items-center gap-3">
+                  <label htmlFor="mirror-mode" className="text-sm text-gray-700 w-28">
+                    mirrorMode
+                  </label>
+                  <select
+                    id="mirror-mode"
+                    value={safeSettings.matching.mirrorMode}
+                    disabled={savingLevel}
+                    onChange={(e) => updateSettings({ matching: { mirrorMode: e.target.value } })}
+                    className={selectClass}
+                  >
+                    <option value="strict">strict</option>
+                    <option value="mirrored">mirrored</option>
+                    <option value="either">either</option>
+                  </select>
+                </div>
+                <div className="text-xs text-gray-500">
+                  &ldquo;mirrored&rdquo; lets players copy the model like a mirror; &ldquo;either&rdquo; accepts both sides.
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <label htmlFor="smoothing-method" className="text-sm text-gray-700 w-28">
+                    smoothing
+                  </label>
+                  <select
+                    id="smoothing-method"
+                    value={safeSettings.matching.smoothing?.method ?? "none"}
+                    disabled={savingLevel}
+                    onChange={(e) =>
+                      updateSettings({ matching: { smoothing: { method: e.target.value } } })
+                    }
+                    className={selectClass}
+                  >
+                    <option value="none">none</option>
+                    <option value="oneEuro">One Euro</option>
+                    <option value="kalman">Kalman</option>
+                  </select>
+                </div>
+
+                {safeSettings.matching.smoothing?.method === "oneEuro" ? (
+                  <>
+                    <div className="flex items-center gap-3">
+                      <label htmlFor="smoothing-min-cutoff" className="text-sm text-gray-700 w-28">
+                        minCutoff
+                      </label>
+                      <input
+                        id="smoothing-min-cutoff"
+                        type="number"
+                        min={0.01}
+                        max={10}
+                        step={0.1}
+                        value={safeSettings.matching.smoothing.minCutoff ?? 1}
+                        disabled={savingLevel}
+                        onChange={(e) =>
+                          updateSettings({
+                            matching: {
+                              smoothing: {
+                                minCutoff: clampNumber(
+                                  e.target.value,
+                                  0.01,
+                                  10,
+                                  safeSettings.matching.smoothing.minCutoff ?? 1
+                                ),
+                              },
+                            },
+                          })
+                        }
+                        className={numberClass}
+                      />
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <label htmlFor="smoothing-beta" className="text-sm text-gray-700 w-28">
+                        beta
+                      </label>
+                      <input
+                        id="smoothing-beta"
+                        type="number"
+                        min={0}
+                        max={10}
+                        step={0.01}
+                        value={safeSettings.matching.smoothing.beta ?? 0.05}
+                        disabled={savingLevel}
+                        onChange={(e) =>
+                          updateSettings({
+                            matching: {
+                              smoothing: {
+                                beta: clampNumber(
+                                  e.target.value,
+                                  0,
+                                  10,
+                                  safeSettings.matching.smoothing.beta ?? 0.05
+                                ),
+                              },
+                            },
+                          })
+                        }
+                        className={numberClass}
+                      />
+                    </div>
+                  </>
+                ) : null}
+
+                <div className="flex items-center gap-3">
+                  <label htmlFor="stability-max-std" className="text-sm text-gray-700 w-28">
+                    max jitter °
+                  </label>
+                  <input
+                    id="stability-max-std"
+                    type="number"
+                    min={0}
+                    max={45}
+                    step={1}
+                    value={safeSettings.matching.stabilityMaxStdDeg ?? 8}
+                    disabled={savingLevel}
+                    onChange={(e) =>
+                      updateSettings({
+                        matching: {
+                          stabilityMaxStdDeg: clampNumber(
+                            e.target.value,
+                            0,
+                            45,
+                            safeSettings.matching.stabilityMaxStdDeg ?? 8
+                          ),
+                        },
+                      })
+                    }
+                    className={numberClass}
+                  />
+                </div>
+                <div className="text-xs text-gray-500">
+                  A pose only counts as held once it is matched and the angles stay within this
+                  jitter over the hold time. 0 turns the check off.
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <label htmlFor="visibility-threshold" className="text-sm text-gray-700 w-28">
+                    min visibility
+                  </label>
+                  <input
+                    id="visibility-threshold"
+                    type="number"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    value={safeSettings.matching.visibility?.threshold ?? 0.5}
+                    disabled={savingLevel}
+                    onChange={(e) =>
+                      updateSettings({
+                        matching: {
+                          visibility: {
+                            threshold: clampNumber(
+                              e.target.value,
+                              0,
+                              1,
+                              safeSettings.matching.visibility?.threshold ?? 0.5
+                            ),
+                          },
+                        },
+                      })
+                    }
+                    className={numberClass}
+                  />
+                </div>
+                <div className="flex items-center gap-3">
+                  <label htmlFor="visibility-mode" className="text-sm text-gray-700 w-28">
+                    hidden joints
+                  </label>
+                  <select
+                    id="visibility-mode"
+                    value={safeSettings.matching.visibility?.mode ?? "exclude"}
+                    disabled={savingLevel}
+                    onChange={(e) =>
+                      updateSettings({ matching: { visibility: { mode: e.target.value } } })
+                    }
+                    className={selectClass}
+                  >
+                    <option value="exclude">exclude</option>
+                    <option value="downweight">down-weight</option>
+                  </select>
+                </div>
+                <div className="text-xs text-gray-500">
+                  Joints the camera can&rsquo;t see are left out of the score (or count for less), and
+                  the player is asked to step back instead.
+                </div>
+                <div className="flex items-center gap-3">
+                  <label htmlFor="player-lock" className="text-sm text-gray-700 w-28">
+                    player lock
+                  </label>
+                  <select
+                    id="player-lock"
+                    value={safeSettings.matching.playerLock?.mode ?? "off"}
+                    disabled={savingLevel}
+                    onChange={(e) =>
+                      updateSettings({ matching: { playerLock: { mode: e.target.value } } })
+                    }
+                    className={selectClass}
+                  >
+                    <option value="off">off</option>
+                    <option value="largest">largest body</option>
+                    <option value="central">most central body</option>
+                  </select>
+                </div>
+                <div className="text-xs text-gray-500">
+                  Tracks only the player picked at level start; if someone else takes over, the game
+                  pauses until the player is back.
+                </div>
+              </div>
+
+              <div className="h-px bg-gray-100" />
+
               <div className="space-y-2">
                 <div className="text-sm font-medium text-gray-900">States enabled</div>
                 <div className="grid grid-cols-2 gap-2">
@@ -512,6 +753,136 @@ export default function LevelEditPage() {
                 </div>
               </div>
 
+              <div className="h-px bg-gray-100" />
+
+              <div className="space-y-2">
+                <div className="text-sm font-medium text-gray-900">Scoring</div>
+                {[
+                  { key: "oneStar", label: "1 star at", min: 0, max: 100, step: 1 },
+                  { key: "twoStars", label: "2 stars at", min: 0, max: 100, step: 1 },
+                  { key: "threeStars", label: "3 stars at", min: 0, max: 100, step: 1 },
+                  { key: "targetMatchMS", label: "targetMatchMS", min: 500, max: 60000, step: 500 },
+                ].map(({ key, label, min, max, step }) => (
+                  <div key={key} className="flex items-center gap-3">
+                    <label htmlFor={`scoring-${key}`} className="text-sm text-gray-700 w-28">
+                      {label}
+                    </label>
+                    <input
+                      id={`scoring-${key}`}
+                      type="number"
+                      min={min}
+                      max={max}
+                      step={step}
+                      value={safeSettings.scoring[key]}
+                      disabled={savingLevel}
+                      onChange={(e) =>
+                        updateSettings({
+                          scoring: { [key]: clampNumber(e.target.value, min, max, safeSettings.scoring[key]) },
+                        })
+                      }
+                      className={numberClass}
+                    />
+                  </div>
+                ))}
+                <div className="text-xs text-gray-500">
+                  Level score is 0–100 from pose quality, time to match, answers and reps. Poses matched
+                  within targetMatchMS get full speed credit.
+                </div>
+              </div>
+
+              <div className="h-px bg-gray-100" />
+
+              <div className="space-y-2">
+                <div className="text-sm font-medium text-gray-900">Adaptive difficulty</div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!safeSettings.adaptive.enabled}
+                    disabled={savingLevel}
+                    onChange={(e) => updateSettings({ adaptive: { enabled: e.target.checked } })}
+                    className="h-4 w-4"
+                  />
+                  <span>Tune pose threshold and hold time during play</span>
+                </label>
+                {[
+                  { key: "thresholdMinPct", label: "threshold min", min: 0, max: 100, step: 1 },
+                  { key: "thresholdMaxPct", label: "threshold max", min: 0, max: 100, step: 1 },
+                  { key: "minHoldMinMS", label: "hold min (ms)", min: 0, max: 10000, step: 250 },
+                  { key: "minHoldMaxMS", label: "hold max (ms)", min: 0, max: 10000, step: 250 },
+                ].map(({ key, label, min, max, step }) => (
+                  <div key={key} className="flex items-center gap-3">
+                    <label htmlFor={`adaptive-${key}`} className="text-sm text-gray-700 w-28">
+                      {label}
+                    </label>
+                    <input
+                      id={`adaptive-${key}`}
+                      type="number"
+                      min={min}
+                      max={max}
+                      step={step}
+                      value={safeSettings.adaptive[key]}
+                      disabled={savingLevel || !safeSettings.adaptive.enabled}
+                      onChange={(e) =>
+                        updateSettings({
+                          adaptive: { [key]: clampNumber(e.target.value, min, max, safeSettings.adaptive[key]) },
+                        })
+                      }
+                      className={numberClass}
+                    />
+                  </div>
+                ))}
+                <div className="text-xs text-gray-500">
+                  Fast matches raise the threshold and hold time; misses or slow matches lower them.
+                  Every change is logged as DIFFICULTY_ADJUSTED.
+                </div>
+              </div>
+
+              <div className="h-px bg-gray-100" />
+
+              <div className="space-y-2">
+                <div className="text-sm font-medium text-gray-900">Pose assists</div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!safeSettings.assists.enabled}
+                    disabled={savingLevel}
+                    onChange={(e) => updateSettings({ assists: { enabled: e.target.checked } })}
+                    className="h-4 w-4"
+                  />
+                  <span>Help players stuck on a pose</span>
+                </label>
+                {[
+                  { key: "replayTweenMS", label: "replay tween" },
+                  { key: "highlightMS", label: "highlight parts" },
+                  { key: "hintMS", label: "text hint" },
+                  { key: "skipMS", label: "offer skip" },
+                ].map(({ key, label }) => (
+                  <div key={key} className="flex items-center gap-3">
+                    <label htmlFor={`assists-${key}`} className="text-sm text-gray-700 w-28">
+                      {label}
+                    </label>
+                    <input
+                      id={`assists-${key}`}
+                      type="number"
+                      min={0}
+                      max={300000}
+                      step={1000}
+                      value={safeSettings.assists[key]}
+                      disabled={savingLevel || !safeSettings.assists.enabled}
+                      onChange={(e) =>
+                        updateSettings({
+                          assists: { [key]: clampNumber(e.target.value, 0, 300000, safeSettings.assists[key]) },
+                        })
+                      }
+                      className={numberClass}
+                    />
+                  </div>
+                ))}
+                <div className="text-xs text-gray-500">
+                  Milliseconds on a pose before each assist appears (0 = off). Text hints are set per pose.
+                </div>
+              </div>
+
               <div className="pt-2">
                 <button
                   type="button"
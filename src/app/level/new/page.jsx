@@ -23,6 +23,8 @@ const DEFAULT_SETTINGS = {
     leftLeg: true,
     rightLeg: true,
     hands: false,
+    limbTilt: false,
+    relativePosition: false,
   },
 
   states: {
@@ -155,6 +157,8 @@ export default function NewLevelPage() {
             onPosesUpdate={(poses) => setLevel((prev) => ({ ...prev, poses }))}
             poseTolerancePctById={poseTolMap}
             onPoseToleranceUpdate={updatePoseTolMap}
+            poseSequences={safeLevel.poseSequences || {}}
+            onPoseSequencesUpdate={(poseSequences) => setLevel((prev) => ({ ...prev, poseSequences }))}
           />
         </div>
       </SectionCard>
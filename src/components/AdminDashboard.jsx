@@ -1,5 +1,7 @@
 "use client";
 
+import Link from "next/link";
+
 export default function AdminDashboardUI({
   users,
   loading,
@@ -18,9 +20,20 @@ export default function AdminDashboardUI({
 
     <div className="p-8 max-w-4xl mx-auto">
 
-      <h2 className="text-2xl font-bold mb-6">
-        Admin Dashboard
-      </h2>
+      <div className="flex justify-between items-baseline mb-6">
+
+        <h2 className="text-2xl font-bold">
+          Admin Dashboard
+        </h2>
+
+        <Link
+          href="/admin/plays/quality"
+          className="text-sm text-blue-600 hover:underline"
+        >
+          Play data quality
+        </Link>
+
+      </div>
 
       {msg && (
         <p className="text-green-600 mb-4">
@@ -1,13 +1,18 @@
 "use client";
 
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Circle, Play, StopCircle, ChevronDown } from "lucide-react";
+import { Circle, Play, StopCircle, ChevronDown, Video } from "lucide-react";
 
 import { useRafTick } from "@/lib/gamePlayer/runtime/useRafTick";
 import usePoseData from "@/lib/hooks/usePoseData";
 import PoseDrawer from "@/lib/pose/poseDrawer";
 
 import { computePoseMatch, perFeatureToPerSegment } from "@/lib/pose/poseMatching";
+import {
+  SEQUENCE_DEFAULT_FPS,
+  SEQUENCE_MAX_FRAMES,
+  toClipFramePose,
+} from "@/lib/pose/poseSequenceMatching";
 
 /** Make a deterministic signature for a map (keys sorted). */
 function posesSignature(map) {
@@ -137,6 +142,10 @@ export default function PoseCapture({
   poseTolerancePctById = {},
   onPoseToleranceUpdate,
 
+  // movement clips (POSE_SEQUENCE): { [seqId]: JSON string }
+  poseSequences = {},
+  onPoseSequencesUpdate,
+
   disabled = false,
 }) {
   const [capturedPoses, setCapturedPoses] = useState({});
@@ -157,6 +166,12 @@ export default function PoseCapture({
   const suppressSendRef = useRef(false);
   const lastMatchAtRef = useRef(0);
 
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordedCount, setRecordedCount] = useState(0);
+  const recordFramesRef = useRef([]);
+  const recordElapsedRef = useRef(0);
+  const recordAccRef = useRef(0);
+
   const width = 640;
   const height = 480;
 
@@ -354,6 +369,69 @@ export default function PoseCapture({
     [setExternalTolerance]
   );
 
+  /* -------------------- Movement recording -------------------- */
+
+  const canRecordSequences = typeof onPoseSequencesUpdate === "function";
+  const RECORD_EVERY_MS = 1000 / SEQUENCE_DEFAULT_FPS;
+
+  const stopRecording = useCallback(() => {
+    setIsRecording(false);
+
+    const frames = recordFramesRef.current;
+    recordFramesRef.current = [];
+    setRecordedCount(0);
+
+    if (frames.length < 2) {
+      alert("Movement too short. Record at least a few frames.");
+      return;
+    }
+
+    const tol = Number.isFinite(Number(thresholdPct))
+      ? Math.max(0, Math.min(100, Number(thresholdPct)))
+      : 70;
+
+    const key = `seq_${Date.now()}`;
+    const clip = { frames, fps: SEQUENCE_DEFAULT_FPS, tolerancePct: tol };
+
+    const prev = poseSequences && typeof poseSequences === "object" ? poseSequences : {};
+    onPoseSequencesUpdate({ ...prev, [key]: JSON.stringify(clip) });
+  }, [thresholdPct, poseSequences, onPoseSequencesUpdate]);
+
+  const startRecording = useCallback(() => {
+    if (!poseDataRef.current?.poseLandmarks) {
+      alert("No pose detected. Please ensure your camera is on and you're in frame.");
+      return;
+    }
+
+    recordFramesRef.current = [];
+    recordElapsedRef.current = 0;
+    recordAccRef.current = RECORD_EVERY_MS; // take the first frame immediately
+    setRecordedCount(0);
+    setIsTestMode(false);
+    setLiveMatch(null);
+    setSelectedPoseKey(null);
+    setIsRecording(true);
+  }, [RECORD_EVERY_MS]);
+
+  useRafTick({
+    enabled: isRecording,
+    onTick: ({ dt }) => {
+      const d = Math.max(0, Number(dt) || 0);
+      recordElapsedRef.current += d;
+      recordAccRef.current += d;
+      if (recordAccRef.current < RECORD_EVERY_MS) return;
+      recordAccRef.current = recordAccRef.current % RECORD_EVERY_MS;
+
+      const pose = toClipFramePose(poseDataRef.current);
+      if (!pose) return;
+
+      recordFramesRef.current.push({ t: Math.round(recordElapsedRef.current), pose });
+      setRecordedCount(recordFramesRef.current.length);
+
+      if (recordFramesRef.current.length >= SEQUENCE_MAX_FRAMES) stopRecording();
+    },
+  });
+
   /* -------------------- Match computation -------------------- */
 
   useRafTick({
@@ -442,6 +520,8 @@ export default function PoseCapture({
               <h3 className="text-xs font-semibold text-gray-700">
                 {selectedPoseKey
                   ? `Viewing: ${selectedPoseKey}`
+                  : isRecording
+                  ? `Recording Movement • ${recordedCount} frames`
                   : isTestMode
                   ? `Test Mode • Target: ${testTargetKey || "—"}`
                   : "Live Preview"}
@@ -519,6 +599,31 @@ export default function PoseCapture({
                 </>
               )}
             </button>
+
+            {canRecordSequences && (
+              <button
+                type="button"
+                onClick={isRecording ? stopRecording : startRecording}
+                disabled={disabled || (!isRecording && !poseDataRef.current?.poseLandmarks)}
+                className={[
+                  "flex-1 px-3 py-2 text-white text-sm font-medium rounded flex items-center justify-center gap-2",
+                  "disabled:opacity-50 disabled:cursor-not-allowed",
+                  isRecording ? "bg-red-600 hover:bg-red-700" : "bg-purple-600 hover:bg-purple-700",
+                ].join(" ")}
+              >
+                {isRecording ? (
+                  <>
+                    <StopCircle size={14} />
+                    Stop Recording ({recordedCount})
+                  </>
+                ) : (
+                  <>
+                    <Video size={14} />
+                    Record Movement
+                  </>
+                )}
+              </button>
+            )}
           </div>
 
           {/* Captured poses grid */}
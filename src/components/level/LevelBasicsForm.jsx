@@ -2,6 +2,11 @@
 
 import React from "react";
 import FormField from "@/components/editor/FormField";
+import { MAX_NUMERIC_UNIT_LENGTH, MAX_REFLECTION_LENGTH } from "@/lib/gamePlayer/session/numericAnswer";
+
+function numberOrEmpty(v) {
+  return typeof v === "number" && Number.isFinite(v) ? v : "";
+}
 
 /**
  * Pure UI for core level fields (does not include PIN/publish controls).
@@ -49,6 +54,65 @@ export default function LevelBasicsForm({ level, onChange, disabled = false, err
         onChange={(e) => onChange?.({ question: e.target.value })}
         disabled={disabled}
       />
+
+      {/* NUMERIC estimate state (shown when a question is set) */}
+      <FormField
+        id="level-numeric-question"
+        label="Numeric question"
+        placeholder="e.g. How many degrees is your arm angle?"
+        value={l.numericQuestion || ""}
+        onChange={(e) => onChange?.({ numericQuestion: e.target.value })}
+        disabled={disabled}
+        helper="Players type an estimate on a number pad. Leave empty to skip this state."
+      />
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <FormField
+          id="level-numeric-answer"
+          label="Correct value"
+          type="number"
+          step="any"
+          placeholder="none"
+          value={numberOrEmpty(l.numericAnswer)}
+          onChange={(e) => onChange?.({ numericAnswer: e.target.value === "" ? null : Number(e.target.value) })}
+          disabled={disabled}
+          helper="Empty = no answer key."
+        />
+
+        <FormField
+          id="level-numeric-tolerance"
+          label="Tolerance (±)"
+          type="number"
+          step="any"
+          min={0}
+          value={numberOrEmpty(l.numericTolerance)}
+          onChange={(e) => onChange?.({ numericTolerance: e.target.value === "" ? 0 : Number(e.target.value) })}
+          disabled={disabled}
+        />
+
+        <FormField
+          id="level-numeric-unit"
+          label="Unit"
+          placeholder="e.g. °"
+          maxLength={MAX_NUMERIC_UNIT_LENGTH}
+          value={l.numericUnit || ""}
+          onChange={(e) => onChange?.({ numericUnit: e.target.value })}
+          disabled={disabled}
+        />
+      </div>
+
+      {/* REFLECTION state (shown when a prompt is set) */}
+      <FormField
+        id="level-reflection-prompt"
+        label="Reflection prompt"
+        variant="textarea"
+        placeholder="e.g. What changed in the angle when you raised your arm?"
+        maxLength={MAX_REFLECTION_LENGTH}
+        value={l.reflectionPrompt || ""}
+        onChange={(e) => onChange?.({ reflectionPrompt: e.target.value })}
+        disabled={disabled}
+        helper="A short free-text answer, typed by the teacher or player. Leave empty to skip this state."
+      />
     </div>
   );
 }
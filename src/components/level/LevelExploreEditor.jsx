@@ -0,0 +1,289 @@
+"use client";
+
+import React, { useMemo, useState } from "react";
+import SkeletonPicker, { PICK_LETTERS, pointName } from "@/components/level/SkeletonPicker";
+import { POSE_LANDMARKS } from "@/lib/pose/landmark";
+import {
+  EXPLORE_DURATION_MS,
+  EXPLORE_GUIDE_POINT_COUNT,
+  EXPLORE_LOG_EVERY_MS,
+  MAX_EXPLORE_GUIDES,
+  newExploreGuideId,
+  validateExplore,
+} from "@/lib/pose/exploreGuides";
+
+const inputClass =
+  "px-3 py-2 border border-gray-300 rounded text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const NEW_EXPLORE = {
+  durationMS: EXPLORE_DURATION_MS.fallback,
+  logEveryMS: EXPLORE_LOG_EVERY_MS.fallback,
+  prompt: "",
+  guides: [],
+};
+
+// shoulder -> wrist on both sides
+const ARMS_PRESET = {
+  label: "Angle between the arms",
+  type: "LINE_LINE",
+  points: [
+    POSE_LANDMARKS.LEFT_SHOULDER,
+    POSE_LANDMARKS.LEFT_WRIST,
+    POSE_LANDMARKS.RIGHT_SHOULDER,
+    POSE_LANDMARKS.RIGHT_WRIST,
+  ],
+};
+
+const EMPTY_DRAFT = { label: "", type: "ABC", points: [] };
+
+const clampNum = (n, min, max, fallback) => {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return fallback;
+  return Math.max(min, Math.min(max, x));
+};
+
+const bodyPointName = (i) => pointName("poseLandmarks", i);
+
+/**
+ * level.explore: the EXPLORE state's duration, prompt and the angle guides drawn over the
+ * player's skeleton. explore === null means the level has no explore state.
+ */
+export default function LevelExploreEditor({ explore = null, onChange, disabled = false }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const needed = EXPLORE_GUIDE_POINT_COUNT[draft.type];
+
+  const enabled = !!explore;
+  const guides = useMemo(() => {
+    const raw = explore?.guides;
+    return Array.isArray(raw) ? raw : Object.values(raw || {});
+  }, [explore?.guides]);
+
+  const check = useMemo(() => validateExplore(explore), [explore]);
+  const atLimit = guides.length >= MAX_EXPLORE_GUIDES;
+
+  const draftCheck = useMemo(
+    () =>
+      draft.points.length === needed
+        ? validateExplore({ guides: [{ ...draft, id: "GUIDE_DRAFT" }] })
+        : { valid: false, error: null },
+    [draft, needed]
+  );
+
+  const update = (patch) => onChange?.({ ...(explore ?? NEW_EXPLORE), ...patch });
+
+  const pick = (i) => {
+    setDraft((d) => {
+      // clicking the last picked point undoes it
+      if (d.points[d.points.length - 1] === i) return { ...d, points: d.points.slice(0, -1) };
+      if (d.points.length >= EXPLORE_GUIDE_POINT_COUNT[d.type]) return d;
+      return { ...d, points: [...d.points, i] };
+    });
+  };
+
+  const addGuide = (guide) => {
+    if (atLimit) return;
+    const label = guide.label.trim() || guide.points.map(bodyPointName).join(" / ");
+    update({ guides: [...guides, { ...guide, id: newExploreGuideId(), label }] });
+  };
+
+  const addDraft = () => {
+    if (!draftCheck.valid) return;
+    addGuide(draft);
+    setDraft((d) => ({ ...EMPTY_DRAFT, type: d.type }));
+  };
+
+  const updateAt = (idx, patch) => update({ guides: guides.map((g, i) => (i === idx ? { ...g, ...patch } : g)) });
+  const removeAt = (idx) => update({ guides: guides.filter((_, i) => i !== idx) });
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={enabled}
+          disabled={disabled}
+          onChange={(e) => onChange?.(e.target.checked ? { ...NEW_EXPLORE } : null)}
+          className="h-4 w-4"
+        />
+        Add an explore state (played before the outro)
+      </label>
+
+      {enabled ? (
+        <>
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              duration (s)
+              <input
+                type="number"
+                min={EXPLORE_DURATION_MS.min / 1000}
+                max={EXPLORE_DURATION_MS.max / 1000}
+                step={1}
+                value={Math.round((explore.durationMS ?? EXPLORE_DURATION_MS.fallback) / 1000)}
+                disabled={disabled}
+                onChange={(e) =>
+                  update({
+                    durationMS:
+                      clampNum(
+                        e.target.value,
+                        EXPLORE_DURATION_MS.min / 1000,
+                        EXPLORE_DURATION_MS.max / 1000,
+                        EXPLORE_DURATION_MS.fallback / 1000
+                      ) * 1000,
+                  })
+                }
+                className={`${inputClass} w-24`}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              log every (ms)
+              <input
+                type="number"
+                min={EXPLORE_LOG_EVERY_MS.min}
+                max={EXPLORE_LOG_EVERY_MS.max}
+                step={100}
+                value={explore.logEveryMS ?? EXPLORE_LOG_EVERY_MS.fallback}
+                disabled={disabled}
+                onChange={(e) =>
+                  update({
+                    logEveryMS: clampNum(
+                      e.target.value,
+                      EXPLORE_LOG_EVERY_MS.min,
+                      EXPLORE_LOG_EVERY_MS.max,
+                      EXPLORE_LOG_EVERY_MS.fallback
+                    ),
+                  })
+                }
+                className={`${inputClass} w-28`}
+              />
+            </label>
+          </div>
+
+          <textarea
+            value={explore.prompt ?? ""}
+            maxLength={280}
+            rows={2}
+            disabled={disabled}
+            onChange={(e) => update({ prompt: e.target.value })}
+            placeholder="Prompt shown while exploring (optional)"
+            className={`${inputClass} w-full`}
+          />
+
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-gray-900">Angle guides</h3>
+            <span className="text-xs text-gray-500">
+              {guides.length} / {MAX_EXPLORE_GUIDES}
+            </span>
+          </div>
+
+          <div className="flex flex-col md:flex-row gap-4">
+            <SkeletonPicker
+              dataKey="poseLandmarks"
+              type={draft.type}
+              picked={draft.points}
+              onPick={pick}
+              disabled={disabled || atLimit}
+            />
+
+            <div className="flex-1 space-y-3">
+              <select
+                value={draft.type}
+                disabled={disabled}
+                onChange={(e) => setDraft((d) => ({ ...d, type: e.target.value, points: [] }))}
+                className={inputClass}
+                aria-label="Guide type"
+              >
+                <option value="ABC">Joint angle (A-B-C)</option>
+                <option value="LINE_LINE">Line vs line (A-B, C-D)</option>
+              </select>
+
+              <div className="text-sm text-gray-700">
+                {draft.points.length < needed
+                  ? `Click point ${PICK_LETTERS[draft.points.length]} on the skeleton (${draft.points.length}/${needed}).`
+                  : draft.points.map((p, i) => `${PICK_LETTERS[i]}: ${bodyPointName(p)}`).join(", ")}
+              </div>
+
+              <input
+                type="text"
+                value={draft.label}
+                disabled={disabled}
+                onChange={(e) => setDraft((d) => ({ ...d, label: e.target.value }))}
+                placeholder="Label (optional)"
+                className={`${inputClass} w-full`}
+              />
+
+              {draftCheck.error ? <div className="text-xs text-red-600">{draftCheck.error}</div> : null}
+
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={addDraft}
+                  disabled={disabled || atLimit || !draftCheck.valid}
+                  className="px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+                >
+                  + Add Guide
+                </button>
+                <button
+                  type="button"
+                  onClick={() => addGuide(ARMS_PRESET)}
+                  disabled={disabled || atLimit}
+                  className="px-3 py-2 border rounded text-sm hover:bg-gray-50 disabled:opacity-50"
+                >
+                  + Angle between the arms
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setDraft((d) => ({ ...d, points: [] }))}
+                  disabled={disabled || draft.points.length === 0}
+                  className="px-3 py-2 border rounded text-sm hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Clear points
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {guides.length ? (
+            <div className="space-y-2">
+              {guides.map((g, idx) => (
+                <div
+                  key={g.id}
+                  className="flex flex-col sm:flex-row sm:items-center gap-2 p-3 border border-gray-200 rounded-lg"
+                >
+                  <div className="flex-1 min-w-0 space-y-1">
+                    <input
+                      type="text"
+                      value={g.label ?? ""}
+                      maxLength={80}
+                      disabled={disabled}
+                      onChange={(e) => updateAt(idx, { label: e.target.value })}
+                      className={`${inputClass} w-full`}
+                    />
+                    <div className="text-xs text-gray-500 truncate">
+                      {g.type === "LINE_LINE" ? "Line vs line" : "Joint angle"} ·{" "}
+                      {(g.points ?? []).map(bodyPointName).join(" / ")}
+                    </div>
+                  </div>
+
+                  <button
+                    type="button"
+                    onClick={() => removeAt(idx)}
+                    disabled={disabled}
+                    className="text-red-600 hover:text-red-700 text-sm font-medium disabled:opacity-50 self-end sm:self-auto"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Without guides the player still moves freely; guide angles are shown live and logged.
+            </p>
+          )}
+
+          {!check.valid && check.error ? <div className="text-xs text-red-600">{check.error}</div> : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
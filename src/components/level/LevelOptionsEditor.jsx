@@ -1,10 +1,255 @@
 "use client";
 
-import React from "react";
+import React, { useMemo, useState } from "react";
+import SkeletonPicker, { PICK_LETTERS, pointName } from "@/components/level/SkeletonPicker";
+import {
+  CUSTOM_FEATURE_POINT_COUNT,
+  MAX_CUSTOM_FEATURES,
+  newCustomFeatureId,
+  validateCustomFeatures,
+} from "@/lib/pose/customFeatures";
+
+const DATA_KEY_OPTIONS = [
+  { value: "poseLandmarks", label: "Body" },
+  { value: "leftHandLandmarks", label: "Left hand" },
+  { value: "rightHandLandmarks", label: "Right hand" },
+];
+
+const clampNum = (n, min, max, fallback) => {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return fallback;
+  return Math.max(min, Math.min(max, x));
+};
+
+/* ----------------------------- custom features ----------------------------- */
+
+const inputClass =
+  "px-3 py-2 border border-gray-300 rounded text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const EMPTY_DRAFT = { label: "", type: "ABC", dataKey: "poseLandmarks", points: [], weight: 1, maxDiffDeg: 35 };
+
+function CustomFeaturesEditor({ customFeatures = [], onChange, disabled }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const needed = CUSTOM_FEATURE_POINT_COUNT[draft.type];
+
+  const draftCheck = useMemo(
+    () =>
+      draft.points.length === needed
+        ? validateCustomFeatures([{ ...draft, id: "CUSTOM_DRAFT" }])
+        : { valid: false, error: null },
+    [draft, needed]
+  );
+
+  const atLimit = customFeatures.length >= MAX_CUSTOM_FEATURES;
+
+  const pick = (i) => {
+    setDraft((d) => {
+      // clicking the last picked point undoes it
+      if (d.points[d.points.length - 1] === i) return { ...d, points: d.points.slice(0, -1) };
+      if (d.points.length >= CUSTOM_FEATURE_POINT_COUNT[d.type]) return d;
+      return { ...d, points: [...d.points, i] };
+    });
+  };
+
+  const addDraft = () => {
+    if (!draftCheck.valid || atLimit) return;
+    const id = newCustomFeatureId();
+    const label = draft.label.trim() || draft.points.map((p) => pointName(draft.dataKey, p)).join(" / ");
+    onChange?.([...customFeatures, { ...draftCheck.features[0], id, label }]);
+    setDraft((d) => ({ ...EMPTY_DRAFT, type: d.type, dataKey: d.dataKey }));
+  };
+
+  const updateAt = (idx, patch) => {
+    onChange?.(customFeatures.map((f, i) => (i === idx ? { ...f, ...patch } : f)));
+  };
+
+  const removeAt = (idx) => {
+    onChange?.(customFeatures.filter((_, i) => i !== idx));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-gray-900">Custom angle features</h3>
+        <span className="text-xs text-gray-500">
+          {customFeatures.length} / {MAX_CUSTOM_FEATURES}
+        </span>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-4">
+        <SkeletonPicker
+          dataKey={draft.dataKey}
+          type={draft.type}
+          picked={draft.points}
+          onPick={pick}
+          disabled={disabled || atLimit}
+        />
+
+        <div className="flex-1 space-y-3">
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={draft.dataKey}
+              disabled={disabled}
+              onChange={(e) => setDraft((d) => ({ ...d, dataKey: e.target.value, points: [] }))}
+              className={inputClass}
+              aria-label="Landmark set"
+            >
+              {DATA_KEY_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+
+            <select
+              value={draft.type}
+              disabled={disabled}
+              onChange={(e) => setDraft((d) => ({ ...d, type: e.target.value, points: [] }))}
+              className={inputClass}
+              aria-label="Feature type"
+            >
+              <option value="ABC">Joint angle (A-B-C)</option>
+              <option value="LINE_LINE">Line vs line (A-B, C-D)</option>
+            </select>
+          </div>
+
+          <div className="text-sm text-gray-700">
+            {draft.points.length < needed
+              ? `Click point ${PICK_LETTERS[draft.points.length]} on the skeleton (${draft.points.length}/${needed}).`
+              : draft.points.map((p, i) => `${PICK_LETTERS[i]}: ${pointName(draft.dataKey, p)}`).join(", ")}
+          </div>
+
+          <input
+            type="text"
+            value={draft.label}
+            disabled={disabled}
+            onChange={(e) => setDraft((d) => ({ ...d, label: e.target.value }))}
+            placeholder="Label (optional)"
+            className={`${inputClass} w-full`}
+          />
+
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              weight
+              <input
+                type="number"
+                min={0.1}
+                max={10}
+                step={0.1}
+                value={draft.weight}
+                disabled={disabled}
+                onChange={(e) => setDraft((d) => ({ ...d, weight: Number(e.target.value) }))}
+                className={`${inputClass} w-24`}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              maxDiffDeg
+              <input
+                type="number"
+                min={1}
+                max={180}
+                step={1}
+                value={draft.maxDiffDeg}
+                disabled={disabled}
+                onChange={(e) => setDraft((d) => ({ ...d, maxDiffDeg: Number(e.target.value) }))}
+                className={`${inputClass} w-24`}
+              />
+            </label>
+          </div>
+
+          {draftCheck.error ? <div className="text-xs text-red-600">{draftCheck.error}</div> : null}
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={addDraft}
+              disabled={disabled || atLimit || !draftCheck.valid}
+              className="px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+            >
+              + Add Feature
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft((d) => ({ ...d, points: [] }))}
+              disabled={disabled || draft.points.length === 0}
+              className="px-3 py-2 border rounded text-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              Clear points
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {customFeatures.length ? (
+        <div className="space-y-2">
+          {customFeatures.map((f, idx) => (
+            <div
+              key={f.id}
+              className="flex flex-col sm:flex-row sm:items-center gap-2 p-3 border border-gray-200 rounded-lg"
+            >
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-gray-900 truncate">{f.label}</div>
+                <div className="text-xs text-gray-500 truncate">
+                  {f.type === "LINE_LINE" ? "Line vs line" : "Joint angle"} ·{" "}
+                  {(f.points ?? []).map((p) => pointName(f.dataKey, p)).join(" / ")}
+                </div>
+              </div>
+
+              <label className="flex items-center gap-1 text-xs text-gray-600">
+                w
+                <input
+                  type="number"
+                  min={0.1}
+                  max={10}
+                  step={0.1}
+                  value={f.weight ?? 1}
+                  disabled={disabled}
+                  onChange={(e) => updateAt(idx, { weight: clampNum(e.target.value, 0.1, 10, f.weight ?? 1) })}
+                  className={`${inputClass} w-20`}
+                />
+              </label>
+              <label className="flex items-center gap-1 text-xs text-gray-600">
+                max°
+                <input
+                  type="number"
+                  min={1}
+                  max={180}
+                  step={1}
+                  value={f.maxDiffDeg ?? 35}
+                  disabled={disabled}
+                  onChange={(e) =>
+                    updateAt(idx, { maxDiffDeg: clampNum(e.target.value, 1, 180, f.maxDiffDeg ?? 35) })
+                  }
+                  className={`${inputClass} w-20`}
+                />
+              </label>
+
+              <button
+                type="button"
+                onClick={() => removeAt(idx)}
+                disabled={disabled}
+                className="text-red-600 hover:text-red-700 text-sm font-medium disabled:opacity-50 self-end sm:self-auto"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          Custom features are always scored, on top of the body parts enabled in settings.
+        </p>
+      )}
+    </div>
+  );
+}
 
 /**
  * Edit options and correct answers.
  * Assumes answers are an array of option indices.
+ *
+ * Also hosts the custom angle feature editor (level.customFeatures) when
+ * onCustomFeaturesChange is provided.
  */
 export default function LevelOptionsEditor({
   options = [],
@@ -13,6 +258,8 @@ export default function LevelOptionsEditor({
   onUpdateOption,
   onRemoveOption,
   onToggleAnswer,
+  customFeatures = [],
+  onCustomFeaturesChange,
   disabled = false,
 }) {
   return (
@@ -78,6 +325,17 @@ export default function LevelOptionsEditor({
       )}
 
       <p className="text-sm text-gray-500">Tip: You can mark multiple correct answers.</p>
+
+      {onCustomFeaturesChange ? (
+        <>
+          <div className="h-px bg-gray-100" />
+          <CustomFeaturesEditor
+            customFeatures={customFeatures}
+            onChange={onCustomFeaturesChange}
+            disabled={disabled}
+          />
+        </>
+      ) : null}
     </div>
   );
 }
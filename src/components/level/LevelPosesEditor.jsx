@@ -3,6 +3,8 @@
 import React, { useMemo, useState, useCallback } from "react";
 import PoseCapture from "@/components/Pose/poseCapture";
 import PoseDrawer from "@/lib/pose/poseDrawer";
+import { listAvailableFeatures } from "@/lib/pose/poseMatching";
+import { normalizeSequenceClip, sequenceClipDurationMS } from "@/lib/pose/poseSequenceMatching";
 
 const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
 
@@ -71,6 +73,129 @@ function stringifyPoseMap(records) {
   return out;
 }
 
+/* ----------------------------- feature overrides ----------------------------- */
+
+const FEATURE_GROUPS = [
+  { key: "poseLandmarks", label: "Body" },
+  { key: "leftHandLandmarks", label: "Left hand" },
+  { key: "rightHandLandmarks", label: "Right hand" },
+  { key: "faceLandmarks", label: "Face" },
+];
+
+const overrideInputClass =
+  "w-20 border border-gray-300 rounded-lg px-2 py-1 text-xs bg-white text-black " +
+  "focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 " +
+  "disabled:opacity-50 disabled:cursor-not-allowed";
+
+/**
+ * Per-feature weight / max angle overrides (level.featureOverrides).
+ * Empty input = engine default; only changed values are stored.
+ */
+function FeatureOverridesEditor({ featureOverrides = {}, onChange, disabled }) {
+  const features = useMemo(() => listAvailableFeatures(), []);
+  const overrides = isPlainObject(featureOverrides) ? featureOverrides : {};
+  const changedCount = Object.keys(overrides).length;
+
+  const setField = (id, field, raw, min, max) => {
+    const entry = { ...(overrides[id] ?? {}) };
+    const value = raw === "" || raw === null ? undefined : clamp(raw, min, max, entry[field]);
+    if (value === undefined) delete entry[field];
+    else entry[field] = value;
+
+    const next = { ...overrides };
+    if (Object.keys(entry).length) next[id] = entry;
+    else delete next[id];
+    onChange?.(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-gray-900">Feature weights &amp; tolerances</h3>
+        <div className="flex items-center gap-3">
+          <span className="text-xs text-gray-500">{changedCount} changed</span>
+          {changedCount ? (
+            <button
+              type="button"
+              onClick={() => onChange?.({})}
+              disabled={disabled}
+              className="text-xs font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+            >
+              Reset all
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Weight sets how much a joint counts toward similarity; max° is the angle difference that
+        scores 0 for that joint. Leave blank to use the default.
+      </p>
+
+      {FEATURE_GROUPS.map((g) => {
+        const rows = features.filter((f) => f.dataKey === g.key);
+        if (!rows.length) return null;
+        const groupChanged = rows.filter((f) => overrides[f.id]).length;
+
+        return (
+          <details key={g.key} className="border border-gray-200 rounded-lg bg-white">
+            <summary className="cursor-pointer select-none px-3 py-2 text-sm text-gray-800">
+              {g.label}
+              {groupChanged ? <span className="ml-2 text-xs text-blue-600">({groupChanged} changed)</span> : null}
+            </summary>
+
+            <div className="divide-y divide-gray-100">
+              {rows.map((f) => {
+                const o = overrides[f.id] ?? {};
+                return (
+                  <div key={f.id} className="flex items-center gap-3 px-3 py-2">
+                    <div className="flex-1 min-w-0 text-xs text-gray-700 truncate" title={f.id}>
+                      {f.label}
+                    </div>
+
+                    <label className="flex items-center gap-1 text-[11px] text-gray-600">
+                      w
+                      <input
+                        type="number"
+                        min={0.1}
+                        max={10}
+                        step={0.1}
+                        value={o.weight ?? ""}
+                        placeholder={String(f.defaultWeight)}
+                        disabled={disabled}
+                        onChange={(e) => setField(f.id, "weight", e.target.value, 0.1, 10)}
+                        className={overrideInputClass}
+                      />
+                    </label>
+
+                    <label
+                      className="flex items-center gap-1 text-[11px] text-gray-600"
+                      title={f.unit === "torso%" ? "Max difference in % of torso length" : "Max difference in degrees"}
+                    >
+                      {f.unit === "torso%" ? "max%" : "max°"}
+                      <input
+                        type="number"
+                        min={1}
+                        max={180}
+                        step={1}
+                        value={o.maxDiffDeg ?? ""}
+                        placeholder={String(f.maxDiffDeg)}
+                        disabled={disabled}
+                        onChange={(e) => setField(f.id, "maxDiffDeg", e.target.value, 1, 180)}
+                        className={overrideInputClass}
+                      />
+                    </label>
+                  </div>
+                );
+              })}
+            </div>
+          </details>
+        );
+      })}
+    </div>
+  );
+}
+
 /**
  * Pose capture section.
  * - Always shows a preview gallery (with tolerance controls)
@@ -85,9 +210,43 @@ export default function LevelPosesEditor({
   // OPTIONAL: external tolerance map (preferred long-term store)
   poseTolerancePctById = {},
   onPoseToleranceUpdate,
+
+  // OPTIONAL: author hints per pose (shown by the pose-match TEXT_HINT assist)
+  poseHintsById = {},
+  onPoseHintsUpdate,
+
+  // OPTIONAL: recorded movement clips for POSE_SEQUENCE states
+  poseSequences = {},
+  onPoseSequencesUpdate,
+
+  // OPTIONAL: per-feature { weight, maxDiffDeg } overrides
+  featureOverrides = {},
+  onFeatureOverridesUpdate,
 }) {
   const [openCapture, setOpenCapture] = useState(false);
 
+  const sequenceRecords = useMemo(() => {
+    const out = {};
+    for (const [key, raw] of Object.entries(isPlainObject(poseSequences) ? poseSequences : {})) {
+      const clip = normalizeSequenceClip(raw);
+      if (clip) out[key] = clip;
+    }
+    return out;
+  }, [poseSequences]);
+
+  const sequenceKeys = useMemo(() => Object.keys(sequenceRecords), [sequenceRecords]);
+
+  const writeSequence = useCallback(
+    (key, clip) => {
+      if (typeof onPoseSequencesUpdate !== "function") return;
+      const next = { ...(isPlainObject(poseSequences) ? poseSequences : {}) };
+      if (clip) next[key] = JSON.stringify(clip);
+      else delete next[key];
+      onPoseSequencesUpdate(next);
+    },
+    [onPoseSequencesUpdate, poseSequences]
+  );
+
   const records = useMemo(
     () => parsePoseMap(poses, poseTolerancePctById, 70),
     [poses, poseTolerancePctById]
@@ -128,6 +287,17 @@ export default function LevelPosesEditor({
     [onPoseToleranceUpdate, onPosesUpdate, records, setExternalTol]
   );
 
+  const setHint = useCallback(
+    (key, text) => {
+      if (!key || typeof onPoseHintsUpdate !== "function") return;
+      const next = { ...(isPlainObject(poseHintsById) ? poseHintsById : {}) };
+      if (text) next[key] = text;
+      else delete next[key];
+      onPoseHintsUpdate(next);
+    },
+    [onPoseHintsUpdate, poseHintsById]
+  );
+
   const removePoseKey = useCallback(
     (key) => {
       if (!key) return;
@@ -154,8 +324,10 @@ export default function LevelPosesEditor({
           onPoseToleranceUpdate(nextTol);
         }
       }
+
+      setHint(key, "");
     },
-    [onRemovePose, onPosesUpdate, records, onPoseToleranceUpdate, poseTolerancePctById]
+    [onRemovePose, onPosesUpdate, records, onPoseToleranceUpdate, poseTolerancePctById, setHint]
   );
 
   return (
@@ -230,6 +402,20 @@ export default function LevelPosesEditor({
                     />
                     <span className="text-[11px] text-gray-500">%</span>
                   </div>
+
+                  {typeof onPoseHintsUpdate === "function" && (
+                    <input
+                      type="text"
+                      maxLength={280}
+                      placeholder="Hint (e.g. Raise both arms)"
+                      value={poseHintsById?.[key] ?? ""}
+                      disabled={disabled}
+                      onChange={(e) => setHint(key, e.target.value)}
+                      className="w-full border border-gray-300 rounded-lg px-2 py-1 text-xs bg-white text-black
+                                 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+                                 disabled:opacity-50 disabled:cursor-not-allowed"
+                    />
+                  )}
                 </div>
               </div>
             );
@@ -237,6 +423,91 @@ export default function LevelPosesEditor({
         </div>
       )}
 
+      {/* Recorded movements (POSE_SEQUENCE) */}
+      {typeof onPoseSequencesUpdate === "function" && (
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold text-gray-900">
+            Recorded Movements ({sequenceKeys.length})
+          </h3>
+
+          {sequenceKeys.length === 0 ? (
+            <div className="border border-gray-200 rounded-lg p-4 bg-white">
+              <p className="text-sm text-gray-500">
+                No movements yet. Open Pose Capture and click “Record Movement”.
+              </p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+              {sequenceKeys.map((key) => {
+                const clip = sequenceRecords[key];
+                const tol = clamp(clip?.tolerancePct, 0, 100, 70);
+                const seconds = (sequenceClipDurationMS(clip) / 1000).toFixed(1);
+
+                return (
+                  <div key={key} className="border border-gray-200 rounded-xl bg-white overflow-hidden">
+                    <div className="bg-gray-50 border-b border-gray-100 flex items-center justify-center">
+                      <PoseDrawer
+                        poseData={clip?.frames?.[0]?.pose ?? null}
+                        width={220}
+                        height={160}
+                        similarityScores={[]}
+                      />
+                    </div>
+
+                    <div className="p-3 space-y-2">
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="text-xs text-gray-700 truncate" title={key}>
+                          {key}
+                        </div>
+
+                        <button
+                          type="button"
+                          onClick={() => writeSequence(key, null)}
+                          disabled={disabled}
+                          className="text-xs font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+                        >
+                          Remove
+                        </button>
+                      </div>
+
+                      <div className="text-[11px] text-gray-500">
+                        {clip.frames.length} frames • {seconds}s
+                      </div>
+
+                      <div className="flex items-center gap-2">
+                        <span className="text-[11px] text-gray-600 whitespace-nowrap">Tolerance</span>
+                        <input
+                          type="number"
+                          min={0}
+                          max={100}
+                          value={tol}
+                          disabled={disabled}
+                          onChange={(e) =>
+                            writeSequence(key, { ...clip, tolerancePct: clamp(e.target.value, 0, 100, 70) })
+                          }
+                          className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-xs bg-white text-black
+                                     focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+                                     disabled:opacity-50 disabled:cursor-not-allowed"
+                        />
+                        <span className="text-[11px] text-gray-500">%</span>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {typeof onFeatureOverridesUpdate === "function" && (
+        <FeatureOverridesEditor
+          featureOverrides={featureOverrides}
+          onChange={onFeatureOverridesUpdate}
+          disabled={disabled}
+        />
+      )}
+
       {/* Capture Studio (toggle only affects camera UI) */}
       {openCapture && (
         <div className="border border-gray-200 rounded-lg p-3 bg-gray-50">
@@ -246,12 +517,15 @@ export default function LevelPosesEditor({
             disabled={disabled}
             poseTolerancePctById={poseTolerancePctById}
             onPoseToleranceUpdate={onPoseToleranceUpdate}
+            poseSequences={poseSequences}
+            onPoseSequencesUpdate={onPoseSequencesUpdate}
           />
         </div>
       )}
 
       <p className="text-sm text-gray-500">
-        These poses can be used for pose matching during gameplay.
+        These poses can be used for pose matching during gameplay; recorded movements are used for
+        movement matching.
       </p>
     </div>
   );
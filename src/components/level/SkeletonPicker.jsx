@@ -0,0 +1,159 @@
+"use client";
+
+import React, { useMemo } from "react";
+import { HAND_LANDMARKS, POSE_LANDMARKS } from "@/lib/pose/landmark";
+
+/* ----------------------------- skeleton templates ----------------------------- */
+
+// Neutral standing figure in 0..1 coords. Same left/right layout as captured (selfie) poses.
+const BODY_TEMPLATE = {
+  0: [0.5, 0.1],
+  1: [0.48, 0.085],
+  2: [0.47, 0.085],
+  3: [0.46, 0.085],
+  4: [0.52, 0.085],
+  5: [0.53, 0.085],
+  6: [0.54, 0.085],
+  7: [0.44, 0.1],
+  8: [0.56, 0.1],
+  9: [0.485, 0.125],
+  10: [0.515, 0.125],
+  11: [0.4, 0.22],
+  12: [0.6, 0.22],
+  13: [0.33, 0.36],
+  14: [0.67, 0.36],
+  15: [0.29, 0.49],
+  16: [0.71, 0.49],
+  17: [0.27, 0.53],
+  18: [0.73, 0.53],
+  19: [0.29, 0.545],
+  20: [0.71, 0.545],
+  21: [0.31, 0.52],
+  22: [0.69, 0.52],
+  23: [0.44, 0.52],
+  24: [0.56, 0.52],
+  25: [0.43, 0.7],
+  26: [0.57, 0.7],
+  27: [0.43, 0.88],
+  28: [0.57, 0.88],
+  29: [0.42, 0.91],
+  30: [0.58, 0.91],
+  31: [0.45, 0.94],
+  32: [0.55, 0.94],
+  33: [0.5, 0.36], // SOLAR_PLEXIS
+  34: [0.5, 0.52], // PELVIS
+};
+
+const BODY_EDGES = [
+  [11, 12], [11, 13], [13, 15], [12, 14], [14, 16],
+  [15, 17], [15, 19], [15, 21], [16, 18], [16, 20], [16, 22],
+  [11, 23], [12, 24], [23, 24], [23, 25], [25, 27], [24, 26], [26, 28],
+  [27, 29], [27, 31], [28, 30], [28, 32],
+  [0, 2], [0, 5], [2, 7], [5, 8], [9, 10],
+];
+
+// Open right hand, palm to camera; the left hand is its mirror image
+const RIGHT_HAND_TEMPLATE = {
+  0: [0.5, 0.92],
+  1: [0.38, 0.84], 2: [0.3, 0.74], 3: [0.25, 0.64], 4: [0.21, 0.56],
+  5: [0.4, 0.56], 6: [0.38, 0.42], 7: [0.37, 0.33], 8: [0.36, 0.25],
+  9: [0.5, 0.54], 10: [0.5, 0.38], 11: [0.5, 0.28], 12: [0.5, 0.19],
+  13: [0.59, 0.56], 14: [0.61, 0.42], 15: [0.62, 0.33], 16: [0.63, 0.26],
+  17: [0.67, 0.6], 18: [0.71, 0.5], 19: [0.73, 0.43], 20: [0.75, 0.37],
+};
+
+const HAND_EDGES = [
+  [0, 1], [1, 2], [2, 3], [3, 4],
+  [0, 5], [5, 6], [6, 7], [7, 8],
+  [5, 9], [9, 10], [10, 11], [11, 12],
+  [9, 13], [13, 14], [14, 15], [15, 16],
+  [13, 17], [0, 17], [17, 18], [18, 19], [19, 20],
+];
+
+const invert = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [v, k]));
+const POSE_NAMES = invert(POSE_LANDMARKS);
+const HAND_NAMES = invert(HAND_LANDMARKS);
+
+function skeletonFor(dataKey) {
+  if (dataKey === "poseLandmarks") return { points: BODY_TEMPLATE, edges: BODY_EDGES, names: POSE_NAMES };
+
+  const flip = dataKey === "leftHandLandmarks";
+  const points = Object.fromEntries(
+    Object.entries(RIGHT_HAND_TEMPLATE).map(([i, [x, y]]) => [i, [flip ? 1 - x : x, y]])
+  );
+  return { points, edges: HAND_EDGES, names: HAND_NAMES };
+}
+
+export const pointName = (dataKey, i) =>
+  (dataKey === "poseLandmarks" ? POSE_NAMES[i] : HAND_NAMES[i]) ?? `#${i}`;
+
+/* ----------------------------- skeleton picker ----------------------------- */
+
+export const PICK_LETTERS = ["A", "B", "C", "D"];
+
+/**
+ * Template skeleton to click landmarks on (custom angle features, explore guides).
+ * picked = landmark indices in click order, labelled A-D; type draws them as
+ * A-B-C (ABC) or A-B + C-D (LINE_LINE).
+ */
+export default function SkeletonPicker({ dataKey, type, picked, onPick, disabled, size = 260 }) {
+  const { points, edges } = useMemo(() => skeletonFor(dataKey), [dataKey]);
+  const px = (i) => points[i][0] * size;
+  const py = (i) => points[i][1] * size;
+
+  // ABC: A-B-C polyline; LINE_LINE: A-B and C-D
+  const pickedLines =
+    type === "LINE_LINE"
+      ? [picked.slice(0, 2), picked.slice(2, 4)]
+      : [picked.slice(0, 2), picked.slice(1, 3)];
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      className="rounded-lg border border-gray-200 bg-gray-50"
+      role="img"
+      aria-label="Skeleton landmark picker"
+    >
+      {edges.map(([a, b]) => (
+        <line key={`${a}-${b}`} x1={px(a)} y1={py(a)} x2={px(b)} y2={py(b)} stroke="#d1d5db" strokeWidth={2} />
+      ))}
+
+      {pickedLines
+        .filter((l) => l.length === 2)
+        .map(([a, b]) => (
+          <line key={`p${a}-${b}`} x1={px(a)} y1={py(a)} x2={px(b)} y2={py(b)} stroke="#2563eb" strokeWidth={3} />
+        ))}
+
+      {Object.keys(points).map((k) => {
+        const i = Number(k);
+        const order = picked.indexOf(i);
+        return (
+          <g
+            key={i}
+            onClick={() => !disabled && onPick(i)}
+            className={disabled ? "cursor-not-allowed" : "cursor-pointer"}
+          >
+            <title>{pointName(dataKey, i)}</title>
+            <circle
+              cx={px(i)}
+              cy={py(i)}
+              r={order >= 0 ? 7 : 5}
+              fill={order >= 0 ? "#2563eb" : "#6b7280"}
+              stroke="white"
+              strokeWidth={1.5}
+            />
+            {order >= 0 ? (
+              <text x={px(i) + 8} y={py(i) - 6} fontSize={11} fontWeight={600} fill="#1d4ed8">
+                {PICK_LETTERS[order]}
+              </text>
+            ) : null}
+          </g>
+        );
+      })}
+
+      <text x={6} y={size - 8} fontSize={10} fill="#9ca3af">L</text>
+      <text x={size - 14} y={size - 8} fontSize={10} fill="#9ca3af">R</text>
+    </svg>
+  );
+}
@@ -1,4 +1,7 @@
 import levelsApi from "@/lib/api/levels.api";
+import { validateCustomFeatures } from "@/lib/pose/customFeatures";
+import { validateExplore } from "@/lib/pose/exploreGuides";
+import { MIRROR_MODES, VISIBILITY_MODES } from "@/lib/pose/poseMatching";
 
 /**
  * Domain logic for level editing and management
@@ -15,6 +18,8 @@ const DEFAULT_LEVEL_SETTINGS = {
     leftLeg: true,
     rightLeg: true,
     hands: false,
+    limbTilt: false,
+    relativePosition: false,
   },
   states: {
     intro: true,
@@ -54,7 +59,7 @@ function validateSettings(settings) {
   }
 
   // include/states/ui/reps are optional but must be objects if present
-  const objectKeys = ["include", "states", "reps", "ui"];
+  const objectKeys = ["include", "states", "reps", "ui", "matching", "scoring", "adaptive", "assists"];
   for (const k of objectKeys) {
     if (settings[k] !== undefined && !isPlainObject(settings[k])) {
       return { valid: false, error: `settings.${k} must be an object` };
@@ -69,6 +74,123 @@ function validateSettings(settings) {
     }
   }
 
+  // mirrorMode (optional)
+  if (settings.matching?.mirrorMode !== undefined) {
+    if (!MIRROR_MODES.includes(settings.matching.mirrorMode)) {
+      return { valid: false, error: `settings.matching.mirrorMode must be one of ${MIRROR_MODES.join(", ")}` };
+    }
+  }
+
+  // smoothing (optional)
+  if (settings.matching?.smoothing !== undefined) {
+    if (!isPlainObject(settings.matching.smoothing)) {
+      return { valid: false, error: "settings.matching.smoothing must be an object" };
+    }
+    const method = settings.matching.smoothing.method;
+    if (method !== undefined && !["none", "oneEuro", "kalman"].includes(method)) {
+      return { valid: false, error: "settings.matching.smoothing.method must be none, oneEuro or kalman" };
+    }
+  }
+
+  // visibility (optional)
+  if (settings.matching?.visibility !== undefined) {
+    const vis = settings.matching.visibility;
+    if (!isPlainObject(vis)) {
+      return { valid: false, error: "settings.matching.visibility must be an object" };
+    }
+    for (const k of ["threshold", "minConfidence"]) {
+      if (vis[k] === undefined) continue;
+      const n = Number(vis[k]);
+      if (!Number.isFinite(n) || n < 0 || n > 1) {
+        return { valid: false, error: `settings.matching.visibility.${k} must be between 0 and 1` };
+      }
+    }
+    if (vis.mode !== undefined && !VISIBILITY_MODES.includes(vis.mode)) {
+      return { valid: false, error: `settings.matching.visibility.mode must be one of ${VISIBILITY_MODES.join(", ")}` };
+    }
+  }
+
+  // playerLock (optional)
+  if (settings.matching?.playerLock !== undefined) {
+    const lock = settings.matching.playerLock;
+    if (!isPlainObject(lock)) {
+      return { valid: false, error: "settings.matching.playerLock must be an object" };
+    }
+    if (lock.mode !== undefined && !["off", "largest", "central"].includes(lock.mode)) {
+      return { valid: false, error: "settings.matching.playerLock.mode must be off, largest or central" };
+    }
+  }
+
+  // stabilityMaxStdDeg (optional)
+  if (settings.matching?.stabilityMaxStdDeg !== undefined) {
+    const n = Number(settings.matching.stabilityMaxStdDeg);
+    if (!Number.isFinite(n) || n < 0 || n > 45) {
+      return { valid: false, error: "settings.matching.stabilityMaxStdDeg must be between 0 and 45" };
+    }
+  }
+
+  // scoring (optional): star thresholds must not decrease
+  if (settings.scoring !== undefined) {
+    const stars = ["oneStar", "twoStars", "threeStars"];
+    let prev = 0;
+    for (const k of stars) {
+      if (settings.scoring[k] === undefined) continue;
+      const n = Number(settings.scoring[k]);
+      if (!Number.isFinite(n) || n < 0 || n > 100) {
+        return { valid: false, error: `settings.scoring.${k} must be between 0 and 100` };
+      }
+      if (n < prev) {
+        return { valid: false, error: "settings.scoring star thresholds must not decrease" };
+      }
+      prev = n;
+    }
+    if (settings.scoring.targetMatchMS !== undefined) {
+      const n = Number(settings.scoring.targetMatchMS);
+      if (!Number.isFinite(n) || n < 500 || n > 60000) {
+        return { valid: false, error: "settings.scoring.targetMatchMS must be between 500 and 60000" };
+      }
+    }
+  }
+
+  // adaptive difficulty (optional): bounds as min/max pairs
+  if (settings.adaptive !== undefined) {
+    const a = settings.adaptive;
+    if (a.enabled !== undefined && typeof a.enabled !== "boolean") {
+      return { valid: false, error: "settings.adaptive.enabled must be boolean" };
+    }
+    const bounds = [
+      ["thresholdMinPct", "thresholdMaxPct", 100],
+      ["minHoldMinMS", "minHoldMaxMS", 10000],
+    ];
+    for (const [minKey, maxKey, limit] of bounds) {
+      for (const k of [minKey, maxKey]) {
+        if (a[k] === undefined) continue;
+        const n = Number(a[k]);
+        if (!Number.isFinite(n) || n < 0 || n > limit) {
+          return { valid: false, error: `settings.adaptive.${k} must be between 0 and ${limit}` };
+        }
+      }
+      if (a[minKey] !== undefined && a[maxKey] !== undefined && Number(a[minKey]) > Number(a[maxKey])) {
+        return { valid: false, error: `settings.adaptive.${minKey} must not exceed ${maxKey}` };
+      }
+    }
+  }
+
+  // assists (optional): delays in ms, 0 turns one off
+  if (settings.assists !== undefined) {
+    const a = settings.assists;
+    if (a.enabled !== undefined && typeof a.enabled !== "boolean") {
+      return { valid: false, error: "settings.assists.enabled must be boolean" };
+    }
+    for (const k of ["replayTweenMS", "highlightMS", "hintMS", "skipMS"]) {
+      if (a[k] === undefined) continue;
+      const n = Number(a[k]);
+      if (!Number.isFinite(n) || n < 0 || n > 300000) {
+        return { valid: false, error: `settings.assists.${k} must be between 0 and 300000` };
+      }
+    }
+  }
+
   // reps (optional)
   if (settings.reps?.poseMatch !== undefined) {
     const n = Number(settings.reps.poseMatch);
@@ -146,6 +268,16 @@ export const levelEditor = {
       if (!v.valid) throw new Error(v.error);
     }
 
+    if (updates && Object.prototype.hasOwnProperty.call(updates, "customFeatures")) {
+      const v = validateCustomFeatures(updates.customFeatures);
+      if (!v.valid) throw new Error(v.error);
+    }
+
+    if (updates && Object.prototype.hasOwnProperty.call(updates, "explore")) {
+      const v = validateExplore(updates.explore);
+      if (!v.valid) throw new Error(v.error);
+    }
+
     return levelsApi.update(levelId, updates, { pin: options.pin });
   },
 
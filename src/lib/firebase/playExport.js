@@ -0,0 +1,290 @@
+import { db } from "./firebaseAdmin";
+import { poseFrameRangeKeys } from "./poseFrameIndex";
+import { PLAYS_META_ROOT } from "./playsMeta";
+import { expandPoseFrame } from "@/lib/pose/poseFrameCodec";
+
+/**
+ * Research exports of recorded plays (routes under /api/plays/export).
+ *
+ * Query params shared by every format:
+ *   gameId, uid (play owner), deviceId   => which plays
+ *   from, to                             => play createdAt range (ms epoch or ISO date; a date-only `to` includes that day)
+ *   levelId, levelIndex                  => which rows (events / frames) of those plays
+ *   limit                                => max plays, the newest ones (default 100)
+ *
+ * Rows are read one play at a time so the CSV / JSONL responses can stream. Plays are picked from
+ * the metadata-only playsMeta index (lib/firebase/playsMeta) by gameId or createdAt: add both to
+ * the RTDB ".indexOn" for playsMeta.
+ */
+
+export const EXPORT_DEFAULT_PLAYS = 100;
+export const EXPORT_MAX_PLAYS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseTime(raw, { endOfDay = false } = {}) {
+  if (raw === null || raw === "") return { value: null };
+
+  const s = String(raw).trim();
+  if (/^\d+$/.test(s)) return { value: Number(s) };
+
+  const t = Date.parse(s);
+  if (!Number.isFinite(t)) return { error: true };
+  return { value: endOfDay && DATE_ONLY_RE.test(s) ? t + DAY_MS - 1 : t };
+}
+
+const optionalString = (v) => (typeof v === "string" && v.trim() ? v.trim() : null);
+
+/**
+ * URLSearchParams => { filters } | { error }
+ */
+export function parseExportFilters(searchParams) {
+  const from = parseTime(searchParams.get("from"));
+  if (from.error) return { error: "from must be a date or ms timestamp" };
+
+  const to = parseTime(searchParams.get("to"), { endOfDay: true });
+  if (to.error) return { error: "to must be a date or ms timestamp" };
+
+  if (from.value !== null && to.value !== null && from.value > to.value) {
+    return { error: "from must be before to" };
+  }
+
+  const rawLevelIndex = searchParams.get("levelIndex");
+  let levelIndex = null;
+  if (rawLevelIndex !== null && rawLevelIndex !== "") {
+    levelIndex = Number(rawLevelIndex);
+    if (!Number.isInteger(levelIndex) || levelIndex < 0) return { error: "levelIndex must be a non-negative integer" };
+  }
+
+  const rawLimit = searchParams.get("limit");
+  const limit = rawLimit
+    ? Math.max(1, Math.min(EXPORT_MAX_PLAYS, Math.trunc(Number(rawLimit)) || EXPORT_DEFAULT_PLAYS))
+    : EXPORT_DEFAULT_PLAYS;
+
+  return {
+    filters: {
+      gameId: optionalString(searchParams.get("gameId")),
+      uid: optionalString(searchParams.get("uid")),
+      deviceId: optionalString(searchParams.get("deviceId")),
+      levelId: optionalString(searchParams.get("levelId")),
+      levelIndex,
+      from: from.value,
+      to: to.value,
+      limit,
+    },
+  };
+}
+
+const playTime = (metadata) => Number(metadata?.createdAt ?? metadata?.timestamp) || 0;
+
+/**
+ * Plays matching the play-level filters => [{ playId, metadata }]: the newest filters.limit, oldest first.
+ * metadata is the playsMeta entry. The query narrows by gameId (else by createdAt range) on the
+ * server; the rest is filtered here.
+ */
+export async function findExportPlays(filters) {
+  let query = db.ref(PLAYS_META_ROOT);
+  if (filters.gameId) {
+    query = query.orderByChild("gameId").equalTo(filters.gameId);
+  } else if (filters.from !== null || filters.to !== null) {
+    query = query.orderByChild("createdAt");
+    if (filters.from !== null) query = query.startAt(filters.from);
+    if (filters.to !== null) query = query.endAt(filters.to);
+  }
+
+  const snap = await query.once("value");
+
+  const plays = [];
+  snap.forEach((child) => {
+    const metadata = child.val();
+    if (!metadata) return;
+
+    if (filters.gameId && metadata.gameId !== filters.gameId) return;
+    if (filters.uid && metadata.ownerUid !== filters.uid) return;
+    if (filters.deviceId && metadata.deviceId !== filters.deviceId) return;
+
+    const t = playTime(metadata);
+    if (filters.from !== null && t < filters.from) return;
+    if (filters.to !== null && t > filters.to) return;
+
+    plays.push({ playId: child.key, metadata });
+  });
+
+  plays.sort((a, b) => playTime(a.metadata) - playTime(b.metadata));
+  return plays.slice(-filters.limit);
+}
+
+// row-level filter (events and frames both carry levelId / levelIndex)
+export function rowMatchesLevel(row, filters) {
+  if (filters.levelId && row?.levelId !== filters.levelId) return false;
+  if (filters.levelIndex !== null && Number(row?.levelIndex) !== filters.levelIndex) return false;
+  return true;
+}
+
+// RTDB hands seq-keyed children back as an array when the keys are dense
+function entriesOf(v) {
+  if (Array.isArray(v)) return v.map((x, i) => [String(i), x]).filter(([, x]) => x);
+  return v && typeof v === "object" ? Object.entries(v) : [];
+}
+
+export async function loadPlayEvents(playId, filters) {
+  const snap = await db.ref(`plays/${playId}/eventData`).once("value");
+  return entriesOf(snap.val())
+    .filter(([, evt]) => rowMatchesLevel(evt, filters))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)); // push keys sort chronologically
+}
+
+export async function loadPlayFrames(playId, filters) {
+  const snap = await db.ref(`plays/${playId}/poseFrames`).once("value");
+  return entriesOf(snap.val())
+    .map(([, f]) => expandPoseFrame(f))
+    .filter((f) => Number.isFinite(Number(f?.seq)) && rowMatchesLevel(f, filters))
+    .sort((a, b) => Number(a.seq) - Number(b.seq));
+}
+
+/* ---------------------------- CSV (events) ---------------------------- */
+
+export const EVENT_CSV_COLUMNS = [
+  "playId",
+  "gameId",
+  "ownerUid",
+  "deviceId",
+  "eventKey",
+  "type",
+  "timestamp",
+  "createdAt",
+  "levelId",
+  "levelIndex",
+  "repIndex",
+  "nodeIndex",
+  "stateType",
+  "eventId",
+  "data", // every other field, as JSON
+];
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function eventCsvHeader() {
+  return EVENT_CSV_COLUMNS.join(",");
+}
+
+export function eventCsvRow(play, eventKey, evt) {
+  const {
+    type,
+    timestamp,
+    createdAt,
+    levelId,
+    levelIndex,
+    repIndex,
+    nodeIndex,
+    stateType,
+    eventId,
+    ...data
+  } = evt ?? {};
+
+  return [
+    play.playId,
+    play.metadata?.gameId,
+    play.metadata?.ownerUid,
+    play.metadata?.deviceId,
+    eventKey,
+    type,
+    timestamp,
+    createdAt,
+    levelId,
+    levelIndex,
+    repIndex,
+    nodeIndex,
+    stateType,
+    eventId,
+    Object.keys(data).length ? data : null,
+  ]
+    .map(csvCell)
+    .join(",");
+}
+
+/* ---------------------------- JSONL (frames) ---------------------------- */
+
+function parseMaybeJson(v) {
+  if (typeof v !== "string") return v ?? null;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One frame => one JSON line. levelKey / repKey / stateTypeKey name the
+ * poseFrameRangesByState entry the frame was counted into.
+ */
+export function frameJsonLine(play, frame) {
+  const { createdAt, poseData, ...rest } = frame ?? {};
+
+  return JSON.stringify({
+    playId: play.playId,
+    gameId: play.metadata?.gameId ?? null,
+    seq: Number(rest.seq),
+    timestamp: rest.timestamp ?? null,
+    levelId: rest.levelId ?? null,
+    levelIndex: rest.levelIndex ?? null,
+    repIndex: rest.repIndex ?? 0,
+    nodeIndex: rest.nodeIndex ?? null,
+    stateType: rest.stateType ?? null,
+    stepIndex: rest.stepIndex ?? null,
+    targetPoseId: rest.targetPoseId ?? null,
+    ...poseFrameRangeKeys(rest),
+    createdAt: createdAt ?? null,
+    poseData: parseMaybeJson(poseData),
+  });
+}
+
+/* ---------------------------- streaming ---------------------------- */
+
+const ROWS_PER_CHUNK = 500;
+
+/**
+ * Streams one text line per row, play by play. Rows are loaded when the reader gets to a play
+ * and formatted a chunk at a time, so only one play's raw rows are held at once.
+ *   loadRows(play) => rows[]
+ *   formatRow(play, row) => string
+ */
+export function streamPlayRows(plays, { loadRows, formatRow, header = null }) {
+  const encoder = new TextEncoder();
+  let playIndex = 0;
+  let current = null; // { play, rows, at }
+
+  return new ReadableStream({
+    start(controller) {
+      if (header) controller.enqueue(encoder.encode(`${header}\n`));
+    },
+
+    async pull(controller) {
+      try {
+        while (!current || current.at >= current.rows.length) {
+          if (playIndex >= plays.length) {
+            controller.close();
+            return;
+          }
+          const play = plays[playIndex++];
+          current = { play, rows: await loadRows(play), at: 0 };
+        }
+
+        const chunk = current.rows.slice(current.at, current.at + ROWS_PER_CHUNK);
+        current.at += chunk.length;
+        controller.enqueue(encoder.encode(`${chunk.map((row) => formatRow(current.play, row)).join("\n")}\n`));
+      } catch (err) {
+        controller.error(err);
+      }
+    },
+  });
+}
+
+export function exportFileName(kind, ext) {
+  return `plays-${kind}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.${ext}`;
+}
@@ -0,0 +1,70 @@
+import { db } from "./firebaseAdmin";
+import { loadPlayEvents, loadPlayFrames } from "./playExport";
+import { fetchGameAndLevels } from "@/lib/gamePlayer/playableGame";
+import { computePlayQuality } from "@/lib/gamePlayer/telemetry/dataQuality";
+
+/**
+ * Data-quality summaries (lib/gamePlayer/telemetry/dataQuality) stored at plays/{playId}/quality.
+ * Used by the admin quality routes; recomputing overwrites the stored summary.
+ */
+
+const ALL_ROWS = { levelId: null, levelIndex: null };
+
+export function playQualityPath(playId) {
+  return `plays/${playId}/quality`;
+}
+
+export async function loadPlayQuality(playId) {
+  const snap = await db.ref(playQualityPath(playId)).once("value");
+  return snap.val() ?? null;
+}
+
+/**
+ * Levels (for settings.logFPS) per gameId, loaded once per report.
+ * A game that no longer loads => [] (the default logFPS is used).
+ */
+export function createLevelsCache() {
+  const byGame = new Map();
+
+  return (gameId) => {
+    if (!gameId) return Promise.resolve([]);
+    if (!byGame.has(gameId)) {
+      byGame.set(
+        gameId,
+        fetchGameAndLevels(gameId, { requirePublished: false })
+          .then(({ levels }) => levels)
+          .catch(() => [])
+      );
+    }
+    return byGame.get(gameId);
+  };
+}
+
+export async function computeAndStorePlayQuality(playId, metadata, { levelsFor = createLevelsCache() } = {}) {
+  const [frames, eventRows, levels] = await Promise.all([
+    loadPlayFrames(playId, ALL_ROWS),
+    loadPlayEvents(playId, ALL_ROWS),
+    levelsFor(metadata?.gameId),
+  ]);
+
+  const quality = computePlayQuality({
+    frames,
+    events: eventRows.map(([, evt]) => evt),
+    levels,
+  });
+
+  await db.ref(playQualityPath(playId)).set(quality);
+  return quality;
+}
+
+// one row of the admin report
+export function playQualityRow({ playId, metadata }, quality) {
+  return {
+    playId,
+    gameId: metadata?.gameId ?? null,
+    ownerUid: metadata?.ownerUid ?? null,
+    deviceId: metadata?.deviceId ?? null,
+    createdAt: metadata?.createdAt ?? null,
+    quality: quality ?? null,
+  };
+}
@@ -0,0 +1,65 @@
+import admin from "firebase-admin";
+import { db } from "./firebaseAdmin";
+
+/**
+ * Metadata-only index of plays:
+ *   playsMeta/{playId}: { ownerUid, gameId, levelId, deviceId, timestamp, createdAt }
+ *
+ * Picking plays (exports, data-quality report) reads this instead of plays/, which would
+ * download every play's frames and events. Written with the play (POST /api/plays), removed
+ * with it (DELETE /api/plays/{id}); plays created before the index are added by backfillPlaysMeta.
+ */
+
+export const PLAYS_META_ROOT = "playsMeta";
+
+const INDEX_FIELDS = ["ownerUid", "gameId", "levelId", "deviceId", "timestamp", "createdAt"];
+
+export function playsMetaPath(playId) {
+  return `${PLAYS_META_ROOT}/${playId}`;
+}
+
+// plays/{playId}/metadata => its index entry
+export function playsMetaEntry(metadata) {
+  const out = {};
+  for (const key of INDEX_FIELDS) {
+    if (metadata?.[key] !== undefined && metadata[key] !== null) out[key] = metadata[key];
+  }
+  return out;
+}
+
+// play ids without their subtrees: the Admin SDK has no shallow read, the REST API does
+async function listPlayIds() {
+  const app = admin.app();
+  const { access_token: token } = await app.options.credential.getAccessToken();
+
+  const res = await fetch(`${app.options.databaseURL}/plays.json?shallow=true`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  if (!res.ok) throw new Error(`Listing plays failed (${res.status})`);
+
+  return Object.keys((await res.json()) ?? {});
+}
+
+/**
+ * Index every play that has metadata but no playsMeta entry yet (one metadata read each).
+ * @returns {{ plays: number, added: number }}
+ */
+export async function backfillPlaysMeta() {
+  const [playIds, indexSnap] = await Promise.all([
+    listPlayIds(),
+    db.ref(PLAYS_META_ROOT).once("value"),
+  ]);
+
+  let added = 0;
+  for (const playId of playIds) {
+    if (indexSnap.hasChild(playId)) continue;
+
+    const metaSnap = await db.ref(`plays/${playId}/metadata`).once("value");
+    if (!metaSnap.exists()) continue;
+
+    await db.ref(playsMetaPath(playId)).set(playsMetaEntry(metaSnap.val()));
+    added++;
+  }
+
+  return { plays: playIds.length, added };
+}
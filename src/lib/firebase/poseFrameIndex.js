@@ -0,0 +1,37 @@
+/**
+ * Keys of the pose frame range index:
+ *   plays/{playId}/poseFrameRangesByState/{levelKey}/{repKey}/{stateTypeKey}: { minSeq, maxSeq, count }
+ *
+ * Shared by the frames route (writes the index) and the export routes (label rows with it).
+ */
+
+/**
+ * RTDB-friendly key (no spaces/dots/slashes)
+ */
+export function stateTypeKey(s) {
+  return (
+    String(s ?? "unknown")
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]/g, "_")
+      .slice(0, 64) || "unknown"
+  );
+}
+
+export function levelKey(levelIndex) {
+  const n = Number(levelIndex);
+  return Number.isFinite(n) ? `l${Math.max(0, Math.trunc(n))}` : "l_unknown";
+}
+
+export function repKey(repIndex) {
+  const n = Number(repIndex);
+  return Number.isFinite(n) ? `r${Math.max(0, Math.trunc(n))}` : "r0";
+}
+
+// the index entry a frame was counted into
+export function poseFrameRangeKeys(frame) {
+  return {
+    levelKey: levelKey(frame?.levelIndex),
+    repKey: repKey(frame?.repIndex),
+    stateTypeKey: stateTypeKey(frame?.stateType),
+  };
+}
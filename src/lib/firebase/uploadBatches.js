@@ -0,0 +1,39 @@
+import { db } from "./firebaseAdmin";
+
+/**
+ * Server-side de-dupe for telemetry uploads (events / frames routes).
+ *
+ * The client bus tags every batch with a batchKey and may post it more than once
+ * (retry after a timeout, sendBeacon on page hide + retry after reload), sometimes concurrently.
+ * A route claims plays/{playId}/uploadBatches/{batchKey} in a transaction before writing the
+ * batch; a batch whose marker is already claimed is acknowledged without writing it again.
+ */
+
+const BATCH_KEY_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// valid key or null (legacy clients send none => no de-dupe)
+export function normalizeBatchKey(raw) {
+  return typeof raw === "string" && BATCH_KEY_RE.test(raw) ? raw : null;
+}
+
+export function uploadBatchPath(playId, batchKey) {
+  return `plays/${playId}/uploadBatches/${batchKey}`;
+}
+
+/**
+ * true => this request owns the batch and must write it (no key => always true);
+ * false => another request already claimed it.
+ */
+export async function claimBatch(playId, batchKey, claimedAt = Date.now()) {
+  if (!batchKey) return true;
+  const { committed } = await db
+    .ref(uploadBatchPath(playId, batchKey))
+    .transaction((cur) => (cur === null ? claimedAt : undefined)); // undefined aborts
+  return committed;
+}
+
+// the batch write failed after claiming: let the client's retry write it
+export async function releaseBatch(playId, batchKey) {
+  if (!batchKey) return;
+  await db.ref(uploadBatchPath(playId, batchKey)).remove().catch(() => {});
+}
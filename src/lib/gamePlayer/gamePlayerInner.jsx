@@ -2,19 +2,25 @@
 
 import { useCallback, useEffect, useMemo, useReducer, useRef, useState } from "react";
 import { useRafTick } from "@/lib/gamePlayer/runtime/useRafTick";
+import { FACILITATOR_ACTIONS, INPUT_ACTIONS } from "@/lib/gamePlayer/runtime/inputMap";
+import { findInputTarget, pressInputTarget, usePlayerInput } from "@/lib/gamePlayer/runtime/usePlayerInput";
 import { commands } from "@/lib/gamePlayer/session/commands";
 import { createInitialSession, sessionReducer } from "@/lib/gamePlayer/session/reducer";
 import { createTelemetryBus } from "@/lib/gamePlayer/telemetry/telemetryBus";
+import { TELEMETRY_EVENT_TYPES } from "@/lib/gamePlayer/telemetry/telemetrySchema";
 import { STATE_TYPES, normalizeStateType } from "@/lib/gamePlayer/states/_shared/stateTypes";
 
 import { createLocalCameraRecorder } from "./telemetry/localCameraRecorder";
 
 import PoseCursor from "@/lib/pose/poseCursor";
 import PoseDrawer from "@/lib/pose/poseDrawer";
+import { perSegmentForLiveView } from "@/lib/pose/poseMatching";
 import usePoseData from "@/lib/hooks/usePoseData";
 
 import StateRenderer from "./stateRenderer";
 import PauseUI from "./pauseUI";
+import ResultsScreen from "./resultsScreen";
+import PreviewOverlay from "./previewOverlay";
 
 function isDialogueLike(type) {
   return type === STATE_TYPES.INTRO || type === STATE_TYPES.OUTRO;
@@ -43,29 +49,9 @@ const __startupTelemetrySentForPlay = new Set();
 
 /**
  * Single allowlist for what gets emitted (stored/displayed).
+ * Every allowed type has a schema the plays events route validates against.
  */
-const TELEMETRY_ALLOWED = new Set([
-  "SESSION_START",
-  "SESSION_END",
-  "LEVEL_START",
-  "LEVEL_END",
-
-  "STATE_ENTER",
-  "STATE_EXIT",
-
-  "PAUSE",
-  "RESUME",
-
-  "POSE_MATCH_AUTO_NEXT",
-  "POSE_MATCH_CLICK_NEXT",
-  "POSE_MATCH_AUTO_FINISH",
-  "POSE_MATCH_CLICK_FINISH",
-  "POSE_MATCH_REP_FINISH_CLICK",
-  "POSE_MATCH_REP_FINISH_AUTO",
-
-  "TRUE_FALSE_SELECTED",
-  "INSIGHT_OPTION_SELECTED",
-]);
+const TELEMETRY_ALLOWED = new Set(TELEMETRY_EVENT_TYPES);
 
 function enrichTelemetryEventWithSession(evt, session) {
   if (!evt || typeof evt !== "object") return evt;
@@ -112,7 +98,7 @@ function buildPoseFrameContext(session) {
       : 0;
 
   const stepIndex =
-    stateType === STATE_TYPES.POSE_MATCH
+    stateType === STATE_TYPES.POSE_MATCH || stateType === STATE_TYPES.POSE_SEQUENCE
       ? Number.isFinite(Number(session?.stepIndex))
         ? Math.max(0, Math.trunc(Number(session.stepIndex)))
         : null
@@ -127,20 +113,26 @@ function buildPoseFrameContext(session) {
 export default function GamePlayerInner({
   game,
   levelIndex,
+  nodeIndex = 0, // preview mode can start mid-level
   deviceId, // kept for signature compat
   playId,
+  snapshot = null, // saved session to resume from (plays/{id}/snapshot)
+  initialPoseSeq = 0, // resumed plays continue the stored frame seq
+  facilitator = false, // owner / admin: skip node + jump to level hotkeys
+  preview = false, // owner / admin debug mode: no play, nothing recorded
   onComplete,
   width,
   height,
 }) {
   const telemetryRef = useRef(null);
+  const [pendingUploads, setPendingUploads] = useState(0); // telemetry batches waiting for a retry
 
   // Pose data stays in a ref (no re-renders at 30-60fps)
   const poseDataRef = useRef(null);
   const shouldRecordPoseRef = useRef(false);
 
   // Local seq so server can aggregate ranges by seq
-  const poseSeqRef = useRef(0);
+  const poseSeqRef = useRef(initialPoseSeq);
 
   // Required hidden video element for usePoseData
   const videoRef = useRef(null);
@@ -153,13 +145,61 @@ export default function GamePlayerInner({
   // To avoid emitting ON_COMPLETE logic twice
   const sessionEndedRef = useRef(false);
 
-  // Telemetry bus — guaranteed to use the real playId
+  // Snapshot saves run one at a time so an older one can't land after a newer one
+  const snapshotSaveRef = useRef(Promise.resolve());
+
+  const saveSnapshot = useCallback(
+    (snap) => {
+      if (!playId) return;
+
+      snapshotSaveRef.current = snapshotSaveRef.current.then(() =>
+        fetch(`/api/plays/${playId}`, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          keepalive: true,
+          body: JSON.stringify({ snapshot: snap }),
+        })
+          .then((res) => {
+            if (!res.ok) console.warn("Session snapshot save failed:", res.status);
+          })
+          .catch((e) => console.warn("Session snapshot save failed:", e))
+      );
+    },
+    [playId]
+  );
+
+  // Game totals go into plays/{id}/metadata/score
+  const saveScore = useCallback(
+    (score) => {
+      if (!playId || !score) return;
+
+      fetch(`/api/plays/${playId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        keepalive: true,
+        body: JSON.stringify({ score }),
+      })
+        .then((res) => {
+          if (!res.ok) console.warn("Score save failed:", res.status);
+        })
+        .catch((e) => console.warn("Score save failed:", e));
+    },
+    [playId]
+  );
+
+  // Telemetry bus — guaranteed to use the real playId (preview has none: telemetry is off)
   useEffect(() => {
+    if (!playId) return;
+
     const bus = createTelemetryBus({ playId });
     telemetryRef.current = bus;
+    const offPending = bus.onPendingChange(setPendingUploads);
     bus.startAutoFlush();
 
     return () => {
+      offPending();
       bus.stopAutoFlush();
       void bus.flushAll();
       telemetryRef.current = null;
@@ -186,8 +226,8 @@ export default function GamePlayerInner({
 
   // Session reducer init uses real playId
   const initialSession = useMemo(() => {
-    return createInitialSession({ game, initialLevel: levelIndex, playId });
-  }, [game, levelIndex, playId]);
+    return createInitialSession({ game, initialLevel: levelIndex, initialNodeIndex: nodeIndex, playId, snapshot });
+  }, [game, levelIndex, nodeIndex, playId, snapshot]);
 
   const [session, dispatch] = useReducer(sessionReducer, initialSession);
 
@@ -196,13 +236,28 @@ export default function GamePlayerInner({
     poseDataRef.current = data;
   }, []);
 
-  const { loading, error } = usePoseData({
+  const handlePlayerLockEvent = useCallback((evt) => {
+    if (evt?.type === "PLAYER_LOST") dispatch(commands.playerLost({ lastSeenAt: evt.lastSeenAt }));
+    if (evt?.type === "PLAYER_REACQUIRED") dispatch(commands.playerReacquired({ lostMS: evt.lostMS }));
+  }, []);
+
+  const { loading, error, resetPlayerLock } = usePoseData({
     videoRef,
     width: 640,
     height: 480,
     onPoseData: handlePoseData,
+    smoothing: session?.settings?.matching?.smoothing ?? null,
+    playerLock: session?.settings?.matching?.playerLock ?? null,
+    onPlayerLockEvent: handlePlayerLockEvent,
   });
 
+  // pick the player again at every level start / restart (the reducer's startLevel bumps levelStarts;
+  // time.startedAt is carried across levels)
+  const levelStarts = session?.levelStarts ?? 0;
+  useEffect(() => {
+    resetPlayerLock();
+  }, [levelStarts, resetPlayerLock]);
+
   // Tick loop (drives timers + optional frame recording)
   useRafTick({
     enabled: !session.flags?.paused,
@@ -243,17 +298,15 @@ export default function GamePlayerInner({
   useEffect(() => {
     if (!session.effects?.length) return;
 
+    // no bus (preview) => telemetry is dropped, other effects still run
     const bus = telemetryRef.current;
-    if (!bus) {
-      dispatch(commands.consumeEffects());
-      return;
-    }
 
     const startupAlreadySent = __startupTelemetrySentForPlay.has(playId);
     if (!startupAlreadySent) __startupTelemetrySentForPlay.add(playId);
 
     for (const eff of session.effects) {
       if (eff.type === "TELEMETRY_EVENT") {
+        if (!bus) continue;
         let evt = eff.event;
 
         // Start camera recording once, at first real STATE_ENTER
@@ -271,8 +324,10 @@ export default function GamePlayerInner({
 
         // ✅ StrictMode dedupe: only skip init-session boundaries after first mount
         const isInitLevelStart = evt?.type === "LEVEL_START" && evt?.reason === "INIT_SESSION";
+        const isResume =
+          evt?.type === "SESSION_RESUMED" || (evt?.type === "STATE_ENTER" && evt?.reason === "RESUME");
 
-        if (startupAlreadySent && (evt?.type === "SESSION_START" || isInitEnter || isInitLevelStart))
+        if (startupAlreadySent && (evt?.type === "SESSION_START" || isInitEnter || isInitLevelStart || isResume))
           continue;
 
         if (!evt?.type || !TELEMETRY_ALLOWED.has(evt.type)) continue;
@@ -286,6 +341,16 @@ export default function GamePlayerInner({
         continue;
       }
 
+      if (eff.type === "SESSION_SNAPSHOT") {
+        saveSnapshot(eff.snapshot ?? null);
+        continue;
+      }
+
+      if (eff.type === "SAVE_SCORE") {
+        saveScore(eff.score ?? null);
+        continue;
+      }
+
       if (eff.type === "POSE_RECORDING_HINT") {
         shouldRecordPoseRef.current = !!eff.enabled;
         continue;
@@ -302,7 +367,91 @@ export default function GamePlayerInner({
     }
 
     dispatch(commands.consumeEffects());
-  }, [session.effects, onComplete, playId, session]);
+  }, [session.effects, onComplete, playId, session, saveSnapshot, saveScore]);
+
+  /* ---- keyboard / gamepad (runtime/inputMap) ---- */
+
+  // every handled input is logged (INPUT_ACTION, facilitator ones flagged) before it acts
+  const handleInputAction = (evt) => {
+    const { action, input, key, optionIndex, levelIndex: toLevelIndex } = evt;
+    const paused = !!session.flags?.paused;
+    const showResults = !!session.flags?.showResults;
+
+    const log = () =>
+      dispatch(
+        commands.inputAction({
+          action,
+          input,
+          key,
+          optionIndex,
+          levelIndex: toLevelIndex,
+          facilitator: FACILITATOR_ACTIONS.has(action),
+        })
+      );
+
+    switch (action) {
+      case INPUT_ACTIONS.NEXT: {
+        if (showResults) {
+          log();
+          dispatch(commands.resultsContinue());
+          return;
+        }
+        if (paused) {
+          log();
+          dispatch(commands.resume());
+          return;
+        }
+
+        // the view's own Next button, so its gates (cursor delay, hold time...) apply
+        const el = findInputTarget("[data-input-next]");
+        if (!el) return;
+        log();
+        pressInputTarget(el);
+        return;
+      }
+
+      case INPUT_ACTIONS.TOGGLE_PAUSE:
+        if (showResults) return;
+        log();
+        dispatch(paused ? commands.resume() : commands.pause());
+        return;
+
+      case INPUT_ACTIONS.RESTART_LEVEL:
+        // only from the pause menu, like a deliberate choice
+        if (!paused || showResults) return;
+        log();
+        dispatch(commands.restartLevel());
+        return;
+
+      case INPUT_ACTIONS.SELECT_OPTION:
+      case INPUT_ACTIONS.KEYPAD: {
+        if (paused || showResults) return;
+        // a number pad on screen takes the digit keys (its buttons are tagged data-input-key)
+        const el =
+          findInputTarget(`[data-input-key="${key}"]`) ??
+          (action === INPUT_ACTIONS.SELECT_OPTION ? findInputTarget(`[data-input-option="${optionIndex}"]`) : null);
+        if (!el) return;
+        log();
+        pressInputTarget(el);
+        return;
+      }
+
+      case INPUT_ACTIONS.SKIP_NODE:
+        log();
+        dispatch(commands.facilitatorSkipNode({ input }));
+        return;
+
+      case INPUT_ACTIONS.JUMP_LEVEL:
+        log();
+        dispatch(commands.facilitatorJumpLevel(toLevelIndex, { input }));
+        return;
+
+      default:
+        return;
+    }
+  };
+
+  usePlayerInput({ facilitator, onAction: handleInputAction });
 
   // IMPORTANT: use session.levelIndex (reducer may advance levels)
   const activeLevelIndex = Number.isFinite(Number(session?.levelIndex)) ? session.levelIndex : levelIndex;
@@ -327,8 +476,13 @@ export default function GamePlayerInner({
     return sp?.name ?? sp ?? "";
   })();
 
-  // Similarity overlays only during POSE_MATCH
-  const similarityScores = type === STATE_TYPES.POSE_MATCH ? session.poseMatch?.perSegment ?? [] : [];
+  // Similarity overlays only during POSE_MATCH / POSE_SEQUENCE
+  const similarityScores =
+    type === STATE_TYPES.POSE_MATCH
+      ? perSegmentForLiveView(session.poseMatch?.perSegment ?? [], session.poseMatch?.orientation)
+      : type === STATE_TYPES.POSE_SEQUENCE
+      ? perSegmentForLiveView(session.poseSequence?.perSegment ?? [], session.poseSequence?.orientation)
+      : [];
 
   return (
     <div className="relative w-full h-screen bg-gray-950 overflow-hidden">
@@ -368,6 +522,7 @@ export default function GamePlayerInner({
           width={Math.floor(width * 0.35)}
           height={Math.floor(height * 0.60)}
           similarityScores={similarityScores}
+          guides={type === STATE_TYPES.EXPLORE ? session.node?.guides : null}
         />
       </div>
 
@@ -377,7 +532,13 @@ export default function GamePlayerInner({
         containerWidth={width}
         containerHeight={height}
         sensitivity={session.settings?.cursor?.sensitivity ?? 1.5}
-        hoverSelector={session.flags?.paused ? ".pause-ui-button" : ".next-button"}
+        hoverSelector={
+          session.flags?.paused
+            ? ".pause-ui-button"
+            : session.flags?.showResults
+            ? ".results-ui-button"
+            : ".next-button"
+        }
       />
 
       <PauseUI
@@ -389,6 +550,36 @@ export default function GamePlayerInner({
         }}
       />
 
+      <ResultsScreen session={session} dispatch={dispatch} />
+
+      {preview && <PreviewOverlay session={session} dispatch={dispatch} />}
+
+      {/* Player lock: tracking lost the player picked at level start */}
+      {session.flags?.playerLost && (
+        <div className="absolute inset-0 flex items-center justify-center bg-black/50 z-[58] pointer-events-none">
+          <div className="rounded-xl bg-gray-900/90 px-6 py-4 text-center text-white">
+            <div className="text-lg font-semibold">Where did you go?</div>
+            <div className="mt-1 text-sm text-gray-300">Step back in front of the camera to keep playing.</div>
+          </div>
+        </div>
+      )}
+
+      {/* Offline telemetry queue: batches that failed to upload and will be retried */}
+      {pendingUploads > 0 && (
+        <div className="absolute bottom-4 left-4 z-[56] pointer-events-none rounded-lg bg-amber-500/80 px-3 py-1.5 text-xs font-medium text-black">
+          {pendingUploads} {pendingUploads === 1 ? "batch" : "batches"} pending upload
+        </div>
+      )}
+
+      {facilitator && (
+        <div
+          className="absolute bottom-4 right-4 z-[56] pointer-events-none rounded-lg bg-black/40 px-3 py-1.5 text-xs text-white/70"
+          title="Shift+→ skip node · Shift+1-9 jump to level"
+        >
+          Facilitator · Shift+→ skip node · Shift+1-9 jump to level
+        </div>
+      )}
+
       {/* Loading overlay for pose */}
       {loading && (
         <div className="absolute inset-0 flex items-center justify-center text-white bg-black/40 z-[60]">
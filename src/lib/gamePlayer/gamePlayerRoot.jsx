@@ -8,10 +8,78 @@ async function sleep(ms) {
   await new Promise((r) => setTimeout(r, ms));
 }
 
+/* ---- resume after a refresh / camera crash ---- */
+
+// playId of this user's last play for this game + start level; it can be resumed while the play
+// still has a snapshot (the reducer clears it when the game completes) and the snapshot is recent
+function resumeKey(uid, gameId, levelIndex) {
+  return `play:resume:${uid}:${gameId}:${levelIndex}`;
+}
+
+// older snapshots are ignored (another day, another class): the play starts fresh
+const RESUME_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+function readResumePlayId(key) {
+  try {
+    return window.localStorage.getItem(key) || null;
+  } catch {
+    return null;
+  }
+}
+
+function writeResumePlayId(key, playId) {
+  try {
+    if (playId) window.localStorage.setItem(key, playId);
+    else window.localStorage.removeItem(key);
+  } catch {
+    // storage disabled (private mode) => no resume, game still plays
+  }
+}
+
+// owner-only lookup; anything but a recent snapshot of this user's play of this game => null
+async function fetchResumableSnapshot(playId, { gameId, uid }) {
+  const res = await fetch(`/api/plays/${playId}/resume`, { credentials: "include", cache: "no-store" });
+  if (!res.ok) return null;
+
+  const json = await res.json().catch(() => null);
+  const resume = json?.resume;
+  if (!resume?.snapshot || resume.gameId !== gameId || resume.ownerUid !== uid) return null;
+
+  const savedAt = Number(resume.snapshot.updatedAt ?? resume.snapshot.savedAt) || 0;
+  if (Date.now() - savedAt > RESUME_MAX_AGE_MS) return null;
+
+  const nextPoseSeq = Number(resume.nextPoseSeq);
+  if (!Number.isInteger(nextPoseSeq) || nextPoseSeq < 0) return null;
+
+  return { snapshot: resume.snapshot, nextPoseSeq, savedAt };
+}
+
+// "Start over": the old play is no longer resumable (best-effort)
+function discardSnapshot(playId) {
+  return fetch(`/api/plays/${playId}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify({ snapshot: null }),
+  }).catch(() => {});
+}
+
+function formatSavedAgo(savedAt) {
+  const minutes = Math.max(0, Math.round((Date.now() - savedAt) / 60000));
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  return `${hours} hour${hours === 1 ? "" : "s"} ago`;
+}
+
 export default function GamePlayerRoot({
   game,
+  uid, // signed-in user; undefined while auth is still resolving
   levelIndex = 0,
   deviceId = "web",
+  facilitator = false, // owner / admin: facilitator hotkeys (runtime/inputMap)
+  preview = false, // owner / admin debug mode: no play is created, nothing recorded
+  nodeIndex = 0, // preview can start at any node
   onComplete,
 }) {
   const { width, height } = useWindowSize(640, 480);
@@ -20,18 +88,34 @@ export default function GamePlayerRoot({
   const initialLevelId = game?.levels?.[levelIndex]?.id ?? null;
 
   const [playId, setPlayId] = useState(null);
+  const [resume, setResume] = useState(null); // { snapshot, nextPoseSeq }
+  const [resumeOffer, setResumeOffer] = useState(null); // { playId, snapshot, nextPoseSeq, savedAt }
   const [creatingPlay, setCreatingPlay] = useState(false);
   const [createError, setCreateError] = useState(null);
 
   // Prevent accidental double create in dev StrictMode
   const createdOnceRef = useRef(false);
 
-  const createPlay = useCallback(async () => {
+  const key = uid ? resumeKey(uid, gameId, levelIndex) : null;
+
+  const createPlay = useCallback(async ({ offerResume = true } = {}) => {
     if (!gameId || !initialLevelId) return;
 
     setCreatingPlay(true);
     setCreateError(null);
 
+    const resumePlayId = key ? readResumePlayId(key) : null;
+    if (resumePlayId && offerResume) {
+      const saved = await fetchResumableSnapshot(resumePlayId, { gameId, uid }).catch(() => null);
+      if (saved) {
+        // the player decides (resume or start over)
+        setResumeOffer({ playId: resumePlayId, ...saved });
+        setCreatingPlay(false);
+        return;
+      }
+      if (key) writeResumePlayId(key, null);
+    }
+
     const maxAttempts = 6;
 
     try {
@@ -45,6 +129,7 @@ export default function GamePlayerRoot({
 
         if (res.ok) {
           const json = await res.json();
+          if (key) writeResumePlayId(key, json.playId);
           setPlayId(json.playId);
           setCreatingPlay(false);
           return;
@@ -65,18 +150,33 @@ export default function GamePlayerRoot({
       setCreateError(e?.message ?? String(e));
       setCreatingPlay(false);
     }
-  }, [gameId, initialLevelId, deviceId]);
+  }, [gameId, initialLevelId, deviceId, key, uid]);
 
-  // Create play on mount (once), only after initialLevelId exists
+  const acceptResume = () => {
+    setResume({ snapshot: resumeOffer.snapshot, nextPoseSeq: resumeOffer.nextPoseSeq });
+    setPlayId(resumeOffer.playId);
+    setResumeOffer(null);
+  };
+
+  const declineResume = () => {
+    void discardSnapshot(resumeOffer.playId);
+    if (key) writeResumePlayId(key, null);
+    setResumeOffer(null);
+    void createPlay({ offerResume: false });
+  };
+
+  // Create play on mount (once), only after initialLevelId exists and auth has resolved
   useEffect(() => {
+    if (preview) return;
     if (!gameId || !initialLevelId) return;
+    if (uid === undefined) return;
     if (playId) return;
 
     if (createdOnceRef.current) return;
     createdOnceRef.current = true;
 
     void createPlay();
-  }, [gameId, initialLevelId, playId, createPlay]);
+  }, [preview, gameId, initialLevelId, uid, playId, createPlay]);
 
   if (!gameId || !initialLevelId) {
     return (
@@ -86,6 +186,52 @@ export default function GamePlayerRoot({
     );
   }
 
+  if (preview) {
+    return (
+      <GamePlayerInner
+        game={game}
+        levelIndex={levelIndex}
+        nodeIndex={nodeIndex}
+        deviceId={deviceId}
+        playId={null}
+        facilitator={facilitator}
+        preview
+        onComplete={onComplete}
+        width={width}
+        height={height}
+      />
+    );
+  }
+
+  if (resumeOffer) {
+    return (
+      <div className="w-full h-screen bg-gray-950 text-white flex flex-col items-center justify-center gap-4 px-6 text-center">
+        <div className="text-lg">Continue where you left off?</div>
+        <div className="text-sm text-white/60">
+          Saved {formatSavedAgo(resumeOffer.savedAt)}
+          {Number.isInteger(resumeOffer.snapshot?.levelIndex) ? ` · level ${resumeOffer.snapshot.levelIndex + 1}` : ""}
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={acceptResume}
+            className="px-4 py-2 rounded-xl bg-emerald-500/80 hover:bg-emerald-500 ring-1 ring-white/20"
+          >
+            Resume
+          </button>
+          <button
+            type="button"
+            onClick={declineResume}
+            className="px-4 py-2 rounded-xl bg-white/10 hover:bg-white/15 ring-1 ring-white/20"
+          >
+            Start over
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   if (!playId) {
     return (
       <div className="w-full h-screen bg-gray-950 text-white flex flex-col items-center justify-center gap-4 px-6 text-center">
@@ -121,6 +267,9 @@ export default function GamePlayerRoot({
       levelIndex={levelIndex}
       deviceId={deviceId}
       playId={playId}
+      snapshot={resume?.snapshot ?? null}
+      initialPoseSeq={resume?.nextPoseSeq ?? 0}
+      facilitator={facilitator}
       onComplete={onComplete}
       width={width}
       height={height}
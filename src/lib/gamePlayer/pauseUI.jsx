@@ -81,17 +81,7 @@ export default function PauseUI({ session, dispatch, onBackToMenu }) {
 
   const label = useMemo(() => formatStopwatch(displayMs), [displayMs]);
 
-  // keyboard shortcut: Esc pauses/resumes
-  useEffect(() => {
-    const onKeyDown = (e) => {
-      if (e.key !== "Escape") return;
-      e.preventDefault();
-      if (paused) onResume();
-      else onPause();
-    };
-    window.addEventListener("keydown", onKeyDown);
-    return () => window.removeEventListener("keydown", onKeyDown);
-  }, [paused, onPause, onResume]);
+  // keyboard / gamepad pause (Esc, P, Start) lives in runtime/inputMap
 
   // ✅ Shared pose-cursor clickable button base
   // Added "pause-ui-button" so PoseCursor can target these only while paused.
@@ -0,0 +1,148 @@
+"use client";
+
+import React, { useCallback, useMemo, useState } from "react";
+import { commands } from "@/lib/gamePlayer/session/commands";
+
+// what the state panel shows (the full session also holds game/nodes/effects)
+function debugState(session) {
+  return {
+    levelIndex: session?.levelIndex ?? null,
+    levelId: session?.levelId ?? null,
+    nodeIndex: session?.nodeIndex ?? null,
+    nodeId: session?.node?.id ?? null,
+    stateType: session?.node?.type ?? null,
+    stepIndex: session?.stepIndex ?? null,
+    dialogueIndex: session?.dialogueIndex ?? null,
+    poseMatchRoundIndex: session?.poseMatchRoundIndex ?? 0,
+    elapsedMS: Math.round(Number(session?.time?.elapsed) || 0),
+    flags: session?.flags ?? {},
+    poseMatch: session?.poseMatch
+      ? {
+          overall: Math.round(Number(session.poseMatch.overall) || 0),
+          thresholdPct: session.poseMatch.thresholdPct,
+          matched: !!session.poseMatch.matched,
+          held: !!session.poseMatch.held,
+          targetPoseId: session.poseMatch.targetPoseId ?? null,
+        }
+      : null,
+    poseSequence: session?.poseSequence
+      ? {
+          overall: Math.round(Number(session.poseSequence.overall) || 0),
+          thresholdPct: session.poseSequence.thresholdPct,
+          matched: !!session.poseSequence.matched,
+          targetSequenceId: session.poseSequence.targetSequenceId ?? null,
+        }
+      : null,
+    explore: session?.explore
+      ? { samples: session.explore.samples ?? 0, measurements: session.explore.measurements ?? [] }
+      : null,
+    numeric: session?.numeric ?? null,
+    reflection: session?.reflection ? { length: session.reflection.text?.length ?? 0 } : null,
+    nodeOutcome: session?.nodeOutcome ?? null,
+    graphReturnIndex: session?.graphReturnIndex ?? null,
+    difficulty: session?.difficulty?.level ?? 0,
+    levelScore: session?.levelScore ?? null,
+    timers: (session?.timers ?? []).map(
+      (t) => `${t.kind} in ${Math.max(0, Math.round((Number(t.at) || 0) - (Number(session?.time?.now) || 0)))}ms`
+    ),
+  };
+}
+
+/**
+ * Preview/debug mode (owners + admins, nothing is recorded): level select, a timeline of the
+ * level's nodes to jump to, step back / forward and the live session state.
+ * Plain buttons only, so PoseCursor (.next-button) never triggers them.
+ */
+export default function PreviewOverlay({ session, dispatch }) {
+  const [showState, setShowState] = useState(false);
+  const [collapsed, setCollapsed] = useState(false);
+
+  const levels = useMemo(() => session?.game?.levels ?? [], [session?.game?.levels]);
+  const nodes = useMemo(() => session?.nodes ?? [], [session?.nodes]);
+  const levelIndex = session?.levelIndex ?? 0;
+  const nodeIndex = session?.nodeIndex ?? 0;
+
+  const goto = useCallback(
+    (toLevelIndex, toNodeIndex) =>
+      dispatch(commands.previewGoto({ levelIndex: toLevelIndex, nodeIndex: toNodeIndex })),
+    [dispatch]
+  );
+
+  // nearest real node in a direction (null slots are skipped; branch nodes are reachable here)
+  const step = (dir) => {
+    for (let i = nodeIndex + dir; i >= 0 && i < nodes.length; i += dir) {
+      if (nodes[i] != null) return goto(levelIndex, i);
+    }
+  };
+
+  const btn =
+    "rounded-lg bg-white/10 px-2.5 py-1 text-xs text-white hover:bg-white/20 disabled:opacity-40 disabled:cursor-not-allowed";
+
+  return (
+    <div className="absolute left-4 bottom-4 z-[57] w-[420px] max-w-[45vw] pointer-events-auto rounded-2xl bg-gray-900/90 ring-1 ring-amber-300/40 p-3 text-white text-xs space-y-2">
+      <div className="flex items-center gap-2">
+        <span className="rounded bg-amber-400 px-1.5 py-0.5 font-bold text-gray-900">PREVIEW</span>
+        <span className="flex-1 text-white/60">Not recorded</span>
+        <button type="button" className={btn} onClick={() => setCollapsed((v) => !v)}>
+          {collapsed ? "Show" : "Hide"}
+        </button>
+      </div>
+
+      {!collapsed && (
+        <>
+          <div className="flex items-center gap-2">
+            <select
+              value={levelIndex}
+              onChange={(e) => goto(Number(e.target.value), 0)}
+              className="flex-1 rounded-lg bg-white/10 px-2 py-1 text-xs text-white"
+            >
+              {levels.map((l, i) => (
+                <option key={`${l?.id ?? "level"}:${i}`} value={i} className="text-black">
+                  {i + 1}. {l?.name || l?.id || "Level"}
+                </option>
+              ))}
+            </select>
+            <button type="button" className={btn} onClick={() => step(-1)} disabled={nodeIndex <= 0}>
+              ◀ Back
+            </button>
+            <button type="button" className={btn} onClick={() => step(1)} disabled={nodeIndex >= nodes.length - 1}>
+              Forward ▶
+            </button>
+          </div>
+
+          {/* node timeline */}
+          <div className="flex flex-wrap gap-1">
+            {nodes.map((n, i) =>
+              n == null ? null : (
+                <button
+                  key={`${n.id ?? "node"}:${i}`}
+                  type="button"
+                  onClick={() => goto(levelIndex, i)}
+                  title={n.id ?? ""}
+                  className={[
+                    "rounded-md px-1.5 py-0.5 ring-1",
+                    i === nodeIndex ? "bg-amber-400 text-gray-900 ring-amber-300" : "bg-white/5 ring-white/15 hover:bg-white/15",
+                    n.branch ? "italic" : "",
+                  ].join(" ")}
+                >
+                  {i}. {n.type}
+                  {n.branch ? " ⤷" : ""}
+                </button>
+              )
+            )}
+          </div>
+
+          <button type="button" className={btn} onClick={() => setShowState((v) => !v)}>
+            {showState ? "Hide state" : "Show state"}
+          </button>
+
+          {showState && (
+            <pre className="max-h-64 overflow-auto rounded-lg bg-black/50 p-2 font-mono text-[11px] leading-snug text-white/80">
+              {JSON.stringify(debugState(session), null, 2)}
+            </pre>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,412 @@
+"use client";
+
+/**
+ * Deterministic replay of a recorded play.
+ *
+ * Recorded telemetry (plays/{id}/eventData) is mostly reducer *output*, so the engine re-runs
+ * createInitialSession/sessionReducer and reconciles as it goes:
+ *  - ticks at the recorded `at` clock make timers (cursor, auto-advance) fire exactly as they did
+ *  - a recorded event the replay already produced is just matched off
+ *  - otherwise it is turned back into the command that caused it (NEXT click/auto, answers, pause...)
+ *  - boundary events that still don't line up are reported as divergences
+ * Pose frames (plays/{id}/poseFrames) are placed on the same timeline for the drawer.
+ *
+ * Timeline `t` is ms since the play started, on the wall clock: each page's `at` values are
+ * performance.now() based, mapped through that page's timeOrigin (SESSION_START/SESSION_RESUMED).
+ */
+
+import { createInitialSession, sessionReducer } from "@/lib/gamePlayer/session/reducer";
+
+// synthetic ticks between recorded events (timers resolve to this granularity)
+const TICK_MS = 100;
+
+// replayed events waiting to be matched against the recording
+const MAX_PENDING = 200;
+
+// recorded input => command
+const DIRECT_COMMANDS = {
+  PAUSE: () => ({ name: "PAUSE" }),
+  RESUME: () => ({ name: "RESUME" }),
+  PLAYER_LOST: () => ({ name: "PLAYER_LOST" }),
+  PLAYER_REACQUIRED: (e) => ({ name: "PLAYER_REACQUIRED", payload: { lostMS: e.lostMS } }),
+  TRUE_FALSE_SELECTED: (e) => ({
+    name: "TRUE_FALSE_SELECTED",
+    payload: { answer: e.answer ?? e.selectedValue ?? null, question: e.question ?? null, at: e.at },
+  }),
+  INSIGHT_OPTION_SELECTED: (e) => ({
+    name: "INSIGHT_OPTION_SELECTED",
+    payload: {
+      optionIndex: e.optionIndex,
+      optionId: e.optionId,
+      optionText: e.optionText,
+      value: e.value,
+      question: e.question,
+      at: e.at,
+    },
+  }),
+  NUMERIC_ANSWER_SUBMITTED: (e) => ({
+    name: "NUMERIC_ANSWER_SUBMITTED",
+    payload: { value: num(e.value), input: e.input ?? null, at: e.at },
+  }),
+  REFLECTION_SUBMITTED: (e) => ({
+    name: "REFLECTION_SUBMITTED",
+    payload: { text: e.text ?? "", at: e.at },
+  }),
+  EXPLORE_MEASUREMENT: (e) => ({
+    name: "EXPLORE_MEASUREMENTS",
+    payload: { measurements: Array.isArray(e.measurements) ? e.measurements : Object.values(e.measurements ?? {}) },
+  }),
+  FACILITATOR_ACTION: (e) =>
+    e.action === "JUMP_LEVEL"
+      ? { name: "FACILITATOR_JUMP_LEVEL", payload: { levelIndex: num(e.toLevelIndex) } }
+      : { name: "FACILITATOR_SKIP_NODE" },
+};
+
+// recorded "NEXT happened here" events
+const STEP_EVENT_TYPES = new Set([
+  "DIALOGUE_NEXT",
+  "DIALOGUE_END",
+  "TWEEN_SKIP",
+  "POSE_MATCH_CLICK_NEXT",
+  "POSE_MATCH_AUTO_NEXT",
+  "POSE_MATCH_REP_FINISH_CLICK",
+  "POSE_MATCH_REP_FINISH_AUTO",
+  "POSE_SEQUENCE_CLICK_NEXT",
+  "POSE_SEQUENCE_AUTO_NEXT",
+]);
+
+// node boundaries; the first one of a NEXT that had no step event (e.g. last pose of a round)
+const BOUNDARY_TYPES = new Set(["STATE_TRANSITION", "STATE_EXIT"]);
+
+// boundaries only the reducer itself can produce; a miss means the replay diverged
+const CHECK_TYPES = new Set(["STATE_ENTER", "LEVEL_START", "LEVEL_END", "SESSION_END"]);
+
+// boundaries caused by timers, reproduced by ticking
+const TIMER_REASONS = new Set(["AUTO_ADVANCE"]);
+
+const SEGMENT_START_TYPES = new Set(["SESSION_START", "SESSION_RESUMED"]);
+
+const MATCHED_TYPES = new Set([
+  ...Object.keys(DIRECT_COMMANDS),
+  ...STEP_EVENT_TYPES,
+  ...BOUNDARY_TYPES,
+  ...CHECK_TYPES,
+]);
+
+/* ----------------------------- recorded data ----------------------------- */
+
+function asList(raw) {
+  if (Array.isArray(raw)) return raw.map((v, i) => [String(i).padStart(12, "0"), v]);
+  if (raw && typeof raw === "object") return Object.entries(raw);
+  return [];
+}
+
+const num = (v) => (v === null || v === undefined || v === "" ? null : Number.isFinite(Number(v)) ? Number(v) : null);
+
+/**
+ * eventData (RTDB push keys are chronological) => [{ ...evt, at }]
+ */
+export function normalizeRecordedEvents(eventData) {
+  return asList(eventData)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, e]) => ({ ...e, key, at: num(e?.timestamp ?? e?.at) }))
+    .filter((e) => typeof e.type === "string" && e.at !== null);
+}
+
+/**
+ * poseFrames => [{ ...frame, wallAt }] in time order
+ */
+export function normalizeRecordedFrames(poseFrames) {
+  return asList(poseFrames)
+    .map(([, f]) => f)
+    .filter((f) => f && f.poseData && num(f.timestamp) !== null)
+    .map((f) => ({ ...f, wallAt: Number(f.timestamp) }))
+    .sort((a, b) => a.wallAt - b.wallAt || (num(a.seq) ?? 0) - (num(b.seq) ?? 0));
+}
+
+// one segment per page load (SESSION_START, then one per SESSION_RESUMED)
+function splitSegments(events) {
+  const segments = [];
+  for (const e of events) {
+    if (!segments.length || SEGMENT_START_TYPES.has(e.type)) segments.push({ events: [] });
+    segments[segments.length - 1].events.push(e);
+  }
+
+  for (const seg of segments) {
+    const start = seg.events[0];
+    // older recordings have no timeOrigin: the earliest server receive time bounds it closely
+    const fromReceipt = seg.events
+      .filter((e) => num(e.createdAt) !== null)
+      .reduce((best, e) => Math.min(best, Number(e.createdAt) - e.at), Infinity);
+
+    seg.origin = num(start.timeOrigin) ?? (Number.isFinite(fromReceipt) ? fromReceipt : null);
+  }
+
+  // last resort: stack segments end to end
+  let cursor = 0;
+  for (const seg of segments) {
+    if (seg.origin === null) seg.origin = cursor - seg.events[0].at;
+    cursor = seg.origin + seg.events[seg.events.length - 1].at;
+  }
+
+  return segments;
+}
+
+/* ----------------------------- replay ----------------------------- */
+
+function sameNode(a, b) {
+  if ((a.levelIndex ?? null) !== (b.levelIndex ?? null)) return false;
+  if ((a.nodeIndex ?? null) !== (b.nodeIndex ?? null)) return false;
+  if (a.dialogueIndex !== undefined && b.dialogueIndex !== undefined && a.dialogueIndex !== b.dialogueIndex) {
+    return false;
+  }
+  return true;
+}
+
+function isAutoStep(e) {
+  return /(^|_)AUTO(_|$)/.test(e.type) || /(^|_)AUTO(_|$)/.test(String(e.reason ?? ""));
+}
+
+function markerFor(e) {
+  switch (e.type) {
+    case "SESSION_START":
+      return { kind: "session", label: "Session start" };
+    case "SESSION_RESUMED":
+      return { kind: "session", label: "Resumed" };
+    case "SESSION_END":
+      return { kind: "session", label: "Session end" };
+    case "LEVEL_START":
+      return { kind: "level", label: `Level ${(num(e.levelIndex) ?? 0) + 1}` };
+    case "STATE_ENTER":
+      return { kind: "state", label: e.stateType ?? "state" };
+    case "STATE_TRANSITION":
+      return e.branched ? { kind: "branch", label: `${e.fromNodeId} → ${e.toNodeId} (${e.outcome})` } : null;
+    case "PAUSE":
+      return { kind: "pause", label: "Paused" };
+    case "PLAYER_LOST":
+      return { kind: "pause", label: "Player lost" };
+    case "PLAYER_REACQUIRED":
+      return { kind: "pause", label: "Player back" };
+    case "TRUE_FALSE_SELECTED":
+      return { kind: "answer", label: `Answered ${e.selectedLabel ?? e.answer}` };
+    case "INSIGHT_OPTION_SELECTED":
+      return { kind: "answer", label: `Picked ${e.optionText ?? e.selectedLabel ?? e.optionId ?? "option"}` };
+    case "NUMERIC_ANSWER_SUBMITTED":
+      return { kind: "answer", label: `Estimated ${e.value}` };
+    case "REFLECTION_SUBMITTED":
+      return { kind: "answer", label: "Reflection" };
+    case "FACILITATOR_ACTION":
+      return {
+        kind: "facilitator",
+        label:
+          e.action === "JUMP_LEVEL"
+            ? `Facilitator: jump to level ${(num(e.toLevelIndex) ?? 0) + 1}`
+            : "Facilitator: skipped node",
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * @returns {{
+ *   duration: number,
+ *   states: Array<{ t: number, session: object }>,   // session after each input / tick
+ *   frames: Array<{ t: number, poseData: object, nodeIndex, levelIndex }>,
+ *   markers: Array<{ t: number, type: string, kind: string, label: string }>,
+ *   divergences: Array<{ t: number, type: string, levelIndex, nodeIndex, reason }>,
+ * }}
+ */
+export function buildReplay({ game, playId = null, events, frames }) {
+  const recorded = normalizeRecordedEvents(events);
+  const poseFrames = normalizeRecordedFrames(frames);
+
+  const empty = { duration: 0, states: [], frames: [], markers: [], divergences: [] };
+  if (!game || !recorded.length) return empty;
+
+  const segments = splitSegments(recorded);
+  const wallStart = Math.min(
+    segments[0].origin + segments[0].events[0].at,
+    poseFrames.length ? poseFrames[0].wallAt : Infinity
+  );
+
+  const states = [];
+  const markers = [];
+  const divergences = [];
+
+  let session = null;
+  let pending = [];
+
+  const drain = () => {
+    for (const eff of session.effects ?? []) {
+      if (eff.type === "TELEMETRY_EVENT" && MATCHED_TYPES.has(eff.event?.type)) pending.push(eff.event);
+    }
+    if (pending.length > MAX_PENDING) pending = pending.slice(-MAX_PENDING);
+    session = sessionReducer(session, { type: "CONSUME_EFFECTS" });
+  };
+
+  const apply = (action) => {
+    session = sessionReducer(session, action);
+    drain();
+  };
+
+  const command = (name, payload) => apply({ type: "COMMAND", name, payload });
+
+  const takePending = (e) => {
+    const i = pending.findIndex((p) => p.type === e.type && sameNode(p, e));
+    if (i < 0) return false;
+    pending.splice(i, 1);
+    return true;
+  };
+
+  for (const seg of segments) {
+    const toT = (at) => seg.origin + at - wallStart;
+    const snap = () => states.push({ t: toT(session.time.now), session });
+
+    const tickTo = (at) => {
+      let now = session.time.now;
+      while (now + TICK_MS < at) {
+        now += TICK_MS;
+        apply({ type: "TICK", now });
+        snap();
+      }
+      if (at > session.time.now) apply({ type: "TICK", now: at });
+    };
+
+    const first = seg.events[0];
+    const levelIndex = num(seg.events.find((e) => num(e.levelIndex) !== null)?.levelIndex) ?? 0;
+
+    pending = [];
+    if (first.type === "SESSION_RESUMED") {
+      session = createInitialSession({
+        game,
+        playId,
+        now: first.at,
+        snapshot: {
+          levelIndex: num(first.levelIndex) ?? 0,
+          levelId: first.levelId ?? null,
+          nodeIndex: num(first.nodeIndex) ?? 0,
+          poseMatchRoundIndex: num(first.repIndex) ?? 0,
+        },
+      });
+    } else {
+      session = createInitialSession({ game, playId, initialLevel: levelIndex, now: first.at });
+    }
+    drain();
+
+    for (let k = 0; k < seg.events.length; k++) {
+      const e = seg.events[k];
+      tickTo(e.at);
+
+      const marker = markerFor(e);
+      if (marker) markers.push({ t: toT(e.at), type: e.type, ...marker });
+
+      if (SEGMENT_START_TYPES.has(e.type) || takePending(e)) {
+        snap();
+        continue;
+      }
+
+      const direct = DIRECT_COMMANDS[e.type];
+      const isStep =
+        STEP_EVENT_TYPES.has(e.type) || (BOUNDARY_TYPES.has(e.type) && !TIMER_REASONS.has(e.reason));
+
+      if (direct) {
+        const { name, payload } = direct(e);
+        command(name, payload);
+      } else if (isStep && e.reason === "RESTART_LEVEL") {
+        command("RESTART_LEVEL");
+      } else if (isStep) {
+        const nodeType = session.node?.type;
+        let source = isAutoStep(e) ? "auto" : "click";
+
+        // TWEEN_SKIP is logged for both; the transition after it says which
+        if (e.type === "TWEEN_SKIP") {
+          const next = seg.events.slice(k + 1).find((x) => x.type === "STATE_TRANSITION");
+          source = next?.outcome === "done" ? "auto" : "click";
+        }
+
+        // auto-advance was gated on a held match; the frames that produced it are display-only here
+        if (source === "auto" && nodeType === "poseMatch") {
+          command("POSE_MATCH_SCORES", {
+            overall: 100,
+            thresholdPct: session.poseMatch?.thresholdPct,
+            stable: true,
+            targetPoseId: session.poseMatch?.targetPoseId ?? null,
+            stepIndex: session.stepIndex ?? null,
+          });
+        }
+        if (source === "auto" && nodeType === "poseSequence") {
+          command("POSE_SEQUENCE_SCORES", {
+            overall: 100,
+            thresholdPct: session.poseSequence?.thresholdPct,
+            targetSequenceId: session.poseSequence?.targetSequenceId ?? null,
+            stepIndex: session.stepIndex ?? null,
+          });
+        }
+
+        command("NEXT", { source });
+      }
+
+      if ((direct || isStep || CHECK_TYPES.has(e.type)) && !takePending(e)) {
+        divergences.push({
+          t: toT(e.at),
+          type: e.type,
+          levelIndex: num(e.levelIndex),
+          nodeIndex: num(e.nodeIndex),
+          reason: e.reason ?? null,
+        });
+      }
+
+      snap();
+    }
+  }
+
+  const outFrames = poseFrames.map((f) => ({
+    t: f.wallAt - wallStart,
+    poseData: f.poseData,
+    levelIndex: num(f.levelIndex),
+    nodeIndex: num(f.nodeIndex),
+  }));
+
+  const duration = Math.max(
+    states.length ? states[states.length - 1].t : 0,
+    outFrames.length ? outFrames[outFrames.length - 1].t : 0
+  );
+
+  return { duration, states, frames: outFrames, markers, divergences };
+}
+
+/* ----------------------------- scrubbing ----------------------------- */
+
+// last item with item.t <= t
+function indexAt(list, t) {
+  let lo = 0;
+  let hi = list.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].t <= t) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+export function sessionAt(replay, t) {
+  const states = replay?.states ?? [];
+  if (!states.length) return null;
+  return states[Math.max(0, indexAt(states, t))].session;
+}
+
+/**
+ * Pose shown at t (null in gaps, e.g. dialogue, where no frames were recorded)
+ */
+export function poseAt(replay, t, maxGapMS = 250) {
+  const frames = replay?.frames ?? [];
+  const i = indexAt(frames, t);
+  if (i < 0 || t - frames[i].t > maxGapMS) return null;
+  return frames[i].poseData;
+}
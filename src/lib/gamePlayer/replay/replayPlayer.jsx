@@ -0,0 +1,199 @@
+"use client";
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useRafTick } from "@/lib/gamePlayer/runtime/useRafTick";
+import { buildReplay, poseAt, sessionAt } from "@/lib/gamePlayer/replay/replayEngine";
+import { STATE_TYPES, normalizeStateType } from "@/lib/gamePlayer/states/_shared/stateTypes";
+import PoseDrawer from "@/lib/pose/poseDrawer";
+import StateRenderer from "../stateRenderer";
+
+const STAGE_W = 960;
+const STAGE_H = 540;
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+const MARKER_COLORS = {
+  session: "bg-white",
+  level: "bg-blue-400",
+  state: "bg-gray-400",
+  branch: "bg-purple-400",
+  pause: "bg-yellow-400",
+  answer: "bg-green-400",
+  facilitator: "bg-orange-400",
+};
+
+function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.floor((Number(ms) || 0) / 1000));
+  const mm = String(Math.floor(totalSeconds / 60)).padStart(2, "0");
+  const ss = String(totalSeconds % 60).padStart(2, "0");
+  return `${mm}:${ss}`;
+}
+
+// views are display-only here: inputs come from the recording
+const noopDispatch = () => {};
+
+/**
+ * "Watch the play": re-runs the recorded play through the session reducer and renders it
+ * with StateRenderer + PoseDrawer, scrubbable along a timeline of markers.
+ */
+export default function ReplayPlayer({ game, playId = null, events, frames }) {
+  const replay = useMemo(() => buildReplay({ game, playId, events, frames }), [game, playId, events, frames]);
+
+  const [t, setT] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // pose views read the live pose from a ref, as in the real player
+  const poseDataRef = useRef(null);
+  const poseData = poseAt(replay, t);
+  useEffect(() => {
+    poseDataRef.current = poseData;
+  }, [poseData]);
+
+  // stops by itself at the end
+  const running = playing && t < replay.duration;
+
+  useRafTick({
+    enabled: running,
+    onTick: ({ dt }) => {
+      setT((prev) => Math.min(replay.duration, prev + dt * speed));
+    },
+  });
+
+  const session = sessionAt(replay, t);
+
+  const seekMarker = useCallback(
+    (dir) => {
+      const list = replay.markers;
+      const target =
+        dir > 0 ? list.find((m) => m.t > t + 1) : [...list].reverse().find((m) => m.t < t - 250);
+      if (target) setT(target.t);
+    },
+    [replay.markers, t]
+  );
+
+  if (!session) {
+    return <p className="p-8 text-gray-500">No recorded events for this play.</p>;
+  }
+
+  const pct = (ms) => (replay.duration > 0 ? (ms / replay.duration) * 100 : 0);
+  const node = session.node;
+
+  return (
+    <div className="space-y-4">
+      {/* Stage */}
+      <div
+        className="relative overflow-hidden rounded-xl bg-gray-950"
+        style={{ width: STAGE_W, height: STAGE_H }}
+      >
+        <div className="absolute inset-0">
+          <StateRenderer
+            session={session}
+            dispatch={noopDispatch}
+            poseDataRef={poseDataRef}
+            width={STAGE_W}
+            height={STAGE_H}
+            game={game}
+          />
+        </div>
+
+        <div className="absolute right-4 top-4 z-[55] pointer-events-none">
+          <PoseDrawer
+            poseData={poseData}
+            width={Math.floor(STAGE_W * 0.35)}
+            height={Math.floor(STAGE_H * 0.6)}
+            guides={normalizeStateType(node?.type) === STATE_TYPES.EXPLORE ? node?.guides : null}
+          />
+        </div>
+
+        {session.flags?.paused && (
+          <div className="absolute left-4 top-4 z-[56] rounded bg-yellow-500/90 px-2 py-1 text-xs font-semibold text-black">
+            {session.flags?.pausedBy === "player_lost" ? "Paused: player lost" : "Paused"}
+          </div>
+        )}
+      </div>
+
+      {/* Timeline */}
+      <div style={{ width: STAGE_W }}>
+        <div className="relative h-4">
+          {replay.markers.map((m, i) => (
+            <button
+              key={`${m.type}:${i}`}
+              type="button"
+              title={`${formatClock(m.t)} ${m.label}`}
+              onClick={() => setT(m.t)}
+              className={`absolute top-0 h-4 w-1 -translate-x-1/2 rounded ${MARKER_COLORS[m.kind] ?? "bg-gray-400"}`}
+              style={{ left: `${pct(m.t)}%` }}
+            />
+          ))}
+          {replay.divergences.map((d, i) => (
+            <span
+              key={`div:${i}`}
+              title={`${formatClock(d.t)} replay diverged at ${d.type}`}
+              className="absolute -bottom-1 h-1 w-2 -translate-x-1/2 bg-red-500"
+              style={{ left: `${pct(d.t)}%` }}
+            />
+          ))}
+        </div>
+
+        <input
+          type="range"
+          min={0}
+          max={Math.max(1, Math.round(replay.duration))}
+          step={10}
+          value={Math.round(t)}
+          onChange={(e) => setT(Number(e.target.value))}
+          className="w-full"
+        />
+
+        <div className="flex items-center gap-3 text-sm">
+          <button type="button" onClick={() => seekMarker(-1)} className="px-2 py-1 rounded border">
+            ◀ marker
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              if (running) return setPlaying(false);
+              if (t >= replay.duration) setT(0);
+              setPlaying(true);
+            }}
+            className="px-3 py-1 rounded bg-blue-500 hover:bg-blue-600 text-white"
+          >
+            {running ? "Pause" : "Play"}
+          </button>
+          <button type="button" onClick={() => seekMarker(1)} className="px-2 py-1 rounded border">
+            marker ▶
+          </button>
+
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="rounded border px-2 py-1">
+            {SPEEDS.map((s) => (
+              <option key={s} value={s}>
+                {s}×
+              </option>
+            ))}
+          </select>
+
+          <span className="font-mono">
+            {formatClock(t)} / {formatClock(replay.duration)}
+          </span>
+
+          <span className="ml-auto text-gray-500">
+            Level {(session.levelIndex ?? 0) + 1} · {node?.id ?? node?.type ?? "—"}
+            {Number.isFinite(session.stepIndex) ? ` · step ${session.stepIndex + 1}` : ""}
+            {session.poseMatchRoundIndex ? ` · rep ${session.poseMatchRoundIndex + 1}` : ""}
+          </span>
+        </div>
+
+        {replay.divergences.length > 0 && (
+          <p className="mt-2 text-sm text-red-600">
+            {replay.divergences.length} recorded event(s) could not be reproduced (red ticks); the level
+            may have changed since this play.
+          </p>
+        )}
+        {replay.frames.length === 0 && (
+          <p className="mt-2 text-sm text-gray-500">No pose frames recorded for this play.</p>
+        )}
+      </div>
+    </div>
+  );
+}
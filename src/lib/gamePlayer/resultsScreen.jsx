@@ -0,0 +1,94 @@
+"use client";
+
+import React, { useCallback } from "react";
+import { commands } from "@/lib/gamePlayer/session/commands";
+import { MAX_STARS } from "@/lib/gamePlayer/session/scoring";
+
+const COMPONENT_LABELS = {
+  poseQuality: "Poses",
+  speed: "Speed",
+  answers: "Answers",
+  reps: "Reps",
+};
+
+function Stars({ count, max = MAX_STARS, className = "" }) {
+  return (
+    <span className={className} aria-label={`${count} of ${max} stars`}>
+      {Array.from({ length: max }, (_, i) => (
+        <span key={i} className={i < count ? "text-yellow-300" : "text-white/20"}>
+          ★
+        </span>
+      ))}
+    </span>
+  );
+}
+
+/**
+ * End-of-game results (session.results, see session/scoring.js).
+ * Continue dispatches RESULTS_CONTINUE, which is what fires ON_COMPLETE.
+ */
+export default function ResultsScreen({ session, dispatch }) {
+  const results = session?.results ?? null;
+  const levels = Array.isArray(results?.levels) ? results.levels : [];
+  const levelNames = session?.game?.levels ?? [];
+
+  const onContinue = useCallback(() => dispatch(commands.resultsContinue()), [dispatch]);
+
+  if (!session?.flags?.showResults || !results) return null;
+
+  return (
+    <div className="absolute inset-0 z-[85] flex items-center justify-center bg-black/70 pointer-events-auto">
+      <div className="w-full max-w-xl rounded-3xl bg-gray-900/90 ring-1 ring-white/15 px-8 py-6 text-white">
+        <div className="text-center">
+          <div className="text-sm uppercase tracking-wide text-white/60">Game complete</div>
+          <Stars count={results.stars} className="mt-2 block text-5xl" />
+          <div className="mt-2 text-3xl font-bold">
+            {results.score === null ? "—" : results.score}
+            <span className="text-lg font-medium text-white/50"> / 100</span>
+          </div>
+          {results.maxStars > 0 && (
+            <div className="text-sm text-white/60">
+              {results.totalStars} of {results.maxStars} stars
+            </div>
+          )}
+        </div>
+
+        {levels.length > 0 && (
+          <ul className="mt-5 space-y-2 max-h-64 overflow-y-auto">
+            {levels.map((l, i) => (
+              <li key={`${l.levelId ?? "level"}:${i}`} className="rounded-xl bg-white/5 px-4 py-2">
+                <div className="flex items-center gap-3">
+                  <span className="flex-1 truncate font-medium">
+                    {levelNames[l.levelIndex]?.name || `Level ${(l.levelIndex ?? i) + 1}`}
+                  </span>
+                  <Stars count={l.stars} className="text-lg" />
+                  <span className="w-10 text-right font-mono">{l.score === null ? "—" : l.score}</span>
+                </div>
+                <div className="mt-1 flex gap-3 text-xs text-white/50">
+                  {Object.entries(COMPONENT_LABELS).map(([key, label]) =>
+                    l.components?.[key] === null || l.components?.[key] === undefined ? null : (
+                      <span key={key}>
+                        {label} {l.components[key]}%
+                      </span>
+                    )
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="mt-6 flex justify-center">
+          <button
+            type="button"
+            onClick={onContinue}
+            data-pose-hover-ms={750}
+            className="next-button results-ui-button rounded-[28px] bg-white/20 ring-2 ring-white/45 hover:bg-white/25 hover:ring-white/60 px-10 py-4 text-2xl font-bold text-white select-none"
+          >
+            Continue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
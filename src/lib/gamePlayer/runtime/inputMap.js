@@ -0,0 +1,92 @@
+// src/lib/gamePlayer/runtime/inputMap.js
+// Keyboard + gamepad bindings for the player (usePlayerInput turns them into actions).
+//
+// Player:
+//   Enter / Space / →      NEXT            gamepad A
+//   Esc / P                TOGGLE_PAUSE    gamepad Start
+//   R (while paused)       RESTART_LEVEL   gamepad Back (while paused)
+//   1-9, T / F             SELECT_OPTION   gamepad D-pad ↑ ↓ ← → (options 1-4)
+//   0, . , -, Backspace    KEYPAD          (number pad keys; 1-9 press pad keys too while a pad is up)
+// Facilitator only (owners / admins):
+//   Shift+→ / Shift+N      SKIP_NODE
+//   Shift+1-9              JUMP_LEVEL      (level 1-9)
+
+export const INPUT_ACTIONS = Object.freeze({
+  NEXT: "NEXT",
+  TOGGLE_PAUSE: "TOGGLE_PAUSE",
+  RESTART_LEVEL: "RESTART_LEVEL",
+  SELECT_OPTION: "SELECT_OPTION",
+  KEYPAD: "KEYPAD",
+  SKIP_NODE: "SKIP_NODE",
+  JUMP_LEVEL: "JUMP_LEVEL",
+});
+
+export const FACILITATOR_ACTIONS = new Set([INPUT_ACTIONS.SKIP_NODE, INPUT_ACTIONS.JUMP_LEVEL]);
+
+const KEY_BINDINGS = {
+  Enter: { action: INPUT_ACTIONS.NEXT },
+  " ": { action: INPUT_ACTIONS.NEXT },
+  ArrowRight: { action: INPUT_ACTIONS.NEXT },
+  Escape: { action: INPUT_ACTIONS.TOGGLE_PAUSE },
+  p: { action: INPUT_ACTIONS.TOGGLE_PAUSE },
+  r: { action: INPUT_ACTIONS.RESTART_LEVEL },
+  t: { action: INPUT_ACTIONS.SELECT_OPTION, optionIndex: 0 },
+  f: { action: INPUT_ACTIONS.SELECT_OPTION, optionIndex: 1 },
+  ".": { action: INPUT_ACTIONS.KEYPAD },
+  "-": { action: INPUT_ACTIONS.KEYPAD },
+  Backspace: { action: INPUT_ACTIONS.KEYPAD },
+};
+
+const FACILITATOR_KEY_BINDINGS = {
+  ArrowRight: { action: INPUT_ACTIONS.SKIP_NODE },
+  N: { action: INPUT_ACTIONS.SKIP_NODE },
+};
+
+// standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+export const GAMEPAD_BINDINGS = {
+  0: { action: INPUT_ACTIONS.NEXT }, // A
+  9: { action: INPUT_ACTIONS.TOGGLE_PAUSE }, // Start
+  8: { action: INPUT_ACTIONS.RESTART_LEVEL }, // Back / Select
+  12: { action: INPUT_ACTIONS.SELECT_OPTION, optionIndex: 0 }, // D-pad up
+  13: { action: INPUT_ACTIONS.SELECT_OPTION, optionIndex: 1 }, // D-pad down
+  14: { action: INPUT_ACTIONS.SELECT_OPTION, optionIndex: 2 }, // D-pad left
+  15: { action: INPUT_ACTIONS.SELECT_OPTION, optionIndex: 3 }, // D-pad right
+};
+
+// Digit1..Digit9 / Numpad1..Numpad9 => 0..8 (by code, so Shift doesn't turn 1 into "!")
+function digitIndex(code) {
+  const m = /^(?:Digit|Numpad)([1-9])$/.exec(String(code ?? ""));
+  return m ? Number(m[1]) - 1 : null;
+}
+
+/**
+ * keydown => { action, optionIndex?, levelIndex?, key } | null
+ */
+export function actionForKey(e, { facilitator = false } = {}) {
+  if (!e || e.ctrlKey || e.metaKey || e.altKey) return null;
+
+  const digit = digitIndex(e.code);
+
+  if (e.shiftKey) {
+    if (!facilitator) return null;
+    if (digit !== null) return { action: INPUT_ACTIONS.JUMP_LEVEL, levelIndex: digit, key: `Shift+${digit + 1}` };
+
+    const binding = FACILITATOR_KEY_BINDINGS[e.key];
+    return binding ? { ...binding, key: `Shift+${e.key}` } : null;
+  }
+
+  if (digit !== null) return { action: INPUT_ACTIONS.SELECT_OPTION, optionIndex: digit, key: String(digit + 1) };
+  if (e.code === "Digit0" || e.code === "Numpad0") return { action: INPUT_ACTIONS.KEYPAD, key: "0" };
+
+  const key = e.key?.length === 1 ? e.key.toLowerCase() : e.key;
+  const binding = KEY_BINDINGS[key];
+  return binding ? { ...binding, key: key === " " ? "Space" : key } : null;
+}
+
+/**
+ * Gamepad button index => { action, optionIndex?, key } | null
+ */
+export function actionForGamepadButton(buttonIndex) {
+  const binding = GAMEPAD_BINDINGS[buttonIndex];
+  return binding ? { ...binding, key: `button${buttonIndex}` } : null;
+}
@@ -0,0 +1,102 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useRafTick } from "@/lib/gamePlayer/runtime/useRafTick";
+import { useStableCallback } from "@/lib/gamePlayer/runtime/useStableCallback";
+import { FACILITATOR_ACTIONS, actionForGamepadButton, actionForKey } from "@/lib/gamePlayer/runtime/inputMap";
+
+function isTypingTarget(el) {
+  if (!el) return false;
+  const tag = String(el.tagName || "").toLowerCase();
+  return tag === "input" || tag === "textarea" || tag === "select" || !!el.isContentEditable;
+}
+
+/**
+ * First enabled on-screen button matching selector (views tag theirs with
+ * data-input-next / data-input-option).
+ */
+export function findInputTarget(selector) {
+  if (typeof document === "undefined") return null;
+  return Array.from(document.querySelectorAll(selector)).find((el) => !el.disabled) ?? null;
+}
+
+// same real DOM click as a PoseCursor hover, so the view's own guards still apply
+export function pressInputTarget(el) {
+  el?.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+}
+
+/**
+ * usePlayerInput
+ *
+ * Keyboard + Gamepad API => onAction({ action, optionIndex?, levelIndex?, key, input }),
+ * input being "keyboard" or "gamepad" (bindings in inputMap).
+ * Facilitator actions are only produced when `facilitator` is set.
+ */
+export function usePlayerInput({ enabled = true, facilitator = false, onAction }) {
+  const emit = useStableCallback((evt) => {
+    if (FACILITATOR_ACTIONS.has(evt.action) && !facilitator) return;
+    onAction?.(evt);
+  });
+
+  // keyboard
+  useEffect(() => {
+    if (!enabled) return;
+
+    const onKeyDown = (e) => {
+      if (e.repeat || isTypingTarget(e.target)) return;
+
+      const mapped = actionForKey(e, { facilitator });
+      if (!mapped) return;
+
+      e.preventDefault();
+      emit({ ...mapped, input: "keyboard" });
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [enabled, facilitator, emit]);
+
+  // gamepads are polled (the API has no button events); only while one is connected
+  const [hasGamepad, setHasGamepad] = useState(false);
+  const pressedRef = useRef(new Map()); // pad index => Set of pressed button indices
+
+  useEffect(() => {
+    if (typeof navigator === "undefined" || typeof navigator.getGamepads !== "function") return;
+
+    const refresh = () => {
+      const pads = Array.from(navigator.getGamepads() ?? []).filter(Boolean);
+      setHasGamepad(pads.length > 0);
+    };
+
+    refresh();
+    window.addEventListener("gamepadconnected", refresh);
+    window.addEventListener("gamepaddisconnected", refresh);
+    return () => {
+      window.removeEventListener("gamepadconnected", refresh);
+      window.removeEventListener("gamepaddisconnected", refresh);
+    };
+  }, []);
+
+  useRafTick({
+    enabled: enabled && hasGamepad,
+    onTick: () => {
+      for (const pad of Array.from(navigator.getGamepads() ?? [])) {
+        if (!pad) continue;
+
+        const prev = pressedRef.current.get(pad.index) ?? new Set();
+        const now = new Set();
+
+        pad.buttons.forEach((b, i) => {
+          if (!b?.pressed) return;
+          now.add(i);
+          if (prev.has(i)) return; // held, not a new press
+
+          const mapped = actionForGamepadButton(i);
+          if (mapped) emit({ ...mapped, input: "gamepad" });
+        });
+
+        pressedRef.current.set(pad.index, now);
+      }
+    },
+  });
+}
@@ -0,0 +1,144 @@
+// src/lib/gamePlayer/session/adaptiveDifficulty.js
+// Optional adaptive difficulty for pose match steps (settings.adaptive).
+// The reducer feeds every finished step in (matched? how long did it take?); after a run of
+// fast matches the level gets harder (higher threshold, longer hold), after repeated misses
+// or slow matches it gets easier. An adjustment stops at the author's bounds (an authored value
+// already past them stays as is), and at level 0 a step plays exactly as authored.
+// Kept free of client-only imports so the levels API can normalize the config with it.
+
+export const DEFAULT_MIN_HOLD_MS = 2000;
+
+// settings.adaptive
+export const DEFAULT_ADAPTIVE = Object.freeze({
+  enabled: false,
+  thresholdMinPct: 50,
+  thresholdMaxPct: 90,
+  minHoldMinMS: 500,
+  minHoldMaxMS: 3000,
+});
+
+// one difficulty level = this much threshold / hold time
+export const THRESHOLD_STEP_PCT = 5;
+export const MIN_HOLD_STEP_MS = 250;
+export const MAX_DIFFICULTY_LEVEL = 6;
+
+// the controller decides on the last WINDOW steps, then starts over
+const WINDOW = 3;
+const FAST_MATCH_MS = 3000;
+const SLOW_MATCH_MS = 10000;
+const MAX_MISSES = 2;
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+const clamp = (n, min, max, fallback) => {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return fallback;
+  return Math.max(min, Math.min(max, x));
+};
+
+/**
+ * settings.adaptive => bounds with min <= max
+ */
+export function normalizeAdaptiveConfig(raw) {
+  const src = isPlainObject(raw) ? raw : {};
+
+  const thresholdMinPct = clamp(src.thresholdMinPct, 0, 100, DEFAULT_ADAPTIVE.thresholdMinPct);
+  const minHoldMinMS = clamp(src.minHoldMinMS, 0, 10000, DEFAULT_ADAPTIVE.minHoldMinMS);
+
+  return {
+    enabled: src.enabled === true || src.enabled === "true",
+    thresholdMinPct,
+    thresholdMaxPct: Math.max(thresholdMinPct, clamp(src.thresholdMaxPct, 0, 100, DEFAULT_ADAPTIVE.thresholdMaxPct)),
+    minHoldMinMS,
+    minHoldMaxMS: Math.max(minHoldMinMS, clamp(src.minHoldMaxMS, 0, 10000, DEFAULT_ADAPTIVE.minHoldMaxMS)),
+  };
+}
+
+export function createDifficulty() {
+  return { level: 0, history: [] };
+}
+
+function levelOf(difficulty, config) {
+  if (!config.enabled) return 0;
+  return Math.trunc(clamp(difficulty?.level, -MAX_DIFFICULTY_LEVEL, MAX_DIFFICULTY_LEVEL, 0));
+}
+
+// base + offset, bounded by [min, max] only in the direction of the adjustment: an authored value
+// outside the bounds never gets easier on a harder level (or harder on an easier one)
+function adaptWithin(base, offset, min, max) {
+  if (!Number.isFinite(Number(base))) return base;
+  const b = Number(base);
+  if (offset > 0) return Math.max(b, Math.min(max, b + offset));
+  return Math.min(b, Math.max(min, b + offset));
+}
+
+/**
+ * Authored step threshold => the one this player gets right now.
+ */
+export function adaptThresholdPct(basePct, difficulty, rawConfig) {
+  const config = normalizeAdaptiveConfig(rawConfig);
+  const level = levelOf(difficulty, config);
+  if (level === 0) return basePct;
+  return adaptWithin(basePct, level * THRESHOLD_STEP_PCT, config.thresholdMinPct, config.thresholdMaxPct);
+}
+
+export function adaptMinHoldMS(baseMS, difficulty, rawConfig) {
+  const config = normalizeAdaptiveConfig(rawConfig);
+  const level = levelOf(difficulty, config);
+  if (level === 0) return baseMS;
+  return adaptWithin(baseMS, level * MIN_HOLD_STEP_MS, config.minHoldMinMS, config.minHoldMaxMS);
+}
+
+/**
+ * Feed one finished pose step in.
+ * sample: { matched, matchMS }
+ * @returns {{ difficulty, adjustment: null | { direction, reason, fromLevel, toLevel, window } }}
+ */
+export function observeStep(difficulty, sample, rawConfig) {
+  const config = normalizeAdaptiveConfig(rawConfig);
+  const prev = { ...createDifficulty(), ...(isPlainObject(difficulty) ? difficulty : {}) };
+  if (!config.enabled) return { difficulty: prev, adjustment: null };
+
+  const history = [
+    ...(Array.isArray(prev.history) ? prev.history : []),
+    { matched: !!sample?.matched, matchMS: Math.max(0, Math.round(Number(sample?.matchMS) || 0)) },
+  ].slice(-WINDOW);
+
+  if (history.length < WINDOW) return { difficulty: { ...prev, history }, adjustment: null };
+
+  const misses = history.filter((h) => !h.matched).length;
+  const matchedTimes = history.filter((h) => h.matched).map((h) => h.matchMS);
+  const avgMatchMS = matchedTimes.length
+    ? Math.round(matchedTimes.reduce((sum, ms) => sum + ms, 0) / matchedTimes.length)
+    : null;
+
+  let step = 0;
+  let reason = null;
+  if (misses >= MAX_MISSES) {
+    step = -1;
+    reason = "MISSES";
+  } else if (avgMatchMS !== null && avgMatchMS >= SLOW_MATCH_MS) {
+    step = -1;
+    reason = "SLOW_MATCHES";
+  } else if (misses === 0 && avgMatchMS !== null && avgMatchMS <= FAST_MATCH_MS) {
+    step = 1;
+    reason = "FAST_MATCHES";
+  }
+
+  const fromLevel = levelOf(prev, config);
+  const toLevel = Math.max(-MAX_DIFFICULTY_LEVEL, Math.min(MAX_DIFFICULTY_LEVEL, fromLevel + step));
+
+  // no decision (or already at the limit): keep sliding the window
+  if (toLevel === fromLevel) return { difficulty: { ...prev, history }, adjustment: null };
+
+  return {
+    difficulty: { level: toLevel, history: [] },
+    adjustment: {
+      direction: step > 0 ? "harder" : "easier",
+      reason,
+      fromLevel,
+      toLevel,
+      window: { steps: history.length, misses, avgMatchMS },
+    },
+  };
+}
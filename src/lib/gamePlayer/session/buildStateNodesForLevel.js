@@ -1,6 +1,13 @@
 "use client";
 
 import { STATE_TYPES } from "@/lib/gamePlayer/states/_shared/stateTypes";
+import { validateExplore } from "@/lib/pose/exploreGuides";
+import {
+  normalizeNumericAnswer,
+  normalizeNumericTolerance,
+  normalizeNumericUnit,
+} from "./numericAnswer";
+import { validateStateGraph } from "./stateGraph";
 
 function isPlainObject(v) {
   return !!v && typeof v === "object" && !Array.isArray(v);
@@ -90,6 +97,12 @@ function normalizeOptions(raw) {
   return [];
 }
 
+// option indices marked correct (empty => no answer key)
+function normalizeAnswerIndices(raw) {
+  const arr = Array.isArray(raw) ? raw : isPlainObject(raw) ? Object.values(raw) : [];
+  return arr.map(Number).filter((n) => Number.isInteger(n) && n >= 0);
+}
+
 function getPoseIds(level) {
   const poses = level?.poses;
   if (!poses) return [];
@@ -111,6 +124,19 @@ function getPoseIds(level) {
   return [];
 }
 
+function getSequenceIds(level) {
+  const seqs = level?.poseSequences;
+  if (!isPlainObject(seqs)) return [];
+
+  return Object.keys(seqs)
+    .filter(Boolean)
+    .sort((a, b) => {
+      const ta = Number(String(a).split("_")[1] ?? 0);
+      const tb = Number(String(b).split("_")[1] ?? 0);
+      return ta - tb;
+    });
+}
+
 function resolveCursorDelayMS({ storyLevel, level }, nodeType) {
   if (nodeType === STATE_TYPES.INTRO) {
     return (
@@ -191,6 +217,12 @@ function resolvePoseTolerances({ storyLevel, level }, poseIds) {
   });
 }
 
+// author hints per pose (TEXT_HINT assist), aligned with poseIds
+function resolvePoseHints(level, poseIds) {
+  const map = isPlainObject(level?.poseHintsById) ? level.poseHintsById : {};
+  return poseIds.map((poseId) => (typeof map[poseId] === "string" && map[poseId].trim() ? map[poseId].trim() : null));
+}
+
 /**
  * Prefer merged session settings (passed in) over level.settings
  * so DEFAULT_SETTINGS.states.poseMatch=false actually works.
@@ -229,6 +261,7 @@ export function buildStateNodesForLevel({
   const introLines = normalizeDialogueLines(storyLevel?.intro);
   if (getStateEnabled({ level, settings }, "intro", true) && introLines.length > 0) {
     nodes.push({
+      id: STATE_TYPES.INTRO,
       type: STATE_TYPES.INTRO,
       lines: introLines,
       cursorDelayMS: resolveCursorDelayMS({ storyLevel, level }, STATE_TYPES.INTRO),
@@ -254,8 +287,10 @@ export function buildStateNodesForLevel({
   // INTUITION only if enabled + question exists
   if (getStateEnabled({ level, settings }, "intuition", true) && hasQuestion) {
     nodes.push({
+      id: STATE_TYPES.INTUITION,
       type: STATE_TYPES.INTUITION,
       question,
+      answer: typeof level?.trueFalseAnswer === "boolean" ? level.trueFalseAnswer : null,
       cursorDelayMS: resolveCursorDelayMS({ storyLevel, level }, STATE_TYPES.POSE_MATCH),
       levelId,
       gameId,
@@ -265,9 +300,11 @@ export function buildStateNodesForLevel({
   // INSIGHT only if enabled + question exists + options exist
   if (getStateEnabled({ level, settings }, "insight", true) && hasQuestion && hasOptions) {
     nodes.push({
+      id: STATE_TYPES.INSIGHT,
       type: STATE_TYPES.INSIGHT,
       question,
       options,
+      answerIndices: normalizeAnswerIndices(level?.answers),
       cursorDelayMS: resolveCursorDelayMS({ storyLevel, level }, STATE_TYPES.POSE_MATCH),
       levelId,
       gameId,
@@ -280,6 +317,7 @@ export function buildStateNodesForLevel({
 
   if (getStateEnabled({ level, settings }, "tween", true) && poseIds.length >= 2) {
     nodes.push({
+      id: STATE_TYPES.TWEEN,
       type: STATE_TYPES.TWEEN,
       poseIds,
       stepDurationMS: level?.tweenDurationMS ?? storyLevel?.tweenDurationMS ?? 1000,
@@ -295,11 +333,13 @@ export function buildStateNodesForLevel({
     const poseTolerances = resolvePoseTolerances({ storyLevel, level }, poseIds);
 
     nodes.push({
+      id: STATE_TYPES.POSE_MATCH,
       type: STATE_TYPES.POSE_MATCH,
       poseIds,
       threshold: defaultTolerance,
       defaultTolerance,
       poseTolerances,
+      poseHints: resolvePoseHints(level, poseIds),
       cursorDelayMS,
       stepDurationMS: level?.poseDurationMS ?? storyLevel?.poseDurationMS ?? undefined,
       levelId,
@@ -307,10 +347,85 @@ export function buildStateNodesForLevel({
     });
   }
 
+  /* ----------------------------- POSE_SEQUENCE ----------------------------- */
+  const sequenceIds = getSequenceIds(level);
+
+  if (getStateEnabled({ level, settings }, "poseSequence", true) && sequenceIds.length >= 1) {
+    const defaultTolerance = resolveDefaultPoseTolerance({ storyLevel, level });
+    const tolMap = isPlainObject(level?.sequenceTolerancePctById) ? level.sequenceTolerancePctById : {};
+
+    nodes.push({
+      id: STATE_TYPES.POSE_SEQUENCE,
+      type: STATE_TYPES.POSE_SEQUENCE,
+      sequenceIds,
+      threshold: defaultTolerance,
+      defaultTolerance,
+      sequenceTolerances: sequenceIds.map((id) =>
+        tolMap[id] === undefined || tolMap[id] === null || tolMap[id] === ""
+          ? defaultTolerance
+          : clampPct(tolMap[id], defaultTolerance)
+      ),
+      cursorDelayMS,
+      levelId,
+      gameId,
+    });
+  }
+
+  /* ----------------------------- EXPLORE ----------------------------- */
+  // free movement with level.explore guides over the live skeleton; ends after durationMS
+  const { explore } = validateExplore(level?.explore);
+
+  if (getStateEnabled({ level, settings }, "explore", true) && explore) {
+    nodes.push({
+      id: STATE_TYPES.EXPLORE,
+      type: STATE_TYPES.EXPLORE,
+      durationMS: explore.durationMS,
+      logEveryMS: explore.logEveryMS,
+      prompt: explore.prompt,
+      guides: explore.guides,
+      cursorDelayMS,
+      levelId,
+      gameId,
+    });
+  }
+
+  /* ----------------------------- NUMERIC / REFLECTION ----------------------------- */
+  // number estimate on the on-screen pad, checked against numericAnswer ± numericTolerance
+  const numericQuestion = String(level?.numericQuestion ?? "").trim();
+
+  if (getStateEnabled({ level, settings }, "numeric", true) && numericQuestion) {
+    nodes.push({
+      id: STATE_TYPES.NUMERIC,
+      type: STATE_TYPES.NUMERIC,
+      question: numericQuestion,
+      answer: normalizeNumericAnswer(level?.numericAnswer),
+      tolerance: normalizeNumericTolerance(level?.numericTolerance),
+      unit: normalizeNumericUnit(level?.numericUnit),
+      cursorDelayMS,
+      levelId,
+      gameId,
+    });
+  }
+
+  // short free-text reflection (typed, e.g. by the teacher)
+  const reflectionPrompt = String(level?.reflectionPrompt ?? "").trim();
+
+  if (getStateEnabled({ level, settings }, "reflection", true) && reflectionPrompt) {
+    nodes.push({
+      id: STATE_TYPES.REFLECTION,
+      type: STATE_TYPES.REFLECTION,
+      prompt: reflectionPrompt,
+      cursorDelayMS,
+      levelId,
+      gameId,
+    });
+  }
+
   /* ----------------------------- OUTRO ----------------------------- */
   const outroLines = normalizeDialogueLines(storyLevel?.outro);
   if (getStateEnabled({ level, settings }, "outro", true) && outroLines.length > 0) {
     nodes.push({
+      id: STATE_TYPES.OUTRO,
       type: STATE_TYPES.OUTRO,
       lines: outroLines,
       cursorDelayMS: resolveCursorDelayMS({ storyLevel, level }, STATE_TYPES.OUTRO),
@@ -320,7 +435,80 @@ export function buildStateNodesForLevel({
     });
   }
 
+  /* ----------------------------- BRANCH NODES ----------------------------- */
+  // only reachable through level.stateGraph edges; skipped when falling through the main path
+  const { graph } = validateStateGraph(level?.stateGraph);
+  const levelPoseIds = new Set(poseIds);
+  const levelSequenceIds = new Set(sequenceIds);
+
+  for (const g of graph.nodes) {
+    const base = { id: g.id, type: g.type, branch: true, levelId, gameId };
+
+    if (g.type === STATE_TYPES.INTRO || g.type === STATE_TYPES.OUTRO) {
+      nodes.push({
+        ...base,
+        lines: normalizeDialogueLines(g.lines),
+        cursorDelayMS: resolveCursorDelayMS({ storyLevel, level }, g.type),
+        autoAdvanceMS: resolveAutoAdvanceMS({ storyLevel, level }, g.type),
+      });
+      continue;
+    }
+
+    if (g.type === STATE_TYPES.TWEEN) {
+      const ids = g.poseIds.filter((id) => levelPoseIds.has(id));
+      if (ids.length < 2) continue;
+      nodes.push({
+        ...base,
+        poseIds: ids,
+        stepDurationMS: level?.tweenDurationMS ?? storyLevel?.tweenDurationMS ?? 1000,
+        easing: level?.tweenEasing ?? storyLevel?.tweenEasing ?? "easeInOut",
+        reps: g.reps,
+        cursorDelayMS,
+      });
+      continue;
+    }
+
+    if (g.type === STATE_TYPES.POSE_MATCH) {
+      const ids = g.poseIds.filter((id) => levelPoseIds.has(id));
+      if (!ids.length) continue;
+      const defaultTolerance = Number.isFinite(g.tolerancePct)
+        ? g.tolerancePct
+        : resolveDefaultPoseTolerance({ storyLevel, level });
+      nodes.push({
+        ...base,
+        poseIds: ids,
+        threshold: defaultTolerance,
+        defaultTolerance,
+        // a node-level tolerance (e.g. an easier remediation pose) wins over per-pose tolerances
+        poseTolerances: Number.isFinite(g.tolerancePct)
+          ? ids.map(() => g.tolerancePct)
+          : resolvePoseTolerances({ storyLevel, level }, ids),
+        poseHints: resolvePoseHints(level, ids),
+        reps: g.reps,
+        cursorDelayMS,
+        stepDurationMS: level?.poseDurationMS ?? storyLevel?.poseDurationMS ?? undefined,
+      });
+      continue;
+    }
+
+    if (g.type === STATE_TYPES.POSE_SEQUENCE) {
+      const ids = g.sequenceIds.filter((id) => levelSequenceIds.has(id));
+      if (!ids.length) continue;
+      const defaultTolerance = Number.isFinite(g.tolerancePct)
+        ? g.tolerancePct
+        : resolveDefaultPoseTolerance({ storyLevel, level });
+      nodes.push({
+        ...base,
+        sequenceIds: ids,
+        threshold: defaultTolerance,
+        defaultTolerance,
+        sequenceTolerances: ids.map(() => defaultTolerance),
+        cursorDelayMS,
+      });
+    }
+  }
+
   // eslint-disable-next-line no-console
-  console.log("[builder] STATE_NODES:", nodes.map((n) => n.type));
+  console.log("[builder] STATE_NODES:", nodes.map((n) => n.id));
   return nodes;
 }
\ No newline at end of file
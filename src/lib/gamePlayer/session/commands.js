@@ -54,11 +54,84 @@ export const commands = Object.freeze({
     payload: { path, value },
   }),
 
+  /**
+   * Player lock signals from usePoseData (see lib/pose/playerLock).
+   * Lost auto-pauses; reacquired resumes only if the loss caused the pause.
+   */
+  playerLost: (payload = {}) => ({
+    type: "COMMAND",
+    name: "PLAYER_LOST",
+    payload,
+  }),
+
+  playerReacquired: (payload = {}) => ({
+    type: "COMMAND",
+    name: "PLAYER_REACQUIRED",
+    payload,
+  }),
+
   restartLevel: () => ({
     type: "COMMAND",
     name: "RESTART_LEVEL",
   }),
 
+  // results screen (after the last level) => ON_COMPLETE
+  resultsContinue: () => ({
+    type: "COMMAND",
+    name: "RESULTS_CONTINUE",
+  }),
+
+  /**
+   * Keyboard / gamepad input (runtime/usePlayerInput), logged as INPUT_ACTION.
+   * payload: { action, input, key, facilitator, optionIndex?, levelIndex? }
+   */
+  inputAction: (payload = {}) => ({
+    type: "COMMAND",
+    name: "INPUT_ACTION",
+    payload,
+  }),
+
+  // facilitator hotkeys (owners / admins)
+  facilitatorSkipNode: (payload = {}) => ({
+    type: "COMMAND",
+    name: "FACILITATOR_SKIP_NODE",
+    payload,
+  }),
+
+  facilitatorJumpLevel: (levelIndex, payload = {}) => ({
+    type: "COMMAND",
+    name: "FACILITATOR_JUMP_LEVEL",
+    payload: { ...payload, levelIndex },
+  }),
+
+  // numeric node: the number entered on the pad (input = what was typed)
+  numericAnswerSubmitted: ({ value, input }) => ({
+    type: "COMMAND",
+    name: "NUMERIC_ANSWER_SUBMITTED",
+    payload: { value, input, at: Date.now() },
+  }),
+
+  // reflection node: the free-text answer
+  reflectionSubmitted: (text) => ({
+    type: "COMMAND",
+    name: "REFLECTION_SUBMITTED",
+    payload: { text, at: Date.now() },
+  }),
+
+  // explore node: current guide angles [{ id, label, deg }], logged as EXPLORE_MEASUREMENT
+  exploreMeasurements: (measurements = []) => ({
+    type: "COMMAND",
+    name: "EXPLORE_MEASUREMENTS",
+    payload: { measurements },
+  }),
+
+  // preview/debug mode: jump to any level + node
+  previewGoto: ({ levelIndex, nodeIndex = 0 }) => ({
+    type: "COMMAND",
+    name: "PREVIEW_GOTO",
+    payload: { levelIndex, nodeIndex },
+  }),
+
   poseUpdate: (poseMeta = {}) => ({
     type: "POSE_UPDATE",
     ...poseMeta,
@@ -1,6 +1,11 @@
 "use client";
 
+import { buildLevelFeatureRegistry } from "@/lib/pose/poseMatching";
 import { buildStateNodesForLevel } from "./buildStateNodesForLevel";
+import { validateStateGraph } from "./stateGraph";
+import { DEFAULT_SCORING, createLevelScore } from "./scoring";
+import { DEFAULT_ADAPTIVE, createDifficulty } from "./adaptiveDifficulty";
+import { DEFAULT_ASSISTS } from "./poseAssists";
 
 const DEFAULT_FLAGS = {
   paused: false,
@@ -8,6 +13,9 @@ const DEFAULT_FLAGS = {
   showPoseDrawer: true,
   showPauseMenu: true,
   showSettings: false,
+  playerLost: false,
+  pausedBy: null, // "player_lost" when the player lock paused the game
+  showResults: false, // game finished; results screen up until RESULTS_CONTINUE
 };
 
 const DEFAULT_SETTINGS = {
@@ -21,6 +29,8 @@ const DEFAULT_SETTINGS = {
     leftLeg: true,
     rightLeg: true,
     hands: false,
+    limbTilt: false,
+    relativePosition: false,
   },
 
   // Which state types should exist/render in this level
@@ -29,7 +39,11 @@ const DEFAULT_SETTINGS = {
     intuition: true,
     tween: true,
     poseMatch: true,
+    poseSequence: true,
     insight: true,
+    explore: true,
+    numeric: true,
+    reflection: true,
     outro: true,
   },
 
@@ -42,6 +56,26 @@ const DEFAULT_SETTINGS = {
   ui: {
     dialogueFontSize: 20,
   },
+
+  // Pose matching behaviour
+  matching: {
+    mirrorMode: "strict", // "strict" | "mirrored" | "either"
+    smoothing: { method: "none" }, // "none" | "oneEuro" | "kalman" (+ filter params)
+    stabilityMaxStdDeg: 8, // max angle jitter over the hold window; 0 disables
+    // features whose landmarks fall below threshold are excluded (or down-weighted)
+    visibility: { threshold: 0.5, mode: "exclude", minConfidence: 0.5 },
+    // lock tracking onto the player picked at level start: "off" | "largest" | "central"
+    playerLock: { mode: "off" },
+  },
+
+  // Star thresholds (level score 0..100) and the time-to-match that earns full speed credit
+  scoring: { ...DEFAULT_SCORING },
+
+  // Adaptive difficulty: pose match threshold / minHoldMS move within these bounds
+  adaptive: { ...DEFAULT_ADAPTIVE },
+
+  // Escalating help on a pose match step (ms on the step before each assist; 0 = off)
+  assists: { ...DEFAULT_ASSISTS },
 };
 
 export function createSession({
@@ -49,6 +83,7 @@ export function createSession({
   playId = null,
   initialLevel = 0,
   initialNodeIndex = 0,
+  now: nowInput = null, // replay passes the recorded clock
 }) {
   if (!game) {
     throw new Error("createSession: 'game' is required");
@@ -81,7 +116,8 @@ export function createSession({
 
   if (!Array.isArray(nodes)) nodes = [];
 
-  if (nodes.length === 0) {
+  // graph branch nodes are only reachable through edges
+  if (!nodes.some((n) => n && !n.branch)) {
     const lvlId = levelObj?.id ?? `(index ${levelIndex})`;
     throw new Error(
       `No playable states for level ${lvlId}. ` +
@@ -94,8 +130,13 @@ export function createSession({
       ? Math.min(initialNodeIndex, Math.max(0, nodes.length - 1))
       : 0;
 
+  // invalid graphs are rejected on save; anything else just plays the main path
+  const { graph } = validateStateGraph(levelObj?.stateGraph);
+
   const now =
-    typeof performance !== "undefined"
+    Number.isFinite(nowInput)
+      ? nowInput
+      : typeof performance !== "undefined"
       ? performance.now()
       : Date.now();
 
@@ -111,12 +152,39 @@ export function createSession({
     levelIndex,  // which level we’re currently on
 
     // This is what drives StateRenderer.
-    nodes,  // ordered list of state nodes for this level (intro → intuition → tween → poseMatch → insight → outro)
+    nodes,  // main path (intro → intuition → tween → poseMatch → insight → explore → numeric → reflection → outro), then graph branch nodes
     nodeIndex,  // current position in that list
     node: nodes[nodeIndex] ?? null,  // so we don’t constantly write session.nodes[session.nodeIndex]
 
     dialogueIndex: 0,
 
+    // level.stateGraph: outcome-based transitions (see stateGraph.js)
+    graphEdges: graph.edges,
+    graphReturnIndex: null,  // main node to resume at after a branch-only node
+    graphTransitions: 0,  // edges taken this level (loop guard)
+    nodeOutcome: { failedSteps: 0, failedRounds: 0, roundFailed: false },
+
+    // scoring (see scoring.js); levelScores is carried across levels by the reducer
+    levelScore: createLevelScore(),
+    poseStepScore: null,  // { startedAt (time.elapsed), best } for the current pose step
+    levelScores: [],
+    results: null,  // game summary once the last level ends
+
+    // level starts / restarts so far; bumped by the reducer's startLevel (the player lock resets on it)
+    levelStarts: 0,
+
+    // adaptive difficulty (see adaptiveDifficulty.js); carried across levels by the reducer
+    difficulty: createDifficulty(),
+
+    // assists shown on the current pose match step (see poseAssists.js)
+    poseAssist: null,
+
+    // explore node: latest guide angles + their range so far (see exploreGuides.js)
+    explore: null,
+
+    // FEATURE_REGISTRY + this level's author-defined customFeatures
+    featureRegistry: buildLevelFeatureRegistry(levelObj?.customFeatures),
+
     time: {
       startedAt: now,
       now,
@@ -151,6 +219,10 @@ function mergeSettings(defaults, overrides) {
     include: { ...(d.include ?? {}), ...(o.include ?? {}) },
     states: { ...(d.states ?? {}), ...(o.states ?? {}) },
     ui: { ...(d.ui ?? {}), ...(o.ui ?? {}) },
+    matching: { ...(d.matching ?? {}), ...(o.matching ?? {}) },
+    scoring: { ...(d.scoring ?? {}), ...(o.scoring ?? {}) },
+    adaptive: { ...(d.adaptive ?? {}), ...(o.adaptive ?? {}) },
+    assists: { ...(d.assists ?? {}), ...(o.assists ?? {}) },
 
     reps: {
       ...(d.reps ?? {}),
@@ -0,0 +1,53 @@
+// src/lib/gamePlayer/session/numericAnswer.js
+// NUMERIC (estimate a number on the on-screen pad) and REFLECTION (short free text) answers.
+// Level fields: numericQuestion, numericAnswer, numericTolerance (±, same unit), numericUnit,
+// reflectionPrompt.
+// Kept free of client-only imports so the levels API can normalize with it.
+
+export const MAX_NUMERIC_INPUT_LENGTH = 10; // characters typed on the pad
+export const MAX_NUMERIC_UNIT_LENGTH = 16;
+export const MAX_REFLECTION_LENGTH = 500;
+
+// finite number or null (no answer key)
+export function normalizeNumericAnswer(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function normalizeNumericTolerance(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+export function normalizeNumericUnit(v) {
+  return typeof v === "string" ? v.trim().slice(0, MAX_NUMERIC_UNIT_LENGTH) : "";
+}
+
+export function normalizeReflectionText(v) {
+  return typeof v === "string" ? v.trim().slice(0, MAX_REFLECTION_LENGTH) : "";
+}
+
+/**
+ * Pad input ("-12.5") => number, or null while it isn't one yet ("", "-", ".").
+ */
+export function parseNumericInput(raw) {
+  const s = String(raw ?? "").trim();
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(s)) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * value vs node { answer, tolerance } => { correct, absError }
+ * correct is null when the node has no answer key.
+ */
+export function checkNumericAnswer(value, { answer = null, tolerance = 0 } = {}) {
+  const v = Number.isFinite(value) ? value : null;
+  if (v === null) return { correct: null, absError: null };
+  if (!Number.isFinite(answer)) return { correct: null, absError: null };
+
+  const absError = Math.abs(v - answer);
+  // rounding slack so 0.1 + 0.2 style inputs don't miss an exact tolerance
+  return { correct: absError <= normalizeNumericTolerance(tolerance) + 1e-9, absError };
+}
@@ -0,0 +1,112 @@
+// src/lib/gamePlayer/session/poseAssists.js
+// Escalating help on a pose match step the player can't match (settings.assists).
+// Each assist appears once its delay has passed on the step (paused time doesn't count):
+//   REPLAY_TWEEN       animate from the previous pose into the target
+//   HIGHLIGHT_SEGMENTS mark the worst-scoring body parts on the target pose
+//   TEXT_HINT          the author's hint for this pose (level.poseHintsById)
+//   OFFER_SKIP         a skip button
+// A delay of 0 turns that assist off. Kept free of client-only imports.
+
+import { perFeatureToPerSegment } from "@/lib/pose/poseMatching";
+
+export const ASSIST_KINDS = Object.freeze({
+  REPLAY_TWEEN: "REPLAY_TWEEN",
+  HIGHLIGHT_SEGMENTS: "HIGHLIGHT_SEGMENTS",
+  TEXT_HINT: "TEXT_HINT",
+  OFFER_SKIP: "OFFER_SKIP",
+});
+
+// settings.assists
+export const DEFAULT_ASSISTS = Object.freeze({
+  enabled: false,
+  replayTweenMS: 8000,
+  highlightMS: 15000,
+  hintMS: 20000,
+  skipMS: 30000,
+});
+
+// escalation order => the delay key that triggers it
+const ASSIST_DELAY_KEYS = [
+  [ASSIST_KINDS.REPLAY_TWEEN, "replayTweenMS"],
+  [ASSIST_KINDS.HIGHLIGHT_SEGMENTS, "highlightMS"],
+  [ASSIST_KINDS.TEXT_HINT, "hintMS"],
+  [ASSIST_KINDS.OFFER_SKIP, "skipMS"],
+];
+
+export const MAX_ASSIST_DELAY_MS = 300000;
+
+// how many features / hint characters an assist carries
+const HIGHLIGHT_COUNT = 3;
+export const MAX_HINT_LENGTH = 280;
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+const delay = (v, fallback) => {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(0, Math.min(MAX_ASSIST_DELAY_MS, Math.round(n)));
+};
+
+export function normalizeAssistsConfig(raw) {
+  const src = isPlainObject(raw) ? raw : {};
+  return {
+    enabled: src.enabled === true || src.enabled === "true",
+    replayTweenMS: delay(src.replayTweenMS, DEFAULT_ASSISTS.replayTweenMS),
+    highlightMS: delay(src.highlightMS, DEFAULT_ASSISTS.highlightMS),
+    hintMS: delay(src.hintMS, DEFAULT_ASSISTS.hintMS),
+    skipMS: delay(src.skipMS, DEFAULT_ASSISTS.skipMS),
+  };
+}
+
+/**
+ * Assists whose delay has passed and that weren't shown yet on this step, in escalation order.
+ * available: { [kind]: boolean } — e.g. no TEXT_HINT without a hint for the pose.
+ */
+export function dueAssists(rawConfig, stepMS, shown = [], available = {}) {
+  const config = normalizeAssistsConfig(rawConfig);
+  if (!config.enabled || !Number.isFinite(stepMS)) return [];
+
+  const seen = new Set(Array.isArray(shown) ? shown : []);
+  const out = [];
+  for (const [kind, key] of ASSIST_DELAY_KEYS) {
+    const ms = config[key];
+    if (ms <= 0 || stepMS < ms || seen.has(kind) || available[kind] === false) continue;
+    out.push(kind);
+  }
+  return out;
+}
+
+/**
+ * Compact perFeature rows for the session (what worstFeatures / the drawer need).
+ */
+export function compactPerFeature(perFeature) {
+  if (!Array.isArray(perFeature)) return [];
+  return perFeature
+    .filter((r) => r && Number.isFinite(Number(r.score)))
+    .map((r) => ({
+      id: r.id,
+      label: r.label ?? null,
+      dataKey: r.dataKey ?? null,
+      points: Array.isArray(r.points) ? r.points : [],
+      score: Number(r.score),
+      weight: Number.isFinite(Number(r.weight)) ? Number(r.weight) : 1,
+    }));
+}
+
+/**
+ * Lowest-scoring weighted features + the PoseDrawer segments they map to.
+ */
+export function worstFeatures(perFeature, { orientation = "strict", count = HIGHLIGHT_COUNT } = {}) {
+  const rows = compactPerFeature(perFeature)
+    .filter((r) => r.weight > 0)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, count);
+
+  const segments = perFeatureToPerSegment(rows, { orientation }).map((s) => s.segment);
+
+  return {
+    featureIds: rows.map((r) => r.id),
+    labels: rows.map((r) => r.label ?? r.id),
+    segments: Array.from(new Set(segments)),
+  };
+}
@@ -3,13 +3,45 @@
 import { createSession } from "./createSession";
 import { scheduleIn, cancelTimersByTag, runDueTimers } from "./timers";
 import { STATE_TYPES, normalizeStateType } from "../states/_shared/stateTypes";
+import { GRAPH_END, MAX_GRAPH_TRANSITIONS, NODE_OUTCOMES, resolveTransition } from "./stateGraph";
+import { toSessionSnapshot } from "./sessionSnapshot";
+import {
+  createLevelScore,
+  recordAnswer,
+  recordPoseStep,
+  recordRound,
+  scoreLevel,
+  summarizeGame,
+} from "./scoring";
+import {
+  DEFAULT_MIN_HOLD_MS,
+  MIN_HOLD_STEP_MS,
+  THRESHOLD_STEP_PCT,
+  adaptMinHoldMS,
+  adaptThresholdPct,
+  createDifficulty,
+  observeStep,
+} from "./adaptiveDifficulty";
+import { ASSIST_KINDS, compactPerFeature, dueAssists, worstFeatures } from "./poseAssists";
+import { checkNumericAnswer, normalizeReflectionText } from "./numericAnswer";
 
 /* ----------------------------- small utils ----------------------------- */
 
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
 function pushEffect(session, effect) {
   return { ...session, effects: [...(session.effects ?? []), effect] };
 }
 
+// wall-clock ms at which performance.now() was 0 on this page
+function clockOrigin() {
+  return typeof performance !== "undefined" && Number.isFinite(performance.timeOrigin)
+    ? performance.timeOrigin
+    : null;
+}
+
 function clearEffects(session) {
   return { ...session, effects: [] };
 }
@@ -23,7 +55,7 @@ function isDialogueLikeType(t) {
 }
 
 function isSteppedPoseType(t) {
-  return t === STATE_TYPES.POSE_MATCH;
+  return t === STATE_TYPES.POSE_MATCH || t === STATE_TYPES.POSE_SEQUENCE;
 }
 
 /* ----------------------------- pose threshold helpers ----------------------------- */
@@ -55,6 +87,30 @@ function getPoseThresholdPctForStep(node, stepIndex, fallback = 70) {
   return fallback;
 }
 
+function getSequenceThresholdPctForStep(node, stepIndex, fallback = 70) {
+  const arr = Array.isArray(node?.sequenceTolerances) ? node.sequenceTolerances : null;
+  const fromArray = arr && stepIndex >= 0 && stepIndex < arr.length ? arr[stepIndex] : undefined;
+  if (fromArray !== undefined && fromArray !== null && fromArray !== "") {
+    return clampPct(fromArray, fallback);
+  }
+
+  return getPoseThresholdPctForStep(node, -1, fallback);
+}
+
+// pose match step threshold / hold time after adaptive difficulty (settings.adaptive)
+function getAdaptedPoseThresholdPct(session, node, stepIndex) {
+  return adaptThresholdPct(
+    getPoseThresholdPctForStep(node, stepIndex, 70),
+    session.difficulty,
+    session.settings?.adaptive
+  );
+}
+
+function getAdaptedMinHoldMS(session, node) {
+  const base = Math.max(0, Number(node?.minHoldMS ?? DEFAULT_MIN_HOLD_MS));
+  return adaptMinHoldMS(base, session.difficulty, session.settings?.adaptive);
+}
+
 /* ----------------------------- telemetry helpers ----------------------------- */
 /**
  * ✅ No eventId, no gameId, no playId in event payloads.
@@ -67,20 +123,201 @@ function emitTelemetry(session, evt) {
   });
 }
 
+/**
+ * Resumable copy of the session (saved to the play record by GamePlayerInner).
+ * snapshot: null clears it, e.g. once the game is complete.
+ */
+function pushSnapshot(session, reason) {
+  return pushEffect(session, {
+    type: "SESSION_SNAPSHOT",
+    snapshot: toSessionSnapshot(session, { reason }),
+  });
+}
+
+/* ----------------------------- scoring helpers ----------------------------- */
+
+// a new pose match / sequence step starts; time is measured on time.elapsed so pauses don't count
+// (assists escalate on the same clock)
+function startPoseStep(session) {
+  return { ...session, poseStepScore: { startedAt: session.time.elapsed, best: 0 }, poseAssist: null };
+}
+
+function trackPoseStepBest(session, overall) {
+  const step = session.poseStepScore;
+  if (!step || !Number.isFinite(overall) || overall <= step.best) return session;
+  return { ...session, poseStepScore: { ...step, best: overall } };
+}
+
+// { best, matched, matchMS } for the step being left
+function poseStepSample(session, { matched }) {
+  const step = session.poseStepScore ?? { startedAt: session.time.elapsed, best: 0 };
+  return { best: step.best, matched, matchMS: session.time.elapsed - step.startedAt };
+}
+
+function finishPoseStep(session, sample) {
+  return {
+    ...session,
+    levelScore: recordPoseStep(session.levelScore, sample, session.settings?.scoring),
+  };
+}
+
+/* ----------------------------- pose assists ----------------------------- */
+
+/**
+ * Show the assists that came due on the current pose match step (settings.assists).
+ * Each one is logged as POSE_ASSIST_SHOWN.
+ */
+function showDuePoseAssists(session) {
+  const node = currentNode(session);
+  if (nodeType(node) !== STATE_TYPES.POSE_MATCH || !session.poseStepScore || session.flags?.showResults) {
+    return session;
+  }
+
+  const poseIds = Array.isArray(node?.poseIds) ? node.poseIds : [];
+  const i = session.stepIndex ?? 0;
+  const hint = String(node?.poseHints?.[i] ?? "").trim();
+  const perFeature = session.poseMatch?.perFeature ?? [];
+
+  const prev = session.poseAssist ?? { shown: [] };
+  const stepMS = session.time.elapsed - session.poseStepScore.startedAt;
+  const due = dueAssists(session.settings?.assists, stepMS, prev.shown, {
+    [ASSIST_KINDS.REPLAY_TWEEN]: poseIds.length >= 2,
+    [ASSIST_KINDS.HIGHLIGHT_SEGMENTS]: perFeature.length > 0,
+    [ASSIST_KINDS.TEXT_HINT]: hint.length > 0,
+  });
+  if (!due.length) return session;
+
+  let next = session;
+  for (const assist of due) {
+    const cur = next.poseAssist ?? { shown: [] };
+    const detail = {};
+
+    if (assist === ASSIST_KINDS.REPLAY_TWEEN) {
+      // from the pose before the target (wrapping around) into the target
+      detail.tweenPoseIds = [poseIds[(i - 1 + poseIds.length) % poseIds.length], poseIds[i]];
+    } else if (assist === ASSIST_KINDS.HIGHLIGHT_SEGMENTS) {
+      detail.highlight = worstFeatures(perFeature, { orientation: next.poseMatch?.orientation });
+    } else if (assist === ASSIST_KINDS.TEXT_HINT) {
+      detail.hint = hint;
+    } else if (assist === ASSIST_KINDS.OFFER_SKIP) {
+      detail.skipOffered = true;
+    }
+
+    next = { ...next, poseAssist: { ...cur, ...detail, shown: [...(cur.shown ?? []), assist] } };
+
+    next = emitTelemetry(next, {
+      type: "POSE_ASSIST_SHOWN",
+      at: next.time.now,
+
+      levelId: next.levelId,
+      levelIndex: next.levelIndex,
+      repIndex: next.poseMatchRoundIndex ?? 0,
+
+      nodeIndex: next.nodeIndex,
+      stateType: STATE_TYPES.POSE_MATCH,
+      stepIndex: i,
+      targetPoseId: poseIds[i] ?? null,
+
+      assist,
+      stepMS: Math.round(stepMS),
+      overall: Number(next.poseMatch?.overall ?? 0),
+      ...(detail.tweenPoseIds ? { tweenPoseIds: detail.tweenPoseIds } : null),
+      ...(detail.highlight ? { featureIds: detail.highlight.featureIds } : null),
+    });
+  }
+
+  return next;
+}
+
+/* ----------------------------- adaptive difficulty ----------------------------- */
+
+/**
+ * Feed a finished pose match step to the controller; DIFFICULTY_ADJUSTED when the level moves.
+ */
+function adaptDifficulty(session, sample) {
+  const { difficulty, adjustment } = observeStep(session.difficulty, sample, session.settings?.adaptive);
+
+  const next = { ...session, difficulty };
+  if (!adjustment) return next;
+
+  const node = currentNode(next);
+
+  return emitTelemetry(next, {
+    type: "DIFFICULTY_ADJUSTED",
+    at: next.time.now,
+
+    levelId: next.levelId,
+    levelIndex: next.levelIndex,
+    repIndex: next.poseMatchRoundIndex ?? 0,
+
+    nodeIndex: next.nodeIndex,
+    stateType: nodeType(node),
+    stepIndex: next.stepIndex ?? null,
+
+    direction: adjustment.direction,
+    reason: adjustment.reason,
+    fromLevel: adjustment.fromLevel,
+    toLevel: adjustment.toLevel,
+    // what this step gets at the new level (offsets are before the author's bounds)
+    thresholdPct: getAdaptedPoseThresholdPct(next, node, next.stepIndex ?? 0),
+    minHoldMS: getAdaptedMinHoldMS(next, node),
+    thresholdOffsetPct: adjustment.toLevel * THRESHOLD_STEP_PCT,
+    minHoldOffsetMS: adjustment.toLevel * MIN_HOLD_STEP_MS,
+    windowSteps: adjustment.window.steps,
+    windowMisses: adjustment.window.misses,
+    windowAvgMatchMS: adjustment.window.avgMatchMS,
+  });
+}
+
+/**
+ * Close the level's score: LEVEL_SCORE telemetry + append to levelScores (carried across levels).
+ */
+function finishLevelScore(session) {
+  const result = scoreLevel(session.levelScore, session.settings?.scoring);
+  const entry = { levelId: session.levelId, levelIndex: session.levelIndex, ...result };
+
+  const next = {
+    ...session,
+    levelScores: [...(session.levelScores ?? []), entry],
+  };
+
+  return emitTelemetry(next, {
+    type: "LEVEL_SCORE",
+    at: next.time.now,
+    levelId: next.levelId,
+    levelIndex: next.levelIndex,
+    score: result.score,
+    stars: result.stars,
+    components: result.components,
+  });
+}
+
 /* ----------------------------- public API ----------------------------- */
 
-export function createInitialSession({ game, initialLevel = 0, playId = null }) {
+export function createInitialSession({
+  game,
+  initialLevel = 0,
+  initialNodeIndex = 0, // preview mode can start mid-level
+  playId = null,
+  snapshot = null,
+  now = null,
+}) {
+  const resumed = snapshot ? resumeSession({ game, playId, snapshot, now }) : null;
+  if (resumed) return resumed;
+
   let session = createSession({
     game,
     playId,
     initialLevel,
-    initialNodeIndex: 0,
+    initialNodeIndex,
+    now,
   });
 
-  // Session boundary
+  // Session boundary (timeOrigin maps this page's `at` clock to wall time for replay)
   session = emitTelemetry(session, {
     type: "SESSION_START",
     at: session.time.now,
+    timeOrigin: clockOrigin(),
   });
 
   // ✅ Level boundary (ALWAYS) — tag init so GamePlayerInner can dedupe StrictMode
@@ -96,6 +333,74 @@ export function createInitialSession({ game, initialLevel = 0, playId = null })
   return session;
 }
 
+/**
+ * Rebuild the session at the snapshot's level/node/round.
+ * Returns null (=> fresh start) when the level changed since the snapshot was saved.
+ */
+function resumeSession({ game, playId, snapshot, now = null }) {
+  const levels = Array.isArray(game?.levels) ? game.levels : [];
+  const levelIndex = snapshot?.levelIndex;
+  const levelObj = Number.isInteger(levelIndex) ? levels[levelIndex] ?? null : null;
+  if (!levelObj || (snapshot.levelId && levelObj.id !== snapshot.levelId)) return null;
+
+  let session;
+  try {
+    session = createSession({ game, playId, initialLevel: levelIndex, initialNodeIndex: 0, now });
+  } catch {
+    return null;
+  }
+
+  // nodes are rebuilt from the level; find the saved one by id in case its index moved
+  let nodeIndex = snapshot.nodeIndex;
+  if (snapshot.nodeId && session.nodes[nodeIndex]?.id !== snapshot.nodeId) {
+    nodeIndex = session.nodes.findIndex((n) => n?.id === snapshot.nodeId);
+  }
+  if (!(nodeIndex >= 0 && nodeIndex < session.nodes.length)) return null;
+
+  session = {
+    ...session,
+    dialogueIndex: 0,
+    graphReturnIndex: Number.isInteger(snapshot.graphReturnIndex) ? snapshot.graphReturnIndex : null,
+    graphTransitions: Number(snapshot.graphTransitions) || 0,
+    intuition: snapshot.intuition ?? null,
+    insight: snapshot.insight ?? null,
+    levelScore: isPlainObject(snapshot.levelScore) ? { ...createLevelScore(), ...snapshot.levelScore } : createLevelScore(),
+    levelScores: Array.isArray(snapshot.levelScores) ? snapshot.levelScores : [],
+    difficulty: isPlainObject(snapshot.difficulty) ? { ...createDifficulty(), ...snapshot.difficulty } : createDifficulty(),
+  };
+
+  const roundIndex = Number(snapshot.poseMatchRoundIndex) || 0;
+
+  session = emitTelemetry(session, {
+    type: "SESSION_RESUMED",
+    at: session.time.now,
+    levelId: session.levelId,
+    levelIndex: session.levelIndex,
+    nodeIndex,
+    stateType: nodeType(session.nodes[nodeIndex]),
+    repIndex: roundIndex,
+    snapshotSavedAt: Number(snapshot.savedAt) || null,
+    snapshotReason: snapshot.reason ?? null,
+    timeOrigin: clockOrigin(),
+  });
+
+  session = enterNode(session, nodeIndex, { reason: "RESUME", roundIndex });
+
+  // failed reps so far still count towards graph edges on this node
+  if (isPlainObject(snapshot.nodeOutcome)) {
+    session = {
+      ...session,
+      nodeOutcome: {
+        failedSteps: Number(snapshot.nodeOutcome.failedSteps) || 0,
+        failedRounds: Number(snapshot.nodeOutcome.failedRounds) || 0,
+        roundFailed: false,
+      },
+    };
+  }
+
+  return session;
+}
+
 export function sessionReducer(session, action) {
   switch (action.type) {
     case "CONSUME_EFFECTS":
@@ -118,6 +423,7 @@ export function sessionReducer(session, action) {
 
       next = runDueTimers(next, applyTimer);
       next = scheduleAutoAdvanceIfNeeded(next);
+      next = showDuePoseAssists(next);
 
       return next;
     }
@@ -155,7 +461,7 @@ export function applyCommand(session, name, payload) {
 
       let next = {
         ...session,
-        flags: { ...session.flags, paused: false, showPauseMenu: false },
+        flags: { ...session.flags, paused: false, showPauseMenu: false, pausedBy: null },
       };
 
       next = emitTelemetry(next, {
@@ -171,6 +477,59 @@ export function applyCommand(session, name, payload) {
       return next;
     }
 
+    /* ---------------------- Player lock ---------------------- */
+
+    case "PLAYER_LOST": {
+      if (session.flags.playerLost) return session;
+
+      const autoPaused = !session.flags.paused;
+      const next = {
+        ...session,
+        flags: {
+          ...session.flags,
+          playerLost: true,
+          ...(autoPaused ? { paused: true, showPauseMenu: false, pausedBy: "player_lost" } : null),
+        },
+      };
+
+      return emitTelemetry(next, {
+        type: "PLAYER_LOST",
+        at: next.time.now,
+        levelId: next.levelId,
+        levelIndex: next.levelIndex,
+        nodeIndex: next.nodeIndex,
+        stateType: nodeType(currentNode(next)),
+        autoPaused,
+      });
+    }
+
+    case "PLAYER_REACQUIRED": {
+      if (!session.flags.playerLost) return session;
+
+      const autoResumed = session.flags.paused && session.flags.pausedBy === "player_lost";
+      let next = {
+        ...session,
+        flags: {
+          ...session.flags,
+          playerLost: false,
+          ...(autoResumed ? { paused: false, showPauseMenu: false, pausedBy: null } : null),
+        },
+      };
+
+      next = emitTelemetry(next, {
+        type: "PLAYER_REACQUIRED",
+        at: next.time.now,
+        levelId: next.levelId,
+        levelIndex: next.levelIndex,
+        nodeIndex: next.nodeIndex,
+        stateType: nodeType(currentNode(next)),
+        lostMS: Number.isFinite(Number(payload?.lostMS)) ? Math.round(Number(payload.lostMS)) : null,
+        autoResumed,
+      });
+
+      return autoResumed ? scheduleCursor(next) : next;
+    }
+
     case "TOGGLE_SETTINGS":
       return {
         ...session,
@@ -292,6 +651,73 @@ export function applyCommand(session, name, payload) {
       return next;
     }
 
+    /* ---------------------- Numeric estimate (number pad) ---------------------- */
+
+    case "NUMERIC_ANSWER_SUBMITTED": {
+      const node = currentNode(session);
+      if (nodeType(node) !== STATE_TYPES.NUMERIC) return session;
+
+      const raw = payload?.value;
+      const value = typeof raw === "number" && Number.isFinite(raw) ? raw : null;
+      const { correct, absError } = checkNumericAnswer(value, node);
+
+      const next = {
+        ...session,
+        numeric: { value, correct, absError, at: payload?.at ?? Date.now() },
+      };
+
+      return emitTelemetry(next, {
+        type: "NUMERIC_ANSWER_SUBMITTED",
+        at: next.time.now,
+
+        levelId: next.levelId,
+        levelIndex: next.levelIndex,
+        repIndex: 0,
+
+        nodeIndex: next.nodeIndex,
+        stateType: STATE_TYPES.NUMERIC,
+
+        value,
+        input: typeof payload?.input === "string" ? payload.input : null,
+        answer: node?.answer ?? null,
+        tolerance: node?.tolerance ?? 0,
+        unit: node?.unit || null,
+        correct,
+        absError,
+        question: node?.question ?? null,
+      });
+    }
+
+    /* ---------------------- Reflection (free text) ---------------------- */
+
+    case "REFLECTION_SUBMITTED": {
+      const node = currentNode(session);
+      if (nodeType(node) !== STATE_TYPES.REFLECTION) return session;
+
+      const text = normalizeReflectionText(payload?.text);
+
+      const next = {
+        ...session,
+        reflection: { text, at: payload?.at ?? Date.now() },
+      };
+
+      return emitTelemetry(next, {
+        type: "REFLECTION_SUBMITTED",
+        at: next.time.now,
+
+        levelId: next.levelId,
+        levelIndex: next.levelIndex,
+        repIndex: 0,
+
+        nodeIndex: next.nodeIndex,
+        stateType: STATE_TYPES.REFLECTION,
+
+        text,
+        length: text.length,
+        prompt: node?.prompt ?? null,
+      });
+    }
+
     /* ---------------------- Pose match scoring (no telemetry) ---------------------- */
 
     case "POSE_MATCH_SCORES": {
@@ -300,16 +726,39 @@ export function applyCommand(session, name, payload) {
       const thresholdPct = Number(payload?.thresholdPct ?? 70);
       const targetPoseId = payload?.targetPoseId ?? null;
       const stepIndex = Number.isFinite(Number(payload?.stepIndex)) ? Number(payload.stepIndex) : null;
+      const orientation = payload?.orientation === "mirrored" ? "mirrored" : "strict";
+
+      // too little of the player in view => never a match, however good the visible part is
+      const lowConfidence = payload?.lowConfidence === true;
+      const matched = overall >= thresholdPct && !lowConfidence;
+
+      // the step's best counts towards the level score (low-confidence frames don't)
+      const tracked = lowConfidence ? session : trackPoseStepBest(session, overall);
+
+      // stability is optional in the payload; without it a match counts as held
+      const stable = payload?.stable !== false;
+      const stabilityStdDeg = Number.isFinite(Number(payload?.stabilityStdDeg))
+        ? Number(payload.stabilityStdDeg)
+        : null;
 
-      const matched = overall >= thresholdPct;
+      // visibility: how much of the selected feature weight the camera could see (0..1)
+      const confidence = Number.isFinite(Number(payload?.confidence)) ? Number(payload.confidence) : null;
+      const excludedFeatureIds = Array.isArray(payload?.excludedFeatureIds) ? payload.excludedFeatureIds : [];
 
       return {
-        ...session,
+        ...tracked,
         poseMatch: {
           overall,
           perSegment,
+          perFeature: compactPerFeature(payload?.perFeature), // worst features feed the highlight assist
           thresholdPct,
           matched,
+          stable,
+          stabilityStdDeg,
+          held: matched && stable,
+          confidence,
+          excludedFeatureIds,
+          orientation,
           targetPoseId,
           stepIndex,
           updatedAt: session.time.now,
@@ -317,12 +766,121 @@ export function applyCommand(session, name, payload) {
       };
     }
 
+    /* ---------------------- Pose sequence scoring (no telemetry) ---------------------- */
+
+    case "POSE_SEQUENCE_SCORES": {
+      const overall = Number(payload?.overall ?? 0);
+      const perSegment = Array.isArray(payload?.perSegment) ? payload.perSegment : [];
+      const thresholdPct = Number(payload?.thresholdPct ?? 70);
+      const targetSequenceId = payload?.targetSequenceId ?? null;
+      const stepIndex = Number.isFinite(Number(payload?.stepIndex)) ? Number(payload.stepIndex) : null;
+      const orientation = payload?.orientation === "mirrored" ? "mirrored" : "strict";
+
+      return {
+        ...trackPoseStepBest(session, overall),
+        poseSequence: {
+          overall,
+          perSegment,
+          thresholdPct,
+          matched: overall >= thresholdPct,
+          orientation,
+          targetSequenceId,
+          stepIndex,
+          updatedAt: session.time.now,
+        },
+      };
+    }
+
+    /* ---------------------- Explore (guide angles) ---------------------- */
+
+    // sampled by ExploreView every node.logEveryMS; every batch is logged
+    case "EXPLORE_MEASUREMENTS": {
+      if (nodeType(currentNode(session)) !== STATE_TYPES.EXPLORE) return session;
+
+      const measurements = (Array.isArray(payload?.measurements) ? payload.measurements : []).map((m) => ({
+        id: String(m?.id ?? ""),
+        label: m?.label ?? null,
+        deg: typeof m?.deg === "number" && Number.isFinite(m.deg) ? m.deg : null,
+      }));
+
+      // range per guide over the whole visit (what the player actually tried)
+      const ranges = { ...(session.explore?.ranges ?? {}) };
+      for (const m of measurements) {
+        if (m.deg === null) continue;
+        const r = ranges[m.id];
+        ranges[m.id] = r ? { min: Math.min(r.min, m.deg), max: Math.max(r.max, m.deg) } : { min: m.deg, max: m.deg };
+      }
+
+      const next = {
+        ...session,
+        explore: {
+          measurements,
+          ranges,
+          samples: (session.explore?.samples ?? 0) + 1,
+          updatedAt: session.time.now,
+        },
+      };
+
+      return emitTelemetry(next, {
+        type: "EXPLORE_MEASUREMENT",
+        at: next.time.now,
+
+        levelId: next.levelId,
+        levelIndex: next.levelIndex,
+
+        nodeIndex: next.nodeIndex,
+        stateType: STATE_TYPES.EXPLORE,
+
+        measurements,
+      });
+    }
+
     case "NEXT":
       return handleNext(session, payload);
 
     case "RESTART_LEVEL":
       return restartCurrentLevel(session);
 
+    /* ---------------------- Keyboard / gamepad ---------------------- */
+
+    // log only; the action itself arrives as its own command
+    case "INPUT_ACTION": {
+      if (!payload?.action) return session;
+
+      return emitTelemetry(session, {
+        type: "INPUT_ACTION",
+        at: session.time.now,
+        levelId: session.levelId,
+        levelIndex: session.levelIndex,
+        nodeIndex: session.nodeIndex,
+        stateType: nodeType(currentNode(session)),
+        action: payload.action,
+        input: payload.input ?? null,
+        key: payload.key ?? null,
+        facilitator: payload.facilitator === true,
+        ...(Number.isInteger(payload.optionIndex) ? { optionIndex: payload.optionIndex } : null),
+        ...(Number.isInteger(payload.levelIndex) ? { toLevelIndex: payload.levelIndex } : null),
+      });
+    }
+
+    case "FACILITATOR_SKIP_NODE":
+      return facilitatorSkipNode(session, payload);
+
+    case "FACILITATOR_JUMP_LEVEL":
+      return facilitatorJumpLevel(session, payload);
+
+    case "PREVIEW_GOTO":
+      return previewGoto(session, payload);
+
+    /* ---------------------- Results screen ---------------------- */
+
+    case "RESULTS_CONTINUE": {
+      if (!session.flags.showResults) return session;
+
+      const next = { ...session, flags: { ...session.flags, showResults: false } };
+      return pushEffect(next, { type: "ON_COMPLETE" });
+    }
+
     default:
       return session;
   }
@@ -337,7 +895,7 @@ function currentNode(session) {
 function findNextValidNodeIndex(session, startIndex) {
   const nodes = Array.isArray(session?.nodes) ? session.nodes : [];
   for (let i = startIndex; i < nodes.length; i++) {
-    if (nodes[i] != null) return i; // skip null/undefined
+    if (nodes[i] != null && !nodes[i].branch) return i; // skip null/undefined + graph branch nodes
   }
   return null;
 }
@@ -355,7 +913,7 @@ function cancelNodeTimers(session, nodeIndex) {
   return s;
 }
 
-function enterNode(session, nodeIndex, { reason } = {}) {
+function enterNode(session, nodeIndex, { reason, roundIndex = 0 } = {}) {
   const node = session.nodes?.[nodeIndex] ?? null;
   const t = nodeType(node);
 
@@ -369,22 +927,34 @@ function enterNode(session, nodeIndex, { reason } = {}) {
   };
 
   if (isDialogueLikeType(t)) next = { ...next, dialogueIndex: 0 };
-  if (isSteppedPoseType(t)) next = { ...next, stepIndex: 0 };
+  if (isSteppedPoseType(t)) next = startPoseStep({ ...next, stepIndex: 0 });
+  else next = { ...next, poseStepScore: null, poseAssist: null };
+
+  // graph edges can route back to a node; its outcome must come from this visit
+  next = { ...next, nodeOutcome: { failedSteps: 0, failedRounds: 0, roundFailed: false } };
+  if (t === STATE_TYPES.INTUITION) next = { ...next, intuition: null };
+  if (t === STATE_TYPES.INSIGHT) next = { ...next, insight: null };
+  if (t === STATE_TYPES.NUMERIC) next = { ...next, numeric: null };
+  if (t === STATE_TYPES.REFLECTION) next = { ...next, reflection: null };
 
   if (t === STATE_TYPES.POSE_MATCH) {
     const poseIds = Array.isArray(node?.poseIds) ? node.poseIds : [];
     const initialStep = 0;
     const initialTargetPoseId = poseIds[initialStep] ?? null;
-    const initialThresholdPct = getPoseThresholdPctForStep(node, initialStep, 70);
+    const initialThresholdPct = getAdaptedPoseThresholdPct(next, node, initialStep);
 
     next = {
       ...next,
-      poseMatchRoundIndex: 0,
+      poseMatchRoundIndex: Math.max(0, Math.trunc(Number(roundIndex) || 0)),
       poseMatch: {
         overall: 0,
         perSegment: [],
+        perFeature: [],
         thresholdPct: initialThresholdPct,
         matched: false,
+        stable: false,
+        stabilityStdDeg: null,
+        held: false,
         targetPoseId: initialTargetPoseId,
         stepIndex: initialStep,
         updatedAt: next.time.now,
@@ -394,8 +964,33 @@ function enterNode(session, nodeIndex, { reason } = {}) {
     next = { ...next, poseMatch: null, poseMatchRoundIndex: 0 };
   }
 
+  if (t === STATE_TYPES.POSE_SEQUENCE) {
+    const sequenceIds = Array.isArray(node?.sequenceIds) ? node.sequenceIds : [];
+
+    next = {
+      ...next,
+      poseSequence: {
+        overall: 0,
+        perSegment: [],
+        thresholdPct: getSequenceThresholdPctForStep(node, 0, 70),
+        matched: false,
+        targetSequenceId: sequenceIds[0] ?? null,
+        stepIndex: 0,
+        updatedAt: next.time.now,
+      },
+    };
+  } else {
+    next = { ...next, poseSequence: null };
+  }
+
   if (t === STATE_TYPES.TWEEN) next = { ...next, tweenPlayIndex: 0 };
 
+  next = {
+    ...next,
+    explore:
+      t === STATE_TYPES.EXPLORE ? { measurements: [], ranges: {}, samples: 0, updatedAt: next.time.now } : null,
+  };
+
   next = emitTelemetry(next, {
     type: "STATE_ENTER",
     at: next.time.now,
@@ -412,13 +1007,21 @@ function enterNode(session, nodeIndex, { reason } = {}) {
 
   next = pushEffect(next, {
     type: "POSE_RECORDING_HINT",
-    enabled: t === STATE_TYPES.POSE_MATCH || t === STATE_TYPES.INSIGHT || t === STATE_TYPES.INTUITION,
+    enabled:
+      t === STATE_TYPES.POSE_MATCH ||
+      t === STATE_TYPES.POSE_SEQUENCE ||
+      t === STATE_TYPES.INSIGHT ||
+      t === STATE_TYPES.INTUITION ||
+      t === STATE_TYPES.EXPLORE ||
+      t === STATE_TYPES.NUMERIC ||
+      t === STATE_TYPES.REFLECTION,
     stateType: t,
     nodeIndex,
   });
 
   next = scheduleCursor(next);
   next = scheduleAutoAdvanceIfNeeded(next);
+  next = pushSnapshot(next, "STATE_ENTER");
 
   return next;
 }
@@ -457,6 +1060,15 @@ function restartCurrentLevel(session) {
     reason: "RESTART_LEVEL",
   });
 
+  // the restarted attempt is scored from scratch; earlier levels stay
+  return startLevel(s, s.levelIndex ?? 0, { reason: "RESTART_LEVEL" });
+}
+
+/**
+ * Fresh session for levelIndex that keeps the clock, pending effects (exit / LEVEL_END),
+ * finished level scores and difficulty; emits LEVEL_START and enters the first node.
+ */
+function startLevel(s, levelIndex, { reason, facilitator = false, nodeIndex = 0 } = {}) {
   const prevStartedAt =
     s?.time?.startedAt ?? (typeof performance !== "undefined" ? performance.now() : Date.now());
 
@@ -465,8 +1077,8 @@ function restartCurrentLevel(session) {
   let next = createSession({
     game: s.game,
     playId: s.playId,
-    initialLevel: s.levelIndex ?? 0,
-    initialNodeIndex: 0,
+    initialLevel: levelIndex,
+    initialNodeIndex: nodeIndex,
   });
 
   next = {
@@ -474,41 +1086,49 @@ function restartCurrentLevel(session) {
     time: {
       ...next.time,
       startedAt: prevStartedAt,
-      now: s.time.now,
+      now: s.time.now,       // ✅ keeps timestamps aligned
       elapsed: s.time.elapsed,
       dt: 0,
     },
     timers: [],
-    // ✅ DO NOT wipe effects — keep exit/level_end
+    // ✅ DO NOT wipe effects — keep STATE_EXIT + LEVEL_END so GamePlayerInner can drain them
     effects: carriedEffects,
+    levelScores: s.levelScores ?? [],
+    // difficulty follows the player, not the level
+    difficulty: s.difficulty ?? createDifficulty(),
+    levelStarts: (s.levelStarts ?? 0) + 1,
     flags: { ...next.flags, paused: false, showPauseMenu: false, showCursor: false },
     poseMatch: null,
     poseMatchRoundIndex: 0,
+    poseSequence: null,
     tweenPlayIndex: 0,
   };
 
   next = emitTelemetry(next, {
     type: "LEVEL_START",
-    at: next.time.now,
+    at: next.time.now,       // ✅ same timestamp as exit/end
     levelId: next.levelId,
     levelIndex: next.levelIndex,
-    reason: "RESTART_LEVEL",
+    reason,
+    ...(facilitator ? { facilitator: true } : null),
   });
 
-  next = enterNode(next, 0, { reason: "RESTART_LEVEL" });
-  return next;
+  return enterNode(next, next.nodeIndex ?? 0, { reason });
 }
 
 /**
  * When a level finishes:
- * - always emit LEVEL_END
- * - either advance to next level (emit LEVEL_START) or end session (SESSION_END + ON_COMPLETE)
+ * - always emit LEVEL_SCORE + LEVEL_END
+ * - either advance to next level (emit LEVEL_START) or end session
+ *   (SESSION_END + GAME_SCORE, results screen; ON_COMPLETE once the player continues)
  */
 function advanceToNextLevelOrFinish(session, { reason } = {}) {
   const gameLevels = Array.isArray(session?.game?.levels) ? session.game.levels : [];
   const nextLevelIndex = (session.levelIndex ?? 0) + 1;
 
-  let s = emitTelemetry(session, {
+  let s = finishLevelScore(session);
+
+  s = emitTelemetry(s, {
     type: "LEVEL_END",
     at: session.time.now,
     levelId: session.levelId,
@@ -525,62 +1145,223 @@ function advanceToNextLevelOrFinish(session, { reason } = {}) {
       reason: reason ?? "GAME_COMPLETE",
     });
 
-    return pushEffect(s, { type: "ON_COMPLETE" });
+    const results = summarizeGame(s.levelScores);
+
+    s = emitTelemetry(s, {
+      type: "GAME_SCORE",
+      at: s.time.now,
+      score: results.score,
+      stars: results.stars,
+      totalStars: results.totalStars,
+      maxStars: results.maxStars,
+    });
+
+    s = {
+      ...s,
+      results,
+      flags: { ...s.flags, showResults: true, showCursor: true },
+    };
+
+    s = pushEffect(s, { type: "SAVE_SCORE", score: results });
+    return pushEffect(s, { type: "SESSION_SNAPSHOT", snapshot: null });
   }
 
-  const prevStartedAt =
-    s?.time?.startedAt ?? (typeof performance !== "undefined" ? performance.now() : Date.now());
+  return startLevel(s, nextLevelIndex, { reason: "NEXT_LEVEL" });
+}
 
-  const carriedEffects = Array.isArray(s.effects) ? s.effects : [];
+/* ----------------------------- preview ----------------------------- */
 
-  let next = createSession({
-    game: s.game,
-    playId: s.playId,
-    initialLevel: nextLevelIndex,
-    initialNodeIndex: 0,
+// preview/debug mode: jump straight to any node of any level (no telemetry is stored in preview)
+function previewGoto(session, payload) {
+  const gameLevels = Array.isArray(session?.game?.levels) ? session.game.levels : [];
+  const levelIndex = Number(payload?.levelIndex ?? session.levelIndex ?? 0);
+  const nodeIndex = Math.max(0, Math.trunc(Number(payload?.nodeIndex) || 0));
+  if (!Number.isInteger(levelIndex) || levelIndex < 0 || levelIndex >= gameLevels.length) return session;
+
+  if (levelIndex !== session.levelIndex || session.flags?.showResults) {
+    const s = session.flags?.showResults ? session : exitNode(session, { reason: "PREVIEW_GOTO" });
+    return startLevel({ ...s, results: null }, levelIndex, { reason: "PREVIEW_GOTO", nodeIndex });
+  }
+
+  if (session.nodes?.[nodeIndex] == null) return session;
+
+  const s = exitNode(session, { reason: "PREVIEW_GOTO" });
+  return enterNode(s, nodeIndex, { reason: "PREVIEW_GOTO" });
+}
+
+/* ----------------------------- facilitator ----------------------------- */
+
+// FACILITATOR_ACTION carries what the replay needs to redo it
+function emitFacilitatorAction(session, action, extra = {}) {
+  return emitTelemetry(session, {
+    type: "FACILITATOR_ACTION",
+    at: session.time.now,
+    levelId: session.levelId,
+    levelIndex: session.levelIndex,
+    nodeIndex: session.nodeIndex,
+    stateType: nodeType(currentNode(session)),
+    facilitator: true,
+    action,
+    ...extra,
   });
+}
 
-  next = {
-    ...next,
-    time: {
-      ...next.time,
-      startedAt: prevStartedAt,
-      now: s.time.now,       // ✅ keeps timestamps aligned
-      elapsed: s.time.elapsed,
-      dt: 0,
-    },
-    timers: [],
-    // ✅ preserve STATE_EXIT + LEVEL_END so GamePlayerInner can drain them
-    effects: carriedEffects,
-    flags: { ...next.flags, paused: false, showPauseMenu: false, showCursor: false },
-    poseMatch: null,
-    poseMatchRoundIndex: 0,
-    tweenPlayIndex: 0,
-  };
+function facilitatorSkipNode(session, payload) {
+  if (session.flags?.showResults) return session;
 
-  next = emitTelemetry(next, {
-    type: "LEVEL_START",
-    at: next.time.now,       // ✅ same timestamp as exit/end
-    levelId: next.levelId,
-    levelIndex: next.levelIndex,
-    reason: "NEXT_LEVEL",
+  let s = emitFacilitatorAction(session, "SKIP_NODE", { input: payload?.input ?? null });
+  s = cancelNodeTimers(s, s.nodeIndex);
+  return goNextNode(s, { reason: "FACILITATOR_SKIP", outcome: NODE_OUTCOMES.SKIPPED });
+}
+
+// unfinished levels are left unscored; a jump from the results screen starts playing again
+function facilitatorJumpLevel(session, payload) {
+  const gameLevels = Array.isArray(session?.game?.levels) ? session.game.levels : [];
+  const toLevelIndex = Number(payload?.levelIndex);
+  if (!Number.isInteger(toLevelIndex) || toLevelIndex < 0 || toLevelIndex >= gameLevels.length) return session;
+
+  let s = emitFacilitatorAction(session, "JUMP_LEVEL", {
+    input: payload?.input ?? null,
+    fromLevelIndex: session.levelIndex ?? null,
+    toLevelIndex,
   });
 
-  next = enterNode(next, 0, { reason: "NEXT_LEVEL" });
-  return next;
+  if (!s.flags?.showResults) {
+    s = exitNode(s, { reason: "FACILITATOR_JUMP" });
+    s = emitTelemetry(s, {
+      type: "LEVEL_END",
+      at: s.time.now,
+      levelId: s.levelId,
+      levelIndex: s.levelIndex,
+      reason: "FACILITATOR_JUMP",
+      facilitator: true,
+    });
+  }
+
+  return startLevel({ ...s, results: null }, toLevelIndex, { reason: "FACILITATOR_JUMP", facilitator: true });
 }
 
-function goNextNode(session, { reason } = {}) {
-  const nextIndex = findNextValidNodeIndex(session, (session.nodeIndex ?? 0) + 1);
+/**
+ * Outcome the current node finished with, matched against stateGraph edge.on.
+ */
+function resolveNodeOutcome(session) {
+  const node = currentNode(session);
+  const t = nodeType(node);
+
+  if (t === STATE_TYPES.INTUITION) {
+    const answer = session.intuition?.answer;
+    if (typeof answer !== "boolean") return NODE_OUTCOMES.UNANSWERED;
+    if (typeof node?.answer !== "boolean") return NODE_OUTCOMES.ANSWERED;
+    return answer === node.answer ? NODE_OUTCOMES.CORRECT : NODE_OUTCOMES.WRONG;
+  }
+
+  if (t === STATE_TYPES.INSIGHT) {
+    const picked = session.insight?.optionIndex ?? session.insight?.optionId;
+    const optionIndex = picked === null || picked === undefined || picked === "" ? NaN : Number(picked);
+    if (!Number.isInteger(optionIndex)) return NODE_OUTCOMES.UNANSWERED;
+
+    const keys = Array.isArray(node?.answerIndices) ? node.answerIndices : [];
+    if (!keys.length) return NODE_OUTCOMES.ANSWERED;
+    return keys.includes(optionIndex) ? NODE_OUTCOMES.CORRECT : NODE_OUTCOMES.WRONG;
+  }
+
+  if (t === STATE_TYPES.NUMERIC) {
+    const value = session.numeric?.value;
+    if (typeof value !== "number") return NODE_OUTCOMES.UNANSWERED;
+    if (!Number.isFinite(node?.answer)) return NODE_OUTCOMES.ANSWERED;
+    return session.numeric?.correct ? NODE_OUTCOMES.CORRECT : NODE_OUTCOMES.WRONG;
+  }
+
+  if (t === STATE_TYPES.REFLECTION) {
+    return session.reflection?.text ? NODE_OUTCOMES.ANSWERED : NODE_OUTCOMES.UNANSWERED;
+  }
+
+  if (isSteppedPoseType(t)) {
+    return (session.nodeOutcome?.failedSteps ?? 0) > 0 ? NODE_OUTCOMES.FAILED : NODE_OUTCOMES.PASSED;
+  }
+
+  return NODE_OUTCOMES.DONE;
+}
+
+function hasAnswerKey(node) {
+  const t = nodeType(node);
+  if (t === STATE_TYPES.INTUITION) return typeof node?.answer === "boolean";
+  if (t === STATE_TYPES.INSIGHT) return Array.isArray(node?.answerIndices) && node.answerIndices.length > 0;
+  if (t === STATE_TYPES.NUMERIC) return Number.isFinite(node?.answer);
+  return false;
+}
+
+/**
+ * Follow level.stateGraph edges from the current node (falls through to the next main-path node).
+ * Emits STATE_TRANSITION for every move, including the one that ends the level.
+ */
+function goNextNode(session, { reason, outcome } = {}) {
+  const nodes = Array.isArray(session?.nodes) ? session.nodes : [];
+  const fromIndex = session.nodeIndex ?? 0;
+  const fromNode = currentNode(session);
+  const nodeOutcome = outcome ?? resolveNodeOutcome(session);
+  const failedReps = session.nodeOutcome?.failedRounds ?? 0;
+
+  // answers with a key count towards the level score; leaving one unanswered counts as wrong
+  const answerKeyed =
+    nodeOutcome === NODE_OUTCOMES.CORRECT ||
+    nodeOutcome === NODE_OUTCOMES.WRONG ||
+    (nodeOutcome === NODE_OUTCOMES.UNANSWERED && hasAnswerKey(fromNode));
+  const levelScore = answerKeyed
+    ? recordAnswer(session.levelScore, nodeOutcome === NODE_OUTCOMES.CORRECT)
+    : session.levelScore;
+
+  let { toIndex, edgeIndex } = resolveTransition(nodes, session.graphEdges, fromIndex, {
+    outcome: nodeOutcome,
+    failedReps,
+    returnIndex: session.graphReturnIndex ?? null,
+  });
+
+  // wrong => remediation => ask again can loop forever; end the level instead
+  const graphTransitions = (session.graphTransitions ?? 0) + (edgeIndex != null ? 1 : 0);
+  const loopLimited = edgeIndex != null && graphTransitions > MAX_GRAPH_TRANSITIONS;
+  if (loopLimited) toIndex = null;
+
+  const toNode = toIndex != null ? nodes[toIndex] ?? null : null;
+
+  // a branch-only node returns to the main node after the one that branched into it
+  let graphReturnIndex = null;
+  if (toNode?.branch) {
+    graphReturnIndex = fromNode?.branch
+      ? session.graphReturnIndex ?? null
+      : findNextValidNodeIndex(session, fromIndex + 1);
+  }
+
+  let s = emitTelemetry(
+    { ...session, graphTransitions, graphReturnIndex, levelScore },
+    {
+      type: "STATE_TRANSITION",
+      at: session.time.now,
+
+      levelId: session.levelId,
+      levelIndex: session.levelIndex,
+
+      nodeIndex: fromIndex,
+      stateType: nodeType(fromNode),
+      fromNodeId: fromNode?.id ?? null,
+      toNodeId: toNode ? toNode.id ?? null : GRAPH_END,
+      toNodeIndex: toIndex,
+      outcome: nodeOutcome,
+      failedReps,
+      edgeIndex,
+      branched: edgeIndex != null,
+      reason: loopLimited ? "GRAPH_LOOP_LIMIT" : reason ?? "NEXT_NODE",
+    }
+  );
 
   // No more valid nodes => end level
-  if (nextIndex == null) {
-    let s = exitNode(session, { reason: reason ?? "LEVEL_COMPLETE" });
+  if (toIndex == null) {
+    s = exitNode(s, { reason: reason ?? "LEVEL_COMPLETE" });
     return advanceToNextLevelOrFinish(s, { reason: reason ?? "LEVEL_COMPLETE" });
   }
 
-  let next = exitNode(session, { reason: reason ?? "NEXT_NODE" });
-  next = enterNode(next, nextIndex, { reason: reason ?? "NEXT_NODE" });
+  let next = exitNode(s, { reason: reason ?? "NEXT_NODE" });
+  next = enterNode(next, toIndex, { reason: reason ?? "NEXT_NODE" });
   return next;
 }
 
@@ -590,6 +1371,9 @@ function handleNext(session, payload) {
   const node = currentNode(session);
   const t = nodeType(node);
 
+  // game over: only the results screen's Continue moves on
+  if (session.flags?.showResults) return session;
+
   const source = payload?.source ?? "unknown";
   const isManualClick = source === "click";
 
@@ -652,7 +1436,18 @@ function handleNext(session, payload) {
       playIndex: s.tweenPlayIndex ?? 0,
     });
 
-    return goNextNode(s, { reason: "TWEEN_SKIPPED" });
+    return goNextNode(s, {
+      reason: "TWEEN_SKIPPED",
+      outcome: source === "auto" ? NODE_OUTCOMES.DONE : NODE_OUTCOMES.SKIPPED,
+    });
+  }
+
+  // EXPLORE: Next ends early (the AUTO_ADVANCE timer ends it after durationMS)
+  if (t === STATE_TYPES.EXPLORE) {
+    return goNextNode(session, {
+      reason: "EXPLORE_SKIPPED",
+      outcome: source === "auto" ? NODE_OUTCOMES.DONE : NODE_OUTCOMES.SKIPPED,
+    });
   }
 
   // POSE_MATCH
@@ -662,22 +1457,59 @@ function handleNext(session, payload) {
 
     if (poseIds.length <= 0) return goNextNode(session, { reason: "POSE_MATCH_EMPTY" });
 
-    const matched = !!session.poseMatch?.matched;
-    if (!isManualClick && !matched) return session;
+    // auto-advance needs a held pose (matched AND stable), not just a matching frame
+    const held = !!(session.poseMatch?.held ?? session.poseMatch?.matched);
+    if (!isManualClick && !held) return session;
+
+    // the OFFER_SKIP assist's button
+    if (payload?.assist === ASSIST_KINDS.OFFER_SKIP && session.poseAssist?.skipOffered) {
+      session = emitTelemetry(session, {
+        type: "POSE_ASSIST_USED",
+        at: session.time.now,
 
-    // reps support
-    const repsRaw = session?.settings?.reps?.poseMatch ?? 1;
+        levelId: session.levelId,
+        levelIndex: session.levelIndex,
+        repIndex: session.poseMatchRoundIndex ?? 0,
+
+        nodeIndex: session.nodeIndex,
+        stateType: t,
+        stepIndex: i,
+        targetPoseId: poseIds[i] ?? null,
+
+        assist: ASSIST_KINDS.OFFER_SKIP,
+        stepMS: Math.round(session.time.elapsed - (session.poseStepScore?.startedAt ?? session.time.elapsed)),
+      });
+    }
+
+    // graph outcome: a step skipped by click without holding the pose counts as failed
+    const stepFailed = isManualClick && !held;
+    const lastStep = i + 1 >= poseIds.length;
+    const prevOutcome = session.nodeOutcome ?? {};
+    const roundFailed = !!prevOutcome.roundFailed || stepFailed;
+    const sample = poseStepSample(session, { matched: held });
+    let tracked = {
+      ...adaptDifficulty(finishPoseStep(session, sample), sample),
+      nodeOutcome: {
+        failedSteps: (prevOutcome.failedSteps ?? 0) + (stepFailed ? 1 : 0),
+        failedRounds: (prevOutcome.failedRounds ?? 0) + (lastStep && roundFailed ? 1 : 0),
+        roundFailed: lastStep ? false : roundFailed,
+      },
+    };
+    if (lastStep) tracked = { ...tracked, levelScore: recordRound(tracked.levelScore, !roundFailed) };
+
+    // reps support (a graph node can set its own)
+    const repsRaw = node?.reps ?? tracked?.settings?.reps?.poseMatch ?? 1;
     const reps = Number.isFinite(Number(repsRaw)) ? Math.max(1, Math.trunc(Number(repsRaw))) : 1;
-    const round = Number.isFinite(Number(session?.poseMatchRoundIndex))
-      ? Math.max(0, Math.trunc(Number(session.poseMatchRoundIndex)))
+    const round = Number.isFinite(Number(tracked?.poseMatchRoundIndex))
+      ? Math.max(0, Math.trunc(Number(tracked.poseMatchRoundIndex)))
       : 0;
 
     const advanceToStep = (s, nextStep, nextRound) => {
       const nextTargetPoseId = poseIds[nextStep] ?? null;
-      const nextThresholdPct = getPoseThresholdPctForStep(node, nextStep, 70);
+      const nextThresholdPct = getAdaptedPoseThresholdPct(s, node, nextStep);
 
       let out = {
-        ...s,
+        ...startPoseStep(s),
         stepIndex: nextStep,
         poseMatchRoundIndex: nextRound,
         flags: { ...s.flags, showCursor: false },
@@ -685,7 +1517,11 @@ function handleNext(session, payload) {
           ...(s.poseMatch ?? {}),
           overall: 0,
           perSegment: [],
+          perFeature: [],
           matched: false,
+          stable: false,
+          stabilityStdDeg: null,
+          held: false,
           targetPoseId: nextTargetPoseId,
           thresholdPct: nextThresholdPct,
           stepIndex: nextStep,
@@ -706,6 +1542,8 @@ function handleNext(session, payload) {
         stepIndex: nextStep,
         targetPoseId: nextTargetPoseId,
         thresholdPct: nextThresholdPct,
+        minHoldMS: getAdaptedMinHoldMS(out, node),
+        difficultyLevel: out.difficulty?.level ?? 0,
       });
 
       out = scheduleCursor(out);
@@ -715,13 +1553,13 @@ function handleNext(session, payload) {
 
     // next pose in current round
     if (i + 1 < poseIds.length) {
-      let s = cancelNodeTimers(session, session.nodeIndex);
+      let s = cancelNodeTimers(tracked, tracked.nodeIndex);
       return advanceToStep(s, i + 1, round);
     }
 
     // finished last pose in sequence; loop for next round if needed
     if (round + 1 < reps) {
-      let s = cancelNodeTimers(session, session.nodeIndex);
+      let s = cancelNodeTimers(tracked, tracked.nodeIndex);
 
       s = emitTelemetry(s, {
         type: isManualClick ? "POSE_MATCH_REP_FINISH_CLICK" : "POSE_MATCH_REP_FINISH_AUTO",
@@ -736,15 +1574,86 @@ function handleNext(session, payload) {
         stepIndex: i,
       });
 
-      return advanceToStep(s, 0, round + 1);
+      return pushSnapshot(advanceToStep(s, 0, round + 1), "POSE_MATCH_REP");
     }
 
     // finished final round
-    return goNextNode(session, {
+    return goNextNode(tracked, {
       reason: isManualClick ? "POSE_MATCH_CLICK_FINISH" : "POSE_MATCH_AUTO_FINISH",
     });
   }
 
+  // POSE_SEQUENCE: one clip per step, auto-advance only when the movement matched
+  if (t === STATE_TYPES.POSE_SEQUENCE) {
+    const sequenceIds = Array.isArray(node?.sequenceIds) ? node.sequenceIds : [];
+    const i = session.stepIndex ?? 0;
+
+    if (sequenceIds.length <= 0) return goNextNode(session, { reason: "POSE_SEQUENCE_EMPTY" });
+
+    const matched = !!session.poseSequence?.matched;
+    if (!isManualClick && !matched) return session;
+
+    let s = cancelNodeTimers(session, session.nodeIndex);
+
+    // graph outcome: one round per sequence node
+    const stepFailed = isManualClick && !matched;
+    const prevOutcome = s.nodeOutcome ?? {};
+    const roundFailed = !!prevOutcome.roundFailed || stepFailed;
+    const lastStep = i + 1 >= sequenceIds.length;
+    s = {
+      ...finishPoseStep(s, poseStepSample(s, { matched })),
+      nodeOutcome: {
+        failedSteps: (prevOutcome.failedSteps ?? 0) + (stepFailed ? 1 : 0),
+        failedRounds: (prevOutcome.failedRounds ?? 0) + (lastStep && roundFailed ? 1 : 0),
+        roundFailed: lastStep ? false : roundFailed,
+      },
+    };
+    if (lastStep) s = { ...s, levelScore: recordRound(s.levelScore, !roundFailed) };
+
+    s = emitTelemetry(s, {
+      type: isManualClick ? "POSE_SEQUENCE_CLICK_NEXT" : "POSE_SEQUENCE_AUTO_NEXT",
+      at: s.time.now,
+
+      levelId: s.levelId,
+      levelIndex: s.levelIndex,
+
+      nodeIndex: s.nodeIndex,
+      stateType: t,
+      stepIndex: i,
+      targetSequenceId: sequenceIds[i] ?? null,
+      overall: Number(s.poseSequence?.overall ?? 0),
+      thresholdPct: Number(s.poseSequence?.thresholdPct ?? 70),
+      matched,
+    });
+
+    if (i + 1 >= sequenceIds.length) {
+      return goNextNode(s, {
+        reason: isManualClick ? "POSE_SEQUENCE_CLICK_FINISH" : "POSE_SEQUENCE_AUTO_FINISH",
+      });
+    }
+
+    const nextStep = i + 1;
+    s = {
+      ...startPoseStep(s),
+      stepIndex: nextStep,
+      flags: { ...s.flags, showCursor: false },
+      poseSequence: {
+        ...(s.poseSequence ?? {}),
+        overall: 0,
+        perSegment: [],
+        matched: false,
+        targetSequenceId: sequenceIds[nextStep] ?? null,
+        thresholdPct: getSequenceThresholdPctForStep(node, nextStep, 70),
+        stepIndex: nextStep,
+        updatedAt: s.time.now,
+      },
+    };
+
+    s = scheduleCursor(s);
+    s = scheduleAutoAdvanceIfNeeded(s);
+    return s;
+  }
+
   return goNextNode(session, { reason: "NEXT_COMMAND" });
 }
 
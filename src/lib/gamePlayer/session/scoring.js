@@ -0,0 +1,206 @@
+// src/lib/gamePlayer/session/scoring.js
+// Per-level score (0..100) and stars, built up by the reducer while a level plays:
+//  - poseQuality: best similarity reached on each pose match / sequence step
+//  - speed:       how quickly each step was matched (paused time doesn't count)
+//  - answers:     intuition / insight / numeric correctness (nodes with an answer key only)
+//  - reps:        pose rounds finished without skipping a step
+// Components without data (e.g. a level with no questions) are left out and the weights
+// of the others are rescaled, so every level can still reach 100.
+// Kept free of client-only imports so the plays API can validate the summary with it.
+
+export const SCORE_WEIGHTS = Object.freeze({
+  poseQuality: 0.4,
+  speed: 0.2,
+  answers: 0.3,
+  reps: 0.1,
+});
+
+// settings.scoring
+export const DEFAULT_SCORING = Object.freeze({
+  oneStar: 50,
+  twoStars: 70,
+  threeStars: 90,
+  targetMatchMS: 4000, // matched within this => full speed credit
+});
+
+export const MAX_STARS = 3;
+
+// speed credit reaches 0 at this multiple of targetMatchMS
+const SLOW_MATCH_FACTOR = 4;
+
+const MAX_SUMMARY_LEVELS = 200;
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+const clamp = (n, min, max, fallback) => {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return fallback;
+  return Math.max(min, Math.min(max, x));
+};
+
+const unit = (n) => clamp(n, 0, 1, 0);
+
+/**
+ * settings.scoring => thresholds in ascending order (a lower star can't need more than a higher one)
+ */
+export function normalizeScoringConfig(raw) {
+  const src = isPlainObject(raw) ? raw : {};
+
+  const oneStar = clamp(src.oneStar, 0, 100, DEFAULT_SCORING.oneStar);
+  const twoStars = Math.max(oneStar, clamp(src.twoStars, 0, 100, DEFAULT_SCORING.twoStars));
+  const threeStars = Math.max(twoStars, clamp(src.threeStars, 0, 100, DEFAULT_SCORING.threeStars));
+
+  return {
+    oneStar,
+    twoStars,
+    threeStars,
+    targetMatchMS: clamp(src.targetMatchMS, 500, 60000, DEFAULT_SCORING.targetMatchMS),
+  };
+}
+
+export function starsForScore(score, config) {
+  if (!Number.isFinite(score)) return 0;
+  const { oneStar, twoStars, threeStars } = normalizeScoringConfig(config);
+  if (score >= threeStars) return 3;
+  if (score >= twoStars) return 2;
+  if (score >= oneStar) return 1;
+  return 0;
+}
+
+/* ----------------------------- level accumulator ----------------------------- */
+
+export function createLevelScore() {
+  return {
+    steps: 0,
+    matchedSteps: 0,
+    qualitySum: 0,
+    speedSum: 0,
+    answered: 0,
+    correct: 0,
+    rounds: 0,
+    passedRounds: 0,
+  };
+}
+
+/**
+ * One finished pose match / sequence step.
+ * best: best overall similarity (0..100) seen on the step; matchMS: time on the step.
+ */
+export function recordPoseStep(acc, { best, matched, matchMS }, config) {
+  const { targetMatchMS } = normalizeScoringConfig(config);
+  const a = { ...createLevelScore(), ...acc };
+
+  // unmatched steps get no speed credit however long they took
+  let speed = 0;
+  if (matched) {
+    const ms = Math.max(0, Number(matchMS) || 0);
+    const slowMS = targetMatchMS * SLOW_MATCH_FACTOR;
+    speed = ms <= targetMatchMS ? 1 : unit((slowMS - ms) / (slowMS - targetMatchMS));
+  }
+
+  return {
+    ...a,
+    steps: a.steps + 1,
+    matchedSteps: a.matchedSteps + (matched ? 1 : 0),
+    qualitySum: a.qualitySum + unit(Number(best) / 100),
+    speedSum: a.speedSum + speed,
+  };
+}
+
+export function recordAnswer(acc, correct) {
+  const a = { ...createLevelScore(), ...acc };
+  return { ...a, answered: a.answered + 1, correct: a.correct + (correct ? 1 : 0) };
+}
+
+export function recordRound(acc, passed) {
+  const a = { ...createLevelScore(), ...acc };
+  return { ...a, rounds: a.rounds + 1, passedRounds: a.passedRounds + (passed ? 1 : 0) };
+}
+
+/**
+ * accumulator => { score: 0..100 | null, stars, components }
+ * score is null when the level had nothing to score (dialogue / tween only).
+ */
+export function scoreLevel(acc, config) {
+  const a = { ...createLevelScore(), ...acc };
+
+  const components = {
+    poseQuality: a.steps > 0 ? a.qualitySum / a.steps : null,
+    speed: a.steps > 0 ? a.speedSum / a.steps : null,
+    answers: a.answered > 0 ? a.correct / a.answered : null,
+    reps: a.rounds > 0 ? a.passedRounds / a.rounds : null,
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [key, weight] of Object.entries(SCORE_WEIGHTS)) {
+    if (components[key] === null) continue;
+    weighted += weight * components[key];
+    totalWeight += weight;
+  }
+
+  const score = totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : null;
+
+  const rounded = {};
+  for (const [key, v] of Object.entries(components)) {
+    rounded[key] = v === null ? null : Math.round(v * 100);
+  }
+
+  return { score, stars: starsForScore(score, config), components: rounded };
+}
+
+/**
+ * Finished levels => game totals. Levels without a score don't pull the average down.
+ * levels: [{ levelId, levelIndex, score, stars, components }]
+ */
+export function summarizeGame(levels) {
+  const list = Array.isArray(levels) ? levels : [];
+  const scored = list.filter((l) => Number.isFinite(l?.score));
+
+  const totalStars = scored.reduce((sum, l) => sum + (Number(l.stars) || 0), 0);
+
+  return {
+    score: scored.length ? Math.round(scored.reduce((sum, l) => sum + l.score, 0) / scored.length) : null,
+    // game rating: average stars of the scored levels, rounded down
+    stars: scored.length ? Math.floor(totalStars / scored.length) : 0,
+    totalStars,
+    maxStars: scored.length * MAX_STARS,
+    levels: list,
+  };
+}
+
+/* ----------------------------- API validation ----------------------------- */
+
+const nullableScore = (v) => (v === null || v === undefined ? null : Math.round(clamp(v, 0, 100, 0)));
+
+/**
+ * Validate a game summary from the client before it goes into the play metadata.
+ * @returns {{ valid: boolean, error?: string, score: object|null }}
+ */
+export function normalizeScoreSummary(raw) {
+  if (!isPlainObject(raw)) return { valid: false, error: "score must be an object", score: null };
+
+  const levelsRaw = Array.isArray(raw.levels) ? raw.levels : [];
+  if (levelsRaw.length > MAX_SUMMARY_LEVELS) return { valid: false, error: "score.levels is too long", score: null };
+
+  const levels = [];
+  for (const [i, l] of levelsRaw.entries()) {
+    if (!isPlainObject(l)) return { valid: false, error: `score.levels[${i}] must be an object`, score: null };
+
+    const components = {};
+    for (const key of Object.keys(SCORE_WEIGHTS)) {
+      components[key] = nullableScore(l.components?.[key]);
+    }
+
+    levels.push({
+      levelId: l.levelId == null ? null : String(l.levelId).slice(0, 128),
+      levelIndex: Number.isInteger(l.levelIndex) && l.levelIndex >= 0 ? l.levelIndex : i,
+      score: nullableScore(l.score),
+      stars: Math.trunc(clamp(l.stars, 0, MAX_STARS, 0)),
+      components,
+    });
+  }
+
+  // totals are recomputed so they always agree with the levels
+  return { valid: true, score: summarizeGame(levels) };
+}
@@ -0,0 +1,83 @@
+// src/lib/gamePlayer/session/sessionSnapshot.js
+// Resumable copy of the reducer state, saved to plays/{id}/snapshot at node boundaries.
+// `game` and `effects` are never stored, nor anything rebuilt from the level on resume
+// (nodes, feature registry, graph edges); timers are dropped since their deadlines are on
+// the old page's performance.now() clock.
+// Kept free of client-only imports so the plays API can validate with it.
+
+export const SNAPSHOT_VERSION = 1;
+
+// a snapshot is a few KB; anything far bigger isn't ours
+export const MAX_SNAPSHOT_BYTES = 256 * 1024;
+
+const OMIT_KEYS = new Set(["game", "effects", "timers", "nodes", "node", "featureRegistry", "graphEdges"]);
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+const toIndex = (v) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+};
+
+/**
+ * session => JSON-safe snapshot (undefined values dropped, as RTDB would)
+ */
+export function toSessionSnapshot(session, { savedAt = Date.now(), reason = null } = {}) {
+  if (!isPlainObject(session)) return null;
+
+  const state = {};
+  for (const [k, v] of Object.entries(session)) {
+    if (OMIT_KEYS.has(k) || v === undefined) continue;
+    state[k] = v;
+  }
+
+  return JSON.parse(
+    JSON.stringify({
+      snapshotVersion: SNAPSHOT_VERSION,
+      savedAt,
+      reason,
+      ...state,
+      nodeId: session.node?.id ?? null, // nodes aren't stored; resume looks the node up by id
+    })
+  );
+}
+
+/**
+ * Validate a snapshot from the client / RTDB.
+ * @returns {{ valid: boolean, error?: string, snapshot: object|null }}
+ */
+export function normalizeSessionSnapshot(raw) {
+  if (!isPlainObject(raw)) return { valid: false, error: "snapshot must be an object", snapshot: null };
+
+  if (raw.snapshotVersion !== SNAPSHOT_VERSION) {
+    return { valid: false, error: `snapshot.snapshotVersion must be ${SNAPSHOT_VERSION}`, snapshot: null };
+  }
+
+  const levelIndex = toIndex(raw.levelIndex);
+  const nodeIndex = toIndex(raw.nodeIndex);
+  if (levelIndex === null) return { valid: false, error: "snapshot.levelIndex must be an index", snapshot: null };
+  if (nodeIndex === null) return { valid: false, error: "snapshot.nodeIndex must be an index", snapshot: null };
+
+  let size = 0;
+  try {
+    size = JSON.stringify(raw).length;
+  } catch {
+    return { valid: false, error: "snapshot must be JSON", snapshot: null };
+  }
+  if (size > MAX_SNAPSHOT_BYTES) return { valid: false, error: "snapshot is too large", snapshot: null };
+
+  const snapshot = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (!OMIT_KEYS.has(k)) snapshot[k] = v;
+  }
+
+  return {
+    valid: true,
+    snapshot: {
+      ...snapshot,
+      levelIndex,
+      nodeIndex,
+      poseMatchRoundIndex: toIndex(raw.poseMatchRoundIndex) ?? 0,
+    },
+  };
+}
@@ -0,0 +1,195 @@
+// src/lib/gamePlayer/session/stateGraph.js
+// Outcome-based transitions between state nodes (level.stateGraph).
+// Kept free of client-only imports so the levels API / play page can validate with it.
+//
+// Stored shape:
+//  {
+//    nodes: [{ id, type: "tween" | "poseMatch" | "poseSequence" | "intro" | "outro", ... }],  // branch-only nodes
+//    edges: [{ from, to, on?, minFailedReps? }],
+//  }
+// Built-in nodes are addressed by their state type ("intro", "intuition", "tween", "poseMatch",
+// "poseSequence", "insight", "explore", "numeric", "reflection", "outro"); "END" as a target ends the level.
+// Without a matching edge a node falls through to the next node of the main path, and a
+// branch-only node returns to the main node after the one that branched into it.
+
+export const GRAPH_END = "END";
+
+// outcome a node finishes with (what edge.on is compared against)
+export const NODE_OUTCOMES = Object.freeze({
+  DONE: "done", // intro / outro / tween / explore played through
+  SKIPPED: "skipped", // tween / explore ended early
+  CORRECT: "correct", // intuition / insight / numeric, answer key present
+  WRONG: "wrong",
+  ANSWERED: "answered", // intuition / insight / numeric without an answer key, reflection
+  UNANSWERED: "unanswered",
+  PASSED: "passed", // pose match / sequence: every step matched
+  FAILED: "failed", // at least one step was skipped without a match
+});
+
+export const GRAPH_BRANCH_NODE_TYPES = ["intro", "outro", "tween", "poseMatch", "poseSequence"];
+
+export const MAX_GRAPH_NODES = 16;
+export const MAX_GRAPH_EDGES = 64;
+
+// a level can loop (e.g. wrong answer => remediation => ask again); cap it
+export const MAX_GRAPH_TRANSITIONS = 100;
+
+const ID_RE = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+const BUILT_IN_IDS = ["intro", "intuition", "tween", "poseMatch", "poseSequence", "insight", "explore", "numeric", "reflection", "outro"];
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// RTDB hands arrays back as {0:..,1:..}
+const asArray = (v) => (Array.isArray(v) ? v : isPlainObject(v) ? Object.values(v) : null);
+
+const EMPTY_GRAPH = Object.freeze({ nodes: [], edges: [] });
+
+function validateNode(raw, i) {
+  const where = `stateGraph.nodes[${i}]`;
+  if (!isPlainObject(raw)) return { error: `${where} must be an object` };
+
+  const id = String(raw.id ?? "").trim();
+  if (!ID_RE.test(id) || BUILT_IN_IDS.includes(id) || id === GRAPH_END) {
+    return { error: `${where}.id must be a new id (letters, digits, _ or -)` };
+  }
+
+  const type = raw.type;
+  if (!GRAPH_BRANCH_NODE_TYPES.includes(type)) {
+    return { error: `${where}.type must be one of ${GRAPH_BRANCH_NODE_TYPES.join(", ")}` };
+  }
+
+  const node = { id, type };
+
+  if (type === "tween" || type === "poseMatch") {
+    const poseIds = (asArray(raw.poseIds) ?? []).map((p) => String(p ?? "").trim()).filter(Boolean);
+    const needed = type === "tween" ? 2 : 1;
+    if (poseIds.length < needed) return { error: `${where}.poseIds needs at least ${needed} pose id(s)` };
+    node.poseIds = poseIds;
+  }
+
+  if (type === "poseSequence") {
+    const sequenceIds = (asArray(raw.sequenceIds) ?? []).map((p) => String(p ?? "").trim()).filter(Boolean);
+    if (!sequenceIds.length) return { error: `${where}.sequenceIds needs at least 1 sequence id` };
+    node.sequenceIds = sequenceIds;
+  }
+
+  if (type === "intro" || type === "outro") {
+    const lines = (asArray(raw.lines) ?? [])
+      .map((l) => (typeof l === "string" ? l : l?.text))
+      .map((l) => String(l ?? "").trim())
+      .filter(Boolean);
+    if (!lines.length) return { error: `${where}.lines needs at least 1 line` };
+    node.lines = lines.slice(0, 50);
+  }
+
+  if (raw.tolerancePct !== undefined && raw.tolerancePct !== null && raw.tolerancePct !== "") {
+    const n = Number(raw.tolerancePct);
+    if (!Number.isFinite(n) || n < 0 || n > 100) return { error: `${where}.tolerancePct must be between 0 and 100` };
+    node.tolerancePct = n;
+  }
+
+  if (raw.reps !== undefined && raw.reps !== null && raw.reps !== "") {
+    const n = Number(raw.reps);
+    if (!Number.isInteger(n) || n < 1 || n > 20) return { error: `${where}.reps must be between 1 and 20` };
+    node.reps = n;
+  }
+
+  return { node };
+}
+
+function validateEdge(raw, i, knownIds) {
+  const where = `stateGraph.edges[${i}]`;
+  if (!isPlainObject(raw)) return { error: `${where} must be an object` };
+
+  const from = String(raw.from ?? "").trim();
+  const to = String(raw.to ?? "").trim();
+  if (!knownIds.has(from)) return { error: `${where}.from must be a node id` };
+  if (to !== GRAPH_END && !knownIds.has(to)) return { error: `${where}.to must be a node id or ${GRAPH_END}` };
+
+  const edge = { from, to };
+
+  if (raw.on !== undefined && raw.on !== null && raw.on !== "") {
+    if (!Object.values(NODE_OUTCOMES).includes(raw.on)) {
+      return { error: `${where}.on must be one of ${Object.values(NODE_OUTCOMES).join(", ")}` };
+    }
+    edge.on = raw.on;
+  }
+
+  if (raw.minFailedReps !== undefined && raw.minFailedReps !== null && raw.minFailedReps !== "") {
+    const n = Number(raw.minFailedReps);
+    if (!Number.isInteger(n) || n < 1 || n > 20) return { error: `${where}.minFailedReps must be between 1 and 20` };
+    edge.minFailedReps = n;
+  }
+
+  return { edge };
+}
+
+/**
+ * Validate + normalize level.stateGraph.
+ * @returns {{ valid: boolean, error?: string, graph: { nodes: Array, edges: Array } }}
+ */
+export function validateStateGraph(raw) {
+  if (raw === undefined || raw === null) return { valid: true, graph: EMPTY_GRAPH };
+  if (!isPlainObject(raw)) return { valid: false, error: "stateGraph must be an object", graph: EMPTY_GRAPH };
+
+  const rawNodes = raw.nodes === undefined ? [] : asArray(raw.nodes);
+  const rawEdges = raw.edges === undefined ? [] : asArray(raw.edges);
+  if (!rawNodes) return { valid: false, error: "stateGraph.nodes must be an array", graph: EMPTY_GRAPH };
+  if (!rawEdges) return { valid: false, error: "stateGraph.edges must be an array", graph: EMPTY_GRAPH };
+  if (rawNodes.length > MAX_GRAPH_NODES) {
+    return { valid: false, error: `stateGraph allows at most ${MAX_GRAPH_NODES} nodes`, graph: EMPTY_GRAPH };
+  }
+  if (rawEdges.length > MAX_GRAPH_EDGES) {
+    return { valid: false, error: `stateGraph allows at most ${MAX_GRAPH_EDGES} edges`, graph: EMPTY_GRAPH };
+  }
+
+  const nodes = [];
+  const knownIds = new Set(BUILT_IN_IDS);
+  for (let i = 0; i < rawNodes.length; i++) {
+    const { node, error } = validateNode(rawNodes[i], i);
+    if (error) return { valid: false, error, graph: EMPTY_GRAPH };
+    if (knownIds.has(node.id)) {
+      return { valid: false, error: `stateGraph has a duplicate node id ${node.id}`, graph: EMPTY_GRAPH };
+    }
+    knownIds.add(node.id);
+    nodes.push(node);
+  }
+
+  const edges = [];
+  for (let i = 0; i < rawEdges.length; i++) {
+    const { edge, error } = validateEdge(rawEdges[i], i, knownIds);
+    if (error) return { valid: false, error, graph: EMPTY_GRAPH };
+    edges.push(edge);
+  }
+
+  return { valid: true, graph: { nodes, edges } };
+}
+
+/**
+ * Where to go after nodes[fromIndex] finished with `outcome`.
+ * First matching edge wins; edges to nodes this level doesn't have (e.g. a disabled state) are skipped.
+ * @returns {{ toIndex: number|null, edgeIndex: number|null }}  toIndex null => end of level
+ */
+export function resolveTransition(nodes, edges, fromIndex, { outcome, failedReps = 0, returnIndex = null } = {}) {
+  const list = Array.isArray(nodes) ? nodes : [];
+  const from = list[fromIndex] ?? null;
+
+  const es = Array.isArray(edges) ? edges : [];
+  for (let k = 0; k < es.length; k++) {
+    const e = es[k];
+    if (!from || e.from !== from.id) continue;
+    if (e.on && e.on !== outcome) continue;
+    if (e.minFailedReps && failedReps < e.minFailedReps) continue;
+    if (e.to === GRAPH_END) return { toIndex: null, edgeIndex: k };
+
+    const to = list.findIndex((n) => n?.id === e.to);
+    if (to >= 0) return { toIndex: to, edgeIndex: k };
+  }
+
+  // fall through along the main path
+  const start = from?.branch ? returnIndex ?? list.length : fromIndex + 1;
+  for (let i = start; i < list.length; i++) {
+    if (list[i] != null && !list[i].branch) return { toIndex: i, edgeIndex: null };
+  }
+  return { toIndex: null, edgeIndex: null };
+}
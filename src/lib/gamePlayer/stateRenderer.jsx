@@ -8,8 +8,12 @@ import {
 import IntroView from "./states/Views/IntroView";
 import TweenView from "./states/Views/TweenView";
 import PoseMatchView from "./states/Views/PoseMatchView";
+import PoseSequenceView from "./states/Views/PoseSequenceView";
 import IntuitionView from "./states/Views/IntuitionView";
 import InsightView from "./states/Views/InsightView";
+import ExploreView from "./states/Views/ExploreView";
+import NumericView from "./states/Views/NumericView";
+import ReflectionView from "./states/Views/ReflectionView";
 import OutroView from "./states/Views/OutroView";
 
 export default function StateRenderer({
@@ -68,6 +72,18 @@ export default function StateRenderer({
         />
       );
 
+    case STATE_TYPES.POSE_SEQUENCE:
+      return (
+        <PoseSequenceView
+          session={session}
+          node={node}
+          dispatch={dispatch}
+          poseDataRef={poseDataRef}
+          width={width}
+          height={height}
+        />
+      );
+
     case STATE_TYPES.INSIGHT:
       return (
         <InsightView
@@ -79,6 +95,40 @@ export default function StateRenderer({
         />
       );
 
+    case STATE_TYPES.EXPLORE:
+      return (
+        <ExploreView
+          session={session}
+          node={node}
+          dispatch={dispatch}
+          poseDataRef={poseDataRef}
+          width={width}
+          height={height}
+        />
+      );
+
+    case STATE_TYPES.NUMERIC:
+      return (
+        <NumericView
+          session={session}
+          node={node}
+          dispatch={dispatch}
+          width={width}
+          height={height}
+        />
+      );
+
+    case STATE_TYPES.REFLECTION:
+      return (
+        <ReflectionView
+          session={session}
+          node={node}
+          dispatch={dispatch}
+          width={width}
+          height={height}
+        />
+      );
+
     case STATE_TYPES.OUTRO:
       return (
         <OutroView
@@ -0,0 +1,117 @@
+// src/lib/gamePlayer/states/Views/ExploreView.jsx
+"use client";
+
+import { useEffect, useRef } from "react";
+import { useRafTick } from "@/lib/gamePlayer/runtime/useRafTick";
+import { commands } from "@/lib/gamePlayer/session/commands";
+import { measureExploreGuides } from "@/lib/pose/exploreGuides";
+
+function formatDeg(deg) {
+  return typeof deg === "number" ? `${Math.round(deg)}°` : "—";
+}
+
+/**
+ * EXPLORE: free movement for node.durationMS. The guides themselves are drawn by the
+ * PoseDrawer overlay; this view samples their angles every node.logEveryMS for telemetry
+ * and shows the prompt, the time left and each guide's value + range so far.
+ */
+export default function ExploreView({ session, node, dispatch, poseDataRef }) {
+  const showCursor = !!session?.flags?.showCursor;
+  const paused = !!session?.flags?.paused;
+
+  const guides = Array.isArray(node?.guides) ? node.guides : [];
+  const logEveryMS = Math.max(100, Number(node?.logEveryMS) || 500);
+
+  const sampleAccRef = useRef(0);
+  useEffect(() => {
+    sampleAccRef.current = 0;
+  }, [session?.nodeIndex]);
+
+  useRafTick({
+    enabled: !paused && guides.length > 0,
+    onTick: ({ dt }) => {
+      sampleAccRef.current += Math.max(0, Number(dt) || 0);
+      if (sampleAccRef.current < logEveryMS) return;
+      sampleAccRef.current = sampleAccRef.current % logEveryMS;
+
+      const landmarks = poseDataRef?.current?.poseLandmarks ?? null;
+      if (!landmarks) return;
+
+      dispatch(commands.exploreMeasurements(measureExploreGuides(guides, landmarks)));
+    },
+  });
+
+  // time left = the reducer's AUTO_ADVANCE timer for this node
+  const durationMS = Math.max(0, Number(node?.durationMS) || 0);
+  const autoTimer = (session?.timers ?? []).find((t) => t.tag === `auto:${session?.nodeIndex}`);
+  const remainingMS = autoTimer
+    ? Math.max(0, (Number(autoTimer.at) || 0) - (Number(session?.time?.now) || 0))
+    : 0;
+  const progress = durationMS > 0 ? 1 - remainingMS / durationMS : 1;
+
+  const latest = new Map((session?.explore?.measurements ?? []).map((m) => [m.id, m.deg]));
+  const ranges = session?.explore?.ranges ?? {};
+
+  const onNext = () => dispatch(commands.next({ source: "click" }));
+
+  return (
+    <div className="absolute inset-0 z-20 pointer-events-auto">
+      <div className="absolute inset-0 bg-black/20" />
+
+      <div className="absolute left-8 top-10 z-30 w-[min(560px,55%)] rounded-3xl bg-black/60 ring-1 ring-white/15 backdrop-blur-md p-6 text-white">
+        <div className="flex items-center justify-between gap-4">
+          <div className="text-sm uppercase tracking-wide text-amber-300/90">Explore</div>
+          <div className="text-sm tabular-nums text-white/70">{Math.ceil(remainingMS / 1000)}s</div>
+        </div>
+
+        <div className="mt-2 h-1.5 w-full rounded-full bg-white/10 overflow-hidden">
+          <div className="h-full bg-amber-400/80" style={{ width: `${Math.min(100, progress * 100)}%` }} />
+        </div>
+
+        <div
+          className="mt-4 text-white/95 leading-relaxed"
+          style={{ fontSize: session?.settings?.ui?.dialogueFontSize ?? 22 }}
+        >
+          {node?.prompt || "Move freely and watch how the angles change."}
+        </div>
+
+        {guides.length > 0 && (
+          <ul className="mt-4 space-y-1.5 text-sm">
+            {guides.map((g) => {
+              const r = ranges[g.id];
+              return (
+                <li key={g.id} className="flex items-center gap-3">
+                  <span className="h-2 w-2 rounded-full bg-amber-400" />
+                  <span className="flex-1 truncate text-white/80">{g.label}</span>
+                  <span className="w-14 text-right font-semibold tabular-nums">{formatDeg(latest.get(g.id))}</span>
+                  <span className="w-24 text-right text-xs tabular-nums text-white/50">
+                    {r ? `${formatDeg(r.min)} – ${formatDeg(r.max)}` : ""}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      <div className="absolute left-8 bottom-8 z-30">
+        <button
+          type="button"
+          disabled={!showCursor}
+          onClick={onNext}
+          data-input-next
+          className={[
+            "next-button",
+            "px-12 py-6 min-w-[220px]",
+            "rounded-3xl font-semibold text-xl",
+            "ring-2 ring-white/30",
+            "transition-all duration-150",
+            showCursor ? "bg-white/25 text-white hover:bg-white/35" : "bg-white/5 text-white/40 cursor-not-allowed",
+          ].join(" ")}
+        >
+          Done →
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -201,6 +201,7 @@ export default function InsightView({ session, node, dispatch }) {
                   type="button"
                   onClick={() => onPickOption(opt)}
                   disabled={!showCursor}
+                  data-input-option={idx}
                   data-pose-hover-ms={OPTION_HOVER_MS}
                   className={[
                     "next-button", // ✅ PoseCursor selector
@@ -271,6 +272,7 @@ export default function InsightView({ session, node, dispatch }) {
                 disabled={!showCursor}
                 data-pose-hover-ms={NEXT_HOVER_MS}
                 onClick={onNextInsight}
+                data-input-next
                 className={[
                   "next-button",
                   "relative overflow-hidden",
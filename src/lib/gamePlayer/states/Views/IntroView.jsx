@@ -148,6 +148,7 @@ export default function IntroView({ session, node, dispatch }) {
                   type="button"
                   disabled={!showCursor}
                   onClick={onNext}
+                  data-input-next
                   className={[
                     "next-button",
                     "px-12 py-6 min-w-[220px]",
@@ -109,6 +109,7 @@ export default function IntuitionView({ session, node, dispatch }) {
             type="button"
             onClick={() => onPick(true)}
             disabled={disabled}
+            data-input-option={0}
             data-pose-hover-ms={PICK_HOVER_MS}
             className={[
               baseCard,
@@ -140,6 +141,7 @@ export default function IntuitionView({ session, node, dispatch }) {
             type="button"
             onClick={() => onPick(false)}
             disabled={disabled}
+            data-input-option={1}
             data-pose-hover-ms={PICK_HOVER_MS}
             className={[
               baseCard,
@@ -0,0 +1,158 @@
+// src/lib/gamePlayer/states/Views/NumericView.jsx
+"use client";
+
+import { useState } from "react";
+import { commands } from "@/lib/gamePlayer/session/commands";
+import { MAX_NUMERIC_INPUT_LENGTH, parseNumericInput } from "@/lib/gamePlayer/session/numericAnswer";
+
+function clamp(n, min, max) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return min;
+  return Math.max(min, Math.min(max, x));
+}
+
+function PoseFillBar() {
+  return (
+    <>
+      <span className="pointer-events-none absolute left-0 bottom-0 h-[8px] w-full bg-white/10" />
+      <span
+        className="pointer-events-none absolute left-0 bottom-0 h-[8px] bg-green-500/80"
+        style={{
+          width: "calc(var(--pose-progress, 0) * 100%)",
+          transition: "width 50ms linear",
+        }}
+      />
+    </>
+  );
+}
+
+// pad layout; key = what it types (and the keyboard key that presses it, see inputMap KEYPAD)
+const PAD_ROWS = [
+  [{ key: "7" }, { key: "8" }, { key: "9" }, { key: "Backspace", label: "⌫" }],
+  [{ key: "4" }, { key: "5" }, { key: "6" }, { key: "-", label: "±" }],
+  [{ key: "1" }, { key: "2" }, { key: "3" }, { key: ".", label: "." }],
+];
+
+// pad key => next input string
+function applyKey(input, key) {
+  if (key === "Backspace") return input.slice(0, -1);
+  if (key === "-") return input.startsWith("-") ? input.slice(1) : `-${input}`;
+  if (input.replace("-", "").length >= MAX_NUMERIC_INPUT_LENGTH) return input;
+  if (key === ".") return input.includes(".") ? input : `${input}.`;
+  return `${input}${key}`;
+}
+
+/**
+ * NUMERIC: estimate a number (e.g. an angle in degrees) on a pose-selectable number pad.
+ * The reducer checks it against node.answer ± node.tolerance.
+ */
+export default function NumericView({ session, node, dispatch }) {
+  const question = String(node?.question ?? "").trim() || "Enter a number";
+  const unit = node?.unit ?? "";
+
+  const showCursor = !!session?.flags?.showCursor;
+  const [input, setInput] = useState("");
+  const [submitted, setSubmitted] = useState(false);
+
+  const value = parseNumericInput(input);
+  const disabled = !showCursor || submitted;
+
+  const PAD_HOVER_MS = 700;
+  const SUBMIT_HOVER_MS = 900;
+
+  const press = (key) => {
+    if (disabled) return;
+    setInput((prev) => applyKey(prev, key));
+  };
+
+  const onSubmit = () => {
+    if (disabled || value === null) return;
+    setSubmitted(true);
+
+    dispatch(commands.numericAnswerSubmitted({ value, input }));
+    dispatch(commands.next({ source: "click" }));
+  };
+
+  const padButton = (k, extra = "") => (
+    <button
+      key={k.key}
+      type="button"
+      onClick={() => press(k.key)}
+      disabled={disabled}
+      data-input-key={k.key}
+      data-pose-hover-ms={PAD_HOVER_MS}
+      className={[
+        "next-button relative overflow-hidden rounded-2xl ring-2 ring-white/20",
+        "text-white/95 font-semibold text-3xl",
+        disabled ? "bg-black/30 opacity-50 cursor-not-allowed" : "bg-black/55 hover:bg-black/45",
+        extra,
+      ].join(" ")}
+    >
+      <PoseFillBar />
+      <span className="relative z-10">{k.label ?? k.key}</span>
+    </button>
+  );
+
+  // Reserve space for PoseDrawer (same logic as InsightView)
+  const RIGHT_GUTTER_PCT = 0.40;
+
+  const contentWidthStyle = {
+    width: `calc(${(1 - RIGHT_GUTTER_PCT) * 100}% - 32px)`,
+  };
+
+  return (
+    <div className="absolute inset-0 z-30 pointer-events-auto">
+      <div className="absolute inset-0 bg-black/40" />
+
+      {/* Top question + current value */}
+      <div className="absolute left-0 right-0 top-0 p-8">
+        <div
+          className="rounded-3xl bg-black/60 ring-1 ring-white/15 backdrop-blur-md p-8"
+          style={contentWidthStyle}
+        >
+          <div className="text-white/70 text-sm mb-2">Estimate</div>
+
+          <div
+            className="text-white/95 font-semibold leading-tight"
+            style={{ fontSize: clamp(session?.settings?.ui?.dialogueFontSize ?? 28, 22, 44) }}
+          >
+            {question}
+          </div>
+
+          <div className="mt-4 flex items-baseline gap-3">
+            <div className="min-w-[200px] rounded-2xl bg-white/10 ring-1 ring-white/20 px-5 py-3 text-right font-mono text-4xl text-white tabular-nums">
+              {input || <span className="text-white/30">0</span>}
+            </div>
+            {unit ? <div className="text-white/70 text-2xl">{unit}</div> : null}
+          </div>
+        </div>
+      </div>
+
+      {/* Number pad */}
+      <div className="absolute inset-x-0 top-[260px] bottom-0 p-8">
+        <div className="h-full grid grid-cols-4 gap-4" style={{ ...contentWidthStyle, gridAutoRows: "1fr" }}>
+          {PAD_ROWS.flat().map((k) => padButton(k))}
+
+          {padButton({ key: "0" }, "col-span-2")}
+
+          <button
+            type="button"
+            onClick={onSubmit}
+            disabled={disabled || value === null}
+            data-input-next
+            data-pose-hover-ms={SUBMIT_HOVER_MS}
+            className={[
+              "next-button relative overflow-hidden col-span-2 rounded-2xl ring-2 font-semibold text-2xl",
+              disabled || value === null
+                ? "bg-white/5 ring-white/10 text-white/40 cursor-not-allowed"
+                : "bg-white text-black ring-white/60 hover:bg-gray-200",
+            ].join(" ")}
+          >
+            <PoseFillBar />
+            <span className="relative z-10">{submitted ? "Submitted" : "Submit →"}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -131,6 +131,7 @@ export default function OutroView({ session, node, dispatch }) {
                   type="button"
                   disabled={!showCursor}
                   onClick={onNext}
+                  data-input-next
                   className={[
                     "next-button",
                     "px-12 py-6 min-w-[220px]",
@@ -4,8 +4,10 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { useRafTick } from "@/lib/gamePlayer/runtime/useRafTick";
 import { commands } from "@/lib/gamePlayer/session/commands";
+import { DEFAULT_MIN_HOLD_MS, adaptMinHoldMS, adaptThresholdPct } from "@/lib/gamePlayer/session/adaptiveDifficulty";
 import PoseDrawer from "@/lib/pose/poseDrawer";
-import { clampPct, computePoseMatchFrame } from "@/lib/pose/poseMatching";
+import { Tween } from "@/lib/pose/tween";
+import { clampPct, computePoseMatchFrame, featureOverridesToMaps } from "@/lib/pose/poseMatching";
 
 function DefaultSpeakerSprite() {
   return (
@@ -17,6 +19,14 @@ function DefaultSpeakerSprite() {
   );
 }
 
+// what to tell the player when parts of them are out of view
+const HIDDEN_REGION_HINTS = {
+  legs: "Step back so your legs are visible.",
+  arms: "Step back so your arms are in view.",
+  hands: "Hold your hands up where the camera can see them.",
+  face: "Face the camera so it can see you.",
+};
+
 function safeParsePose(maybeJson) {
   if (!maybeJson) return null;
   if (typeof maybeJson === "object") return maybeJson;
@@ -38,7 +48,11 @@ export default function PoseMatchView({
 }) {
   const paused = !!session?.flags?.paused;
 
-  const minHoldMS = Math.max(0, Number(node?.minHoldMS ?? 2000));
+  // authored values, moved by adaptive difficulty when the level enables it
+  const difficulty = session?.difficulty ?? null;
+  const adaptive = session?.settings?.adaptive ?? null;
+
+  const minHoldMS = adaptMinHoldMS(Math.max(0, Number(node?.minHoldMS ?? DEFAULT_MIN_HOLD_MS)), difficulty, adaptive);
 
   const level = useMemo(
     () => session?.game?.levels?.[session?.levelIndex] ?? null,
@@ -63,7 +77,7 @@ export default function PoseMatchView({
     return safeParsePose(poseMap[targetPoseId]);
   }, [poseMap, targetPoseId]);
 
-  const thresholdPct = useMemo(() => {
+  const baseThresholdPct = useMemo(() => {
     const arr = Array.isArray(node?.poseTolerances) ? node.poseTolerances : null;
     const fromArray =
       arr && stepIndex >= 0 && stepIndex < arr.length ? arr[stepIndex] : undefined;
@@ -93,6 +107,8 @@ export default function PoseMatchView({
     return 70;
   }, [node, stepIndex, level, targetPoseId, targetPose]);
 
+  const thresholdPct = adaptThresholdPct(baseThresholdPct, difficulty, adaptive);
+
   /* ----------------------------- hold gate (RAF-based) ----------------------------- */
 
   const holdElapsedRef = useRef(0); // ms
@@ -107,11 +123,26 @@ export default function PoseMatchView({
   /* ----------------------------- compute + dispatch (RAF-based) ----------------------------- */
 
   const includeMask = session?.settings?.include ?? null;
+  const mirrorMode = session?.settings?.matching?.mirrorMode ?? "strict";
+  const stabilityMaxStdDeg = session?.settings?.matching?.stabilityMaxStdDeg;
+  const visibility = session?.settings?.matching?.visibility ?? null;
+
+  // per-feature weight / max-angle overrides authored on the level
+  const { weightsOverride, maxDiffOverride } = useMemo(
+    () => featureOverridesToMaps(level?.featureOverrides),
+    [level?.featureOverrides]
+  );
+
+  // live feature angles over the hold window (for the stability gate)
+  const angleHistoryRef = useRef([]);
 
   const pausedForBlockRef = useRef(false);
   const [blocked, setBlocked] = useState(false);
   const [blockReason, setBlockReason] = useState(null);
 
+  // first hidden region while the player is not matching (string => cheap state compare)
+  const [visibilityHint, setVisibilityHint] = useState(null);
+
   // compute only every 100ms (10 Hz)
   const scoreAccRef = useRef(0);
   const SCORE_EVERY_MS = 100;
@@ -124,10 +155,12 @@ export default function PoseMatchView({
     uiAccRef.current = 0;
 
     scoreAccRef.current = 0;
+    angleHistoryRef.current = [];
 
     pausedForBlockRef.current = false;
     setBlocked(false);
     setBlockReason(null);
+    setVisibilityHint(null);
   }, [session.nodeIndex, stepIndex, targetPoseId]);
 
   useRafTick({
@@ -153,6 +186,7 @@ export default function PoseMatchView({
       const live = poseDataRef?.current ?? null;
 
       if (!live || !targetPose) {
+        angleHistoryRef.current = [];
         dispatch({
           type: "COMMAND",
           name: "POSE_MATCH_SCORES",
@@ -165,13 +199,26 @@ export default function PoseMatchView({
         liveRaw: live,
         targetRaw: targetPose,
         include: includeMask,
+        registry: session?.featureRegistry ?? undefined,
+        weightsOverride,
+        maxDiffOverride,
         thresholdPct,
+        mirrorMode,
+        angleHistory: angleHistoryRef.current,
+        stabilityWindowMS: minHoldMS,
+        stabilityMaxStdDeg,
+        now: performance.now(),
+        visibility,
       });
 
+      setVisibilityHint(r.lowConfidence || !r.matched ? r.hiddenRegions?.[0] ?? null : null);
+
       setBlocked(!!r.blocked);
       setBlockReason(r.blockReason ?? null);
 
       if (r.blocked) {
+        angleHistoryRef.current = [];
+
         // Pause once (do not spam)
         if (!pausedForBlockRef.current && !session?.flags?.paused) {
           pausedForBlockRef.current = true;
@@ -186,6 +233,15 @@ export default function PoseMatchView({
         return;
       }
 
+      // keep only what the window can still use
+      if (r.stabilitySample) {
+        const cutoff = r.stabilitySample.at - minHoldMS;
+        angleHistoryRef.current = [
+          ...angleHistoryRef.current.filter((h) => h.at >= cutoff),
+          r.stabilitySample,
+        ];
+      }
+
       dispatch({
         type: "COMMAND",
         name: "POSE_MATCH_SCORES",
@@ -194,6 +250,12 @@ export default function PoseMatchView({
           perSegment: r.perSegment,
           perFeature: r.perFeature,
           thresholdPct: r.thresholdPct,
+          orientation: r.orientation,
+          stable: r.stability ? r.stability.stable : true,
+          stabilityStdDeg: r.stability?.stdDeg ?? null,
+          confidence: r.confidence,
+          lowConfidence: !!r.lowConfidence,
+          excludedFeatureIds: (r.excludedFeatures ?? []).map((f) => f.id),
           targetPoseId,
           stepIndex,
         },
@@ -205,13 +267,35 @@ export default function PoseMatchView({
 
   const overall = Number(session.poseMatch?.overall ?? 0);
   const matched = !!session.poseMatch?.matched;
+  const held = !!(session.poseMatch?.held ?? matched);
   const effectiveThreshold = Number(session.poseMatch?.thresholdPct ?? thresholdPct);
 
   const drawerScores = Array.isArray(session.poseMatch?.perSegment)
     ? session.poseMatch.perSegment
     : [];
 
-  const reps = Number(session?.settings?.reps?.poseMatch ?? 1);
+  /* ----------------------------- assists (reducer-driven, see session/poseAssists) ----------------------------- */
+
+  const assist = session?.poseAssist ?? null;
+  const highlight = assist?.highlight ?? null;
+  const tweenPoseIds = assist?.tweenPoseIds ?? null;
+
+  const assistTweenPoses = useMemo(() => {
+    const ids = Array.isArray(tweenPoseIds) ? tweenPoseIds : [];
+    if (!poseMap || ids.length < 2) return null;
+    const poses = ids.map((id) => safeParsePose(poseMap[id])).filter(Boolean);
+    return poses.length >= 2 ? poses : null;
+  }, [tweenPoseIds, poseMap]);
+
+  // the tween demo gives way to the highlighted target once that assist arrives
+  const showAssistTween = !!assistTweenPoses && !highlight;
+
+  // highlighted parts in red, everything else in the drawer's default colors
+  const targetScores = highlight
+    ? (highlight.segments ?? []).map((segment) => ({ segment, similarityScore: 0 }))
+    : drawerScores;
+
+  const reps = Number(node?.reps ?? session?.settings?.reps?.poseMatch ?? 1);
   const roundIndex = Number(session?.poseMatchRoundIndex ?? 0);
 
   /* ----------------------------- advancing ----------------------------- */
@@ -228,13 +312,13 @@ export default function PoseMatchView({
     if (blocked) return;
     if (!targetPoseId) return;
     if (!holdDone) return;
-    if (!matched) return;
+    if (!held) return;
 
     if (didAutoAdvanceRef.current) return;
     didAutoAdvanceRef.current = true;
 
     dispatch(commands.next({ source: "auto" }));
-  }, [paused, blocked, targetPoseId, holdDone, matched, dispatch]);
+  }, [paused, blocked, targetPoseId, holdDone, held, dispatch]);
 
   const onNext = () => {
     if (paused) return;
@@ -243,6 +327,11 @@ export default function PoseMatchView({
     dispatch(commands.next({ source: "click" }));
   };
 
+  const onSkip = () => {
+    if (paused) return;
+    dispatch(commands.next({ source: "click", assist: "OFFER_SKIP" }));
+  };
+
   return (
     <div className="absolute inset-0 z-20 pointer-events-auto">
       <div className="absolute inset-0 bg-black/30" />
@@ -250,12 +339,24 @@ export default function PoseMatchView({
       <div
         className="absolute left-1/3 top-16 z-30 -translate-x-1/2 rounded-3xl bg-black/40 ring-1 ring-white/10 p-4"
       >
-        {targetPose ? (
+        {showAssistTween ? (
+          <div style={{ width: Math.floor(width * 0.35), height: Math.floor(height * 0.60) }}>
+            <Tween
+              key={`assist:${session.nodeIndex}:${stepIndex}:${roundIndex}`}
+              poses={assistTweenPoses}
+              duration={1500}
+              width={Math.floor(width * 0.35)}
+              height={Math.floor(height * 0.60)}
+              loop={true}
+              isPlaying={!paused}
+            />
+          </div>
+        ) : targetPose ? (
           <PoseDrawer
             poseData={targetPose}
             width={Math.floor(width * 0.35)}
             height={Math.floor(height * 0.60)}
-            similarityScores={drawerScores}
+            similarityScores={targetScores}
           />
         ) : (
           <div className="text-white/80 text-sm">No target pose available.</div>
@@ -287,13 +388,29 @@ export default function PoseMatchView({
 
               <div className="mt-3 text-sm text-white/80">
                 Similarity: <span className="font-mono">{overall.toFixed(1)}%</span>{" "}
-                {matched ? (
+                {held ? (
                   <span className="text-green-300">(matched)</span>
+                ) : matched ? (
+                  <span className="text-yellow-200">(hold still)</span>
                 ) : (
                   <span className="text-yellow-300">(keep trying)</span>
                 )}
               </div>
 
+              {showAssistTween ? (
+                <div className="mt-2 text-sm text-amber-200">Watch how to move into the pose.</div>
+              ) : null}
+
+              {highlight?.labels?.length ? (
+                <div className="mt-2 text-sm text-amber-200">Focus on: {highlight.labels.join(", ")}</div>
+              ) : null}
+
+              {assist?.hint ? <div className="mt-2 text-base text-amber-100">{assist.hint}</div> : null}
+
+              {!blocked && visibilityHint ? (
+                <div className="mt-2 text-sm text-sky-200">{HIDDEN_REGION_HINTS[visibilityHint]}</div>
+              ) : null}
+
               {blocked ? (
                 <div className="mt-2 text-xs text-red-200">
                   {blockReason === "face_missing"
@@ -306,19 +423,34 @@ export default function PoseMatchView({
                     ? "Paused."
                     : !holdDone
                     ? `Please wait: ${Math.ceil(holdRemaining / 1000)}s`
-                    : matched
+                    : held
                     ? "Matched — will auto-advance."
+                    : matched
+                    ? "Matched — hold still to lock it in."
                     : "You can match it or click Next to move on."}
                 </div>
               )}
             </div>
 
             <div className="shrink-0 flex flex-col items-end gap-4">
+              {assist?.skipOffered ? (
+                <button
+                  type="button"
+                  disabled={paused}
+                  onClick={onSkip}
+                  className="next-button px-8 py-3 rounded-3xl font-semibold text-base ring-2 ring-amber-200/50 bg-amber-300/20 text-amber-50 hover:bg-amber-300/30 transition-all duration-150"
+                  title="Skip this pose"
+                >
+                  Skip this pose
+                </button>
+              ) : null}
+
               <div className="p-4">
                 <button
                   type="button"
                   disabled={paused || !holdDone || blocked}
                   onClick={onNext}
+                  data-input-next
                   className={[
                     "next-button",
                     "px-12 py-6 min-w-[220px]",
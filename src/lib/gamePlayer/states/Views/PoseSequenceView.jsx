@@ -0,0 +1,273 @@
+// src/lib/gamePlayer/states/Views/PoseSequenceView.jsx
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useRafTick } from "@/lib/gamePlayer/runtime/useRafTick";
+import { commands } from "@/lib/gamePlayer/session/commands";
+import PoseDrawer from "@/lib/pose/poseDrawer";
+import { featureOverridesToMaps, perFeatureToPerSegment } from "@/lib/pose/poseMatching";
+import {
+  computeSequenceMatch,
+  normalizeSequenceClip,
+  prepareSequenceTarget,
+  sequenceClipDurationMS,
+  sequenceLiveRow,
+} from "@/lib/pose/poseSequenceMatching";
+
+function DefaultSpeakerSprite() {
+  return (
+    <div className="h-28 w-28 rounded-3xl bg-white/10 ring-1 ring-white/20 flex items-center justify-center">
+      <div className="h-16 w-16 rounded-full bg-white/15 flex items-center justify-center text-white/80 font-semibold text-xl">
+        G
+      </div>
+    </div>
+  );
+}
+
+// live buffer holds a bit more than the clip so a slower attempt still fits
+const LIVE_BUFFER_FACTOR = 1.5;
+
+export default function PoseSequenceView({
+  session,
+  node,
+  dispatch,
+  poseDataRef,
+  width = 800,
+  height = 600,
+}) {
+  const paused = !!session?.flags?.paused;
+
+  const level = useMemo(
+    () => session?.game?.levels?.[session?.levelIndex] ?? null,
+    [session?.game, session?.levelIndex]
+  );
+
+  const sequenceIds = useMemo(
+    () => (Array.isArray(node?.sequenceIds) ? node.sequenceIds : []),
+    [node?.sequenceIds]
+  );
+
+  const stepIndex = session?.stepIndex ?? 0;
+  const targetSequenceId = sequenceIds[stepIndex] ?? null;
+
+  const clip = useMemo(() => {
+    const raw = level?.poseSequences?.[targetSequenceId] ?? null;
+    return raw ? normalizeSequenceClip(raw) : null;
+  }, [level, targetSequenceId]);
+
+  const thresholdPct = Number(session?.poseSequence?.thresholdPct ?? node?.threshold ?? 70);
+  const includeMask = session?.settings?.include ?? null;
+  const featureRegistry = session?.featureRegistry ?? undefined;
+  const mirrorMode = session?.settings?.matching?.mirrorMode ?? "strict";
+
+  // per-feature weight / max-angle overrides authored on the level
+  const { weightsOverride, maxDiffOverride } = useMemo(
+    () => featureOverridesToMaps(level?.featureOverrides),
+    [level?.featureOverrides]
+  );
+
+  const clipFrames = useMemo(() => (clip ? clip.frames.map((f) => f.pose) : []), [clip]);
+  const clipDurationMS = useMemo(() => sequenceClipDurationMS(clip), [clip]);
+
+  // the clip's feature series only changes with the clip or the feature selection
+  const sequenceTarget = useMemo(
+    () => prepareSequenceTarget({ targetFrames: clipFrames, include: includeMask, registry: featureRegistry }),
+    [clipFrames, includeMask, featureRegistry]
+  );
+
+  const sampleEveryMS = clip ? 1000 / clip.fps : 100;
+  const maxLiveFrames = Math.max(clipFrames.length + 5, Math.ceil(clipFrames.length * LIVE_BUFFER_FACTOR));
+
+  /* ----------------------------- target playback + live buffer (RAF-based) ----------------------------- */
+
+  const playheadRef = useRef(0);
+  const [playFrameIndex, setPlayFrameIndex] = useState(0);
+
+  const liveBufferRef = useRef([]); // sequenceLiveRow per sampled frame
+  const sampleAccRef = useRef(0);
+  const scoreAccRef = useRef(0);
+  const SCORE_EVERY_MS = 250;
+
+  // reset per-step state
+  useEffect(() => {
+    playheadRef.current = 0;
+    setPlayFrameIndex(0);
+    liveBufferRef.current = [];
+    sampleAccRef.current = 0;
+    scoreAccRef.current = 0;
+  }, [session.nodeIndex, stepIndex, targetSequenceId, sequenceTarget, mirrorMode]);
+
+  useRafTick({
+    enabled: !paused && !!clip,
+    onTick: ({ dt }) => {
+      const d = Math.max(0, Number(dt) || 0);
+
+      // loop the model clip
+      playheadRef.current = (playheadRef.current + d) % Math.max(1, clipDurationMS);
+      let idx = 0;
+      while (idx + 1 < clip.frames.length && clip.frames[idx + 1].t <= playheadRef.current) idx++;
+      setPlayFrameIndex((prev) => (prev === idx ? prev : idx));
+
+      // sample live pose at the clip's fps
+      sampleAccRef.current += d;
+      if (sampleAccRef.current >= sampleEveryMS) {
+        sampleAccRef.current = sampleAccRef.current % sampleEveryMS;
+        const live = poseDataRef?.current ?? null;
+        if (live?.poseLandmarks) {
+          // enrich + measure each live frame once, not on every score
+          const buf = liveBufferRef.current;
+          buf.push(sequenceLiveRow(sequenceTarget, live, mirrorMode));
+          if (buf.length > maxLiveFrames) buf.splice(0, buf.length - maxLiveFrames);
+        }
+      }
+
+      scoreAccRef.current += d;
+      if (scoreAccRef.current < SCORE_EVERY_MS) return;
+      scoreAccRef.current = scoreAccRef.current % SCORE_EVERY_MS;
+
+      // wait until the buffer could plausibly contain the whole movement
+      if (liveBufferRef.current.length < clipFrames.length) return;
+
+      const r = computeSequenceMatch({
+        target: sequenceTarget,
+        liveRows: liveBufferRef.current,
+        weightsOverride,
+        maxDiffOverride,
+        thresholdPct,
+        mirrorMode,
+      });
+
+      dispatch({
+        type: "COMMAND",
+        name: "POSE_SEQUENCE_SCORES",
+        payload: {
+          overall: r.overall,
+          perSegment: perFeatureToPerSegment(r.perFeature, { orientation: r.orientation }),
+          thresholdPct: r.thresholdPct,
+          orientation: r.orientation,
+          targetSequenceId,
+          stepIndex,
+        },
+      });
+    },
+  });
+
+  /* ----------------------------- reducer truth ----------------------------- */
+
+  const overall = Number(session.poseSequence?.overall ?? 0);
+  const matched = !!session.poseSequence?.matched;
+
+  const drawerScores = Array.isArray(session.poseSequence?.perSegment)
+    ? session.poseSequence.perSegment
+    : [];
+
+  /* ----------------------------- advancing ----------------------------- */
+
+  const didAutoAdvanceRef = useRef(false);
+  useEffect(() => {
+    didAutoAdvanceRef.current = false;
+  }, [session.nodeIndex, stepIndex, targetSequenceId]);
+
+  useEffect(() => {
+    if (paused) return;
+    if (!targetSequenceId) return;
+    if (!matched) return;
+
+    if (didAutoAdvanceRef.current) return;
+    didAutoAdvanceRef.current = true;
+
+    dispatch(commands.next({ source: "auto" }));
+  }, [paused, targetSequenceId, matched, dispatch]);
+
+  const onNext = () => {
+    if (paused) return;
+    dispatch(commands.next({ source: "click" }));
+  };
+
+  const displayPose = clip?.frames?.[playFrameIndex]?.pose ?? null;
+
+  return (
+    <div className="absolute inset-0 z-20 pointer-events-auto">
+      <div className="absolute inset-0 bg-black/30" />
+
+      <div className="absolute left-1/3 top-16 z-30 -translate-x-1/2 rounded-3xl bg-black/40 ring-1 ring-white/10 p-4">
+        {displayPose ? (
+          <PoseDrawer
+            poseData={displayPose}
+            width={Math.floor(width * 0.35)}
+            height={Math.floor(height * 0.6)}
+            similarityScores={drawerScores}
+          />
+        ) : (
+          <div className="text-white/80 text-sm">No movement clip available.</div>
+        )}
+      </div>
+
+      <div className="absolute left-0 right-0 bottom-0 p-8">
+        <div className="mx-auto max-w-6xl rounded-3xl bg-black/70 ring-1 ring-white/15 backdrop-blur-md p-8">
+          <div className="flex gap-8 items-end">
+            <div className="shrink-0">
+              <DefaultSpeakerSprite />
+              <div className="mt-3 text-sm text-white/70 text-center">Movement</div>
+            </div>
+
+            <div className="flex-1 min-w-0">
+              <div
+                className="text-white/95 leading-relaxed"
+                style={{ fontSize: session.settings?.ui?.dialogueFontSize ?? 22 }}
+              >
+                {targetSequenceId ? "Copy the movement." : "No movement clips found."}
+              </div>
+
+              <div className="mt-3 text-sm text-white/50">
+                Clip: {targetSequenceId ?? "—"} | Step {Math.min(stepIndex + 1, sequenceIds.length)} /{" "}
+                {sequenceIds.length} | Tolerance: {thresholdPct.toFixed(0)}%
+              </div>
+
+              <div className="mt-3 text-sm text-white/80">
+                Similarity: <span className="font-mono">{overall.toFixed(1)}%</span>{" "}
+                {matched ? (
+                  <span className="text-green-300">(matched)</span>
+                ) : (
+                  <span className="text-yellow-300">(keep moving)</span>
+                )}
+              </div>
+
+              <div className="mt-2 text-xs text-white/50">
+                {paused
+                  ? "Paused."
+                  : matched
+                  ? "Matched — will auto-advance."
+                  : "Do the whole movement, or click Next to move on."}
+              </div>
+            </div>
+
+            <div className="shrink-0 flex flex-col items-end gap-4">
+              <div className="p-4">
+                <button
+                  type="button"
+                  disabled={paused}
+                  onClick={onNext}
+                  data-input-next
+                  className={[
+                    "next-button",
+                    "px-12 py-6 min-w-[220px]",
+                    "rounded-3xl font-semibold text-xl",
+                    "ring-2 ring-white/30",
+                    "transition-all duration-150",
+                    !paused
+                      ? "bg-white/25 text-white hover:bg-white/35"
+                      : "bg-white/5 text-white/40 cursor-not-allowed",
+                  ].join(" ")}
+                  title={paused ? "Paused" : "Advance"}
+                >
+                  Next →
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
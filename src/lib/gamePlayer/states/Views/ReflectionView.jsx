@@ -0,0 +1,131 @@
+// src/lib/gamePlayer/states/Views/ReflectionView.jsx
+"use client";
+
+import { useState } from "react";
+import { commands } from "@/lib/gamePlayer/session/commands";
+import { MAX_REFLECTION_LENGTH } from "@/lib/gamePlayer/session/numericAnswer";
+
+function PoseFillBar() {
+  return (
+    <>
+      <span className="pointer-events-none absolute left-0 bottom-0 h-[8px] w-full bg-white/10" />
+      <span
+        className="pointer-events-none absolute left-0 bottom-0 h-[8px] bg-green-500/80"
+        style={{
+          width: "calc(var(--pose-progress, 0) * 100%)",
+          transition: "width 50ms linear",
+        }}
+      />
+    </>
+  );
+}
+
+/**
+ * REFLECTION: a short free-text answer to node.prompt, typed (usually by the teacher).
+ * Skip moves on without an answer.
+ */
+export default function ReflectionView({ session, node, dispatch }) {
+  const prompt = String(node?.prompt ?? "").trim() || "What did you notice?";
+
+  const showCursor = !!session?.flags?.showCursor;
+  const [text, setText] = useState("");
+  const [submitted, setSubmitted] = useState(false);
+
+  const disabled = !showCursor || submitted;
+  const hasText = text.trim().length > 0;
+
+  const SKIP_HOVER_MS = 900;
+  const SAVE_HOVER_MS = 900;
+
+  const onSave = () => {
+    if (disabled || !hasText) return;
+    setSubmitted(true);
+
+    dispatch(commands.reflectionSubmitted(text));
+    dispatch(commands.next({ source: "click" }));
+  };
+
+  const onSkip = () => {
+    if (disabled) return;
+    setSubmitted(true);
+    dispatch(commands.next({ source: "click" }));
+  };
+
+  // Reserve space for PoseDrawer (same logic as InsightView)
+  const RIGHT_GUTTER_PCT = 0.40;
+
+  const contentWidthStyle = {
+    width: `calc(${(1 - RIGHT_GUTTER_PCT) * 100}% - 32px)`,
+  };
+
+  return (
+    <div className="absolute inset-0 z-30 pointer-events-auto">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <div className="absolute left-0 right-0 top-0 p-8">
+        <div
+          className="rounded-3xl bg-black/60 ring-1 ring-white/15 backdrop-blur-md p-8 space-y-4"
+          style={contentWidthStyle}
+        >
+          <div className="text-white/70 text-sm">Reflection</div>
+
+          <div
+            className="text-white/95 font-semibold leading-tight"
+            style={{ fontSize: session?.settings?.ui?.dialogueFontSize ?? 28 }}
+          >
+            {prompt}
+          </div>
+
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value.slice(0, MAX_REFLECTION_LENGTH))}
+            disabled={disabled}
+            rows={5}
+            maxLength={MAX_REFLECTION_LENGTH}
+            placeholder="Type a short answer…"
+            className="w-full rounded-2xl bg-white/10 ring-1 ring-white/20 p-4 text-lg text-white placeholder:text-white/30 focus:outline-none focus:ring-white/50"
+          />
+
+          <div className="flex items-center justify-between gap-4">
+            <div className="text-white/45 text-xs tabular-nums">
+              {text.length} / {MAX_REFLECTION_LENGTH}
+            </div>
+
+            <div className="flex items-center gap-4">
+              <button
+                type="button"
+                onClick={onSkip}
+                disabled={disabled}
+                data-pose-hover-ms={SKIP_HOVER_MS}
+                className={[
+                  "next-button relative overflow-hidden px-6 py-3 rounded-2xl text-white",
+                  disabled ? "bg-white/5 text-white/40 cursor-not-allowed" : "bg-white/10 hover:bg-white/20",
+                ].join(" ")}
+              >
+                <PoseFillBar />
+                <span className="relative z-10">Skip</span>
+              </button>
+
+              <button
+                type="button"
+                onClick={onSave}
+                disabled={disabled || !hasText}
+                data-input-next
+                data-pose-hover-ms={SAVE_HOVER_MS}
+                className={[
+                  "next-button relative overflow-hidden px-8 py-3 rounded-2xl font-semibold",
+                  disabled || !hasText
+                    ? "bg-white/10 text-white/40 cursor-not-allowed"
+                    : "bg-white text-black hover:bg-gray-200",
+                ].join(" ")}
+              >
+                <PoseFillBar />
+                <span className="relative z-10">Save →</span>
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
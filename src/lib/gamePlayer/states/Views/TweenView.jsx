@@ -63,8 +63,8 @@ export default function TweenView({
   // total time for one full tween pass (0->1->2...): (poses.length - 1) steps
   const passDurationMS = Math.max(1, poses.length - 1) * stepDurationMS;
 
-  // reps per level (minimum 1)
-  const reps = clampInt(session?.settings?.reps?.tween ?? 1, { min: 1, max: 999 });
+  // reps per level, or per graph node (minimum 1)
+  const reps = clampInt(node?.reps ?? session?.settings?.reps?.tween ?? 1, { min: 1, max: 999 });
 
   const totalDurationMS = passDurationMS * reps;
 
@@ -135,6 +135,7 @@ export default function TweenView({
                   type="button"
                   disabled={!showCursor}
                   onClick={onNext}
+                  data-input-next
                   className={[
                     "next-button",
                     "px-12 py-6 min-w-[220px]",
@@ -11,7 +11,11 @@ export const STATE_TYPES = Object.freeze({
   INTUITION: "intuition",
   TWEEN: "tween",
   POSE_MATCH: "poseMatch",
+  POSE_SEQUENCE: "poseSequence",
   INSIGHT: "insight",
+  EXPLORE: "explore",
+  NUMERIC: "numeric",
+  REFLECTION: "reflection",
   OUTRO: "outro",
 });
 
@@ -29,7 +33,11 @@ export function normalizeStateType(raw) {
   if (t === "intuition" || t === STATE_TYPES.INTUITION) return STATE_TYPES.INTUITION;
   if (t === "tween" || t === STATE_TYPES.TWEEN) return STATE_TYPES.TWEEN;
   if (t === "posematch" || t === "pose_match" || t === STATE_TYPES.POSE_MATCH) return STATE_TYPES.POSE_MATCH;
+  if (t === "posesequence" || t === "pose_sequence" || t === STATE_TYPES.POSE_SEQUENCE) return STATE_TYPES.POSE_SEQUENCE;
   if (t === "insight" || t === STATE_TYPES.INSIGHT) return STATE_TYPES.INSIGHT;
+  if (t === "explore" || t === STATE_TYPES.EXPLORE) return STATE_TYPES.EXPLORE;
+  if (t === "numeric" || t === STATE_TYPES.NUMERIC) return STATE_TYPES.NUMERIC;
+  if (t === "reflection" || t === STATE_TYPES.REFLECTION) return STATE_TYPES.REFLECTION;
   if (t === "outro" || t === STATE_TYPES.OUTRO) return STATE_TYPES.OUTRO;
 
   return t;
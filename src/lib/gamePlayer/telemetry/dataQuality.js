@@ -0,0 +1,239 @@
+// src/lib/gamePlayer/telemetry/dataQuality.js
+// Data-quality summary of one recorded play: frame seq gaps, effective logging FPS per level
+// (vs the level's settings.logFPS), frames missing hands / face, and sessions without SESSION_END.
+// Kept free of client-only imports so the admin API can compute it.
+
+export const DATA_QUALITY_VERSION = 1;
+
+// createSession's default when a level has no settings.logFPS
+export const DEFAULT_LOG_FPS = 15;
+
+// frames further apart than this belong to different recording spans (pause, non-pose state)
+export const RECORDING_SPAN_BREAK_MS = 1000;
+
+// effective FPS below this share of the target => LOW_FPS
+export const LOW_FPS_RATIO = 0.8;
+
+const MAX_GAP_RANGES = 20;
+
+export const DATA_QUALITY_FLAGS = Object.freeze({
+  NO_FRAMES: "NO_FRAMES",
+  SEQ_GAPS: "SEQ_GAPS",
+  LOW_FPS: "LOW_FPS",
+  MISSING_SESSION_END: "MISSING_SESSION_END",
+});
+
+const LANDMARK_KEYS = {
+  pose: "poseLandmarks",
+  leftHand: "leftHandLandmarks",
+  rightHand: "rightHandLandmarks",
+  face: "faceLandmarks",
+};
+
+const num = (v) => {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const round = (n, digits = 3) => (n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+function parseMaybeJson(v) {
+  if (!v) return null;
+  if (typeof v === "object") return v;
+  if (typeof v !== "string") return null;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+function hasLandmarks(poseData, key) {
+  const list = poseData?.[key];
+  if (Array.isArray(list)) return list.length > 0;
+  return !!list && typeof list === "object" && Object.keys(list).length > 0;
+}
+
+/* ---------------------------- seq gaps ---------------------------- */
+
+// sorted unique seqs => missing [from, to] ranges (the bus starts every play at seq 0)
+export function findSeqGaps(seqs) {
+  const ranges = [];
+  let missing = 0;
+  let expected = 0;
+
+  for (const s of seqs) {
+    if (s > expected) {
+      ranges.push([expected, s - 1]);
+      missing += s - expected;
+    }
+    expected = Math.max(expected, s + 1);
+  }
+
+  return { missing, ranges };
+}
+
+/* ---------------------------- FPS ---------------------------- */
+
+// sorted timestamps => { intervals, seconds } over the recording spans only
+function recordedTime(timestamps) {
+  let seconds = 0;
+  let intervals = 0;
+
+  for (let i = 1; i < timestamps.length; i++) {
+    const dt = timestamps[i] - timestamps[i - 1];
+    if (dt < 0 || dt > RECORDING_SPAN_BREAK_MS) continue;
+    seconds += dt / 1000;
+    intervals++;
+  }
+
+  return { intervals, seconds };
+}
+
+function effectiveFps(timestamps) {
+  const { intervals, seconds } = recordedTime(timestamps);
+  return seconds > 0 ? intervals / seconds : null;
+}
+
+// level's configured logFPS: by id, else by index in the game
+function targetFpsFor(levels, levelId, levelIndex) {
+  const list = Array.isArray(levels) ? levels : [];
+  const level = (levelId && list.find((l) => l?.id === levelId)) || (levelIndex !== null ? list[levelIndex] : null);
+  const fps = num(level?.settings?.logFPS);
+  return fps !== null && fps > 0 ? fps : DEFAULT_LOG_FPS;
+}
+
+/* ---------------------------- events ---------------------------- */
+
+// every SESSION_START / SESSION_RESUMED should be closed by a later SESSION_END
+function sessionEndCheck(events) {
+  const list = (Array.isArray(events) ? events : [])
+    .filter((e) => e && typeof e === "object")
+    .map((e, i) => ({ type: e.type, t: num(e.timestamp) ?? num(e.at) ?? num(e.createdAt) ?? 0, i }))
+    .sort((a, b) => a.t - b.t || a.i - b.i);
+
+  let open = false;
+  let unmatched = 0;
+  let starts = 0;
+  let ends = 0;
+
+  for (const e of list) {
+    if (e.type === "SESSION_START" || e.type === "SESSION_RESUMED") {
+      if (e.type === "SESSION_START") starts++;
+      // a resume after a reload re-opens the session that never ended
+      if (e.type === "SESSION_START" && open) unmatched++;
+      open = true;
+    } else if (e.type === "SESSION_END") {
+      ends++;
+      open = false;
+    }
+  }
+
+  return { sessionStarts: starts, sessionEnds: ends, unmatchedStarts: unmatched + (open ? 1 : 0) };
+}
+
+/* ---------------------------- report ---------------------------- */
+
+/**
+ * { frames, events, levels } => quality summary (JSON-safe, stored at plays/{playId}/quality)
+ *   frames: pose frames ({ seq, timestamp, levelId, levelIndex, poseData })
+ *   events: telemetry events ({ type, timestamp })
+ *   levels: the game's levels (for settings.logFPS); optional
+ */
+export function computePlayQuality({ frames = [], events = [], levels = [], now = Date.now() } = {}) {
+  const list = (Array.isArray(frames) ? frames : [])
+    .filter((f) => f && num(f.seq) !== null)
+    .sort((a, b) => Number(a.seq) - Number(b.seq));
+
+  // seq gaps
+  const seqs = [...new Set(list.map((f) => Math.trunc(Number(f.seq))))].filter((s) => s >= 0);
+  const gaps = findSeqGaps(seqs);
+
+  // missing landmark groups
+  const missingCounts = Object.fromEntries(Object.keys(LANDMARK_KEYS).map((k) => [k, 0]));
+  let missingBothHands = 0;
+
+  // FPS per level
+  const byLevel = new Map();
+
+  for (const f of list) {
+    const poseData = parseMaybeJson(f.poseData);
+    for (const [group, key] of Object.entries(LANDMARK_KEYS)) {
+      if (!hasLandmarks(poseData, key)) missingCounts[group]++;
+    }
+    if (!hasLandmarks(poseData, LANDMARK_KEYS.leftHand) && !hasLandmarks(poseData, LANDMARK_KEYS.rightHand)) {
+      missingBothHands++;
+    }
+
+    const levelIndex = num(f.levelIndex);
+    const levelId = typeof f.levelId === "string" ? f.levelId : null;
+    const key = `${levelIndex ?? ""}|${levelId ?? ""}`;
+    const cur = byLevel.get(key) ?? { levelIndex, levelId, timestamps: [] };
+    const t = num(f.timestamp);
+    if (t !== null) cur.timestamps.push(t);
+    byLevel.set(key, cur);
+  }
+
+  const frameCount = list.length;
+  const fraction = (n) => (frameCount ? round(n / frameCount) : null);
+
+  const levelsFps = [...byLevel.values()]
+    .sort((a, b) => (a.levelIndex ?? Infinity) - (b.levelIndex ?? Infinity))
+    .map(({ levelIndex, levelId, timestamps }) => {
+      timestamps.sort((a, b) => a - b);
+      const effective = effectiveFps(timestamps);
+      const target = targetFpsFor(levels, levelId, levelIndex);
+      return {
+        levelIndex,
+        levelId,
+        frames: timestamps.length,
+        effectiveFps: round(effective, 2),
+        targetFps: target,
+        ratio: effective === null ? null : round(effective / target, 2),
+      };
+    });
+
+  const allTimestamps = list.map((f) => num(f.timestamp)).filter((t) => t !== null).sort((a, b) => a - b);
+  const overallFps = effectiveFps(allTimestamps);
+
+  const sessions = sessionEndCheck(events);
+
+  const flags = [];
+  if (!frameCount) flags.push(DATA_QUALITY_FLAGS.NO_FRAMES);
+  if (gaps.missing > 0) flags.push(DATA_QUALITY_FLAGS.SEQ_GAPS);
+  if (levelsFps.some((l) => l.ratio !== null && l.ratio < LOW_FPS_RATIO)) flags.push(DATA_QUALITY_FLAGS.LOW_FPS);
+  if (sessions.unmatchedStarts > 0) flags.push(DATA_QUALITY_FLAGS.MISSING_SESSION_END);
+
+  return {
+    version: DATA_QUALITY_VERSION,
+    computedAt: now,
+
+    frames: frameCount,
+    events: Array.isArray(events) ? events.length : 0,
+
+    seq: {
+      min: seqs.length ? seqs[0] : null,
+      max: seqs.length ? seqs[seqs.length - 1] : null,
+      missing: gaps.missing,
+      missingRanges: gaps.ranges.slice(0, MAX_GAP_RANGES),
+      missingRangeCount: gaps.ranges.length,
+    },
+
+    fps: {
+      effective: round(overallFps, 2),
+      byLevel: levelsFps,
+    },
+
+    missingFraction: {
+      pose: fraction(missingCounts.pose),
+      leftHand: fraction(missingCounts.leftHand),
+      rightHand: fraction(missingCounts.rightHand),
+      bothHands: fraction(missingBothHands),
+      face: fraction(missingCounts.face),
+    },
+
+    sessions,
+    flags,
+  };
+}
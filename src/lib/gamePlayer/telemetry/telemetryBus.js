@@ -1,5 +1,12 @@
 "use client";
 
+import { POSE_FRAMES_CONTENT_TYPE, encodePoseFrameBatch } from "@/lib/pose/poseFrameCodec";
+import { createTelemetryQueue, telemetryBatchId } from "./telemetryQueue";
+import { MAX_BATCH_BYTES, MAX_EVENTS_PER_BATCH, MAX_FRAMES_PER_BATCH } from "./telemetrySchema";
+
+// server-side caps per request (the buffer can outgrow maxEvents / maxFrames while a flush is in flight)
+const MAX_ITEMS_PER_BATCH = { events: MAX_EVENTS_PER_BATCH, frames: MAX_FRAMES_PER_BATCH };
+
 /**
  * Telemetry bus: buffers events + pose frames and flushes in batches.
  *
@@ -8,6 +15,18 @@
  * B) Monotonic frame sequence numbers (and timestamps) for detecting gaps
  * C) Flush on page hide/unload using sendBeacon (best-effort) + keepalive fallback
  * D) De-dupe events by eventId (prevents dev StrictMode double-logs + accidental double dispatch)
+ * E) Offline-first: every batch is written to IndexedDB (telemetryQueue) before it is posted and
+ *    removed once the server accepts it. Failed batches retry with exponential backoff, including
+ *    this play's ones left over from an earlier page load. Each batch carries a batchKey (kind +
+ *    boot id + seq) so the server can ignore a batch it already wrote (a beacon that did arrive, a
+ *    timed-out retry).
+ * F) The server validates every item against telemetrySchema and reports the rejected ones
+ *    ({ rejected: [{ index, reason }] }); those are quarantined in IndexedDB (or dropped with
+ *    quarantineRejected: false) and never retried. A batch refused as a whole (4xx) goes the same way.
+ *    Batches are split to stay under the schema's per-request item / byte caps.
+ * G) Frame batches go out in the compact binary format of lib/pose/poseFrameCodec (quantized,
+ *    delta-encoded landmarks); frameEncoding: "json" keeps the original JSON body. Queued batches
+ *    stay JSON in IndexedDB and are encoded per send.
  */
 export function createTelemetryBus({
   playId,
@@ -17,6 +36,11 @@ export function createTelemetryBus({
   apiBase = "/api",
   includeCredentials = true,
   enabled = true,
+  persist = true,
+  retryBaseMS = 1000,
+  retryMaxMS = 60000,
+  quarantineRejected = true,
+  frameEncoding = "binary", // "binary" | "json"
 } = {}) {
   if (!enabled) {
     return {
@@ -28,6 +52,8 @@ export function createTelemetryBus({
       flushAll: async () => {},
       startAutoFlush() {},
       stopAutoFlush() {},
+      getPendingCount: () => 0,
+      onPendingChange: () => () => {},
       uploadMedia: async () => {},
     };
   }
@@ -41,6 +67,17 @@ export function createTelemetryBus({
   let flushingEvents = false;
   let flushingFrames = false;
 
+  // Batches written to the queue but not yet accepted by the server (id -> record).
+  // Mirrors IndexedDB (this play's batches only) so sends don't need a read.
+  const queue = persist ? createTelemetryQueue() : null;
+  const pending = new Map();
+  const sending = new Set();
+  const pendingListeners = new Set();
+
+  // batchKey = `${kind}-${bootId}-${seq}`: the same playId is resumed after a reload, so seq alone could repeat
+  const bootId = Math.random().toString(36).slice(2, 10);
+  const batchSeq = { events: 0, frames: 0 };
+
   // Monotonic frame sequence
   let frameSeq = 0;
 
@@ -53,12 +90,9 @@ export function createTelemetryBus({
     return Date.now();
   }
 
-  function endpointEvents() {
-    return `${apiBase}/plays/${playId}/events`;
-  }
-
-  function endpointFrames() {
-    return `${apiBase}/plays/${playId}/frames`;
+  // records carry their own playId: batches restored from IndexedDB may belong to an earlier play
+  function endpointFor(record) {
+    return `${apiBase}/plays/${record.playId}/${record.kind}`;
   }
 
   function rememberEventId(id, ts) {
@@ -89,47 +123,252 @@ export function createTelemetryBus({
     if (frames.length >= maxFrames) void flushFrames();
   }
 
-  async function postJson(url, body, { keepalive = false } = {}) {
-    const res = await fetch(url, {
+  // record => request body + content type (the frames route accepts both)
+  function encodeBody(record) {
+    if (record.kind === "frames" && frameEncoding === "binary") {
+      try {
+        return {
+          body: encodePoseFrameBatch(record.body.frames, { batchKey: record.batchKey }),
+          contentType: POSE_FRAMES_CONTENT_TYPE,
+        };
+      } catch (err) {
+        console.warn("Telemetry: frame batch not encodable, sending JSON:", err);
+      }
+    }
+    return { body: JSON.stringify(record.body), contentType: "application/json" };
+  }
+
+  async function postBatch(record, { keepalive = false } = {}) {
+    const { body, contentType } = encodeBody(record);
+
+    const res = await fetch(endpointFor(record), {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
+      headers: { "Content-Type": contentType },
+      body,
       keepalive,
       ...(includeCredentials ? { credentials: "include" } : null),
     });
 
     if (!res.ok) {
       const text = await res.text().catch(() => "");
-      throw new Error(`Telemetry POST failed (${res.status}): ${text}`);
+      const err = new Error(`Telemetry POST failed (${res.status}): ${text}`);
+      err.status = res.status;
+      throw err;
     }
+
+    return res.json().catch(() => null);
   }
 
-  function sendBeaconJson(url, payload) {
+  function sendBeaconBatch(record) {
     try {
       if (typeof navigator === "undefined" || typeof navigator.sendBeacon !== "function") {
         return false;
       }
-      const blob = new Blob([JSON.stringify(payload)], { type: "application/json" });
-      return navigator.sendBeacon(url, blob);
+      const { body, contentType } = encodeBody(record);
+      // a browser refusing the binary type throws here => false => keepalive fetch instead
+      const blob = new Blob([body], { type: contentType });
+      return navigator.sendBeacon(endpointFor(record), blob);
     } catch {
       return false;
     }
   }
 
+  /* ---------------- pending batches (offline queue) ---------------- */
+
+  // "N batches pending upload": only batches that already failed once (or survived a reload),
+  // so the normal post-and-delete cycle doesn't flicker the indicator
+  function getPendingCount() {
+    let n = 0;
+    for (const record of pending.values()) if (record.attempts > 0) n++;
+    return n;
+  }
+
+  function notifyPending() {
+    const count = getPendingCount();
+    for (const fn of pendingListeners) {
+      try {
+        fn(count);
+      } catch {
+        // listener errors must not break flushing
+      }
+    }
+  }
+
+  function onPendingChange(fn) {
+    pendingListeners.add(fn);
+    return () => pendingListeners.delete(fn);
+  }
+
+  function createBatch(kind, items) {
+    const seq = batchSeq[kind]++;
+    const batchKey = `${kind}-${bootId}-${seq}`;
+
+    return {
+      id: telemetryBatchId(playId, batchKey),
+      playId,
+      kind,
+      batchKey,
+      seq,
+      body: { [kind]: items, batchKey },
+      attempts: 0,
+      nextAttemptAt: 0,
+      createdAt: nowMs(),
+    };
+  }
+
+  // split into requests the server accepts (item count + body size)
+  function createBatches(kind, items) {
+    const out = [];
+    let chunk = [];
+    let bytes = 0;
+
+    for (const item of items) {
+      // JSON length ~ bytes; leave headroom for the envelope and non-ASCII text
+      const size = JSON.stringify(item ?? null).length;
+      if (chunk.length && (chunk.length >= MAX_ITEMS_PER_BATCH[kind] || bytes + size > MAX_BATCH_BYTES * 0.8)) {
+        out.push(createBatch(kind, chunk));
+        chunk = [];
+        bytes = 0;
+      }
+      chunk.push(item);
+      bytes += size;
+    }
+
+    if (chunk.length) out.push(createBatch(kind, chunk));
+    return out;
+  }
+
+  function addPending(record) {
+    pending.set(record.id, record);
+    if (queue) void queue.put(record);
+  }
+
+  function dropPending(record) {
+    pending.delete(record.id);
+    if (queue) void queue.remove(record.id);
+    notifyPending();
+  }
+
+  function retryDelayMS(attempts) {
+    const base = Math.min(retryMaxMS, retryBaseMS * 2 ** Math.max(0, attempts - 1));
+    return Math.round(base * (0.8 + Math.random() * 0.4)); // ±20% jitter
+  }
+
+  // 4xx other than timeout / rate limit / expired sign-in won't succeed on retry
+  function isPermanentFailure(status) {
+    return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+  }
+
+  // true when the server accepted (or already had) the batch
+  async function sendBatch(record, { keepalive = false } = {}) {
+    if (sending.has(record.id)) return false;
+    sending.add(record.id);
+
+    try {
+      const result = await postBatch(record, { keepalive });
+      dropPending(record);
+
+      const rejected = Array.isArray(result?.rejected) ? result.rejected : [];
+      if (rejected.length) {
+        const items = record.body?.[record.kind] ?? [];
+        quarantine(
+          record,
+          rejected.map((r) => ({ item: items[r?.index] ?? null, reason: String(r?.reason ?? "rejected") }))
+        );
+      }
+      return true;
+    } catch (err) {
+      if (isPermanentFailure(err?.status)) {
+        quarantine(
+          record,
+          (record.body?.[record.kind] ?? []).map((item) => ({ item, reason: err.message }))
+        );
+        dropPending(record);
+        return false;
+      }
+
+      record.attempts += 1;
+      record.nextAttemptAt = nowMs() + retryDelayMS(record.attempts);
+      if (queue) void queue.put(record);
+      notifyPending();
+
+      // eslint-disable-next-line no-console
+      console.error(err);
+      return false;
+    } finally {
+      sending.delete(record.id);
+    }
+  }
+
+  // items the server refused: kept aside for inspection, never sent again
+  function quarantine(record, entries) {
+    if (!entries.length) return;
+
+    console.warn(
+      `Telemetry: ${entries.length} ${record.kind} rejected by the server${quarantineRejected ? " (quarantined)" : ""}:`,
+      entries.map((e) => e.reason)
+    );
+
+    if (!quarantineRejected || !queue) return;
+
+    const quarantinedAt = nowMs();
+    void queue.quarantine(
+      entries.map(({ item, reason }) => ({
+        playId: record.playId,
+        kind: record.kind,
+        batchKey: record.batchKey,
+        reason,
+        item,
+        quarantinedAt,
+      }))
+    );
+  }
+
+  // oldest first; stop at the first failure (still offline => no point hammering the rest)
+  async function sendDueBatches(kind) {
+    const now = nowMs();
+    const due = Array.from(pending.values())
+      .filter((r) => r.kind === kind && r.nextAttemptAt <= now)
+      .sort((a, b) => a.createdAt - b.createdAt || a.seq - b.seq);
+
+    for (const record of due) {
+      const ok = await sendBatch(record);
+      if (!ok && pending.has(record.id)) break;
+    }
+  }
+
+  // this play's batches left in IndexedDB by an earlier page load => retry now
+  async function restorePending() {
+    if (!queue) return;
+
+    const stored = await queue.list();
+    for (const record of stored) {
+      if (!record?.id || pending.has(record.id)) continue;
+      // shared devices: another play's batches (maybe another user's) would only 403 here and be
+      // quarantined; they stay stored until that play is resumed
+      if (record.playId !== playId) continue;
+      if (record.kind !== "events" && record.kind !== "frames") continue;
+
+      pending.set(record.id, {
+        ...record,
+        attempts: Math.max(1, Number(record.attempts) || 0),
+        nextAttemptAt: 0,
+      });
+    }
+
+    notifyPending();
+  }
+
   async function flushEvents() {
     if (flushingEvents) return;
-    if (events.length === 0) return;
 
     flushingEvents = true;
     const batch = events;
     events = [];
 
     try {
-      await postJson(endpointEvents(), { events: batch });
-    } catch (err) {
-      events = batch.concat(events);
-      // eslint-disable-next-line no-console
-      console.error(err);
+      for (const record of createBatches("events", batch)) addPending(record);
+      await sendDueBatches("events");
     } finally {
       flushingEvents = false;
     }
@@ -137,18 +376,14 @@ export function createTelemetryBus({
 
   async function flushFrames() {
     if (flushingFrames) return;
-    if (frames.length === 0) return;
 
     flushingFrames = true;
     const batch = frames;
     frames = [];
 
     try {
-      await postJson(endpointFrames(), { frames: batch });
-    } catch (err) {
-      frames = batch.concat(frames);
-      // eslint-disable-next-line no-console
-      console.error(err);
+      for (const record of createBatches("frames", batch)) addPending(record);
+      await sendDueBatches("frames");
     } finally {
       flushingFrames = false;
     }
@@ -163,31 +398,27 @@ export function createTelemetryBus({
 
     flushTimer = window.setInterval(() => void flushAll(), flushEveryMS);
 
-    let didPageFlush = false;
+    void restorePending().then(() => flushAll());
 
+    // Buffered items become queued batches (IndexedDB write is best-effort this late) and go out
+    // by beacon. A beacon only means "handed to the browser", so the batch stays pending: it is
+    // retried later in this tab or after a reload, and the server drops it if it already arrived.
     const flushOnHide = () => {
-      if (didPageFlush) return;
-      didPageFlush = true;
-
-      const evts = events;
-      const frs = frames;
+      const hidden = [...createBatches("events", events), ...createBatches("frames", frames)];
 
       events = [];
       frames = [];
 
-      const sentEvents = evts.length ? sendBeaconJson(endpointEvents(), { events: evts }) : true;
-      const sentFrames = frs.length ? sendBeaconJson(endpointFrames(), { frames: frs }) : true;
-
-      if (evts.length && !sentEvents) {
-        void postJson(endpointEvents(), { events: evts }, { keepalive: true }).catch(() => {
-          events = evts.concat(events);
-        });
-      }
+      for (const record of hidden) {
+        addPending(record);
 
-      if (frs.length && !sentFrames) {
-        void postJson(endpointFrames(), { frames: frs }, { keepalive: true }).catch(() => {
-          frames = frs.concat(frames);
-        });
+        if (sendBeaconBatch(record)) {
+          // not counted as pending (attempts stays 0): it most likely arrived
+          record.nextAttemptAt = nowMs() + retryMaxMS;
+          if (queue) void queue.put(record);
+        } else {
+          void sendBatch(record, { keepalive: true });
+        }
       }
     };
 
@@ -234,16 +465,18 @@ export function createTelemetryBus({
      */
     recordPoseFrame(frame) {
       const timestamp = frame?.timestamp ?? nowMs();
+      // the frames route only stores frameType "POSE"
+      const frameType = frame?.frameType ?? "POSE";
 
       if (Number.isFinite(Number(frame?.seq))) {
         const s = Number(frame.seq);
         frameSeq = Math.max(frameSeq, s + 1);
-        enqueueFrame({ ...frame, seq: s, timestamp });
+        enqueueFrame({ ...frame, frameType, seq: s, timestamp });
         return;
       }
 
       const seq = frameSeq++;
-      enqueueFrame({ ...frame, seq, timestamp });
+      enqueueFrame({ ...frame, frameType, seq, timestamp });
     },
 
     flushEvents,
@@ -253,6 +486,10 @@ export function createTelemetryBus({
     startAutoFlush,
     stopAutoFlush,
 
+    // offline queue: batches that failed at least once and are waiting for a retry
+    getPendingCount,
+    onPendingChange,
+
     async uploadMedia(blob, fieldName = "video") {
       const form = new FormData();
       form.append(fieldName, blob);
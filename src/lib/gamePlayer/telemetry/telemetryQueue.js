@@ -0,0 +1,126 @@
+"use client";
+
+/**
+ * IndexedDB store for telemetry batches that have not reached the server yet.
+ *
+ * One record per batch, keyed by `${playId}|${batchKey}`:
+ *   { id, playId, kind: "events" | "frames", batchKey, seq, body, attempts, nextAttemptAt, createdAt }
+ *
+ * The bus writes a record before posting and deletes it on success, so a dropped
+ * connection or a closed tab leaves it here for the next page load to retry.
+ * Items the server rejected (telemetrySchema) go to a second store, "quarantine", where they
+ * are kept for inspection but never sent again (oldest dropped past MAX_QUARANTINED):
+ *   { qid (auto), playId, kind, batchKey, reason, item, quarantinedAt }
+ *
+ * Every method resolves (never rejects); without IndexedDB (private mode, SSR) the
+ * queue is a no-op and the bus falls back to memory.
+ */
+
+const DB_NAME = "telemetryQueue";
+const DB_VERSION = 2;
+const STORE = "batches";
+const QUARANTINE_STORE = "quarantine";
+
+export const MAX_QUARANTINED = 500;
+
+export function telemetryBatchId(playId, batchKey) {
+  return `${playId}|${batchKey}`;
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function createTelemetryQueue() {
+  const available = typeof indexedDB !== "undefined";
+  let dbPromise = null;
+
+  function openDb() {
+    if (!available) return Promise.resolve(null);
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      try {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            const store = db.createObjectStore(STORE, { keyPath: "id" });
+            store.createIndex("playId", "playId", { unique: false });
+          }
+          if (!db.objectStoreNames.contains(QUARANTINE_STORE)) {
+            db.createObjectStore(QUARANTINE_STORE, { keyPath: "qid", autoIncrement: true });
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+
+    return dbPromise;
+  }
+
+  async function run(mode, fn, fallback, storeName = STORE) {
+    const db = await openDb();
+    if (!db) return fallback;
+
+    try {
+      const tx = db.transaction(storeName, mode);
+      const committed = new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+
+      const result = await requestToPromise(fn(tx.objectStore(storeName)));
+      await committed;
+      return result ?? fallback;
+    } catch (err) {
+      console.warn("telemetryQueue:", err);
+      return fallback;
+    }
+  }
+
+  return {
+    available,
+
+    put(record) {
+      return run("readwrite", (store) => store.put(record), null).then(() => undefined);
+    },
+
+    remove(id) {
+      return run("readwrite", (store) => store.delete(id), null).then(() => undefined);
+    },
+
+    // all pending batches (every play: a reload may leave batches for an earlier play)
+    list() {
+      return run("readonly", (store) => store.getAll(), []);
+    },
+
+    async quarantine(records) {
+      for (const record of records) {
+        await run("readwrite", (store) => store.add(record), null, QUARANTINE_STORE);
+      }
+
+      // keys are auto-increment, so the first ones are the oldest
+      const count = await run("readonly", (store) => store.count(), 0, QUARANTINE_STORE);
+      const excess = count - MAX_QUARANTINED;
+      if (excess <= 0) return;
+
+      const oldest = await run("readonly", (store) => store.getAllKeys(null, excess), [], QUARANTINE_STORE);
+      if (oldest.length) {
+        await run("readwrite", (store) => store.delete(IDBKeyRange.bound(oldest[0], oldest[oldest.length - 1])), null, QUARANTINE_STORE);
+      }
+    },
+
+    listQuarantined() {
+      return run("readonly", (store) => store.getAll(), [], QUARANTINE_STORE);
+    },
+  };
+}
@@ -0,0 +1,359 @@
+// src/lib/gamePlayer/telemetry/telemetrySchema.js
+// Shape + size limits of every telemetry event type the player uploads and of a pose frame.
+// The player only forwards TELEMETRY_EVENT_TYPES; the plays events / frames routes validate each
+// item with it and report the rejected ones back to the telemetry bus (which quarantines them).
+// Kept free of client-only imports so the plays API can validate with it.
+
+export const MAX_EVENTS_PER_BATCH = 500;
+export const MAX_FRAMES_PER_BATCH = 300;
+export const MAX_BATCH_BYTES = 4 * 1024 * 1024; // request body
+
+export const MAX_EVENT_BYTES = 16 * 1024; // one event, as JSON
+export const MAX_POSE_DATA_BYTES = 128 * 1024; // one frame's landmarks, as JSON
+export const MAX_LANDMARKS_PER_LIST = 600; // face mesh: 468 (+10 iris)
+
+/* ---------------------------- field types ---------------------------- */
+
+// every field is optional and may be null unless listed in REQUIRED_EVENT_FIELDS
+const str = (max = 128) => ({ kind: "string", max });
+const num = () => ({ kind: "number" });
+const int = () => ({ kind: "int" });
+const bool = () => ({ kind: "boolean" });
+const scalar = (max = 512) => ({ kind: "scalar", max }); // string | number | boolean
+const json = (maxBytes) => ({ kind: "json", maxBytes }); // any JSON value, size-capped
+
+// on every event: bus envelope (type / timestamp / eventId) + session context
+const COMMON_EVENT_FIELDS = {
+  type: str(64),
+  timestamp: num(),
+  eventId: str(128),
+
+  levelId: str(),
+  levelIndex: int(),
+  repIndex: int(),
+  nodeIndex: int(),
+  stateType: str(32),
+  stepIndex: int(),
+  targetPoseId: str(),
+  reason: str(64),
+  facilitator: bool(),
+};
+
+const REQUIRED_EVENT_FIELDS = ["type", "timestamp"];
+
+const SCORE_FIELDS = {
+  score: num(),
+  stars: int(),
+  components: json(1024),
+};
+
+const POSE_STEP_NEXT_FIELDS = {
+  thresholdPct: num(),
+  minHoldMS: num(),
+  difficultyLevel: int(),
+};
+
+const POSE_SEQUENCE_NEXT_FIELDS = {
+  targetSequenceId: str(),
+  overall: num(),
+  thresholdPct: num(),
+  matched: bool(),
+};
+
+// type => fields beyond COMMON_EVENT_FIELDS
+export const TELEMETRY_EVENT_SCHEMAS = Object.freeze({
+  SESSION_START: { timeOrigin: num() },
+  SESSION_END: {},
+  SESSION_RESUMED: { snapshotSavedAt: num(), snapshotReason: str(64), timeOrigin: num() },
+  LEVEL_START: {},
+  LEVEL_END: {},
+  LEVEL_SCORE: SCORE_FIELDS,
+  GAME_SCORE: { ...SCORE_FIELDS, totalStars: int(), maxStars: int() },
+
+  STATE_ENTER: {},
+  STATE_EXIT: {},
+  STATE_TRANSITION: {
+    fromNodeId: str(64),
+    toNodeId: str(64),
+    toNodeIndex: int(),
+    outcome: str(32),
+    failedReps: int(),
+    edgeIndex: int(),
+    branched: bool(),
+  },
+
+  // NEXT inside a node (replay re-issues NEXT on these, see replay/replayEngine)
+  DIALOGUE_NEXT: { dialogueIndex: int() },
+  DIALOGUE_END: {},
+  TWEEN_SKIP: { playIndex: int() },
+
+  PAUSE: {},
+  RESUME: {},
+
+  PLAYER_LOST: { autoPaused: bool() },
+  PLAYER_REACQUIRED: { lostMS: num(), autoResumed: bool() },
+
+  INPUT_ACTION: { action: str(64), input: str(32), key: str(64), optionIndex: int(), toLevelIndex: int() },
+  FACILITATOR_ACTION: { action: str(64), input: str(32), fromLevelIndex: int(), toLevelIndex: int() },
+
+  POSE_MATCH_AUTO_NEXT: POSE_STEP_NEXT_FIELDS,
+  POSE_MATCH_CLICK_NEXT: POSE_STEP_NEXT_FIELDS,
+  POSE_MATCH_AUTO_FINISH: POSE_STEP_NEXT_FIELDS,
+  POSE_MATCH_CLICK_FINISH: POSE_STEP_NEXT_FIELDS,
+  POSE_MATCH_REP_FINISH_CLICK: {},
+  POSE_MATCH_REP_FINISH_AUTO: {},
+  DIFFICULTY_ADJUSTED: {
+    direction: str(16),
+    fromLevel: int(),
+    toLevel: int(),
+    thresholdPct: num(),
+    minHoldMS: num(),
+    thresholdOffsetPct: num(),
+    minHoldOffsetMS: num(),
+    windowSteps: int(),
+    windowMisses: int(),
+    windowAvgMatchMS: num(),
+  },
+  POSE_ASSIST_SHOWN: {
+    assist: str(32),
+    stepMS: num(),
+    overall: num(),
+    tweenPoseIds: json(1024),
+    featureIds: json(1024),
+  },
+  POSE_ASSIST_USED: { assist: str(32), stepMS: num() },
+
+  POSE_SEQUENCE_AUTO_NEXT: POSE_SEQUENCE_NEXT_FIELDS,
+  POSE_SEQUENCE_CLICK_NEXT: POSE_SEQUENCE_NEXT_FIELDS,
+
+  TRUE_FALSE_SELECTED: { selectedValue: scalar(), selectedLabel: str(), answer: bool(), question: str(2000) },
+  INSIGHT_OPTION_SELECTED: {
+    selectedValue: scalar(),
+    selectedLabel: str(2000),
+    optionIndex: int(),
+    optionId: str(),
+    optionText: str(2000),
+    value: scalar(),
+    question: str(2000),
+  },
+  NUMERIC_ANSWER_SUBMITTED: {
+    value: num(),
+    input: str(32),
+    answer: num(),
+    tolerance: num(),
+    unit: str(32),
+    correct: bool(),
+    absError: num(),
+    question: str(2000),
+  },
+  REFLECTION_SUBMITTED: { text: str(1000), length: int(), prompt: str(2000) },
+
+  EXPLORE_MEASUREMENT: { measurements: json(4096) }, // up to MAX_EXPLORE_GUIDES × { id, label, deg }
+});
+
+export const TELEMETRY_EVENT_TYPES = Object.freeze(Object.keys(TELEMETRY_EVENT_SCHEMAS));
+
+/* ---------------------------- checks ---------------------------- */
+
+function jsonBytes(v) {
+  try {
+    return new TextEncoder().encode(JSON.stringify(v)).byteLength;
+  } catch {
+    return Infinity; // cycles / BigInt
+  }
+}
+
+// null when ok, else the reason
+function checkField(name, spec, v) {
+  if (v === null || v === undefined) return null;
+
+  switch (spec.kind) {
+    case "string":
+      if (typeof v !== "string") return `${name} must be a string`;
+      if (v.length > spec.max) return `${name} is longer than ${spec.max} characters`;
+      return null;
+    case "number":
+      return typeof v === "number" && Number.isFinite(v) ? null : `${name} must be a finite number`;
+    case "int":
+      return Number.isInteger(v) ? null : `${name} must be an integer`;
+    case "boolean":
+      return typeof v === "boolean" ? null : `${name} must be a boolean`;
+    case "scalar":
+      if (typeof v === "string") return v.length > spec.max ? `${name} is longer than ${spec.max} characters` : null;
+      if (typeof v === "boolean" || (typeof v === "number" && Number.isFinite(v))) return null;
+      return `${name} must be a string, number or boolean`;
+    case "json":
+      return jsonBytes(v) > spec.maxBytes ? `${name} is larger than ${spec.maxBytes} bytes` : null;
+    default:
+      return `${name} has an unknown schema type`;
+  }
+}
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * raw event (as the bus sends it) => { ok: true, event } | { ok: false, reason }
+ */
+export function validateTelemetryEvent(raw) {
+  if (!isPlainObject(raw)) return { ok: false, reason: "event must be an object" };
+
+  const extra = TELEMETRY_EVENT_SCHEMAS[raw.type];
+  if (!Object.prototype.hasOwnProperty.call(TELEMETRY_EVENT_SCHEMAS, raw.type) || !extra) {
+    return { ok: false, reason: `unknown event type ${JSON.stringify(String(raw.type ?? "")).slice(0, 80)}` };
+  }
+
+  for (const name of REQUIRED_EVENT_FIELDS) {
+    if (raw[name] === null || raw[name] === undefined) return { ok: false, reason: `${name} is required` };
+  }
+
+  if (jsonBytes(raw) > MAX_EVENT_BYTES) return { ok: false, reason: `event is larger than ${MAX_EVENT_BYTES} bytes` };
+
+  const event = {};
+  for (const [name, v] of Object.entries(raw)) {
+    const spec = COMMON_EVENT_FIELDS[name] ?? extra[name];
+    if (!spec) return { ok: false, reason: `unexpected field ${name.slice(0, 64)} on ${raw.type}` };
+
+    const reason = checkField(name, spec, v);
+    if (reason) return { ok: false, reason };
+
+    if (v !== undefined) event[name] = v;
+  }
+
+  return { ok: true, event };
+}
+
+/* ---------------------------- pose frames ---------------------------- */
+
+const FRAME_FIELDS = {
+  frameType: str(16),
+  seq: int(),
+  timestamp: num(),
+
+  levelId: str(),
+  levelIndex: int(),
+  repIndex: int(),
+  nodeIndex: int(),
+  stateType: str(32),
+  stepIndex: int(),
+  targetPoseId: str(),
+};
+
+// MediaPipe holistic result keys kept from poseData (image / segmentationMask etc. are dropped)
+export const POSE_DATA_LANDMARK_KEYS = [
+  "poseLandmarks",
+  "poseWorldLandmarks",
+  "faceLandmarks",
+  "leftHandLandmarks",
+  "rightHandLandmarks",
+];
+
+const LANDMARK_FIELDS = ["x", "y", "z", "visibility"];
+
+function parseMaybeJson(v) {
+  if (typeof v !== "string") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return undefined;
+  }
+}
+
+// => { poseData } | { reason }
+function normalizePoseData(raw) {
+  const parsed = parseMaybeJson(raw);
+  if (parsed === null || parsed === undefined) {
+    return parsed === null ? { poseData: null } : { reason: "poseData is not valid JSON" };
+  }
+  if (!isPlainObject(parsed)) return { reason: "poseData must be an object" };
+
+  const poseData = {};
+  for (const key of POSE_DATA_LANDMARK_KEYS) {
+    const list = parsed[key];
+    if (list === null || list === undefined) continue;
+
+    // RTDB may hand a stored list back as {0:..,1:..}
+    const points = Array.isArray(list) ? list : isPlainObject(list) ? Object.values(list) : null;
+    if (!points) return { reason: `poseData.${key} must be a list of landmarks` };
+    if (points.length > MAX_LANDMARKS_PER_LIST) return { reason: `poseData.${key} has more than ${MAX_LANDMARKS_PER_LIST} landmarks` };
+
+    const clean = [];
+    for (const p of points) {
+      if (!isPlainObject(p)) return { reason: `poseData.${key} landmarks must be objects` };
+      const point = {};
+      for (const f of LANDMARK_FIELDS) {
+        const v = p[f];
+        if (v === null || v === undefined) continue;
+        if (typeof v !== "number" || !Number.isFinite(v)) return { reason: `poseData.${key}.${f} must be a finite number` };
+        point[f] = v;
+      }
+      clean.push(point);
+    }
+    poseData[key] = clean;
+  }
+
+  if (jsonBytes(poseData) > MAX_POSE_DATA_BYTES) return { reason: `poseData is larger than ${MAX_POSE_DATA_BYTES} bytes` };
+  return { poseData };
+}
+
+/**
+ * raw pose frame => { ok: true, frame } | { ok: false, reason }
+ * Only POSE frames with an integer seq are stored (frames are keyed by seq).
+ */
+export function validatePoseFrame(raw) {
+  if (!isPlainObject(raw)) return { ok: false, reason: "frame must be an object" };
+  if (raw.frameType !== "POSE") return { ok: false, reason: "frameType must be POSE" };
+  if (!Number.isInteger(raw.seq) || raw.seq < 0) return { ok: false, reason: "seq must be a non-negative integer" };
+
+  const frame = {};
+  for (const [name, v] of Object.entries(raw)) {
+    if (name === "poseData") continue;
+    // the route sets these itself
+    if (name === "playId" || name === "createdAt") continue;
+
+    const spec = FRAME_FIELDS[name];
+    if (!spec) return { ok: false, reason: `unexpected field ${name.slice(0, 64)} on a frame` };
+
+    const reason = checkField(name, spec, v);
+    if (reason) return { ok: false, reason };
+
+    if (v !== undefined) frame[name] = v;
+  }
+
+  const { poseData, reason } = normalizePoseData(raw.poseData);
+  if (reason) return { ok: false, reason };
+  frame.poseData = poseData;
+
+  return { ok: true, frame };
+}
+
+/* ---------------------------- batches ---------------------------- */
+
+/**
+ * list => { accepted: [item], rejected: [{ index, reason, ...id }] }
+ * id: what the bus needs to find the item again (eventId / type, or seq).
+ */
+export function validateEventBatch(list) {
+  const accepted = [];
+  const rejected = [];
+
+  (Array.isArray(list) ? list : []).forEach((raw, index) => {
+    const result = validateTelemetryEvent(raw);
+    if (result.ok) accepted.push(result.event);
+    else rejected.push({ index, reason: result.reason, type: raw?.type ?? null, eventId: raw?.eventId ?? null });
+  });
+
+  return { accepted, rejected };
+}
+
+export function validateFrameBatch(list) {
+  const accepted = [];
+  const rejected = [];
+
+  (Array.isArray(list) ? list : []).forEach((raw, index) => {
+    const result = validatePoseFrame(raw);
+    if (result.ok) accepted.push(result.frame);
+    else rejected.push({ index, reason: result.reason, seq: Number.isInteger(raw?.seq) ? raw.seq : null });
+  });
+
+  return { accepted, rejected };
+}
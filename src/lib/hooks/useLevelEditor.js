@@ -15,6 +15,8 @@ export const DEFAULT_LEVEL_SETTINGS = {
     leftLeg: false,
     rightArm: true,
     rightLeg: false,
+    limbTilt: false,
+    relativePosition: false,
   },
 
   states: {
@@ -22,7 +24,11 @@ export const DEFAULT_LEVEL_SETTINGS = {
     intuition: true,
     tween: true,
     poseMatch: true,
+    poseSequence: true,
     insight: true,
+    explore: true,
+    numeric: true,
+    reflection: true,
     outro: true,
   },
 
@@ -34,6 +40,40 @@ export const DEFAULT_LEVEL_SETTINGS = {
   ui: {
     dialogueFontSize: 20,
   },
+
+  matching: {
+    mirrorMode: "strict",
+    smoothing: { method: "none", minCutoff: 1, beta: 0.05 },
+    stabilityMaxStdDeg: 8,
+    visibility: { threshold: 0.5, mode: "exclude", minConfidence: 0.5 },
+    playerLock: { mode: "off" },
+  },
+
+  // star thresholds on the 0..100 level score
+  scoring: {
+    oneStar: 50,
+    twoStars: 70,
+    threeStars: 90,
+    targetMatchMS: 4000,
+  },
+
+  // adaptive difficulty bounds for pose match threshold / hold time
+  adaptive: {
+    enabled: false,
+    thresholdMinPct: 50,
+    thresholdMaxPct: 90,
+    minHoldMinMS: 500,
+    minHoldMaxMS: 3000,
+  },
+
+  // ms on a pose match step before each assist (0 = off)
+  assists: {
+    enabled: false,
+    replayTweenMS: 8000,
+    highlightMS: 15000,
+    hintMS: 20000,
+    skipMS: 30000,
+  },
 };
 
 /* ------------------ small shared utils ------------------ */
@@ -88,6 +128,11 @@ export const useLevelEditor = (levelId, isNew = false, userEmail) => {
       question: "",
       options: [],
       answers: [],
+      numericQuestion: "",
+      numericAnswer: null,
+      numericTolerance: 0,
+      numericUnit: "",
+      reflectionPrompt: "",
       isPublished: false,
       pin: "",
       pinDirty: false,
@@ -1,17 +1,36 @@
 "use client";
 
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { enrichLandmarks } from "@/lib/pose/landmark";
+import { createLandmarkSmoother } from "@/lib/pose/landmarkSmoothing";
+import { createPlayerLock } from "@/lib/pose/playerLock";
 
 /**
  * Starts MediaPipe Holistic using an explicit videoRef (no DOM querying).
  * Cancellation-safe: guarantees camera stream stops on unmount / hide.
  *
+ * Optional `smoothing` ({ method: "none" | "oneEuro" | "kalman", ... }) filters raw
+ * landmarks before enrichment, so every consumer of onPoseData gets the same stream.
+ * Changing it does not restart the camera.
+ *
+ * Optional `playerLock` ({ mode: "off" | "largest" | "central", ... }) keeps tracking on
+ * the player picked after start / resetPlayerLock(): frames from anyone else are
+ * delivered as null, and PLAYER_LOCKED / PLAYER_LOST / PLAYER_REACQUIRED go to onPlayerLockEvent.
+ *
  * Usage:
  * const videoRef = useRef(null);
- * const { loading, error } = ({ videoRef, width, height, onPoseData });
+ * const { loading, error, resetPlayerLock } =
+ *   usePoseData({ videoRef, width, height, onPoseData, smoothing, playerLock, onPlayerLockEvent });
  */
-export default function usePoseData({ videoRef, width, height, onPoseData }) {
+export default function usePoseData({
+  videoRef,
+  width,
+  height,
+  onPoseData,
+  smoothing = null,
+  playerLock = null,
+  onPlayerLockEvent,
+}) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -23,6 +42,29 @@ export default function usePoseData({ videoRef, width, height, onPoseData }) {
     onPoseDataRef.current = onPoseData;
   }, [onPoseData]);
 
+  const smootherRef = useRef(null);
+  if (!smootherRef.current) smootherRef.current = createLandmarkSmoother(smoothing);
+
+  const smoothingKey = JSON.stringify(smoothing ?? null);
+  useEffect(() => {
+    smootherRef.current?.configure(JSON.parse(smoothingKey));
+  }, [smoothingKey]);
+
+  const onPlayerLockEventRef = useRef(onPlayerLockEvent);
+  useEffect(() => {
+    onPlayerLockEventRef.current = onPlayerLockEvent;
+  }, [onPlayerLockEvent]);
+
+  const playerLockRef = useRef(null);
+  if (!playerLockRef.current) playerLockRef.current = createPlayerLock(playerLock);
+
+  const playerLockKey = JSON.stringify(playerLock ?? null);
+  useEffect(() => {
+    playerLockRef.current?.configure(JSON.parse(playerLockKey));
+  }, [playerLockKey]);
+
+  const resetPlayerLock = useCallback(() => playerLockRef.current?.reset(), []);
+
   const loadingRef = useRef(true);
   useEffect(() => {
     loadingRef.current = loading;
@@ -127,8 +169,18 @@ export default function usePoseData({ videoRef, width, height, onPoseData }) {
           if (isCleanedUp) return;
           if (!results) return;
 
-          const enriched = enrichLandmarks(results);
-          onPoseDataRef.current?.(enriched);
+          const at = performance.now();
+          const lock = playerLockRef.current?.update(results, at) ?? { accept: true, event: null };
+          if (lock.event) onPlayerLockEventRef.current?.(lock.event);
+
+          if (lock.accept) {
+            const smoothed = smootherRef.current ? smootherRef.current.smooth(results, at) : results;
+            onPoseDataRef.current?.(enrichLandmarks(smoothed));
+          } else {
+            // someone else (or nobody) is tracked: don't let their pose into scoring
+            smootherRef.current?.reset();
+            onPoseDataRef.current?.(null);
+          }
 
           if (loadingRef.current) {
             loadingRef.current = false;
@@ -180,6 +232,8 @@ export default function usePoseData({ videoRef, width, height, onPoseData }) {
       }
     };
 
+    smootherRef.current?.reset();
+    playerLockRef.current?.reset();
     initialize();
 
     return () => {
@@ -188,5 +242,5 @@ export default function usePoseData({ videoRef, width, height, onPoseData }) {
     };
   }, [videoRef, width, height]);
 
-  return { loading, error };
+  return { loading, error, resetPlayerLock };
 }
\ No newline at end of file
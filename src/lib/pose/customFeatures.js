@@ -0,0 +1,104 @@
+// src/lib/pose/customFeatures.js
+// Author-defined angle features stored on a level (level.customFeatures).
+// Kept free of client-only imports so the levels API route can validate with it.
+//
+// Stored shape (array):
+//  { id: "CUSTOM_xxx", label, type: "ABC" | "LINE_LINE", dataKey, points: [..3 or 4..], weight, maxDiffDeg }
+
+export const CUSTOM_FEATURE_PREFIX = "CUSTOM_";
+export const MAX_CUSTOM_FEATURES = 24;
+
+// landmark count per dataKey (poseLandmarks includes enriched SOLAR_PLEXIS / PELVIS)
+export const CUSTOM_FEATURE_DATA_KEYS = {
+  poseLandmarks: 35,
+  leftHandLandmarks: 21,
+  rightHandLandmarks: 21,
+};
+
+export const CUSTOM_FEATURE_POINT_COUNT = { ABC: 3, LINE_LINE: 4 };
+
+const ID_RE = /^CUSTOM_[A-Za-z0-9_]{1,40}$/;
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// RTDB hands arrays back as {0:..,1:..}
+const asArray = (v) => (Array.isArray(v) ? v : isPlainObject(v) ? Object.values(v) : null);
+
+export function newCustomFeatureId() {
+  return `${CUSTOM_FEATURE_PREFIX}${Date.now().toString(36).toUpperCase()}`;
+}
+
+export function isCustomFeatureId(id) {
+  return typeof id === "string" && id.startsWith(CUSTOM_FEATURE_PREFIX);
+}
+
+function validateOne(raw, i) {
+  const where = `customFeatures[${i}]`;
+  if (!isPlainObject(raw)) return { error: `${where} must be an object` };
+
+  const id = String(raw.id ?? "").trim();
+  if (!ID_RE.test(id)) return { error: `${where}.id must look like CUSTOM_<letters/digits>` };
+
+  const type = raw.type;
+  const count = CUSTOM_FEATURE_POINT_COUNT[type];
+  if (!count) return { error: `${where}.type must be ABC or LINE_LINE` };
+
+  const dataKey = raw.dataKey;
+  const size = CUSTOM_FEATURE_DATA_KEYS[dataKey];
+  if (!size) {
+    return { error: `${where}.dataKey must be one of ${Object.keys(CUSTOM_FEATURE_DATA_KEYS).join(", ")}` };
+  }
+
+  const points = (asArray(raw.points) ?? []).map((p) => Number(p));
+  if (points.length !== count || !points.every((p) => Number.isInteger(p) && p >= 0 && p < size)) {
+    return { error: `${where}.points must be ${count} landmark indices between 0 and ${size - 1}` };
+  }
+  if (type === "ABC" && new Set(points).size !== 3) {
+    return { error: `${where}.points must be 3 different landmarks` };
+  }
+  if (type === "LINE_LINE" && (points[0] === points[1] || points[2] === points[3])) {
+    return { error: `${where}.points must describe two lines with distinct ends` };
+  }
+
+  const weight = Number(raw.weight ?? 1);
+  if (!Number.isFinite(weight) || weight <= 0 || weight > 10) {
+    return { error: `${where}.weight must be between 0 and 10` };
+  }
+
+  const maxDiffDeg = Number(raw.maxDiffDeg ?? 35);
+  if (!Number.isFinite(maxDiffDeg) || maxDiffDeg < 1 || maxDiffDeg > 180) {
+    return { error: `${where}.maxDiffDeg must be between 1 and 180` };
+  }
+
+  const label = typeof raw.label === "string" && raw.label.trim() ? raw.label.trim().slice(0, 80) : id;
+
+  return { feature: { id, label, type, dataKey, points, weight, maxDiffDeg } };
+}
+
+/**
+ * Validate + normalize level.customFeatures.
+ * @returns {{ valid: boolean, error?: string, features: Array }}
+ */
+export function validateCustomFeatures(raw) {
+  if (raw === undefined || raw === null) return { valid: true, features: [] };
+
+  const list = asArray(raw);
+  if (!list) return { valid: false, error: "customFeatures must be an array", features: [] };
+  if (list.length > MAX_CUSTOM_FEATURES) {
+    return { valid: false, error: `customFeatures allows at most ${MAX_CUSTOM_FEATURES} features`, features: [] };
+  }
+
+  const features = [];
+  const seen = new Set();
+  for (let i = 0; i < list.length; i++) {
+    const { feature, error } = validateOne(list[i], i);
+    if (error) return { valid: false, error, features: [] };
+    if (seen.has(feature.id)) {
+      return { valid: false, error: `customFeatures has a duplicate id ${feature.id}`, features: [] };
+    }
+    seen.add(feature.id);
+    features.push(feature);
+  }
+
+  return { valid: true, features };
+}
@@ -0,0 +1,191 @@
+// src/lib/pose/exploreGuides.js
+// Explore state config (level.explore): the player moves freely for durationMS while
+// author-defined guides are drawn over the live skeleton with their current angle.
+// Kept free of client-only imports so the levels API route can validate with it.
+//
+// Stored shape:
+//  {
+//    durationMS, logEveryMS, prompt,
+//    guides: [{ id: "GUIDE_xxx", label, type: "ABC" | "LINE_LINE", points: [..3 or 4 pose landmarks..] }],
+//  }
+// ABC is the angle at B between B->A and B->C. LINE_LINE is the angle between A->B and C->D,
+// drawn halfway between A and C (shoulders -> wrists gives the angle between the arms).
+// Angles are measured in the image plane (no depth), so the value matches the drawn arc.
+
+export const EXPLORE_GUIDE_PREFIX = "GUIDE_";
+export const MAX_EXPLORE_GUIDES = 8;
+
+export const EXPLORE_GUIDE_POINT_COUNT = { ABC: 3, LINE_LINE: 4 };
+
+// poseLandmarks, including the enriched SOLAR_PLEXIS / PELVIS
+const POSE_POINT_COUNT = 35;
+
+export const EXPLORE_DURATION_MS = { min: 3000, max: 300000, fallback: 20000 };
+export const EXPLORE_LOG_EVERY_MS = { min: 100, max: 10000, fallback: 500 };
+
+const ID_RE = /^GUIDE_[A-Za-z0-9_]{1,40}$/;
+const DEG = 180 / Math.PI;
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// RTDB hands arrays back as {0:..,1:..}
+const asArray = (v) => (Array.isArray(v) ? v : isPlainObject(v) ? Object.values(v) : null);
+
+export function newExploreGuideId() {
+  return `${EXPLORE_GUIDE_PREFIX}${Date.now().toString(36).toUpperCase()}`;
+}
+
+function validateGuide(raw, i) {
+  const where = `explore.guides[${i}]`;
+  if (!isPlainObject(raw)) return { error: `${where} must be an object` };
+
+  const id = String(raw.id ?? "").trim();
+  if (!ID_RE.test(id)) return { error: `${where}.id must look like GUIDE_<letters/digits>` };
+
+  const type = raw.type;
+  const count = EXPLORE_GUIDE_POINT_COUNT[type];
+  if (!count) return { error: `${where}.type must be ABC or LINE_LINE` };
+
+  const points = (asArray(raw.points) ?? []).map((p) => Number(p));
+  if (points.length !== count || !points.every((p) => Number.isInteger(p) && p >= 0 && p < POSE_POINT_COUNT)) {
+    return { error: `${where}.points must be ${count} landmark indices between 0 and ${POSE_POINT_COUNT - 1}` };
+  }
+  if (type === "ABC" && new Set(points).size !== 3) {
+    return { error: `${where}.points must be 3 different landmarks` };
+  }
+  if (type === "LINE_LINE" && (points[0] === points[1] || points[2] === points[3])) {
+    return { error: `${where}.points must describe two lines with distinct ends` };
+  }
+
+  const label = typeof raw.label === "string" && raw.label.trim() ? raw.label.trim().slice(0, 80) : id;
+
+  return { guide: { id, label, type, points } };
+}
+
+function validateMS(raw, key, { min, max, fallback }) {
+  if (raw === undefined || raw === null || raw === "") return { value: fallback };
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < min || n > max) return { error: `explore.${key} must be between ${min} and ${max}` };
+  return { value: Math.round(n) };
+}
+
+/**
+ * Validate + normalize level.explore (null / undefined => no explore state).
+ * @returns {{ valid: boolean, error?: string, explore: object | null }}
+ */
+export function validateExplore(raw) {
+  if (raw === undefined || raw === null) return { valid: true, explore: null };
+  if (!isPlainObject(raw)) return { valid: false, error: "explore must be an object", explore: null };
+
+  const duration = validateMS(raw.durationMS, "durationMS", EXPLORE_DURATION_MS);
+  if (duration.error) return { valid: false, error: duration.error, explore: null };
+
+  const logEvery = validateMS(raw.logEveryMS, "logEveryMS", EXPLORE_LOG_EVERY_MS);
+  if (logEvery.error) return { valid: false, error: logEvery.error, explore: null };
+
+  const list = raw.guides === undefined || raw.guides === null ? [] : asArray(raw.guides);
+  if (!list) return { valid: false, error: "explore.guides must be an array", explore: null };
+  if (list.length > MAX_EXPLORE_GUIDES) {
+    return { valid: false, error: `explore allows at most ${MAX_EXPLORE_GUIDES} guides`, explore: null };
+  }
+
+  const guides = [];
+  const seen = new Set();
+  for (let i = 0; i < list.length; i++) {
+    const { guide, error } = validateGuide(list[i], i);
+    if (error) return { valid: false, error, explore: null };
+    if (seen.has(guide.id)) {
+      return { valid: false, error: `explore.guides has a duplicate id ${guide.id}`, explore: null };
+    }
+    seen.add(guide.id);
+    guides.push(guide);
+  }
+
+  const prompt = typeof raw.prompt === "string" ? raw.prompt.trim().slice(0, 280) : "";
+
+  return {
+    valid: true,
+    explore: { durationMS: duration.value, logEveryMS: logEvery.value, prompt, guides },
+  };
+}
+
+/* ----------------------------- measuring ----------------------------- */
+
+function point(landmarks, i) {
+  const p = Array.isArray(landmarks) ? landmarks[i] : null;
+  return p && Number.isFinite(p.x) && Number.isFinite(p.y) ? p : null;
+}
+
+// unsigned angle between two 2D vectors, degrees (null when one is degenerate)
+function angleBetween(u, v) {
+  const mu = Math.hypot(u.x, u.y);
+  const mv = Math.hypot(v.x, v.y);
+  if (mu <= 1e-9 || mv <= 1e-9) return null;
+  const c = Math.max(-1, Math.min(1, (u.x * v.x + u.y * v.y) / (mu * mv)));
+  return Math.acos(c) * DEG;
+}
+
+/**
+ * Anchor + the two rays the guide's angle is measured between, in the landmarks' units.
+ * Null when a landmark is missing.
+ */
+function guideRays(guide, landmarks) {
+  const pts = (guide?.points ?? []).map((i) => point(landmarks, i));
+  if (!pts.length || pts.some((p) => !p)) return null;
+
+  if (guide.type === "ABC") {
+    const [a, b, c] = pts;
+    return { center: b, rays: [[b, a], [b, c]] };
+  }
+
+  if (guide.type === "LINE_LINE") {
+    const [a, b, c, d] = pts;
+    return { center: { x: (a.x + c.x) / 2, y: (a.y + c.y) / 2 }, rays: [[a, b], [c, d]] };
+  }
+
+  return null;
+}
+
+const direction = ([from, to]) => ({ x: to.x - from.x, y: to.y - from.y });
+
+/**
+ * Current angle of every guide: [{ id, label, deg }] (deg rounded to 0.1, null when not visible).
+ */
+export function measureExploreGuides(guides, landmarks) {
+  return (Array.isArray(guides) ? guides : []).map((g) => {
+    const r = guideRays(g, landmarks);
+    const deg = r ? angleBetween(direction(r.rays[0]), direction(r.rays[1])) : null;
+    return { id: g.id, label: g.label ?? g.id, deg: deg === null ? null : Math.round(deg * 10) / 10 };
+  });
+}
+
+/**
+ * What PoseDrawer draws for a guide on a width x height canvas:
+ * { center, rays, startAngle, endAngle, anticlockwise, deg } or null.
+ * The arc goes the short way round from the first ray to the second.
+ */
+export function exploreGuideGeometry(guide, landmarks, width, height) {
+  const r = guideRays(guide, landmarks);
+  if (!r) return null;
+
+  const scale = (p) => ({ x: p.x * width, y: p.y * height });
+  const rays = r.rays.map(([from, to]) => [scale(from), scale(to)]);
+  const [u, v] = [direction(r.rays[0]), direction(r.rays[1])];
+  const deg = angleBetween(u, v);
+  if (deg === null) return null;
+
+  const [du, dv] = rays.map(direction);
+  const startAngle = Math.atan2(du.y, du.x);
+  let sweep = Math.atan2(dv.y, dv.x) - startAngle;
+  if (sweep > Math.PI) sweep -= 2 * Math.PI;
+  if (sweep < -Math.PI) sweep += 2 * Math.PI;
+
+  return {
+    center: scale(r.center),
+    rays,
+    startAngle,
+    endAngle: startAngle + sweep,
+    anticlockwise: sweep < 0,
+    deg: Math.round(deg),
+  };
+}
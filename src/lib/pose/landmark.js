@@ -1,5 +1,3 @@
-"use client";
-
 /**
  ****************************************************************************
  * MEDIAPIPE CONSTANTS (STANDALONE)
@@ -87,6 +85,20 @@ export const FACEMESH_FACE_OVAL = [
   [109, 10],
 ];
 
+/**
+ * Key face regions as closed outlines (FaceMesh indices, drawing order).
+ * LEFT/RIGHT are the subject's sides, as in MediaPipe's FACEMESH_LEFT_EYE etc.
+ */
+export const FACEMESH_REGIONS = {
+  FACE_OVAL: FACEMESH_FACE_OVAL.map(([from]) => from),
+  LEFT_EYE: [263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466],
+  RIGHT_EYE: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246],
+  LEFT_EYEBROW: [300, 293, 334, 296, 336, 285, 295, 282, 283, 276],
+  RIGHT_EYEBROW: [70, 63, 105, 66, 107, 55, 65, 52, 53, 46],
+  NOSE: [168, 129, 1, 358],
+  LIPS: [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185],
+};
+
 const HAND_LANDMARKS = {
   WRIST: 0,
   THUMB_CMC: 1,
@@ -259,7 +271,7 @@ const SEGMENT_ANGLE_LANDMARKS = {
   }))(POSE_LANDMARKS),
 };
 
-export { LANDMARK_GROUPINGS, SEGMENT_ANGLE_LANDMARKS };
+export { HAND_LANDMARKS, LANDMARK_GROUPINGS, SEGMENT_ANGLE_LANDMARKS };
 
 /**
  * @param {Object} newResults - an object containing the new pose detection results
@@ -0,0 +1,264 @@
+// src/lib/pose/landmarkColumns.js
+// Columnar binary export of recorded landmark arrays (one row per pose frame).
+// Kept free of client-only imports so the export API can encode with it and notebooks /
+// scripts can decode with it.
+//
+// Layout (little-endian):
+//   0   "HVLC"                      magic
+//   4   uint32 version
+//   8   uint32 header byte length
+//   12  header JSON (utf8), zero-padded to a multiple of 8
+//   ... column blocks, each starting at header.columns[i].offset (from the start of the file)
+//
+// header: { version, group, landmarkCount, rows, dictionaries: { playId, levelId, stateType },
+//           columns: [{ name, type, offset, byteLength, shape }] }
+// Int columns use -1 for "missing" (and index into dictionaries where noted); landmark
+// columns (x, y, z, visibility) are float32 [rows × landmarkCount] with NaN for missing points.
+
+export const LANDMARK_COLUMNS_MAGIC = "HVLC";
+export const LANDMARK_COLUMNS_VERSION = 1;
+
+// holistic result key + point count per landmark group
+export const LANDMARK_GROUPS = Object.freeze({
+  pose: { key: "poseLandmarks", count: 33 },
+  leftHand: { key: "leftHandLandmarks", count: 21 },
+  rightHand: { key: "rightHandLandmarks", count: 21 },
+  face: { key: "faceLandmarks", count: 468 },
+});
+
+const TYPED = {
+  uint32: Uint32Array,
+  int32: Int32Array,
+  float32: Float32Array,
+  float64: Float64Array,
+};
+
+// name, type, per-row width (1 or landmarkCount), dictionary
+const COLUMN_SPECS = [
+  { name: "playIndex", type: "uint32", dictionary: "playId" },
+  { name: "seq", type: "int32" },
+  { name: "timestamp", type: "float64" },
+  { name: "levelIdIndex", type: "int32", dictionary: "levelId" },
+  { name: "levelIndex", type: "int32" },
+  { name: "repIndex", type: "int32" },
+  { name: "nodeIndex", type: "int32" },
+  { name: "stateTypeIndex", type: "int32", dictionary: "stateType" },
+  { name: "x", type: "float32", landmarks: true },
+  { name: "y", type: "float32", landmarks: true },
+  { name: "z", type: "float32", landmarks: true },
+  { name: "visibility", type: "float32", landmarks: true },
+];
+
+const align8 = (n) => Math.ceil(n / 8) * 8;
+
+function intOrMissing(v) {
+  if (v === null || v === undefined || v === "") return -1;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : -1;
+}
+
+function floatOrNaN(v) {
+  const n = Number(v);
+  return v === null || v === undefined || !Number.isFinite(n) ? NaN : n;
+}
+
+function parseMaybeJson(v) {
+  if (!v) return null;
+  if (typeof v === "object") return v;
+  if (typeof v !== "string") return null;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+// value => index, in first-seen order
+function createDictionary() {
+  const values = [];
+  const index = new Map();
+  return {
+    values,
+    indexOf(v) {
+      if (v === null || v === undefined || v === "") return -1;
+      const key = String(v);
+      let i = index.get(key);
+      if (i === undefined) {
+        i = values.length;
+        values.push(key);
+        index.set(key, i);
+      }
+      return i;
+    },
+  };
+}
+
+/**
+ * Accumulates frames row by row into growable typed columns.
+ *   const w = createLandmarkColumnsWriter({ group: "pose" });
+ *   w.add(playId, frame); ...; const bytes = w.encode();
+ */
+export function createLandmarkColumnsWriter({ group = "pose" } = {}) {
+  const spec = LANDMARK_GROUPS[group];
+  if (!spec) throw new Error(`Unknown landmark group "${group}"`);
+
+  const n = spec.count;
+  const dictionaries = { playId: createDictionary(), levelId: createDictionary(), stateType: createDictionary() };
+
+  let capacity = 1024;
+  let rows = 0;
+  const columns = Object.fromEntries(
+    COLUMN_SPECS.map((c) => [c.name, new TYPED[c.type](capacity * (c.landmarks ? n : 1))])
+  );
+
+  function grow() {
+    capacity *= 2;
+    for (const c of COLUMN_SPECS) {
+      const next = new TYPED[c.type](capacity * (c.landmarks ? n : 1));
+      next.set(columns[c.name]);
+      columns[c.name] = next;
+    }
+  }
+
+  return {
+    group,
+    landmarkCount: n,
+
+    get rows() {
+      return rows;
+    },
+
+    add(playId, frame) {
+      if (rows >= capacity) grow();
+      const f = frame ?? {};
+      const r = rows++;
+
+      columns.playIndex[r] = dictionaries.playId.indexOf(playId);
+      columns.seq[r] = intOrMissing(f.seq);
+      columns.timestamp[r] = floatOrNaN(f.timestamp);
+      columns.levelIdIndex[r] = dictionaries.levelId.indexOf(f.levelId);
+      columns.levelIndex[r] = intOrMissing(f.levelIndex);
+      columns.repIndex[r] = intOrMissing(f.repIndex);
+      columns.nodeIndex[r] = intOrMissing(f.nodeIndex);
+      columns.stateTypeIndex[r] = dictionaries.stateType.indexOf(f.stateType);
+
+      const points = parseMaybeJson(f.poseData)?.[spec.key];
+      const list = Array.isArray(points) ? points : points && typeof points === "object" ? Object.values(points) : [];
+
+      for (let i = 0; i < n; i++) {
+        const p = list[i];
+        const at = r * n + i;
+        columns.x[at] = floatOrNaN(p?.x);
+        columns.y[at] = floatOrNaN(p?.y);
+        columns.z[at] = floatOrNaN(p?.z);
+        columns.visibility[at] = floatOrNaN(p?.visibility);
+      }
+    },
+
+    encode() {
+      const blocks = COLUMN_SPECS.map((c) => {
+        const width = c.landmarks ? n : 1;
+        return { spec: c, data: columns[c.name].subarray(0, rows * width), width };
+      });
+
+      // header offsets depend on the header length; compute with a placeholder, then settle
+      const describe = (dataStart) => {
+        let offset = dataStart;
+        return blocks.map((b) => {
+          const col = {
+            name: b.spec.name,
+            type: b.spec.type,
+            offset,
+            byteLength: b.data.byteLength,
+            shape: b.width > 1 ? [rows, b.width] : [rows],
+            ...(b.spec.dictionary ? { dictionary: b.spec.dictionary } : null),
+          };
+          offset = align8(offset + b.data.byteLength);
+          return col;
+        });
+      };
+
+      const headerFor = (dataStart) => ({
+        version: LANDMARK_COLUMNS_VERSION,
+        group,
+        landmarkCount: n,
+        rows,
+        dictionaries: {
+          playId: dictionaries.playId.values,
+          levelId: dictionaries.levelId.values,
+          stateType: dictionaries.stateType.values,
+        },
+        columns: describe(dataStart),
+      });
+
+      // column offsets are written in the header, so its length depends on them: grow until it fits
+      const encoder = new TextEncoder();
+      let dataStart = 0;
+      let headerBytes = encoder.encode(JSON.stringify(headerFor(dataStart)));
+      while (align8(12 + headerBytes.byteLength) > dataStart) {
+        dataStart = align8(12 + headerBytes.byteLength);
+        headerBytes = encoder.encode(JSON.stringify(headerFor(dataStart)));
+      }
+
+      const cols = headerFor(dataStart).columns;
+      const total = cols.length ? align8(cols[cols.length - 1].offset + cols[cols.length - 1].byteLength) : dataStart;
+
+      const out = new Uint8Array(total);
+      const view = new DataView(out.buffer);
+      out.set(encoder.encode(LANDMARK_COLUMNS_MAGIC), 0);
+      view.setUint32(4, LANDMARK_COLUMNS_VERSION, true);
+      view.setUint32(8, headerBytes.byteLength, true);
+      out.set(headerBytes, 12);
+
+      // typed arrays are platform-endian; write through DataView so the file is always little-endian
+      blocks.forEach((b, i) => {
+        const { offset } = cols[i];
+        const { type } = b.spec;
+        const data = b.data;
+        for (let k = 0; k < data.length; k++) {
+          const at = offset + k * data.BYTES_PER_ELEMENT;
+          if (type === "uint32") view.setUint32(at, data[k], true);
+          else if (type === "int32") view.setInt32(at, data[k], true);
+          else if (type === "float32") view.setFloat32(at, data[k], true);
+          else view.setFloat64(at, data[k], true);
+        }
+      });
+
+      return out;
+    },
+  };
+}
+
+/**
+ * bytes => { header, columns: { [name]: TypedArray } }
+ */
+export function decodeLandmarkColumns(bytes) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+
+  const magic = new TextDecoder().decode(u8.subarray(0, 4));
+  if (magic !== LANDMARK_COLUMNS_MAGIC) throw new Error("Not a landmark columns file");
+
+  const version = view.getUint32(4, true);
+  if (version !== LANDMARK_COLUMNS_VERSION) throw new Error(`Unsupported landmark columns version ${version}`);
+
+  const headerLength = view.getUint32(8, true);
+  const header = JSON.parse(new TextDecoder().decode(u8.subarray(12, 12 + headerLength)));
+
+  const columns = {};
+  for (const col of header.columns ?? []) {
+    const Typed = TYPED[col.type];
+    const length = col.byteLength / Typed.BYTES_PER_ELEMENT;
+    const arr = new Typed(length);
+    for (let k = 0; k < length; k++) {
+      const at = col.offset + k * Typed.BYTES_PER_ELEMENT;
+      if (col.type === "uint32") arr[k] = view.getUint32(at, true);
+      else if (col.type === "int32") arr[k] = view.getInt32(at, true);
+      else if (col.type === "float32") arr[k] = view.getFloat32(at, true);
+      else arr[k] = view.getFloat64(at, true);
+    }
+    columns[col.name] = arr;
+  }
+
+  return { header, columns };
+}
@@ -0,0 +1,177 @@
+// src/lib/pose/landmarkSmoothing.js
+// Temporal smoothing for Holistic landmarks (per coordinate, per landmark).
+// Sits between usePoseData and its consumers so PoseMatchView / PoseDrawer / telemetry
+// all see the same filtered stream.
+
+const SMOOTHED_KEYS = ["poseLandmarks", "leftHandLandmarks", "rightHandLandmarks", "faceLandmarks"];
+const COORDS = ["x", "y", "z"];
+
+export const SMOOTHING_METHODS = ["none", "oneEuro", "kalman"];
+
+export const DEFAULT_SMOOTHING = Object.freeze({
+  method: "none",
+  // One Euro: lower minCutoff => less jitter at rest; higher beta => less lag when moving
+  minCutoff: 1.0,
+  beta: 0.05,
+  dCutoff: 1.0,
+  // Kalman (constant velocity): process vs measurement noise
+  processNoise: 0.01,
+  measurementNoise: 0.001,
+});
+
+export function normalizeSmoothingConfig(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const num = (v, fallback, min, max) => {
+    const x = Number(v);
+    if (!Number.isFinite(x)) return fallback;
+    return Math.max(min, Math.min(max, x));
+  };
+
+  return {
+    method: SMOOTHING_METHODS.includes(src.method) ? src.method : DEFAULT_SMOOTHING.method,
+    minCutoff: num(src.minCutoff, DEFAULT_SMOOTHING.minCutoff, 0.01, 10),
+    beta: num(src.beta, DEFAULT_SMOOTHING.beta, 0, 10),
+    dCutoff: num(src.dCutoff, DEFAULT_SMOOTHING.dCutoff, 0.01, 10),
+    processNoise: num(src.processNoise, DEFAULT_SMOOTHING.processNoise, 1e-6, 10),
+    measurementNoise: num(src.measurementNoise, DEFAULT_SMOOTHING.measurementNoise, 1e-6, 10),
+  };
+}
+
+/* ----------------------------- One Euro filter ----------------------------- */
+
+function smoothingAlpha(cutoffHz, dtSec) {
+  const tau = 1 / (2 * Math.PI * cutoffHz);
+  return 1 / (1 + tau / dtSec);
+}
+
+function createOneEuroChannel({ minCutoff, beta, dCutoff }) {
+  let prevX = null;
+  let prevDx = 0;
+
+  return (x, dtSec) => {
+    if (prevX === null || !(dtSec > 0)) {
+      prevX = x;
+      prevDx = 0;
+      return x;
+    }
+
+    const dx = (x - prevX) / dtSec;
+    const aD = smoothingAlpha(dCutoff, dtSec);
+    const edx = aD * dx + (1 - aD) * prevDx;
+
+    const cutoff = minCutoff + beta * Math.abs(edx);
+    const a = smoothingAlpha(cutoff, dtSec);
+    const out = a * x + (1 - a) * prevX;
+
+    prevX = out;
+    prevDx = edx;
+    return out;
+  };
+}
+
+/* ------------------------- Kalman (constant velocity) ------------------------- */
+
+function createKalmanChannel({ processNoise: q, measurementNoise: r }) {
+  let p = null; // position
+  let v = 0; // velocity
+  // covariance [[p00, p01], [p01, p11]]
+  let p00 = 1;
+  let p01 = 0;
+  let p11 = 1;
+
+  return (z, dtSec) => {
+    if (p === null) {
+      p = z;
+      return z;
+    }
+
+    const dt = dtSec > 0 ? dtSec : 0;
+
+    // predict
+    p += v * dt;
+    const n00 = p00 + dt * (2 * p01 + dt * p11) + q * dt;
+    const n01 = p01 + dt * p11;
+    const n11 = p11 + q * dt;
+
+    // update
+    const s = n00 + r;
+    const k0 = n00 / s;
+    const k1 = n01 / s;
+    const y = z - p;
+
+    p += k0 * y;
+    v += k1 * y;
+
+    p00 = (1 - k0) * n00;
+    p01 = (1 - k0) * n01;
+    p11 = n11 - k1 * n01;
+
+    return p;
+  };
+}
+
+/* ------------------------------- smoother ------------------------------- */
+
+/**
+ * createLandmarkSmoother(config)
+ *
+ * smooth(results, atMS) returns a shallow copy of the Holistic results with filtered
+ * landmark arrays, tagged with `smoothing: { method }`. Filters for a landmark group
+ * reset when it drops out (e.g. a hand leaves the frame) so it does not glide back in.
+ */
+export function createLandmarkSmoother(config) {
+  let cfg = normalizeSmoothingConfig(config);
+  let channels = {}; // dataKey -> Array<{ x, y, z }>
+  let lastAt = null;
+
+  const makeChannel = () =>
+    cfg.method === "kalman" ? createKalmanChannel(cfg) : createOneEuroChannel(cfg);
+
+  function reset() {
+    channels = {};
+    lastAt = null;
+  }
+
+  function configure(next) {
+    const n = normalizeSmoothingConfig(next);
+    if (JSON.stringify(n) === JSON.stringify(cfg)) return;
+    cfg = n;
+    reset();
+  }
+
+  function smooth(results, atMS) {
+    if (!results || cfg.method === "none") return results;
+
+    const at = Number.isFinite(atMS) ? atMS : Date.now();
+    const dtSec = lastAt === null ? 0 : Math.max(0, (at - lastAt) / 1000);
+    lastAt = at;
+
+    const out = { ...results, smoothing: { method: cfg.method } };
+
+    for (const key of SMOOTHED_KEYS) {
+      const arr = results[key];
+      if (!Array.isArray(arr) || !arr.length) {
+        delete channels[key];
+        continue;
+      }
+
+      if (!channels[key] || channels[key].length !== arr.length) {
+        channels[key] = arr.map(() => ({ x: makeChannel(), y: makeChannel(), z: makeChannel() }));
+      }
+
+      const chans = channels[key];
+      out[key] = arr.map((p, i) => {
+        if (!p || !Number.isFinite(p.x) || !Number.isFinite(p.y)) return p;
+        const next = { ...p };
+        for (const c of COORDS) {
+          if (Number.isFinite(p[c])) next[c] = chans[i][c](p[c], dtSec);
+        }
+        return next;
+      });
+    }
+
+    return out;
+  }
+
+  return { smooth, reset, configure };
+}
@@ -0,0 +1,322 @@
+// src/lib/pose/offlineRescore.js
+// Offline re-scoring of recorded plays (Node-side, no Firebase access).
+// Replays the POSE_MATCH frames stored under plays/{playId}/poseFrames through
+// computePoseMatchFrame twice — with the level's own settings ("baseline") and with
+// alternate ones ("candidate") — and reports how pass/fail and match times change.
+//
+// Frames are stored as the player saw them (after landmark smoothing), so smoothing
+// settings can't be re-tuned here. Binary-uploaded frames are stored packed (poseFrameCodec)
+// with landmarks quantized to 1e-4.
+
+import { STATE_TYPES } from "@/lib/gamePlayer/states/_shared/stateTypes";
+import {
+  buildLevelFeatureRegistry,
+  clampPct,
+  computePoseMatchFrame,
+  DEFAULT_STABILITY_MAX_STD_DEG,
+  FEATURE_REGISTRY,
+  featureOverridesToMaps,
+} from "@/lib/pose/poseMatching";
+import { expandPoseFrame } from "@/lib/pose/poseFrameCodec";
+
+// same as the game player (PoseMatchView / createSession)
+const SCORE_EVERY_MS = 100;
+const DEFAULT_MIN_HOLD_MS = 2000;
+const DEFAULT_POSE_THRESHOLD = 60;
+
+const DEFAULT_INCLUDE = {
+  face: false,
+  leftArm: true,
+  rightArm: true,
+  leftLeg: true,
+  rightLeg: true,
+  hands: false,
+  limbTilt: false,
+  relativePosition: false,
+};
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// RTDB hands arrays back as {0:..,1:..}
+const asArray = (v) => (Array.isArray(v) ? v : isPlainObject(v) ? Object.values(v) : []);
+
+function parseMaybeJson(v) {
+  if (!v) return null;
+  if (typeof v === "object") return v;
+  if (typeof v !== "string") return null;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+const finiteOr = (v, fallback) => {
+  const n = Number(v);
+  return v !== null && v !== "" && Number.isFinite(n) ? n : fallback;
+};
+
+/* ----------------------------- config ----------------------------- */
+
+/**
+ * Scoring config a level would have used in the game player.
+ * Same tolerance precedence as buildStateNodesForLevel (per-pose map, then level.poseThreshold).
+ */
+export function levelRescoreConfig(level) {
+  const settings = isPlainObject(level?.settings) ? level.settings : {};
+  const matching = isPlainObject(settings.matching) ? settings.matching : {};
+
+  return {
+    include: { ...DEFAULT_INCLUDE, ...(isPlainObject(settings.include) ? settings.include : {}) },
+    mirrorMode: matching.mirrorMode ?? "strict",
+    stabilityMaxStdDeg: finiteOr(matching.stabilityMaxStdDeg, DEFAULT_STABILITY_MAX_STD_DEG),
+    visibility: isPlainObject(matching.visibility) ? matching.visibility : null,
+    minHoldMS: DEFAULT_MIN_HOLD_MS,
+    defaultThresholdPct: clampPct(level?.poseThreshold ?? DEFAULT_POSE_THRESHOLD, DEFAULT_POSE_THRESHOLD),
+    poseTolerancePctById: {
+      ...(isPlainObject(level?.poseTolerancesById) ? level.poseTolerancesById : {}),
+      ...(isPlainObject(level?.poseTolerancePctById) ? level.poseTolerancePctById : {}),
+    },
+    thresholdPct: null, // set => overrides every pose's tolerance
+    featureOverrides: isPlainObject(level?.featureOverrides) ? level.featureOverrides : {},
+    customFeatures: level?.customFeatures ?? null,
+    registry: FEATURE_REGISTRY,
+  };
+}
+
+/**
+ * Candidate = baseline with the given keys replaced (featureOverrides / poseTolerancePctById merge per id).
+ */
+export function mergeRescoreConfig(base, overrides = {}) {
+  const o = isPlainObject(overrides) ? overrides : {};
+  const next = { ...base };
+
+  if (isPlainObject(o.include)) next.include = { ...base.include, ...o.include };
+  if (o.mirrorMode !== undefined) next.mirrorMode = o.mirrorMode;
+  if (o.stabilityMaxStdDeg !== undefined) next.stabilityMaxStdDeg = finiteOr(o.stabilityMaxStdDeg, base.stabilityMaxStdDeg);
+  if (o.visibility !== undefined) next.visibility = isPlainObject(o.visibility) ? o.visibility : null;
+  if (o.minHoldMS !== undefined) next.minHoldMS = Math.max(0, finiteOr(o.minHoldMS, base.minHoldMS));
+  if (o.thresholdPct !== undefined) next.thresholdPct = o.thresholdPct === null ? null : clampPct(o.thresholdPct, 70);
+  if (isPlainObject(o.poseTolerancePctById)) {
+    next.poseTolerancePctById = { ...base.poseTolerancePctById, ...o.poseTolerancePctById };
+  }
+  if (isPlainObject(o.featureOverrides)) {
+    next.featureOverrides = { ...base.featureOverrides, ...o.featureOverrides };
+  }
+  if (o.customFeatures !== undefined) next.customFeatures = o.customFeatures;
+  if (o.registry) next.registry = o.registry;
+
+  return next;
+}
+
+function thresholdFor(config, poseId) {
+  if (config.thresholdPct !== null && config.thresholdPct !== undefined) return config.thresholdPct;
+  const raw = config.poseTolerancePctById?.[poseId];
+  if (raw === undefined || raw === null || raw === "") return config.defaultThresholdPct;
+  return clampPct(raw, config.defaultThresholdPct);
+}
+
+/* ----------------------------- frames ----------------------------- */
+
+/**
+ * Groups a play's POSE_MATCH frames into attempts: one per (level, rep, node, step, target pose),
+ * ordered by seq.
+ */
+export function groupPoseMatchAttempts(poseFrames) {
+  const groups = new Map();
+
+  for (const f of asArray(poseFrames).map(expandPoseFrame)) {
+    if (!f || f.stateType !== STATE_TYPES.POSE_MATCH || !f.targetPoseId) continue;
+    if (!Number.isFinite(Number(f.timestamp)) || !f.poseData) continue;
+
+    const key = [f.levelId, f.levelIndex, f.repIndex, f.nodeIndex, f.stepIndex, f.targetPoseId].join("|");
+    const g =
+      groups.get(key) ??
+      {
+        key,
+        levelId: f.levelId ?? null,
+        levelIndex: f.levelIndex ?? null,
+        repIndex: f.repIndex ?? 0,
+        nodeIndex: f.nodeIndex ?? null,
+        stepIndex: f.stepIndex ?? null,
+        targetPoseId: f.targetPoseId,
+        frames: [],
+      };
+
+    g.frames.push(f);
+    groups.set(key, g);
+  }
+
+  const out = Array.from(groups.values());
+  for (const g of out) g.frames.sort((a, b) => Number(a.seq) - Number(b.seq));
+  return out.sort((a, b) => Number(a.frames[0].seq) - Number(b.frames[0].seq));
+}
+
+/* ----------------------------- simulation ----------------------------- */
+
+/**
+ * Plays one attempt's frames through computePoseMatchFrame the way PoseMatchView does
+ * (10Hz scoring, stability history over the hold window). Passed = the first frame after
+ * minHoldMS that is held; matchTimeMS is measured from the attempt's first frame.
+ */
+export function simulateAttempt(frames, targetPose, config, poseId) {
+  const thresholdPct = thresholdFor(config, poseId);
+  const registry = buildLevelFeatureRegistry(config.customFeatures, config.registry ?? FEATURE_REGISTRY);
+  const { weightsOverride, maxDiffOverride } = featureOverridesToMaps(config.featureOverrides);
+
+  const t0 = Number(frames[0]?.timestamp ?? 0);
+  let history = [];
+  let lastScoredAt = -Infinity;
+  let scored = 0;
+  let sum = 0;
+  let best = 0;
+  let matchTimeMS = null;
+  let blocked = 0;
+
+  for (const f of frames) {
+    const at = Number(f.timestamp);
+    if (at - lastScoredAt < SCORE_EVERY_MS) continue;
+    lastScoredAt = at;
+
+    const r = computePoseMatchFrame({
+      liveRaw: parseMaybeJson(f.poseData),
+      targetRaw: targetPose,
+      include: config.include,
+      registry,
+      weightsOverride,
+      maxDiffOverride,
+      thresholdPct,
+      mirrorMode: config.mirrorMode,
+      angleHistory: history,
+      stabilityWindowMS: config.minHoldMS,
+      stabilityMaxStdDeg: config.stabilityMaxStdDeg,
+      now: at,
+      visibility: config.visibility,
+    });
+
+    if (r.blocked) {
+      blocked++;
+      history = [];
+      continue;
+    }
+
+    if (r.stabilitySample) {
+      const cutoff = r.stabilitySample.at - config.minHoldMS;
+      history = [...history.filter((h) => h.at >= cutoff), r.stabilitySample];
+    }
+
+    scored++;
+    sum += r.overall;
+    best = Math.max(best, r.overall);
+
+    if (matchTimeMS === null && at - t0 >= config.minHoldMS && r.held) {
+      matchTimeMS = at - t0;
+    }
+  }
+
+  return {
+    passed: matchTimeMS !== null,
+    matchTimeMS,
+    thresholdPct,
+    bestOverall: best,
+    meanOverall: scored ? sum / scored : 0,
+    scoredFrames: scored,
+    blockedFrames: blocked,
+  };
+}
+
+/* ----------------------------- report ----------------------------- */
+
+function outcomeOf(baseline, candidate) {
+  if (baseline.passed === candidate.passed) return "unchanged";
+  return candidate.passed ? "gained" : "lost";
+}
+
+/**
+ * Re-scores one play.
+ * @param {object} args
+ * @param {string} args.playId
+ * @param {object} args.play    plays/{playId} (needs poseFrames)
+ * @param {(levelId: string) => object|null} args.getLevel  level lookup (level/{id})
+ * @param {object} [args.candidate]  settings to compare against each level's own (see mergeRescoreConfig)
+ */
+export function rescorePlay({ playId = null, play, getLevel, candidate = {} }) {
+  const attempts = [];
+  const skipped = [];
+
+  for (const g of groupPoseMatchAttempts(play?.poseFrames)) {
+    const { frames, ...where } = g;
+    const level = g.levelId ? getLevel(g.levelId) : null;
+    if (!level) {
+      skipped.push({ ...where, reason: "level_not_found" });
+      continue;
+    }
+
+    const targetPose = parseMaybeJson(level?.poses?.[g.targetPoseId]);
+    if (!targetPose) {
+      skipped.push({ ...where, reason: "target_pose_not_found" });
+      continue;
+    }
+
+    const baseConfig = levelRescoreConfig(level);
+    const baseline = simulateAttempt(frames, targetPose, baseConfig, g.targetPoseId);
+    const next = simulateAttempt(frames, targetPose, mergeRescoreConfig(baseConfig, candidate), g.targetPoseId);
+
+    attempts.push({
+      ...where,
+      frameCount: frames.length,
+      durationMS: Number(frames[frames.length - 1].timestamp) - Number(frames[0].timestamp),
+      baseline,
+      candidate: next,
+      outcome: outcomeOf(baseline, next),
+      matchTimeDeltaMS:
+        baseline.matchTimeMS !== null && next.matchTimeMS !== null ? next.matchTimeMS - baseline.matchTimeMS : null,
+    });
+  }
+
+  return { playId, attempts, skipped, summary: summarizeAttempts(attempts, skipped.length) };
+}
+
+export function summarizeAttempts(attempts, skippedCount = 0) {
+  const deltas = attempts.map((a) => a.matchTimeDeltaMS).filter((d) => d !== null);
+
+  return {
+    attempts: attempts.length,
+    skipped: skippedCount,
+    baselinePassed: attempts.filter((a) => a.baseline.passed).length,
+    candidatePassed: attempts.filter((a) => a.candidate.passed).length,
+    gained: attempts.filter((a) => a.outcome === "gained").length,
+    lost: attempts.filter((a) => a.outcome === "lost").length,
+    meanMatchTimeDeltaMS: deltas.length ? deltas.reduce((s, d) => s + d, 0) / deltas.length : null,
+  };
+}
+
+/**
+ * Re-scores plays from an RTDB JSON export ({ plays: {...}, level: {...} }).
+ * playIds => only those; otherwise every play with pose frames (up to `limit`).
+ */
+export function rescoreExport(exportJson, { playIds = null, candidate = {}, limit = 50 } = {}) {
+  const plays = isPlainObject(exportJson?.plays) ? exportJson.plays : {};
+  const levels = isPlainObject(exportJson?.level) ? exportJson.level : {};
+  const getLevel = (id) => (isPlainObject(levels[id]) ? levels[id] : null);
+
+  const ids = (Array.isArray(playIds) ? playIds : Object.keys(plays).filter((id) => plays[id]?.poseFrames)).slice(
+    0,
+    Math.max(1, limit)
+  );
+
+  const reports = [];
+  const missing = [];
+  for (const id of ids) {
+    if (!isPlainObject(plays[id])) {
+      missing.push(id);
+      continue;
+    }
+    reports.push(rescorePlay({ playId: id, play: plays[id], getLevel, candidate }));
+  }
+
+  const all = reports.flatMap((r) => r.attempts);
+  const skipped = reports.reduce((n, r) => n + r.skipped.length, 0);
+
+  return { plays: reports, missingPlayIds: missing, summary: summarizeAttempts(all, skipped) };
+}
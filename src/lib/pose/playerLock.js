@@ -0,0 +1,185 @@
+// src/lib/pose/playerLock.js
+// Keeps tracking on the player chosen at level start.
+// Holistic reports one body per frame, and it can jump to whoever is most prominent
+// (e.g. a teacher walking behind a child). The lock picks the player during a short
+// selection window (largest or most central torso), then only accepts frames whose
+// torso box continues from the last accepted one. Kept free of client-only imports.
+//
+// States: "off" | "selecting" | "locked" | "lost"
+// Events returned by update(): PLAYER_LOCKED, PLAYER_LOST, PLAYER_REACQUIRED
+
+export const PLAYER_LOCK_MODES = ["off", "largest", "central"];
+
+export const DEFAULT_PLAYER_LOCK = Object.freeze({
+  mode: "off",
+  selectMS: 1000, // selection window after reset
+  lostAfterMS: 750, // rejected frames for this long => PLAYER_LOST
+  maxJump: 0.6, // torso-center jump per frame, in torso sizes
+  maxScale: 1.6, // torso size change per frame (ratio)
+  reacquireFrames: 5, // consecutive matching frames before PLAYER_REACQUIRED
+});
+
+// shoulders + hips
+const TORSO_POINTS = [11, 12, 23, 24];
+const MIN_TORSO_VISIBILITY = 0.3;
+
+function clamp(n, lo, hi) {
+  return Math.max(lo, Math.min(hi, n));
+}
+
+export function normalizePlayerLockConfig(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const num = (v, lo, hi, fallback) => {
+    const x = Number(v);
+    return v !== null && v !== "" && Number.isFinite(x) ? clamp(x, lo, hi) : fallback;
+  };
+
+  return {
+    mode: PLAYER_LOCK_MODES.includes(src.mode) ? src.mode : DEFAULT_PLAYER_LOCK.mode,
+    selectMS: num(src.selectMS, 0, 10000, DEFAULT_PLAYER_LOCK.selectMS),
+    lostAfterMS: num(src.lostAfterMS, 100, 10000, DEFAULT_PLAYER_LOCK.lostAfterMS),
+    maxJump: num(src.maxJump, 0.05, 5, DEFAULT_PLAYER_LOCK.maxJump),
+    maxScale: num(src.maxScale, 1.05, 5, DEFAULT_PLAYER_LOCK.maxScale),
+    reacquireFrames: Math.round(num(src.reacquireFrames, 1, 60, DEFAULT_PLAYER_LOCK.reacquireFrames)),
+  };
+}
+
+/**
+ * Bounding box of the shoulders + hips in normalized image coords (null when not tracked).
+ * size = box diagonal, used as the unit for jumps.
+ */
+export function torsoBox(poseLandmarks) {
+  if (!Array.isArray(poseLandmarks)) return null;
+
+  const pts = TORSO_POINTS.map((i) => poseLandmarks[i]);
+  const tracked = pts.every(
+    (p) =>
+      p &&
+      Number.isFinite(p.x) &&
+      Number.isFinite(p.y) &&
+      (!Number.isFinite(p.visibility) || p.visibility >= MIN_TORSO_VISIBILITY)
+  );
+  if (!tracked) return null;
+
+  const xs = pts.map((p) => p.x);
+  const ys = pts.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const size = Math.hypot(maxX - minX, maxY - minY);
+  if (!(size > 1e-4)) return null;
+
+  return { cx: (minX + maxX) / 2, cy: (minY + maxY) / 2, w: maxX - minX, h: maxY - minY, size };
+}
+
+function continues(box, anchor, { maxJump, maxScale }, slack = 1) {
+  if (!box || !anchor) return false;
+  const jump = Math.hypot(box.cx - anchor.cx, box.cy - anchor.cy) / anchor.size;
+  const scale = box.size / anchor.size;
+  const maxS = maxScale * slack;
+  return jump <= maxJump * slack && scale <= maxS && scale >= 1 / maxS;
+}
+
+function selectionScore(box, mode) {
+  if (mode === "central") return -Math.hypot(box.cx - 0.5, box.cy - 0.5);
+  return box.size; // "largest"
+}
+
+/**
+ * update(results, atMS) => { accept, state, event }
+ * - accept: false => drop this frame (someone else, or nobody, is being tracked)
+ * - event:  null | { type, at, ... } on state changes
+ */
+export function createPlayerLock(config = null) {
+  let cfg = normalizePlayerLockConfig(config);
+
+  let state = cfg.mode === "off" ? "off" : "selecting";
+  let selectStartedAt = null;
+  let best = null;
+  let anchor = null;
+  let lastSeenAt = null;
+  let lostAt = null;
+  let streak = 0;
+
+  function reset() {
+    state = cfg.mode === "off" ? "off" : "selecting";
+    selectStartedAt = null;
+    best = null;
+    anchor = null;
+    lastSeenAt = null;
+    lostAt = null;
+    streak = 0;
+  }
+
+  function update(results, atMS) {
+    const at = Number(atMS);
+    if (state === "off") return { accept: true, state, event: null };
+
+    const box = torsoBox(results?.poseLandmarks);
+
+    if (state === "selecting") {
+      if (selectStartedAt === null) selectStartedAt = at;
+      if (box && (!best || selectionScore(box, cfg.mode) > selectionScore(best, cfg.mode))) best = box;
+
+      if (best && at - selectStartedAt >= cfg.selectMS) {
+        state = "locked";
+        anchor = best;
+        lastSeenAt = at;
+        const accept = continues(box, anchor, cfg);
+        if (accept) anchor = box;
+        return { accept, state, event: { type: "PLAYER_LOCKED", at, mode: cfg.mode, box: anchor } };
+      }
+
+      // frames pass through while choosing (the player is usually alone at level start)
+      return { accept: true, state, event: null };
+    }
+
+    if (state === "locked") {
+      if (continues(box, anchor, cfg)) {
+        anchor = box;
+        lastSeenAt = at;
+        return { accept: true, state, event: null };
+      }
+
+      if (at - lastSeenAt >= cfg.lostAfterMS) {
+        state = "lost";
+        lostAt = lastSeenAt;
+        streak = 0;
+        return { accept: false, state, event: { type: "PLAYER_LOST", at, lastSeenAt } };
+      }
+
+      return { accept: false, state, event: null };
+    }
+
+    // "lost": the player may have moved meanwhile, so match the last box with extra slack
+    if (continues(box, anchor, cfg, 2)) {
+      streak++;
+      anchor = box;
+      if (streak >= cfg.reacquireFrames) {
+        state = "locked";
+        lastSeenAt = at;
+        return { accept: true, state, event: { type: "PLAYER_REACQUIRED", at, lostMS: at - lostAt } };
+      }
+    } else {
+      streak = 0;
+    }
+
+    return { accept: false, state, event: null };
+  }
+
+  function configure(next) {
+    const prevMode = cfg.mode;
+    cfg = normalizePlayerLockConfig(next);
+    if (cfg.mode !== prevMode) reset();
+  }
+
+  return {
+    update,
+    reset,
+    configure,
+    get state() {
+      return state;
+    },
+  };
+}
@@ -3,8 +3,9 @@
 
 import { useEffect, useRef, forwardRef, useImperativeHandle } from "react";
 import { scale } from "chroma-js";
-import { LANDMARK_GROUPINGS, FACEMESH_FACE_OVAL, POSE_LANDMARKS } from "./landmark";
+import { LANDMARK_GROUPINGS, FACEMESH_REGIONS, POSE_LANDMARKS } from "./landmark";
 import { landmarkToCoordinates, objMap } from "./poseDrawerHelper";
+import { exploreGuideGeometry } from "./exploreGuides";
 
 /* ----------------------------- color scaling ----------------------------- */
 /**
@@ -67,7 +68,7 @@ function calculateArmWidth(poseData, width, height) {
     : DEFAULT_ARM_WIDTH;
 }
 
-function drawPath(ctx, points, segmentName, similarityScores, { closePath = true } = {}) {
+function drawPath(ctx, points, segmentName, similarityScores, { closePath = true, lineWidth = LINE_WIDTH } = {}) {
   if (!points?.length) return;
 
   const baseFill = "#60a5fa"; // fallback (blue-ish)
@@ -87,7 +88,7 @@ function drawPath(ctx, points, segmentName, similarityScores, { closePath = true
   ctx.fill();
 
   ctx.strokeStyle = stroke;
-  ctx.lineWidth = LINE_WIDTH;
+  ctx.lineWidth = lineWidth;
   ctx.stroke();
 }
 
@@ -275,22 +276,24 @@ const draw = {
     }
   },
 
-  face(poseData, ctx, { width, height }) {
+  face(poseData, ctx, { width, height, similarityScores }) {
     const face = poseData?.faceLandmarks;
     if (!Array.isArray(face) || face.length === 0) return;
 
-    const oval = FACEMESH_FACE_OVAL
-      .map(([idx]) => {
-        const p = poseData.faceLandmarks?.[idx];
-        if (!p || p.x == null || p.y == null) return null;
+    const outline = (idxs) =>
+      idxs
+        .map((idx) => {
+          const p = face[idx];
+          if (!p || p.x == null || p.y == null) return null;
 
-        return { x: p.x * width, y: p.y * height };
-      })
-      .filter(Boolean);
+          return { x: p.x * width, y: p.y * height };
+        })
+        .filter(Boolean);
 
     // Need at least 3 points to draw anything meaningful
+    const oval = outline(FACEMESH_REGIONS.FACE_OVAL);
     if (oval.length >= 3) {
-      drawPath(ctx, oval, null, null);
+      drawPath(ctx, oval, "FACE_OVAL", similarityScores);
     }
 
     // Draw points safely
@@ -298,17 +301,27 @@ const draw = {
     ctx.strokeStyle = "#60a5fa";
     ctx.lineWidth = 1;
 
-   for (const lm of poseData.faceLandmarks ?? []) {
-    if (!lm || lm.x == null || lm.y == null) continue;
+    for (const lm of face) {
+      if (!lm || lm.x == null || lm.y == null) continue;
 
-    const x = lm.x * width;
-    const y = lm.y * height;
+      const x = lm.x * width;
+      const y = lm.y * height;
       if (x <= width && y <= height) {
         ctx.beginPath();
         ctx.arc(x, y, CIRCLE_RADIUS, 0, 2 * Math.PI);
         ctx.fill();
       }
     }
+
+    // ✅ eyes / brows / nose / lips on top, colored like limbs (FACE_LEFT_EYE, FACE_LIPS, ...)
+    for (const [region, idxs] of Object.entries(FACEMESH_REGIONS)) {
+      if (region === "FACE_OVAL") continue;
+
+      const pts = outline(idxs);
+      if (pts.length < 3) continue;
+
+      drawPath(ctx, pts, `FACE_${region}`, similarityScores, { lineWidth: 2 });
+    }
   },
 
   hands(poseData, ctx, { width, height, similarityScores }) {
@@ -351,10 +364,56 @@ const draw = {
   },
 };
 
+/* ----------------------------- explore guides ----------------------------- */
+
+const GUIDE_COLOR = "#fbbf24";
+
+// level.explore guides: the two rays, an arc between them and the live degree value
+function drawGuides(poseData, ctx, { width, height, guides }) {
+  for (const guide of guides) {
+    const g = exploreGuideGeometry(guide, poseData.poseLandmarks, width, height);
+    if (!g) continue;
+
+    ctx.save();
+    ctx.strokeStyle = GUIDE_COLOR;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    for (const [from, to] of g.rays) {
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+    }
+
+    const shortest = Math.min(...g.rays.map(([from, to]) => magnitude(from, to)));
+    const radius = Math.max(16, Math.min(48, shortest * 0.4));
+
+    ctx.setLineDash([]);
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(g.center.x, g.center.y, radius, g.startAngle, g.endAngle, g.anticlockwise);
+    ctx.stroke();
+
+    // value just outside the middle of the arc
+    const mid = (g.startAngle + g.endAngle) / 2;
+    const tx = g.center.x + Math.cos(mid) * (radius + 16);
+    const ty = g.center.y + Math.sin(mid) * (radius + 16);
+    ctx.font = "bold 14px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.strokeText(`${g.deg}°`, tx, ty);
+    ctx.fillStyle = GUIDE_COLOR;
+    ctx.fillText(`${g.deg}°`, tx, ty);
+    ctx.restore();
+  }
+}
+
 /* ----------------------------- component ----------------------------- */
 
 const PoseDrawer = forwardRef(function PoseDrawer(
-  { poseData, width = 640, height = 480, similarityScores = [] },
+  { poseData, width = 640, height = 480, similarityScores = [], guides = null },
   ref
 ) {
   const canvasRef = useRef(null);
@@ -392,7 +451,11 @@ const PoseDrawer = forwardRef(function PoseDrawer(
     }
 
     draw.hands(poseData, ctx, params);
-  }, [poseData, width, height, similarityScores]);
+
+    if (poseData.poseLandmarks && Array.isArray(guides) && guides.length) {
+      drawGuides(poseData, ctx, { width, height, guides });
+    }
+  }, [poseData, width, height, similarityScores, guides]);
 
   return (
     <canvas
@@ -0,0 +1,422 @@
+// src/lib/pose/poseFrameCodec.js
+// Compact binary encoding of pose frames: the telemetry bus uploads frame batches with it
+// (Content-Type POSE_FRAMES_CONTENT_TYPE) and the frames route stores their landmarks packed.
+// Kept free of client-only imports so the frames API and the export tools can decode with it.
+//
+// Batch layout:
+//   0   "HVPF"                magic
+//   4   uint8 version
+//   5   varint header byte length, header JSON (utf8): { batchKey, count, meta: [...] }
+//   ... one record per frame:
+//         uint8 flags (1 = has timestamp, 2 = has poseData)
+//         zigzag varint seq delta, [zigzag varint timestamp delta (ms)]   (first frame: from 0)
+//         [landmark groups]
+//
+// meta[i] holds frame i's other fields (levelIndex, stateType, ...) that differ from frame i-1;
+// a field frame i-1 had and frame i lacks comes back as null.
+//
+// Landmark groups, in POSE_FRAME_GROUPS order, each:
+//   uint8 flags: 1 = present, 2/4/8/16 = x/y/z/visibility present, 32 = delta
+//   varint point count, then zigzag varint per point per present field: the quantized value,
+//   or (delta) its difference from the same point in the previous frame's group.
+// A field is kept only if every point of the group has a finite number for it. Values come back
+// rounded to 1 / QUANT_SCALE[field].
+
+export const POSE_FRAMES_CONTENT_TYPE = "application/x-hv-pose-frames";
+
+export const POSE_FRAME_CODEC_MAGIC = "HVPF";
+export const POSE_FRAME_CODEC_VERSION = 1;
+
+// holistic result keys; the index is the wire order (part of the format version)
+export const POSE_FRAME_GROUPS = Object.freeze([
+  "poseLandmarks",
+  "poseWorldLandmarks",
+  "faceLandmarks",
+  "leftHandLandmarks",
+  "rightHandLandmarks",
+]);
+
+const FIELDS = ["x", "y", "z", "visibility"];
+
+// 1e-4 of the frame (or of a meter for world landmarks); visibility to 1%
+export const QUANT_SCALE = Object.freeze({ x: 10000, y: 10000, z: 10000, visibility: 100 });
+
+const FRAME_HAS_TIMESTAMP = 1;
+const FRAME_HAS_POSE = 2;
+
+const GROUP_PRESENT = 1;
+const GROUP_DELTA = 32;
+const fieldBit = (i) => 2 << i;
+
+// fields encoded outside meta
+const FRAME_OWN_FIELDS = new Set(["seq", "timestamp", "poseData"]);
+
+/* ---------------------------- bytes ---------------------------- */
+
+function createWriter(capacity = 4096) {
+  let buf = new Uint8Array(capacity);
+  let length = 0;
+
+  function ensure(n) {
+    if (length + n <= buf.length) return;
+    let next = buf.length * 2;
+    while (next < length + n) next *= 2;
+    const grown = new Uint8Array(next);
+    grown.set(buf.subarray(0, length));
+    buf = grown;
+  }
+
+  return {
+    byte(b) {
+      ensure(1);
+      buf[length++] = b;
+    },
+    bytes(u8) {
+      ensure(u8.length);
+      buf.set(u8, length);
+      length += u8.length;
+    },
+    // arithmetic (not bitwise) so values past 32 bits (epoch ms) survive
+    uint(n) {
+      ensure(8);
+      while (n >= 128) {
+        buf[length++] = (n % 128) + 128;
+        n = Math.floor(n / 128);
+      }
+      buf[length++] = n;
+    },
+    int(n) {
+      this.uint(n >= 0 ? n * 2 : -n * 2 - 1);
+    },
+    finish() {
+      return buf.slice(0, length);
+    },
+  };
+}
+
+function createReader(u8, pos = 0) {
+  const fail = () => {
+    throw new Error("Truncated pose frame data");
+  };
+
+  return {
+    get pos() {
+      return pos;
+    },
+    byte() {
+      if (pos >= u8.length) fail();
+      return u8[pos++];
+    },
+    bytes(n) {
+      if (pos + n > u8.length) fail();
+      const out = u8.subarray(pos, pos + n);
+      pos += n;
+      return out;
+    },
+    uint() {
+      let result = 0;
+      let mul = 1;
+      for (;;) {
+        const b = this.byte();
+        result += (b % 128) * mul;
+        if (b < 128) return result;
+        mul *= 128;
+        if (mul > 2 ** 56) throw new Error("Malformed varint in pose frame data");
+      }
+    },
+    int() {
+      const u = this.uint();
+      return u % 2 === 0 ? u / 2 : -(u + 1) / 2;
+    },
+  };
+}
+
+/* ---------------------------- landmark groups ---------------------------- */
+
+function pointsOf(list) {
+  if (Array.isArray(list)) return list;
+  return list && typeof list === "object" ? Object.values(list) : [];
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// poseData => per group { count, mask, q } (q: quantized values, point-major), null when absent
+function quantizeGroups(poseData) {
+  return POSE_FRAME_GROUPS.map((key) => {
+    const points = pointsOf(poseData?.[key]);
+    if (!points.length) return null;
+
+    let mask = 0;
+    const fields = FIELDS.filter((f, i) => {
+      const keep = points.every((p) => isNum(p?.[f]));
+      if (keep) mask |= fieldBit(i);
+      return keep;
+    });
+
+    const q = new Array(points.length * fields.length);
+    let k = 0;
+    for (const p of points) {
+      for (const f of fields) q[k++] = Math.round(p[f] * QUANT_SCALE[f]);
+    }
+
+    return { count: points.length, mask, q };
+  });
+}
+
+// prev: the previous frame's quantizeGroups() (or null) => delta where the shape matches
+function writeGroups(w, groups, prev) {
+  groups.forEach((g, gi) => {
+    if (!g) {
+      w.byte(0);
+      return;
+    }
+
+    const p = prev?.[gi];
+    const delta = !!p && p.count === g.count && p.mask === g.mask;
+
+    w.byte(GROUP_PRESENT | g.mask | (delta ? GROUP_DELTA : 0));
+    w.uint(g.count);
+    for (let k = 0; k < g.q.length; k++) w.int(delta ? g.q[k] - p.q[k] : g.q[k]);
+  });
+}
+
+// => { groups (for the next frame's deltas), poseData }
+function readGroups(r, prev) {
+  const groups = [];
+  const poseData = {};
+
+  POSE_FRAME_GROUPS.forEach((key, gi) => {
+    const flags = r.byte();
+    if (!(flags & GROUP_PRESENT)) {
+      groups.push(null);
+      return;
+    }
+
+    const mask = flags & 0b11110;
+    const count = r.uint();
+    const fields = FIELDS.filter((_, i) => mask & fieldBit(i));
+
+    const p = prev?.[gi];
+    const delta = !!(flags & GROUP_DELTA);
+    if (delta && !(p && p.count === count && p.mask === mask)) {
+      throw new Error(`Pose frame delta without a matching previous ${key}`);
+    }
+
+    const q = new Array(count * fields.length);
+    const points = new Array(count);
+    let k = 0;
+    for (let i = 0; i < count; i++) {
+      const point = {};
+      for (const f of fields) {
+        q[k] = delta ? p.q[k] + r.int() : r.int();
+        point[f] = q[k] / QUANT_SCALE[f];
+        k++;
+      }
+      points[i] = point;
+    }
+
+    groups.push({ count, mask, q });
+    poseData[key] = points;
+  });
+
+  return { groups, poseData };
+}
+
+/* ---------------------------- frame batches ---------------------------- */
+
+function metaOf(frame) {
+  const meta = {};
+  for (const [k, v] of Object.entries(frame ?? {})) {
+    if (!FRAME_OWN_FIELDS.has(k) && v !== undefined) meta[k] = v;
+  }
+  return meta;
+}
+
+function metaDiff(prev, cur) {
+  const diff = {};
+  for (const [k, v] of Object.entries(cur)) {
+    if (JSON.stringify(prev[k]) !== JSON.stringify(v)) diff[k] = v;
+  }
+  for (const k of Object.keys(prev)) {
+    if (!(k in cur)) diff[k] = null;
+  }
+  return diff;
+}
+
+/**
+ * frames (as recorded by the telemetry bus) => Uint8Array
+ * Every frame needs an integer seq; timestamps are rounded to ms.
+ */
+export function encodePoseFrameBatch(frames, { batchKey = null } = {}) {
+  const list = Array.isArray(frames) ? frames : [];
+
+  const meta = [];
+  let prevMeta = {};
+  for (const f of list) {
+    if (!Number.isInteger(f?.seq)) throw new Error("encodePoseFrameBatch: every frame needs an integer seq");
+    const m = metaOf(f);
+    meta.push(metaDiff(prevMeta, m));
+    prevMeta = m;
+  }
+
+  const encoder = new TextEncoder();
+  const header = encoder.encode(JSON.stringify({ batchKey, count: list.length, meta }));
+
+  const w = createWriter(64 + header.length + list.length * 256);
+  w.bytes(encoder.encode(POSE_FRAME_CODEC_MAGIC));
+  w.byte(POSE_FRAME_CODEC_VERSION);
+  w.uint(header.length);
+  w.bytes(header);
+
+  let prevSeq = 0;
+  let prevTs = 0;
+  let prevGroups = null;
+
+  for (const f of list) {
+    const hasTs = isNum(f.timestamp);
+    const hasPose = !!f.poseData && typeof f.poseData === "object";
+
+    w.byte((hasTs ? FRAME_HAS_TIMESTAMP : 0) | (hasPose ? FRAME_HAS_POSE : 0));
+    w.int(f.seq - prevSeq);
+    prevSeq = f.seq;
+
+    if (hasTs) {
+      const ts = Math.round(f.timestamp);
+      w.int(ts - prevTs);
+      prevTs = ts;
+    }
+
+    if (hasPose) {
+      const groups = quantizeGroups(f.poseData);
+      writeGroups(w, groups, prevGroups);
+      prevGroups = groups;
+    }
+  }
+
+  return w.finish();
+}
+
+/**
+ * bytes => { batchKey, frames } (frames in the shape the JSON path posts)
+ */
+export function decodePoseFrameBatch(bytes) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const r = createReader(u8);
+
+  const decoder = new TextDecoder();
+  if (decoder.decode(r.bytes(4)) !== POSE_FRAME_CODEC_MAGIC) throw new Error("Not a pose frame batch");
+
+  const version = r.byte();
+  if (version !== POSE_FRAME_CODEC_VERSION) throw new Error(`Unsupported pose frame batch version ${version}`);
+
+  let header;
+  try {
+    header = JSON.parse(decoder.decode(r.bytes(r.uint())));
+  } catch {
+    throw new Error("Malformed pose frame batch header");
+  }
+
+  const count = Number(header?.count);
+  const meta = Array.isArray(header?.meta) ? header.meta : [];
+  if (!Number.isInteger(count) || count < 0 || meta.length !== count) {
+    throw new Error("Malformed pose frame batch header");
+  }
+
+  const frames = [];
+  let prevMeta = {};
+  let prevSeq = 0;
+  let prevTs = 0;
+  let prevGroups = null;
+
+  for (let i = 0; i < count; i++) {
+    const flags = r.byte();
+    const seq = prevSeq + r.int();
+    prevSeq = seq;
+
+    let timestamp = null;
+    if (flags & FRAME_HAS_TIMESTAMP) {
+      timestamp = prevTs + r.int();
+      prevTs = timestamp;
+    }
+
+    let poseData = null;
+    if (flags & FRAME_HAS_POSE) {
+      const read = readGroups(r, prevGroups);
+      prevGroups = read.groups;
+      poseData = read.poseData;
+    }
+
+    const diff = meta[i] && typeof meta[i] === "object" ? meta[i] : {};
+    const frameMeta = { ...prevMeta, ...diff };
+    prevMeta = frameMeta;
+
+    frames.push({ ...frameMeta, seq, timestamp, poseData });
+  }
+
+  if (r.pos !== u8.length) throw new Error("Trailing bytes after pose frame batch");
+
+  return { batchKey: typeof header.batchKey === "string" ? header.batchKey : null, frames };
+}
+
+/* ---------------------------- stored frames ---------------------------- */
+
+// RTDB stores strings, not bytes
+function toBase64(u8) {
+  let s = "";
+  for (let i = 0; i < u8.length; i += 0x8000) s += String.fromCharCode(...u8.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+
+function fromBase64(s) {
+  const bin = atob(s);
+  const u8 = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i);
+  return u8;
+}
+
+/**
+ * poseData => base64 string (version byte + landmark groups, no deltas), stored as
+ * plays/{playId}/poseFrames/{seq}/poseDataQ in place of poseData. null stays null.
+ */
+export function packPoseData(poseData) {
+  if (!poseData || typeof poseData !== "object") return null;
+
+  const w = createWriter(1024);
+  w.byte(POSE_FRAME_CODEC_VERSION);
+  writeGroups(w, quantizeGroups(poseData), null);
+  return toBase64(w.finish());
+}
+
+export function unpackPoseData(packed) {
+  if (typeof packed !== "string" || !packed) return null;
+
+  const r = createReader(fromBase64(packed));
+  const version = r.byte();
+  if (version !== POSE_FRAME_CODEC_VERSION) throw new Error(`Unsupported packed pose data version ${version}`);
+
+  return readGroups(r, null).poseData;
+}
+
+/**
+ * A stored frame with poseData in either form => the frame with poseData (object or JSON as stored).
+ * Undecodable packed data => poseData: null.
+ */
+export function expandPoseFrame(frame) {
+  if (!frame || typeof frame !== "object" || !("poseDataQ" in frame)) return frame;
+
+  const { poseDataQ, ...rest } = frame;
+  let poseData = null;
+  try {
+    poseData = unpackPoseData(poseDataQ);
+  } catch {
+    poseData = null;
+  }
+  return { ...rest, poseData };
+}
+
+// plays/{playId}/poseFrames as RTDB returns it (array or seq-keyed object), same shape back
+export function expandPoseFrames(poseFrames) {
+  if (Array.isArray(poseFrames)) return poseFrames.map(expandPoseFrame);
+  if (!poseFrames || typeof poseFrames !== "object") return poseFrames;
+  return Object.fromEntries(Object.entries(poseFrames).map(([k, f]) => [k, expandPoseFrame(f)]));
+}
@@ -2,7 +2,8 @@
 // Angle-based pose similarity engine.
 // Works with poseLandmarks, leftHandLandmarks, rightHandLandmarks, faceLandmarks.
 
-import { enrichLandmarks } from "@/lib/pose/landmark";
+import { enrichLandmarks, FACEMESH_REGIONS, POSE_LANDMARKS } from "@/lib/pose/landmark";
+import { isCustomFeatureId, validateCustomFeatures } from "@/lib/pose/customFeatures";
 
 const DEG = 180 / Math.PI;
 
@@ -67,6 +68,35 @@ function angleLineToLine(a, b, c, d) {
   return angleBetweenVectors(u, v);
 }
 
+// image-plane angle of a->b from "straight up" (0 = up, 90 = sideways, 180 = down)
+function angleFromVertical(a, b) {
+  return angleBetweenVectors({ x: b.x - a.x, y: b.y - a.y, z: 0 }, { x: 0, y: -1, z: 0 });
+}
+
+const TORSO_POINTS = [
+  POSE_LANDMARKS.LEFT_SHOULDER,
+  POSE_LANDMARKS.RIGHT_SHOULDER,
+  POSE_LANDMARKS.LEFT_HIP,
+  POSE_LANDMARKS.RIGHT_HIP,
+];
+
+// shoulder-mid -> hip-mid distance in the image plane; the unit for REL_POS features
+function torsoLength(poseObj) {
+  const [ls, rs, lh, rh] = TORSO_POINTS.map((i) => getPoint(poseObj, "poseLandmarks", i));
+  if (!ls || !rs || !lh || !rh) return null;
+  const len = Math.hypot((ls.x + rs.x - lh.x - rh.x) / 2, (ls.y + rs.y - lh.y - rh.y) / 2);
+  return len > 1e-6 ? len : null;
+}
+
+function relativePosition(relation, pts, torso) {
+  const [a, b, c, d] = pts;
+  // image y grows downwards => positive when A is above B
+  if (relation === "ABOVE") return (100 * (b.y - a.y)) / torso;
+  if (relation === "APART") return (100 * Math.abs(a.x - b.x)) / torso;
+  if (relation === "WIDER") return (100 * (Math.abs(a.x - b.x) - Math.abs(c.x - d.x))) / torso;
+  return null;
+}
+
 /* -------------------------- feature definitions -------------------------- */
 
 export function createABCFeature({ id, label, dataKey, A, B, C, weight = 1, maxDiffDeg = 45 }) {
@@ -77,6 +107,38 @@ export function createLineLineFeature({ id, label, dataKey, A, B, C, D, weight =
   return { id, label: label ?? id, type: "LINE_LINE", dataKey, points: [A, B, C, D], weight, maxDiffDeg };
 }
 
+/**
+ * Segment A->B vs the image vertical, unsigned (so it reads the same when mirrored).
+ */
+export function createOrientationFeature({ id, label, dataKey, A, B, weight = 1, maxDiffDeg = 30 }) {
+  return { id, label: label ?? id, type: "ORIENT", dataKey, points: [A, B], weight, maxDiffDeg };
+}
+
+/**
+ * Relative position of pose landmarks, in % of torso length (so it doesn't depend on
+ * how far the player stands from the camera). maxDiffDeg is in the same unit.
+ * relation:
+ * - "ABOVE" [A, B]       => how far A is above B (negative = below)
+ * - "APART" [A, B]       => horizontal distance between A and B
+ * - "WIDER" [A, B, C, D] => horizontal span A-B minus span C-D (e.g. feet vs hips)
+ */
+export const REL_POS_RELATIONS = { ABOVE: 2, APART: 2, WIDER: 4 };
+
+export function createRelPosFeature({ id, label, relation, A, B, C, D, weight = 1, maxDiffDeg = 40 }) {
+  const points = REL_POS_RELATIONS[relation] === 4 ? [A, B, C, D] : [A, B];
+  return {
+    id,
+    label: label ?? id,
+    type: "REL_POS",
+    relation,
+    unit: "torso%",
+    dataKey: "poseLandmarks",
+    points,
+    weight,
+    maxDiffDeg,
+  };
+}
+
 /* -------------------------- registry helpers -------------------------- */
 
 function addHandFingerFeatures(R, side /* "LH"|"RH" */, dataKey) {
@@ -211,6 +273,69 @@ function addFaceMeshFeatures(R) {
   });
 }
 
+function addPoseOrientationFeatures(R) {
+  const segments = [
+    ["UPPER_ARM", "upper arm", "SHOULDER", "ELBOW"],
+    ["FOREARM", "forearm", "ELBOW", "WRIST"],
+    ["THIGH", "thigh", "HIP", "KNEE"],
+    ["SHIN", "shin", "KNEE", "ANKLE"],
+  ];
+
+  for (const side of ["LEFT", "RIGHT"]) {
+    const sideName = side === "LEFT" ? "Left" : "Right";
+    for (const [key, name, from, to] of segments) {
+      const id = `POSE_${side}_${key}_ORIENT`;
+      R[id] = createOrientationFeature({
+        id,
+        label: `${sideName} ${name} tilt from vertical`,
+        dataKey: "poseLandmarks",
+        A: POSE_LANDMARKS[`${side}_${from}`],
+        B: POSE_LANDMARKS[`${side}_${to}`],
+        maxDiffDeg: 30,
+      });
+    }
+  }
+}
+
+function addPoseRelPosFeatures(R) {
+  const L = POSE_LANDMARKS;
+
+  R.POSE_LEFT_WRIST_ABOVE_SHOULDER = createRelPosFeature({
+    id: "POSE_LEFT_WRIST_ABOVE_SHOULDER",
+    label: "Left wrist height vs shoulder",
+    relation: "ABOVE",
+    A: L.LEFT_WRIST,
+    B: L.LEFT_SHOULDER,
+  });
+
+  R.POSE_RIGHT_WRIST_ABOVE_SHOULDER = createRelPosFeature({
+    id: "POSE_RIGHT_WRIST_ABOVE_SHOULDER",
+    label: "Right wrist height vs shoulder",
+    relation: "ABOVE",
+    A: L.RIGHT_WRIST,
+    B: L.RIGHT_SHOULDER,
+  });
+
+  R.POSE_WRISTS_APART = createRelPosFeature({
+    id: "POSE_WRISTS_APART",
+    label: "Distance between wrists",
+    relation: "APART",
+    A: L.LEFT_WRIST,
+    B: L.RIGHT_WRIST,
+    maxDiffDeg: 50,
+  });
+
+  R.POSE_FEET_WIDER_THAN_HIPS = createRelPosFeature({
+    id: "POSE_FEET_WIDER_THAN_HIPS",
+    label: "Feet width vs hip width",
+    relation: "WIDER",
+    A: L.LEFT_ANKLE,
+    B: L.RIGHT_ANKLE,
+    C: L.LEFT_HIP,
+    D: L.RIGHT_HIP,
+  });
+}
+
 /* -------------------------- default registry -------------------------- */
 
 export const FEATURE_REGISTRY = (() => {
@@ -319,6 +444,9 @@ export const FEATURE_REGISTRY = (() => {
     maxDiffDeg: 35,
   });
 
+  addPoseOrientationFeatures(R);
+  addPoseRelPosFeatures(R);
+
   // FaceMesh features
   addFaceMeshFeatures(R);
 
@@ -329,13 +457,90 @@ export const FEATURE_REGISTRY = (() => {
   return R;
 })();
 
+/* ------------------------------- mirroring ------------------------------- */
+/**
+ * mirrorMode:
+ * - "strict"   => live LEFT is compared against target LEFT (default)
+ * - "mirrored" => live LEFT is compared against target RIGHT (player mirrors the model)
+ * - "either"   => score both orientations and keep the better one
+ */
+export const MIRROR_MODES = ["strict", "mirrored", "either"];
+
+export function normalizeMirrorMode(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  return MIRROR_MODES.includes(s) ? s : "strict";
+}
+
+const swapSideToken = (s) =>
+  String(s).replace(/LEFT|RIGHT/g, (m) => (m === "LEFT" ? "RIGHT" : "LEFT"));
+
+// poseLandmarks index -> index of the same landmark on the other side (self for midline points)
+const POSE_MIRROR_INDEX = (() => {
+  const out = {};
+  for (const [name, index] of Object.entries(POSE_LANDMARKS)) {
+    const other = POSE_LANDMARKS[swapSideToken(name)];
+    out[index] = Number.isInteger(other) ? other : index;
+  }
+  return out;
+})();
+
+const MIRROR_DATA_KEY = {
+  leftHandLandmarks: "rightHandLandmarks",
+  rightHandLandmarks: "leftHandLandmarks",
+};
+
+export function mirrorFeatureId(id) {
+  const s = String(id ?? "");
+  if (s.startsWith("LH_")) return `RH_${s.slice(3)}`;
+  if (s.startsWith("RH_")) return `LH_${s.slice(3)}`;
+  if (s.startsWith("POSE_")) return swapSideToken(s);
+  return s;
+}
+
+/**
+ * Same measurement taken on the opposite side of the body.
+ * Hand features swap dataKey; pose features swap landmark indices.
+ * FaceMesh features are left as-is (the built-in ones are symmetric).
+ */
+export function mirrorFeature(feature) {
+  if (!feature) return feature;
+
+  if (MIRROR_DATA_KEY[feature.dataKey]) {
+    return { ...feature, id: mirrorFeatureId(feature.id), dataKey: MIRROR_DATA_KEY[feature.dataKey] };
+  }
+
+  if (feature.dataKey === "poseLandmarks") {
+    return {
+      ...feature,
+      id: mirrorFeatureId(feature.id),
+      points: feature.points.map((i) => POSE_MIRROR_INDEX[i] ?? i),
+    };
+  }
+
+  return feature;
+}
+
+function liveFeatureFor(feature, orientation) {
+  return orientation === "mirrored" ? mirrorFeature(feature) : feature;
+}
+
 /* ------------------------- include -> allowlist ------------------------- */
+// ORIENT / REL_POS came after levels were authored: a level only scores them when it opts in
+// (include.limbTilt / include.relativePosition), so existing levels keep their scoring.
+const OPT_IN_FEATURE_TYPES = new Set(["ORIENT", "REL_POS"]);
+
+export function isOptInFeature(feature) {
+  return OPT_IN_FEATURE_TYPES.has(feature?.type);
+}
+
 /**
- * include shape: { face,leftArm,rightArm,leftLeg,rightLeg,hands } booleans
+ * include shape: { face,leftArm,rightArm,leftLeg,rightLeg,hands,limbTilt,relativePosition } booleans
  * semantics:
- * - include missing/null => null (use ALL)
+ * - include missing/null => null (use ALL but the opt-in ORIENT / REL_POS features)
  * - all false            => [] (use NONE)
  * - some true            => allowlist ids
+ * limbTilt / relativePosition add the ORIENT / REL_POS features of the included arms and legs.
+ * Author-defined CUSTOM_* features are always in the list: adding one is opting in.
  */
 export function buildFeatureAllowListFromInclude(include, registry = FEATURE_REGISTRY) {
   if (!include || typeof include !== "object") return null;
@@ -344,9 +549,9 @@ export function buildFeatureAllowListFromInclude(include, registry = FEATURE_REG
     .filter(([, v]) => v === true)
     .map(([k]) => k);
 
-  if (enabled.length === 0) return [];
+  const out = new Set(Object.keys(registry).filter(isCustomFeatureId));
 
-  const out = new Set();
+  if (enabled.length === 0) return Array.from(out);
 
   // stable groups (explicit)
   const addMany = (ids) => ids.forEach((id) => registry[id] && out.add(id));
@@ -363,58 +568,158 @@ export function buildFeatureAllowListFromInclude(include, registry = FEATURE_REG
     }
   }
 
-  if (enabled.includes("leftArm")) addMany(["POSE_LEFT_ELBOW", "POSE_LEFT_SHOULDER", "POSE_LEFT_ARM_BEND"]);
-  if (enabled.includes("rightArm")) addMany(["POSE_RIGHT_ELBOW", "POSE_RIGHT_SHOULDER", "POSE_RIGHT_ARM_BEND"]);
-  if (enabled.includes("leftLeg")) addMany(["POSE_LEFT_HIP", "POSE_LEFT_KNEE"]);
-  if (enabled.includes("rightLeg")) addMany(["POSE_RIGHT_HIP", "POSE_RIGHT_KNEE"]);
+  const tilt = enabled.includes("limbTilt");
+  const relPos = enabled.includes("relativePosition");
+
+  const arm = (side) => [
+    `POSE_${side}_ELBOW`,
+    `POSE_${side}_SHOULDER`,
+    `POSE_${side}_ARM_BEND`,
+    ...(tilt ? [`POSE_${side}_UPPER_ARM_ORIENT`, `POSE_${side}_FOREARM_ORIENT`] : []),
+    ...(relPos ? [`POSE_${side}_WRIST_ABOVE_SHOULDER`] : []),
+  ];
+  const leg = (side) => [
+    `POSE_${side}_HIP`,
+    `POSE_${side}_KNEE`,
+    ...(tilt ? [`POSE_${side}_THIGH_ORIENT`, `POSE_${side}_SHIN_ORIENT`] : []),
+  ];
+
+  if (enabled.includes("leftArm")) addMany(arm("LEFT"));
+  if (enabled.includes("rightArm")) addMany(arm("RIGHT"));
+  if (relPos && enabled.includes("leftArm") && enabled.includes("rightArm")) addMany(["POSE_WRISTS_APART"]);
+  if (enabled.includes("leftLeg")) addMany(leg("LEFT"));
+  if (enabled.includes("rightLeg")) addMany(leg("RIGHT"));
+  if (relPos && enabled.includes("leftLeg") && enabled.includes("rightLeg")) addMany(["POSE_FEET_WIDER_THAN_HIPS"]);
 
   return Array.from(out);
 }
 
 /* ------------------------- feature selection logic ------------------------- */
 
-function featureExistsOnPose(feature, livePose, targetPose) {
-  const key = feature.dataKey;
-  const liveArr = livePose?.[key];
-  const targetArr = targetPose?.[key];
-  if (!Array.isArray(liveArr) || !Array.isArray(targetArr)) return false;
+function featurePointsExist(feature, poseObj) {
+  const arr = poseObj?.[feature.dataKey];
+  if (!Array.isArray(arr)) return false;
+  if (feature.type === "REL_POS" && !TORSO_POINTS.every((i) => isFinitePoint(arr[i]))) return false;
+  return feature.points.every((i) => isFinitePoint(arr[i]));
+}
 
-  for (const i of feature.points) {
-    const lp = liveArr[i];
-    const tp = targetArr[i];
-    if (!isFinitePoint(lp) || !isFinitePoint(tp)) return false;
-  }
-  return true;
+function featureExistsOnPose(feature, livePose, targetPose, orientation = "strict") {
+  return (
+    featurePointsExist(liveFeatureFor(feature, orientation), livePose) &&
+    featurePointsExist(feature, targetPose)
+  );
 }
 
-export function chooseFeatures({
-  featureIds = null,
-  registry = FEATURE_REGISTRY,
-  livePose,
-  targetPose,
-  allowDataKeys = null,
-} = {}) {
+function selectCandidateFeatures({ featureIds = null, registry = FEATURE_REGISTRY, allowDataKeys = null }) {
   let feats = [];
 
   // semantics:
-  // - featureIds === null  => use ALL
+  // - featureIds === null  => use ALL (but the opt-in ones)
   // - featureIds === []    => use NONE
   // - featureIds === [...] => use that allowlist
   if (Array.isArray(featureIds)) {
     feats = featureIds.length ? featureIds.map((id) => registry[id]).filter(Boolean) : [];
   } else {
-    feats = Object.values(registry);
+    feats = Object.values(registry).filter((f) => !isOptInFeature(f));
   }
 
   if (Array.isArray(allowDataKeys) && allowDataKeys.length) {
     feats = feats.filter((f) => allowDataKeys.includes(f.dataKey));
   }
 
-  return feats.filter((f) => featureExistsOnPose(f, livePose, targetPose));
+  return feats;
+}
+
+export function chooseFeatures({
+  featureIds = null,
+  registry = FEATURE_REGISTRY,
+  livePose,
+  targetPose,
+  allowDataKeys = null,
+  orientation = "strict",
+} = {}) {
+  return selectCandidateFeatures({ featureIds, registry, allowDataKeys }).filter((f) =>
+    featureExistsOnPose(f, livePose, targetPose, orientation)
+  );
+}
+
+/* ------------------------------ visibility ------------------------------ */
+
+export const VISIBILITY_MODES = ["exclude", "downweight"];
+
+export const DEFAULT_VISIBILITY = Object.freeze({
+  threshold: 0.5, // 0 disables the check
+  mode: "exclude",
+  minConfidence: 0.5, // below this a frame never counts as matched
+});
+
+export function normalizeVisibilityConfig(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const unit = (v, fallback) => {
+    const x = Number(v);
+    return Number.isFinite(x) ? clamp(x, 0, 1) : fallback;
+  };
+
+  return {
+    threshold: unit(src.threshold, DEFAULT_VISIBILITY.threshold),
+    mode: VISIBILITY_MODES.includes(src.mode) ? src.mode : DEFAULT_VISIBILITY.mode,
+    minConfidence: unit(src.minConfidence, DEFAULT_VISIBILITY.minConfidence),
+  };
+}
+
+/**
+ * Visibility of a feature = lowest visibility among its points; `hiddenPoints` are the
+ * ones below threshold (or untracked). Hand/face landmarks and enriched points like
+ * PELVIS carry no visibility and count as 1.
+ */
+export function featureVisibility(feature, poseObj, threshold = 0) {
+  const arr = poseObj?.[feature?.dataKey];
+  if (!Array.isArray(arr)) return { visibility: 0, hiddenPoints: [...(feature?.points ?? [])] };
+
+  let min = 1;
+  const hiddenPoints = [];
+  for (const i of feature.points) {
+    const p = arr[i];
+    const v = !isFinitePoint(p) ? 0 : Number.isFinite(p.visibility) ? p.visibility : 1;
+    min = Math.min(min, v);
+    if (v < threshold || v === 0) hiddenPoints.push(i);
+  }
+  return { visibility: min, hiddenPoints };
+}
+
+function landmarkRegion(dataKey, index) {
+  if (dataKey === "leftHandLandmarks" || dataKey === "rightHandLandmarks") return "hands";
+  if (dataKey === "faceLandmarks") return "face";
+  if (dataKey !== "poseLandmarks") return null;
+  if (index <= POSE_LANDMARKS.MOUTH_RIGHT) return "face";
+  // hips and below (incl. enriched PELVIS / SOLAR_PLEXIS, which hang off the hips)
+  if (index >= POSE_LANDMARKS.LEFT_HIP) return "legs";
+  return "arms";
+}
+
+const REGION_ORDER = ["legs", "arms", "hands", "face"];
+
+/**
+ * Body regions ("legs" | "arms" | "hands" | "face") the camera could not see,
+ * derived from the hidden landmarks of excluded features (for UI hints).
+ */
+export function excludedRegions(excludedFeatures = []) {
+  const out = new Set();
+  for (const f of Array.isArray(excludedFeatures) ? excludedFeatures : []) {
+    for (const i of f?.hiddenPoints ?? []) {
+      const r = landmarkRegion(f.liveDataKey ?? f.dataKey, i);
+      if (r) out.add(r);
+    }
+  }
+  return REGION_ORDER.filter((r) => out.has(r));
 }
 
 /* --------------------------- scoring computation --------------------------- */
 
+/**
+ * Feature value used for scoring: degrees for ABC / LINE_LINE / ORIENT,
+ * % of torso length for REL_POS. Null when a point is missing.
+ */
 export function computeFeatureAngle(feature, poseObj) {
   const key = feature.dataKey;
 
@@ -437,6 +742,21 @@ export function computeFeatureAngle(feature, poseObj) {
     return angleLineToLine(a, b, c, d);
   }
 
+  if (feature.type === "ORIENT") {
+    const [A, B] = feature.points;
+    const a = getPoint(poseObj, key, A);
+    const b = getPoint(poseObj, key, B);
+    if (!a || !b) return null;
+    return angleFromVertical(a, b);
+  }
+
+  if (feature.type === "REL_POS") {
+    const torso = torsoLength(poseObj);
+    const pts = feature.points.map((i) => getPoint(poseObj, key, i));
+    if (!torso || pts.some((p) => !p)) return null;
+    return relativePosition(feature.relation, pts, torso);
+  }
+
   return null;
 }
 
@@ -455,7 +775,61 @@ export function computePoseMatch({
   allowDataKeys = null,
   thresholdPct = 70,
   weightsOverride = null,
+  maxDiffOverride = null,
+  mirrorMode = "strict",
+  visibility = null,
 } = {}) {
+  const mode = normalizeMirrorMode(mirrorMode);
+  const args = {
+    livePose,
+    targetPose,
+    featureIds,
+    registry,
+    allowDataKeys,
+    thresholdPct,
+    weightsOverride,
+    maxDiffOverride,
+    // null => legacy behaviour: no visibility checks
+    visibility: visibility ? normalizeVisibilityConfig(visibility) : null,
+  };
+
+  if (mode !== "either") return scoreOrientation(args, mode);
+
+  const strict = scoreOrientation(args, "strict");
+  const mirrored = scoreOrientation(args, "mirrored");
+
+  // ties keep "strict" so colors don't flicker between orientations
+  const best = mirrored.overall > strict.overall ? mirrored : strict;
+  const other = best === strict ? mirrored : strict;
+
+  return {
+    ...best,
+    debug: { ...best.debug, mirrorMode: mode, otherOrientationOverall: other.overall },
+  };
+}
+
+/**
+ * Scores target features against the live pose in one orientation.
+ * perFeature ids always refer to the TARGET feature; liveFeatureId is what was measured live.
+ *
+ * With a visibility config, features the camera can't see (untracked, or below
+ * visibility.threshold) are excluded or down-weighted and listed in excludedFeatures.
+ * confidence = share of the selected feature weight that was actually scored (0..1).
+ */
+function scoreOrientation(
+  {
+    livePose,
+    targetPose,
+    featureIds,
+    registry,
+    allowDataKeys,
+    thresholdPct,
+    weightsOverride,
+    maxDiffOverride,
+    visibility,
+  },
+  orientation
+) {
   const th = clampPct(thresholdPct, 70);
 
   if (!livePose || !targetPose) {
@@ -463,13 +837,56 @@ export function computePoseMatch({
       overall: 0,
       matched: false,
       thresholdPct: th,
+      orientation,
       perFeature: [],
       usedFeatureIds: [],
       debug: { reason: "missing_pose" },
     };
   }
 
-  const features = chooseFeatures({ featureIds, registry, livePose, targetPose, allowDataKeys });
+  const threshold = visibility?.threshold ?? 0;
+  const weightOf = (f) => {
+    const baseW = Number(weightsOverride?.[f.id] ?? f.weight ?? 1);
+    return Number.isFinite(baseW) && baseW > 0 ? baseW : 1;
+  };
+  const maxDiffOf = (f) => {
+    const m = Number(maxDiffOverride?.[f.id] ?? f.maxDiffDeg ?? 45);
+    return Number.isFinite(m) && m > 0 ? m : 45;
+  };
+
+  // target-side gaps are an authoring issue, not the player's => skip silently
+  const candidates = selectCandidateFeatures({ featureIds, registry, allowDataKeys }).filter((f) =>
+    featurePointsExist(f, targetPose)
+  );
+
+  const features = [];
+  const excludedFeatures = [];
+  for (const f of candidates) {
+    const liveFeature = liveFeatureFor(f, orientation);
+    const tracked = featurePointsExist(liveFeature, livePose);
+    const { visibility: vis, hiddenPoints } = featureVisibility(liveFeature, livePose, threshold);
+    const lowVis = vis < threshold;
+
+    if (!tracked || (lowVis && visibility?.mode !== "downweight")) {
+      excludedFeatures.push({
+        id: f.id,
+        liveFeatureId: liveFeature.id,
+        label: f.label,
+        dataKey: f.dataKey,
+        liveDataKey: liveFeature.dataKey,
+        visibility: vis,
+        hiddenPoints,
+        reason: tracked ? "low_visibility" : "not_tracked",
+      });
+      continue;
+    }
+
+    features.push({ f, liveFeature, vis, hiddenPoints, visScale: lowVis ? vis / threshold : 1 });
+  }
+
+  const totalWeight =
+    features.reduce((a, x) => a + weightOf(x.f), 0) +
+    excludedFeatures.reduce((a, x) => a + weightOf(registry[x.id] ?? {}), 0);
 
   // all-off => similarity 100 (nothing to compare)
   if (!features.length) {
@@ -479,14 +896,23 @@ export function computePoseMatch({
       overall: noneSelected ? 100 : 0,
       matched: noneSelected ? true : false,
       thresholdPct: th,
+      orientation,
       perFeature: [],
       usedFeatureIds: [],
-      debug: { reason: noneSelected ? "no_features_selected" : "no_features_available" },
+      excludedFeatures,
+      confidence: noneSelected ? 1 : 0,
+      debug: {
+        reason: noneSelected
+          ? "no_features_selected"
+          : excludedFeatures.length
+          ? "no_visible_features"
+          : "no_features_available",
+      },
     };
   }
 
-  const perFeature = features.map((f) => {
-    const liveAngle = computeFeatureAngle(f, livePose);
+  const perFeature = features.map(({ f, liveFeature, vis, hiddenPoints, visScale }) => {
+    const liveAngle = computeFeatureAngle(liveFeature, livePose);
     const targetAngle = computeFeatureAngle(f, targetPose);
 
     const diffDeg =
@@ -494,19 +920,20 @@ export function computePoseMatch({
         ? Math.abs(liveAngle - targetAngle)
         : null;
 
-    const score = diffDeg === null ? 0 : angleDiffToScore(diffDeg, f.maxDiffDeg);
-
-    const baseW = Number(weightsOverride?.[f.id] ?? f.weight ?? 1);
-    const weight = Number.isFinite(baseW) && baseW > 0 ? baseW : 1;
+    const maxDiffDeg = maxDiffOf(f);
+    const score = diffDeg === null ? 0 : angleDiffToScore(diffDeg, maxDiffDeg);
 
     return {
       id: f.id,
+      liveFeatureId: liveFeature.id,
       label: f.label,
       dataKey: f.dataKey,
       type: f.type,
       points: f.points,
-      weight,
-      maxDiffDeg: f.maxDiffDeg,
+      weight: weightOf(f) * visScale,
+      maxDiffDeg,
+      visibility: vis,
+      hiddenPoints,
       liveAngle,
       targetAngle,
       diffDeg,
@@ -523,35 +950,74 @@ export function computePoseMatch({
   }
 
   const overall = den > 0 ? num / den : 0;
-  const matched = overall >= th;
+  const confidence = totalWeight > 0 ? clamp(den / totalWeight, 0, 1) : 0;
+  const lowConfidence = !!visibility && confidence < visibility.minConfidence;
+  const matched = overall >= th && !lowConfidence;
 
   return {
     overall,
     matched,
     thresholdPct: th,
+    orientation,
     perFeature,
     usedFeatureIds: perFeature.map((p) => p.id),
+    excludedFeatures,
+    confidence,
+    lowConfidence,
     debug: { featuresCount: perFeature.length, allowDataKeys: allowDataKeys ?? null },
   };
 }
 
 /* ---------------------- perFeature -> perSegment (for PoseDrawer colors) ---------------------- */
 
-export function perFeatureToPerSegment(perFeature = []) {
+// FaceMesh index -> PoseDrawer face segments ("FACE_LIPS", "FACE_LEFT_EYE", ...);
+// small regions are listed first so shared points (e.g. nose bridge) land there, not on the oval
+const FACE_SEGMENTS_BY_INDEX = (() => {
+  const out = new Map();
+  const regions = Object.entries(FACEMESH_REGIONS).sort(([a], [b]) => (a === "FACE_OVAL") - (b === "FACE_OVAL"));
+  for (const [region, idxs] of regions) {
+    const seg = region.startsWith("FACE_") ? region : `FACE_${region}`;
+    for (const i of idxs) if (!out.has(i)) out.set(i, seg);
+  }
+  return out;
+})();
+
+function faceSegmentsFor(points) {
+  const segs = new Set();
+  for (const i of Array.isArray(points) ? points : []) {
+    const seg = FACE_SEGMENTS_BY_INDEX.get(i);
+    if (seg) segs.add(seg);
+  }
+  return segs.size ? Array.from(segs) : ["FACE_OVAL"];
+}
+
+/**
+ * perFeature ids refer to the target pose, so segments default to the target's limbs.
+ * Pass view: "live" to color a drawing of the player instead; with a mirrored
+ * orientation that puts each score on the player's opposite limb.
+ */
+export function perFeatureToPerSegment(perFeature = [], { orientation = "strict", view = "target" } = {}) {
   const rows = Array.isArray(perFeature) ? perFeature : [];
+  const swapSides = view === "live" && orientation === "mirrored";
 
-  const featureIdToSegment = (id) => {
-    if (id === "POSE_RIGHT_SHOULDER") return "RIGHT_BICEP";
-    if (id === "POSE_LEFT_SHOULDER") return "LEFT_BICEP";
+  const featureIdToSegment = (rawId) => {
+    const id = swapSides ? mirrorFeatureId(rawId) : String(rawId ?? "");
+
+    if (id === "POSE_RIGHT_SHOULDER" || id === "POSE_RIGHT_UPPER_ARM_ORIENT") return "RIGHT_BICEP";
+    if (id === "POSE_LEFT_SHOULDER" || id === "POSE_LEFT_UPPER_ARM_ORIENT") return "LEFT_BICEP";
 
     if (id === "POSE_RIGHT_ELBOW" || id === "POSE_RIGHT_ARM_BEND") return "RIGHT_FOREARM";
     if (id === "POSE_LEFT_ELBOW" || id === "POSE_LEFT_ARM_BEND") return "LEFT_FOREARM";
+    if (id === "POSE_RIGHT_FOREARM_ORIENT" || id === "POSE_RIGHT_WRIST_ABOVE_SHOULDER") return "RIGHT_FOREARM";
+    if (id === "POSE_LEFT_FOREARM_ORIENT" || id === "POSE_LEFT_WRIST_ABOVE_SHOULDER") return "LEFT_FOREARM";
+    if (id === "POSE_WRISTS_APART") return ["LEFT_FOREARM", "RIGHT_FOREARM"];
 
-    if (id === "POSE_RIGHT_HIP") return "RIGHT_THIGH";
-    if (id === "POSE_LEFT_HIP") return "LEFT_THIGH";
+    if (id === "POSE_RIGHT_HIP" || id === "POSE_RIGHT_THIGH_ORIENT") return "RIGHT_THIGH";
+    if (id === "POSE_LEFT_HIP" || id === "POSE_LEFT_THIGH_ORIENT") return "LEFT_THIGH";
 
-    if (id === "POSE_RIGHT_KNEE") return "RIGHT_SHIN";
-    if (id === "POSE_LEFT_KNEE") return "LEFT_SHIN";
+    if (id === "POSE_RIGHT_KNEE" || id === "POSE_RIGHT_SHIN_ORIENT") return "RIGHT_SHIN";
+    if (id === "POSE_LEFT_KNEE" || id === "POSE_LEFT_SHIN_ORIENT") return "LEFT_SHIN";
+    if (id === "POSE_FEET_WIDER_THAN_HIPS") return ["LEFT_SHIN", "RIGHT_SHIN"];
 
     if (id.startsWith("RH_") || id.startsWith("LH_")) {
       const side = id.startsWith("RH_") ? "RIGHT" : "LEFT";
@@ -568,34 +1034,120 @@ export function perFeatureToPerSegment(perFeature = []) {
       return `${side}_${finger}_${joint}`;
     }
 
-    // Face doesn't map to PoseDrawer segments (yet)
     return null;
   };
 
   const acc = new Map();
   for (const r of rows) {
-    const seg = featureIdToSegment(r?.id);
-    if (!seg) continue;
+    // face features color every region their landmarks touch
+    const segs = r?.dataKey === "faceLandmarks" ? faceSegmentsFor(r?.points) : featureIdToSegment(r?.id);
+    if (!segs) continue;
 
     const score = Number(r?.score);
     const weight = Number(r?.weight ?? 1);
 
     if (!Number.isFinite(score) || !Number.isFinite(weight) || weight <= 0) continue;
 
-    const prev = acc.get(seg) ?? { num: 0, den: 0 };
-    prev.num += score * weight;
-    prev.den += weight;
-    acc.set(seg, prev);
+    // features spanning both sides (e.g. feet width) color each side
+    for (const seg of [].concat(segs)) {
+      const prev = acc.get(seg) ?? { num: 0, den: 0 };
+      prev.num += score * weight;
+      prev.den += weight;
+      acc.set(seg, prev);
+    }
   }
 
   const out = [];
   for (const [segment, { num, den }] of acc.entries()) {
-    out.push({ segment, similarityScore: den > 0 ? num / den : 0 });
+    out.push({ segment, similarityScore: den > 0 ? num / den : 0, orientation });
   }
 
   return out;
 }
 
+/**
+ * Re-key target-view segments for a drawing of the live player.
+ * Mirrored matches put each score on the player's opposite limb.
+ */
+export function perSegmentForLiveView(perSegment = [], orientation = "strict") {
+  const rows = Array.isArray(perSegment) ? perSegment : [];
+  if (orientation !== "mirrored") return rows;
+  return rows.map((r) => ({ ...r, segment: swapSideToken(r?.segment ?? "") }));
+}
+
+/* ---------------------- stability (jitter over the hold window) ---------------------- */
+
+export const DEFAULT_STABILITY_MAX_STD_DEG = 8;
+const STABILITY_MIN_SAMPLES = 3;
+
+/**
+ * One history entry per scored frame: live angles keyed by the LIVE feature id,
+ * so the history stays consistent if "either" mode flips orientation mid-hold.
+ */
+export function toStabilitySample(perFeature = [], at = Date.now()) {
+  const angles = {};
+  const weights = {};
+  for (const r of Array.isArray(perFeature) ? perFeature : []) {
+    const id = r?.liveFeatureId ?? r?.id;
+    if (!id || !Number.isFinite(r?.liveAngle)) continue;
+    angles[id] = r.liveAngle;
+    weights[id] = Number.isFinite(r?.weight) && r.weight > 0 ? r.weight : 1;
+  }
+  return { at, angles, weights };
+}
+
+/**
+ * Weighted mean of per-feature angle standard deviations over the last windowMS.
+ * maxStdDeg <= 0 disables the gate; a window shorter than a few samples is not
+ * yet stable (we have not seen the player hold still long enough to judge).
+ */
+export function computePoseStability(
+  samples = [],
+  { windowMS = 2000, maxStdDeg = DEFAULT_STABILITY_MAX_STD_DEG, now = Date.now() } = {}
+) {
+  const limit = Number(maxStdDeg);
+  const win = Math.max(0, Number(windowMS) || 0);
+
+  if (!(limit > 0) || win === 0) {
+    return { stdDeg: null, stable: true, samples: 0, windowMS: win, maxStdDeg: limit };
+  }
+
+  const recent = (Array.isArray(samples) ? samples : []).filter(
+    (s) => s && Number.isFinite(s.at) && now - s.at <= win
+  );
+
+  const series = {};
+  const weights = {};
+  for (const s of recent) {
+    for (const [id, a] of Object.entries(s.angles ?? {})) {
+      if (!Number.isFinite(a)) continue;
+      (series[id] ??= []).push(a);
+      weights[id] = s.weights?.[id] ?? weights[id] ?? 1;
+    }
+  }
+
+  let num = 0;
+  let den = 0;
+  for (const [id, xs] of Object.entries(series)) {
+    if (xs.length < STABILITY_MIN_SAMPLES) continue;
+    const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const variance = xs.reduce((a, x) => a + (x - mean) * (x - mean), 0) / xs.length;
+    num += Math.sqrt(variance) * weights[id];
+    den += weights[id];
+  }
+
+  const enough = recent.length >= STABILITY_MIN_SAMPLES && den > 0;
+  const stdDeg = den > 0 ? num / den : null;
+
+  return {
+    stdDeg,
+    stable: enough && stdDeg <= limit,
+    samples: recent.length,
+    windowMS: win,
+    maxStdDeg: limit,
+  };
+}
+
 /* ---------------------- FaceMesh gating + one-call frame eval ---------------------- */
 
 function hasFaceLandmarks(poseObj) {
@@ -606,6 +1158,13 @@ function hasFaceLandmarks(poseObj) {
 /**
  * Single-frame evaluation that PoseMatchView can call.
  * PoseMatchView stays UI-only.
+ *
+ * Pass angleHistory (previous `stabilitySample`s) to get `stability` over the last
+ * stabilityWindowMS; `held` is matched AND stable. `smoothing` reports which landmark
+ * filter (if any) produced liveRaw.
+ *
+ * Pass visibility ({ threshold, mode, minConfidence }) to drop or down-weight features the
+ * camera can't see; `excludedFeatures`, `confidence` and `hiddenRegions` say what was missing.
  */
 export function computePoseMatchFrame({
   liveRaw,
@@ -615,8 +1174,16 @@ export function computePoseMatchFrame({
   registry = FEATURE_REGISTRY,
   allowDataKeys = null,
   weightsOverride = null,
+  maxDiffOverride = null,
+  mirrorMode = "strict",
+  angleHistory = null,
+  stabilityWindowMS = 2000,
+  stabilityMaxStdDeg = DEFAULT_STABILITY_MAX_STD_DEG,
+  now = Date.now(),
+  visibility = null,
 } = {}) {
   const th = clampPct(thresholdPct, 70);
+  const smoothing = liveRaw?.smoothing?.method ?? "none";
 
   if (!liveRaw || !targetRaw) {
     return {
@@ -625,8 +1192,16 @@ export function computePoseMatchFrame({
       overall: 0,
       matched: false,
       thresholdPct: th,
+      held: false,
+      orientation: "strict",
       perFeature: [],
       perSegment: [],
+      excludedFeatures: [],
+      hiddenRegions: [],
+      confidence: 0,
+      smoothing,
+      stability: null,
+      stabilitySample: null,
       debug: { reason: "missing_pose" },
     };
   }
@@ -643,8 +1218,16 @@ export function computePoseMatchFrame({
         overall: 0,
         matched: false,
         thresholdPct: th,
+        held: false,
+        orientation: "strict",
         perFeature: [],
         perSegment: [],
+        excludedFeatures: [],
+        hiddenRegions: [],
+        confidence: 0,
+        smoothing,
+        stability: null,
+        stabilitySample: null,
         debug: { reason: "face_missing", liveHasFace: liveHas, targetHasFace: targetHas },
       };
     }
@@ -663,15 +1246,34 @@ export function computePoseMatchFrame({
     allowDataKeys,
     thresholdPct: th,
     weightsOverride,
+    maxDiffOverride,
+    mirrorMode,
+    visibility,
   });
 
-  const perSegment = perFeatureToPerSegment(result.perFeature);
+  const perSegment = perFeatureToPerSegment(result.perFeature, { orientation: result.orientation });
+
+  // No history => caller does not gate on stability (treat as stable)
+  const stabilitySample = toStabilitySample(result.perFeature, now);
+  const stability = Array.isArray(angleHistory)
+    ? computePoseStability([...angleHistory, stabilitySample], {
+        windowMS: stabilityWindowMS,
+        maxStdDeg: stabilityMaxStdDeg,
+        now,
+      })
+    : null;
 
   return {
     blocked: false,
     blockReason: null,
     ...result,
     perSegment,
+    // excluded + down-weighted features both point at parts of the player out of view
+    hiddenRegions: excludedRegions([...(result.excludedFeatures ?? []), ...result.perFeature]),
+    held: result.matched && (stability ? stability.stable : true),
+    smoothing,
+    stability,
+    stabilitySample,
   };
 }
 
@@ -683,6 +1285,7 @@ export function listAvailableFeatures(registry = FEATURE_REGISTRY) {
     label: f.label,
     dataKey: f.dataKey,
     type: f.type,
+    unit: f.unit ?? "deg",
     points: f.points,
     defaultWeight: f.weight ?? 1,
     maxDiffDeg: f.maxDiffDeg ?? 45,
@@ -695,4 +1298,42 @@ export function withExtraFeatures(baseRegistry, extraFeatures = []) {
     if (f?.id) next[f.id] = f;
   }
   return next;
+}
+
+/**
+ * level.featureOverrides ({ [featureId]: { weight?, maxDiffDeg? } }) =>
+ * the weightsOverride / maxDiffOverride maps computePoseMatch takes.
+ */
+export function featureOverridesToMaps(featureOverrides) {
+  const weightsOverride = {};
+  const maxDiffOverride = {};
+  const src = featureOverrides && typeof featureOverrides === "object" ? featureOverrides : {};
+
+  for (const [id, o] of Object.entries(src)) {
+    const w = Number(o?.weight);
+    const m = Number(o?.maxDiffDeg);
+    if (Number.isFinite(w) && w > 0) weightsOverride[id] = w;
+    if (Number.isFinite(m) && m > 0) maxDiffOverride[id] = m;
+  }
+
+  return { weightsOverride, maxDiffOverride };
+}
+
+/**
+ * Registry for one level: FEATURE_REGISTRY + the level's customFeatures.
+ * Invalid custom definitions are ignored (the editor/API already reject them).
+ */
+export function buildLevelFeatureRegistry(customFeatures, baseRegistry = FEATURE_REGISTRY) {
+  const { valid, features } = validateCustomFeatures(customFeatures);
+  if (!valid || !features.length) return baseRegistry;
+
+  const extra = features.map(({ id, label, type, dataKey, points, weight, maxDiffDeg }) => {
+    const common = { id, label, dataKey, weight, maxDiffDeg };
+    const [A, B, C, D] = points;
+    return type === "LINE_LINE"
+      ? createLineLineFeature({ ...common, A, B, C, D })
+      : createABCFeature({ ...common, A, B, C });
+  });
+
+  return withExtraFeatures(baseRegistry, extra);
 }
\ No newline at end of file
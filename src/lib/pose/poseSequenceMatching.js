@@ -0,0 +1,414 @@
+// src/lib/pose/poseSequenceMatching.js
+// Movement (clip) matching on top of the angle engine in poseMatching.js.
+// A target clip and a live frame buffer are turned into per-frame feature-angle
+// vectors and aligned with DTW, so a movement done slower/faster still matches.
+
+import { enrichLandmarks } from "@/lib/pose/landmark";
+import {
+  FEATURE_REGISTRY,
+  angleDiffToScore,
+  buildFeatureAllowListFromInclude,
+  clampPct,
+  computeFeatureAngle,
+  isOptInFeature,
+  mirrorFeature,
+  normalizeMirrorMode,
+} from "@/lib/pose/poseMatching";
+
+/* ----------------------------- clip records ----------------------------- */
+
+export const SEQUENCE_DEFAULT_FPS = 10;
+export const SEQUENCE_MAX_FRAMES = 200;
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Stored clip shape:
+ *  { frames: [{ t: <ms from clip start>, pose: <mediapipe pose obj> }], fps, tolerancePct }
+ * Accepts a JSON string (RTDB storage) or the parsed object.
+ */
+export function normalizeSequenceClip(raw, fallbackTol = 70) {
+  let obj = raw;
+  if (typeof raw === "string") {
+    try {
+      obj = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (!isPlainObject(obj)) return null;
+
+  const framesRaw = Array.isArray(obj.frames)
+    ? obj.frames
+    : isPlainObject(obj.frames)
+    ? Object.values(obj.frames)
+    : [];
+
+  const frames = framesRaw
+    .map((f, i) => {
+      if (!isPlainObject(f)) return null;
+      const pose = isPlainObject(f.pose) ? f.pose : f.poseLandmarks ? f : null;
+      if (!pose) return null;
+      const t = Number(f.t);
+      return { t: Number.isFinite(t) ? t : i * (1000 / SEQUENCE_DEFAULT_FPS), pose };
+    })
+    .filter(Boolean)
+    .slice(0, SEQUENCE_MAX_FRAMES);
+
+  if (!frames.length) return null;
+
+  const fps = Number(obj.fps);
+  return {
+    frames,
+    fps: Number.isFinite(fps) && fps > 0 ? fps : SEQUENCE_DEFAULT_FPS,
+    tolerancePct: clampPct(obj.tolerancePct, fallbackTol),
+  };
+}
+
+/** Clip duration in ms (last frame timestamp, at least one frame interval). */
+export function sequenceClipDurationMS(clip) {
+  const frames = clip?.frames ?? [];
+  if (!frames.length) return 0;
+  const last = Number(frames[frames.length - 1]?.t) || 0;
+  return Math.max(last, 1000 / (clip?.fps || SEQUENCE_DEFAULT_FPS));
+}
+
+/* ----------------------------- angle series ----------------------------- */
+
+function angleSeries(frames, features) {
+  return frames.map((pose) => features.map((f) => computeFeatureAngle(f, pose)));
+}
+
+function presentRatio(series, col) {
+  if (!series.length) return 0;
+  let n = 0;
+  for (const row of series) if (Number.isFinite(row[col])) n++;
+  return n / series.length;
+}
+
+/* --------------------------------- DTW --------------------------------- */
+
+/**
+ * Classic DTW over an n x m cost matrix.
+ * openBegin: the target (rows) may start at any live column, which lets the live
+ * buffer contain idle frames before the movement. The path always ends at (n-1, m-1).
+ *
+ * @returns {{ cost: number, path: Array<[number, number]> }}
+ */
+export function dtwAlign(n, m, costAt, { openBegin = true, bandWidth = null } = {}) {
+  if (n <= 0 || m <= 0) return { cost: Infinity, path: [] };
+
+  const band = Number.isFinite(bandWidth) && bandWidth > 0 ? Math.max(bandWidth, Math.abs(n - m)) : Infinity;
+  const D = Array.from({ length: n }, () => new Float64Array(m).fill(Infinity));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < m; j++) {
+      if (!openBegin && Math.abs(i - Math.round((j * n) / m)) > band) continue;
+
+      const c = costAt(i, j);
+      if (i === 0 && (j === 0 || openBegin)) {
+        D[i][j] = c;
+        continue;
+      }
+
+      const up = i > 0 ? D[i - 1][j] : Infinity;
+      const left = j > 0 ? D[i][j - 1] : Infinity;
+      const diag = i > 0 && j > 0 ? D[i - 1][j - 1] : Infinity;
+      D[i][j] = c + Math.min(up, left, diag);
+    }
+  }
+
+  // backtrack from the end of both sequences
+  const path = [];
+  let i = n - 1;
+  let j = m - 1;
+  if (!Number.isFinite(D[i][j])) return { cost: Infinity, path };
+
+  path.push([i, j]);
+  while (i > 0 || (j > 0 && !openBegin)) {
+    if (i === 0) {
+      j -= 1;
+    } else if (j === 0) {
+      i -= 1;
+    } else {
+      const diag = D[i - 1][j - 1];
+      const up = D[i - 1][j];
+      const left = D[i][j - 1];
+      if (diag <= up && diag <= left) {
+        i -= 1;
+        j -= 1;
+      } else if (up <= left) {
+        i -= 1;
+      } else {
+        j -= 1;
+      }
+    }
+    path.push([i, j]);
+  }
+
+  path.reverse();
+  return { cost: D[n - 1][m - 1], path };
+}
+
+/* ----------------------------- prepared series ----------------------------- */
+
+function unwrapFrames(frames) {
+  return (Array.isArray(frames) ? frames : [])
+    .map((f) => (isPlainObject(f?.pose) ? f.pose : f))
+    .filter(isPlainObject);
+}
+
+/**
+ * Target clip => the selected features + the clip's feature series.
+ * Depends only on the clip and the feature selection, so callers scoring the same clip
+ * repeatedly (PoseSequenceView) build it once and pass it as computeSequenceMatch({ target }).
+ */
+export function prepareSequenceTarget({
+  targetFrames,
+  include = null,
+  featureIds = undefined,
+  registry = FEATURE_REGISTRY,
+  allowDataKeys = null,
+} = {}) {
+  const ids = featureIds !== undefined ? featureIds : buildFeatureAllowListFromInclude(include, registry);
+
+  let features = Array.isArray(ids)
+    ? ids.map((id) => registry[id]).filter(Boolean)
+    : Object.values(registry).filter((f) => !isOptInFeature(f));
+  if (Array.isArray(allowDataKeys) && allowDataKeys.length) {
+    features = features.filter((f) => allowDataKeys.includes(f.dataKey));
+  }
+
+  const frames = unwrapFrames(targetFrames).map((p) => enrichLandmarks(p));
+
+  return {
+    features,
+    mirroredFeatures: features.map((f) => mirrorFeature(f)),
+    noneSelected: Array.isArray(ids) && ids.length === 0,
+    series: angleSeries(frames, features),
+  };
+}
+
+/**
+ * One live pose => its feature-angle row per orientation mirrorMode needs ({ strict?, mirrored? }),
+ * so a live buffer only enriches each frame once, as it arrives. null when it isn't a pose.
+ */
+export function sequenceLiveRow(target, pose, mirrorMode = "strict") {
+  const raw = isPlainObject(pose?.pose) ? pose.pose : pose;
+  if (!isPlainObject(raw)) return null;
+
+  const p = enrichLandmarks(raw);
+  const mode = normalizeMirrorMode(mirrorMode);
+  const row = {};
+  if (mode !== "mirrored") row.strict = target.features.map((f) => computeFeatureAngle(f, p));
+  if (mode !== "strict") row.mirrored = target.mirroredFeatures.map((f) => computeFeatureAngle(f, p));
+  return row;
+}
+
+/* ------------------------------ sequence score ------------------------------ */
+
+function emptyResult(th, orientation, reason) {
+  return {
+    overall: 0,
+    matched: false,
+    thresholdPct: th,
+    orientation,
+    perFeature: [],
+    usedFeatureIds: [],
+    path: [],
+    debug: { reason },
+  };
+}
+
+function scoreSequenceOrientation(
+  { target, liveRows, thresholdPct, weightsOverride, maxDiffOverride, openBegin, bandWidth },
+  orientation
+) {
+  const th = clampPct(thresholdPct, 70);
+
+  if (target.noneSelected) {
+    return { ...emptyResult(th, orientation, "no_features_selected"), overall: 100, matched: true };
+  }
+
+  const feats = target.features;
+  const liveFeats = orientation === "mirrored" ? target.mirroredFeatures : feats;
+  const targetSeries = target.series;
+  const liveSeries = liveRows.map((r) => r?.[orientation]).filter(Array.isArray);
+
+  // keep features that are tracked in most frames of BOTH sequences
+  const cols = [];
+  feats.forEach((f, k) => {
+    if (presentRatio(targetSeries, k) >= 0.5 && presentRatio(liveSeries, k) >= 0.5) cols.push(k);
+  });
+  if (!cols.length) return emptyResult(th, orientation, "no_features_available");
+
+  const weights = cols.map((k) => {
+    const baseW = Number(weightsOverride?.[feats[k].id] ?? feats[k].weight ?? 1);
+    return Number.isFinite(baseW) && baseW > 0 ? baseW : 1;
+  });
+  const maxDiffs = cols.map((k) => {
+    const m = Number(maxDiffOverride?.[feats[k].id] ?? feats[k].maxDiffDeg ?? 45);
+    return Number.isFinite(m) && m > 0 ? m : 45;
+  });
+
+  // frame cost = weighted mean of (1 - featureScore/100), skipping untracked features
+  const costAt = (i, j) => {
+    let num = 0;
+    let den = 0;
+    cols.forEach((k, c) => {
+      const a = targetSeries[i][k];
+      const b = liveSeries[j][k];
+      if (!Number.isFinite(a) || !Number.isFinite(b)) return;
+      num += (1 - angleDiffToScore(Math.abs(a - b), maxDiffs[c]) / 100) * weights[c];
+      den += weights[c];
+    });
+    return den > 0 ? num / den : 1;
+  };
+
+  const { cost, path } = dtwAlign(targetSeries.length, liveSeries.length, costAt, { openBegin, bandWidth });
+  if (!path.length) return emptyResult(th, orientation, "no_alignment");
+
+  const perFeature = cols.map((k, c) => {
+    const f = feats[k];
+    let sum = 0;
+    let count = 0;
+    for (const [i, j] of path) {
+      const a = targetSeries[i][k];
+      const b = liveSeries[j][k];
+      if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+      sum += angleDiffToScore(Math.abs(a - b), maxDiffs[c]);
+      count++;
+    }
+
+    return {
+      id: f.id,
+      liveFeatureId: liveFeats[k].id,
+      label: f.label,
+      dataKey: f.dataKey,
+      type: f.type,
+      points: f.points,
+      weight: weights[c],
+      maxDiffDeg: maxDiffs[c],
+      score: count ? sum / count : 0,
+      samples: count,
+    };
+  });
+
+  let num = 0;
+  let den = 0;
+  for (const r of perFeature) {
+    if (!r.samples) continue;
+    num += r.score * r.weight;
+    den += r.weight;
+  }
+
+  const overall = den > 0 ? num / den : 0;
+
+  return {
+    overall,
+    matched: overall >= th,
+    thresholdPct: th,
+    orientation,
+    perFeature,
+    usedFeatureIds: perFeature.map((p) => p.id),
+    path,
+    debug: {
+      dtwCost: cost,
+      pathLength: path.length,
+      liveFrames: liveSeries.length,
+      targetFrames: targetSeries.length,
+    },
+  };
+}
+
+/**
+ * Match a live frame buffer against a recorded target clip.
+ *
+ * liveFrames / targetFrames: arrays of raw pose objects (or { pose } records).
+ * Repeated scoring against the same clip can pass target (prepareSequenceTarget) instead of
+ * targetFrames / include / featureIds / registry / allowDataKeys, and liveRows (sequenceLiveRow
+ * per frame, same mirrorMode) instead of liveFrames.
+ * Returns { overall, matched, thresholdPct, orientation, perFeature, usedFeatureIds, path, debug }
+ * where path is the DTW alignment as [targetFrameIndex, liveFrameIndex] pairs.
+ */
+export function computeSequenceMatch({
+  liveFrames,
+  targetFrames,
+  target = null,
+  liveRows = null,
+  include = null,
+  featureIds = undefined,
+  registry = FEATURE_REGISTRY,
+  allowDataKeys = null,
+  thresholdPct = 70,
+  weightsOverride = null,
+  maxDiffOverride = null,
+  mirrorMode = "strict",
+  openBegin = true,
+  bandWidth = null,
+} = {}) {
+  const th = clampPct(thresholdPct, 70);
+  const mode = normalizeMirrorMode(mirrorMode);
+
+  const tgt = target ?? prepareSequenceTarget({ targetFrames, include, featureIds, registry, allowDataKeys });
+  const rows = Array.isArray(liveRows)
+    ? liveRows
+    : unwrapFrames(liveFrames).map((p) => sequenceLiveRow(tgt, p, mode));
+
+  if (rows.length < 2 || tgt.series.length < 2) {
+    return emptyResult(th, "strict", "not_enough_frames");
+  }
+
+  const args = {
+    target: tgt,
+    liveRows: rows,
+    thresholdPct: th,
+    weightsOverride,
+    maxDiffOverride,
+    openBegin,
+    bandWidth,
+  };
+
+  if (mode !== "either") return scoreSequenceOrientation(args, mode);
+
+  const strict = scoreSequenceOrientation(args, "strict");
+  const mirrored = scoreSequenceOrientation(args, "mirrored");
+  const best = mirrored.overall > strict.overall ? mirrored : strict;
+  const other = best === strict ? mirrored : strict;
+
+  return {
+    ...best,
+    debug: { ...best.debug, mirrorMode: mode, otherOrientationOverall: other.overall },
+  };
+}
+
+/* ----------------------------- recording helpers ----------------------------- */
+
+const round4 = (n) => (Number.isFinite(n) ? Math.round(n * 1e4) / 1e4 : n);
+
+function compactLandmarks(arr) {
+  if (!Array.isArray(arr)) return undefined;
+  return arr.map((p) => {
+    const out = { x: round4(p?.x), y: round4(p?.y), z: round4(p?.z ?? 0) };
+    if (Number.isFinite(p?.visibility)) out.visibility = round4(p.visibility);
+    return out;
+  });
+}
+
+/**
+ * Shrink a live Holistic result for clip storage: 4-decimal coords, and no
+ * FaceMesh unless asked (468 points per frame adds up fast in RTDB).
+ */
+export function toClipFramePose(pose, { keepFace = false } = {}) {
+  if (!isPlainObject(pose)) return null;
+  const out = {};
+  for (const key of ["poseLandmarks", "leftHandLandmarks", "rightHandLandmarks"]) {
+    const arr = compactLandmarks(pose[key]);
+    if (arr) out[key] = arr;
+  }
+  if (keepFace) {
+    const face = compactLandmarks(pose.faceLandmarks);
+    if (face) out.faceLandmarks = face;
+  }
+  return out.poseLandmarks ? out : null;
+}